@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/governance/IGovernor.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
@@ -9,7 +10,9 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 /**
  * @title DonationContract
  * @dev On-chain donation tracking with escrow and refund mechanism
- * @notice Tracks donations per proposal, manages early access, and handles refunds
+ * @notice Tracks donations per proposal, manages early access, and handles refunds.
+ * A proposal's escrow is opened by its proposer (read from VeritasGovernor) or by
+ * the DAO, who names the investigator it pays; donors can't choose the investigator.
  */
 contract DonationContract is Ownable, ReentrancyGuard {
     using SafeERC20 for IERC20;
@@ -52,9 +55,13 @@ contract DonationContract is Ownable, ReentrancyGuard {
     // Mapping donor => proposal IDs they donated to
     mapping(address => uint256[]) public donorProposals;
 
-    // Address of VeritasGovernor contract
+    // Address that executes DAO decisions (the TimelockController, since
+    // VeritasGovernor runs proposals through it)
     address public governor;
 
+    // VeritasGovernor, which records who made each proposal
+    IGovernor public immutable proposalGovernor;
+
     // Minimum donation amount (to prevent spam)
     uint256 public minDonationAmount = 0.001 ether;
 
@@ -69,6 +76,15 @@ contract DonationContract is Ownable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    /**
+     * @dev Emitted when a proposal's escrow is opened
+     */
+    event EscrowOpened(
+        uint256 indexed proposalId,
+        address indexed investigator,
+        address indexed openedBy
+    );
+
     /**
      * @dev Emitted when early access is granted
      */
@@ -102,11 +118,14 @@ contract DonationContract is Ownable, ReentrancyGuard {
 
     /**
      * @dev Constructor
-     * @param _governor Address of VeritasGovernor contract
+     * @param _governor Address that executes DAO decisions (the TimelockController)
+     * @param _proposalGovernor VeritasGovernor, used to look up proposers
      */
-    constructor(address _governor) Ownable(msg.sender) {
+    constructor(address _governor, address _proposalGovernor) Ownable(msg.sender) {
         require(_governor != address(0), "DonationContract: governor cannot be zero address");
+        require(_proposalGovernor != address(0), "DonationContract: proposal governor cannot be zero address");
         governor = _governor;
+        proposalGovernor = IGovernor(_proposalGovernor);
     }
 
     /**
@@ -117,37 +136,37 @@ contract DonationContract is Ownable, ReentrancyGuard {
         _;
     }
 
+    /**
+     * @dev Open the escrow of a proposal (called by its proposer or governor)
+     * @param proposalId ID of the proposal
+     * @param investigator Address the escrow is released to
+     */
+    function openEscrow(uint256 proposalId, address investigator) external {
+        require(
+            msg.sender == proposalGovernor.proposalProposer(proposalId) || msg.sender == governor,
+            "DonationContract: only the proposer or governor can open the escrow"
+        );
+        require(investigator != address(0), "DonationContract: investigator cannot be zero address");
+        require(escrows[proposalId].investigator == address(0), "DonationContract: escrow already opened");
+
+        escrows[proposalId].investigator = investigator;
+
+        emit EscrowOpened(proposalId, investigator, msg.sender);
+    }
+
     /**
      * @dev Make a donation to a proposal
      * @param proposalId ID of the proposal
-     * @param investigator Address of the investigator (proposer)
      * @param earlyAccessPromised Whether early access is promised
+     * @notice The proposal's escrow must have been opened with openEscrow
      */
     function donate(
         uint256 proposalId,
-        address investigator,
         bool earlyAccessPromised
     ) external payable nonReentrant {
         require(msg.value >= minDonationAmount, "DonationContract: donation amount too low");
-        require(investigator != address(0), "DonationContract: investigator cannot be zero address");
-        require(investigator != msg.sender, "DonationContract: cannot donate to yourself");
-
-        // Initialize escrow if first donation
-        if (escrows[proposalId].investigator == address(0)) {
-            escrows[proposalId] = Escrow({
-                totalAmount: 0,
-                investigator: investigator,
-                released: false,
-                refunded: false,
-                donationCount: 0
-            });
-        } else {
-            // Verify investigator matches
-            require(
-                escrows[proposalId].investigator == investigator,
-                "DonationContract: investigator mismatch"
-            );
-        }
+        require(escrows[proposalId].investigator != address(0), "DonationContract: escrow not opened");
+        require(escrows[proposalId].investigator != msg.sender, "DonationContract: cannot donate to yourself");
 
         // Check escrow not already released or refunded
         require(
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Multicall3
+ * @dev Minimal Multicall3-compatible read aggregator for local development networks
+ * @notice Public networks use the canonical deployment at 0xcA11bde05977b3631167028862bE2a173976CA11.
+ * This contract exposes the same aggregate3 interface so the frontend can batch
+ * Governor reads into a single eth_call on a Hardhat node.
+ */
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @dev Execute calls in order and return each result
+     * @param calls Calls to execute; a failing call reverts the batch unless allowFailure is set
+     * @return returnData Success flag and return data per call
+     */
+    function aggregate3(Call3[] calldata calls) external returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata calli = calls[i];
+            (bool success, bytes memory data) = calli.target.call(calli.callData);
+            require(success || calli.allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    /**
+     * @dev Get the current block number
+     */
+    function getBlockNumber() external view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+
+    /**
+     * @dev Get the current block timestamp
+     */
+    function getCurrentBlockTimestamp() external view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+
+    /**
+     * @dev Get the ETH balance of an address
+     * @param addr Address to check
+     */
+    function getEthBalance(address addr) external view returns (uint256 balance) {
+        balance = addr.balance;
+    }
+}
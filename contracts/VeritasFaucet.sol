@@ -15,6 +15,9 @@ import "./VeritasToken.sol";
  * - Configurable amount: Owner can set the faucet amount
  * - Configurable cooldown: Owner can set the cooldown period
  * - Emergency pause: Owner can pause/unpause the faucet
+ * - Relayed drips: Approved relayers can drip to a user and submit their
+ *   delegateBySig signature in the same transaction, so users without ETH
+ *   get active voting power in one step
  */
 contract VeritasFaucet is Ownable {
     VeritasToken public immutable token;
@@ -26,11 +29,15 @@ contract VeritasFaucet is Ownable {
     // Rate limiting
     mapping(address => uint256) public lastRequestTime;
     
+    // Accounts allowed to request tokens on behalf of users
+    mapping(address => bool) public relayers;
+    
     // Events
     event TokensRequested(address indexed recipient, uint256 amount, uint256 timestamp);
     event FaucetAmountUpdated(uint256 newAmount);
     event CooldownPeriodUpdated(uint256 newPeriod);
     event FaucetPaused(bool paused);
+    event RelayerUpdated(address indexed relayer, bool allowed);
     
     // Pause functionality
     bool public paused;
@@ -57,24 +64,77 @@ contract VeritasFaucet is Ownable {
         paused = false;
     }
     
+    modifier onlyRelayer() {
+        require(relayers[msg.sender], "VeritasFaucet: caller is not a relayer");
+        _;
+    }
+    
     /**
      * @dev Request tokens from faucet
      * @notice Users can request tokens once per cooldown period
      */
     function requestTokens() external {
+        _drip(msg.sender);
+    }
+    
+    /**
+     * @dev Request tokens on behalf of a user (only relayers)
+     * @param recipient Address to receive the tokens
+     * @notice The cooldown applies to the recipient, not the relayer
+     */
+    function requestTokensFor(address recipient) external onlyRelayer {
+        _drip(recipient);
+    }
+    
+    /**
+     * @dev Drip tokens to a user and apply their signed delegation (only relayers)
+     * @param recipient Address to receive the tokens
+     * @param delegatee Address the recipient delegates to
+     * @param nonce Recipient's token nonce used in the signature
+     * @param expiry Signature expiry timestamp
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
+     * @notice The signature must be the recipient's, otherwise the drip reverts.
+     * delegateBySig consumes the signer's nonce, so the recipient's nonce moving
+     * proves they signed - even if they had already delegated to `delegatee`.
+     */
+    function requestTokensWithDelegation(
+        address recipient,
+        address delegatee,
+        uint256 nonce,
+        uint256 expiry,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external onlyRelayer {
+        uint256 recipientNonce = token.nonces(recipient);
+        token.delegateBySig(delegatee, nonce, expiry, v, r, s);
+        require(
+            token.nonces(recipient) == recipientNonce + 1,
+            "VeritasFaucet: delegation not signed by recipient"
+        );
+        _drip(recipient);
+    }
+    
+    /**
+     * @dev Mint the faucet amount to a recipient, enforcing pause and cooldown
+     * @param recipient Address to receive the tokens
+     */
+    function _drip(address recipient) internal {
         require(!paused, "VeritasFaucet: faucet is paused");
         require(
-            block.timestamp >= lastRequestTime[msg.sender] + cooldownPeriod,
+            block.timestamp >= lastRequestTime[recipient] + cooldownPeriod,
             "VeritasFaucet: cooldown period not elapsed"
         );
         
         // Update last request time
-        lastRequestTime[msg.sender] = block.timestamp;
+        lastRequestTime[recipient] = block.timestamp;
         
-        // Mint tokens to the requester using faucetMint
-        token.faucetMint(msg.sender, faucetAmount);
+        // Mint tokens to the recipient using faucetMint
+        token.faucetMint(recipient, faucetAmount);
         
-        emit TokensRequested(msg.sender, faucetAmount, block.timestamp);
+        emit TokensRequested(recipient, faucetAmount, block.timestamp);
     }
     
     /**
@@ -137,6 +197,17 @@ contract VeritasFaucet is Ownable {
         emit CooldownPeriodUpdated(_period);
     }
     
+    /**
+     * @dev Allow or revoke a relayer (only owner)
+     * @param _relayer Relayer address
+     * @param _allowed True to allow, false to revoke
+     */
+    function setRelayer(address _relayer, bool _allowed) external onlyOwner {
+        require(_relayer != address(0), "VeritasFaucet: relayer cannot be zero address");
+        relayers[_relayer] = _allowed;
+        emit RelayerUpdated(_relayer, _allowed);
+    }
+    
     /**
      * @dev Pause the faucet (only owner)
      */
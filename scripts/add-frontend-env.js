@@ -57,6 +57,7 @@ function addFrontendEnv() {
     'VITE_ARTICLE_REGISTRY_ADDRESS': env['ARTICLE_REGISTRY_ADDRESS'],
     'VITE_REPUTATION_CONTRACT_ADDRESS': env['REPUTATION_CONTRACT_ADDRESS'],
     'VITE_FAUCET_ADDRESS': env['FAUCET_ADDRESS'],
+    'VITE_MULTICALL3_ADDRESS': env['MULTICALL3_ADDRESS'],
   };
 
   // Also check deployment.json for latest addresses
@@ -75,6 +76,7 @@ function addFrontendEnv() {
       if (contracts.ArticleRegistry) mappings['VITE_ARTICLE_REGISTRY_ADDRESS'] = contracts.ArticleRegistry;
       if (contracts.ReputationContract) mappings['VITE_REPUTATION_CONTRACT_ADDRESS'] = contracts.ReputationContract;
       if (contracts.VeritasFaucet) mappings['VITE_FAUCET_ADDRESS'] = contracts.VeritasFaucet;
+      if (contracts.Multicall3) mappings['VITE_MULTICALL3_ADDRESS'] = contracts.Multicall3;
     } catch (e) {
       console.warn('Could not read deployment.json:', e.message);
     }
@@ -94,6 +96,24 @@ function addFrontendEnv() {
     }
   });
 
+  // Start the event indexer at the deployment block instead of genesis
+  if (fs.existsSync(deploymentPath)) {
+    try {
+      const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf-8'));
+      if (deployment.startBlock !== undefined) {
+        const startBlock = String(deployment.startBlock);
+        const currentValue = env['VITE_INDEXER_START_BLOCK'];
+        if (!currentValue) {
+          toAdd.push({ key: 'VITE_INDEXER_START_BLOCK', value: startBlock });
+        } else if (currentValue !== startBlock) {
+          toUpdate.push({ key: 'VITE_INDEXER_START_BLOCK', oldValue: currentValue, newValue: startBlock });
+        }
+      }
+    } catch (e) {
+      // Already warned above
+    }
+  }
+
   // Add VITE_NETWORK if missing
   if (!env['VITE_NETWORK']) {
     // Try to get from deployment.json
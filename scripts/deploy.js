@@ -10,6 +10,9 @@ import fs from "fs";
  * 2. TimelockController - Execution delay controller
  * 3. Treasury - DAO vault (owned by Timelock)
  * 4. VeritasGovernor - DAO governance contract
+ * 5-11. Supporting contracts (donations, articles, reputation, faucet, journalists)
+ * 12. Multicall3 - read batching for the frontend (local networks only;
+ *     public networks use the canonical deployment)
  * 
  * Configuration Parameters:
  * - Initial Token Supply: 1,000,000 VERITAS
@@ -18,6 +21,10 @@ import fs from "fs";
  * - Proposal Threshold: 100 VERITAS (lowered for easier testing)
  * - Quorum: 4% of total supply
  * - Timelock Delay: 1 day (86,400 seconds)
+ * - Guardian (optional): GUARDIAN_ADDRESS gets the timelock CANCELLER_ROLE
+ *   so it can veto queued proposals before they execute
+ * - Faucet relayer: FAUCET_RELAYER_ADDRESS (default: deployer) may drip tokens
+ *   and submit delegateBySig signatures for users (scripts/relayer.js)
  */
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -32,6 +39,8 @@ async function main() {
   const QUORUM_FRACTION = 4n; // 4% quorum
   const TIMELOCK_DELAY = 86400n; // 1 day in seconds
   const TIMELOCK_MIN_DELAY = 3600n; // Minimum delay: 1 hour
+  const GUARDIAN_ADDRESS = process.env.GUARDIAN_ADDRESS || ""; // Optional emergency veto
+  const FAUCET_RELAYER_ADDRESS = process.env.FAUCET_RELAYER_ADDRESS || deployer.address; // Gasless onboarding
 
   // Step 1: Deploy VeritasToken
   console.log("\n1. Deploying VeritasToken...");
@@ -39,7 +48,9 @@ async function main() {
   const token = await VeritasToken.deploy(INITIAL_SUPPLY, deployer.address);
   await token.waitForDeployment();
   const tokenAddress = await token.getAddress();
-  console.log("VeritasToken deployed to:", tokenAddress);
+  // First DAO contract on chain: the frontend event indexer starts scanning here
+  const startBlock = (await token.deploymentTransaction().wait()).blockNumber;
+  console.log("VeritasToken deployed to:", tokenAddress, "at block", startBlock);
 
   // Step 2: Deploy TimelockController
   // TimelockController needs: minDelay, proposers[], executors[], admin
@@ -106,6 +117,20 @@ async function main() {
   await tx3.wait();
   console.log("Granted CANCELLER role to Governor");
 
+  // Grant CANCELLER role to the guardian (must happen before the admin role is renounced)
+  let guardianAddress = null;
+  if (GUARDIAN_ADDRESS) {
+    if (!ethers.isAddress(GUARDIAN_ADDRESS)) {
+      throw new Error(`GUARDIAN_ADDRESS is not a valid address: ${GUARDIAN_ADDRESS}`);
+    }
+    guardianAddress = ethers.getAddress(GUARDIAN_ADDRESS);
+    const txGuardian = await timelock.grantRole(CANCELLER_ROLE, guardianAddress);
+    await txGuardian.wait();
+    console.log("Granted CANCELLER role to guardian:", guardianAddress);
+  } else {
+    console.log("No GUARDIAN_ADDRESS set - queued proposals can only be cancelled by the Governor");
+  }
+
   // Renounce admin role (make Timelock self-administered)
   try {
     const ADMIN_ROLE = await timelock.TIMELOCK_ADMIN_ROLE();
@@ -140,7 +165,9 @@ async function main() {
   // Step 7: Deploy DonationContract
   console.log("\n7. Deploying DonationContract...");
   const DonationContract = await ethers.getContractFactory("DonationContract");
-  const donationContract = await DonationContract.deploy(governorAddress);
+  // Escrow release and refunds are executed by proposals, which run from the Timelock;
+  // the Governor tells it who may open each proposal's escrow
+  const donationContract = await DonationContract.deploy(timelockAddress, governorAddress);
   await donationContract.waitForDeployment();
   const donationContractAddress = await donationContract.getAddress();
   console.log("DonationContract deployed to:", donationContractAddress);
@@ -185,6 +212,13 @@ async function main() {
   await token.setFaucetAddress(faucetAddress);
   console.log("Faucet address set in VeritasToken");
 
+  // Let the relayer drip tokens together with the user's delegateBySig signature
+  if (!ethers.isAddress(FAUCET_RELAYER_ADDRESS)) {
+    throw new Error(`FAUCET_RELAYER_ADDRESS is not a valid address: ${FAUCET_RELAYER_ADDRESS}`);
+  }
+  await faucet.setRelayer(FAUCET_RELAYER_ADDRESS, true);
+  console.log("Faucet relayer allowed:", FAUCET_RELAYER_ADDRESS);
+
   // Step 11: Deploy JournalistRegistry
   console.log("\n11. Deploying JournalistRegistry...");
   const JournalistRegistry = await ethers.getContractFactory("JournalistRegistry");
@@ -193,6 +227,23 @@ async function main() {
   const journalistRegistryAddress = await journalistRegistry.getAddress();
   console.log("JournalistRegistry deployed to:", journalistRegistryAddress);
 
+  // Step 12: Multicall3 for batched frontend reads
+  // Public networks already have the canonical deployment; local nodes start empty
+  console.log("\n12. Checking Multicall3...");
+  const CANONICAL_MULTICALL3 = "0xcA11bde05977b3631167028862bE2a173976CA11";
+  let multicallAddress = CANONICAL_MULTICALL3;
+  const isLocalNetwork = hre.network.name === "hardhat" || hre.network.name === "localhost";
+  const canonicalCode = await ethers.provider.getCode(CANONICAL_MULTICALL3);
+  if (isLocalNetwork && canonicalCode === "0x") {
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    const multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+    multicallAddress = await multicall.getAddress();
+    console.log("Multicall3 deployed to:", multicallAddress);
+  } else {
+    console.log("Using canonical Multicall3 at:", multicallAddress);
+  }
+
   // Summary
   console.log("\n=== Deployment Summary ===");
   console.log("VeritasToken:", tokenAddress);
@@ -204,6 +255,9 @@ async function main() {
   console.log("ReputationContract:", reputationContractAddress);
   console.log("VeritasFaucet:", faucetAddress);
   console.log("JournalistRegistry:", journalistRegistryAddress);
+  console.log("Multicall3:", multicallAddress);
+  console.log("Guardian:", guardianAddress || "none");
+  console.log("Faucet Relayer:", FAUCET_RELAYER_ADDRESS);
   console.log("\n=== Configuration ===");
   console.log("Initial Supply:", ethers.formatEther(INITIAL_SUPPLY), "VERITAS");
   console.log("Voting Delay:", VOTING_DELAY.toString(), "blocks");
@@ -225,6 +279,7 @@ async function main() {
     network: hre.network.name,
     chainId: network.chainId.toString(),
     deployer: deployer.address,
+    startBlock,
     contracts: {
       VeritasToken: tokenAddress,
       TimelockController: timelockAddress,
@@ -235,6 +290,7 @@ async function main() {
       ReputationContract: reputationContractAddress,
       VeritasFaucet: faucetAddress,
       JournalistRegistry: journalistRegistryAddress,
+      Multicall3: multicallAddress,
     },
     config: {
       initialSupply: ethers.formatEther(INITIAL_SUPPLY),
@@ -243,6 +299,8 @@ async function main() {
       proposalThreshold: ethers.formatEther(PROPOSAL_THRESHOLD),
       quorumFraction: QUORUM_FRACTION.toString(),
       timelockDelay: TIMELOCK_MIN_DELAY.toString(),
+      guardian: guardianAddress,
+      faucetRelayer: FAUCET_RELAYER_ADDRESS,
     },
   };
 
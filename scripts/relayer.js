@@ -0,0 +1,770 @@
+import 'dotenv/config'
+import http from 'http'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { ethers } from 'ethers'
+import { getBallotDomain, buildBallot } from '../src/utils/ballot.js'
+import { DELEGATION_TYPES, getDelegationDomain, buildDelegation } from '../src/utils/delegation.js'
+import { validateDiscussionAction, verifyDiscussionAction } from '../src/utils/discussion.js'
+import { validateDelegateStatement, verifyDelegateStatement } from '../src/utils/delegateStatements.js'
+import { validateReaderKey, verifyReaderKey, validateEnvelopeRecord, verifyEnvelopeRecord } from '../src/utils/articleEncryption.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+const rootDir = join(__dirname, '..')
+
+/**
+ * @dev Gasless voting relayer
+ *
+ * Accepts EIP-712 signed ballots from the frontend, checks them and submits
+ * castVoteBySig / castVoteWithReasonAndParamsBySig, paying the gas itself.
+ * Also serves the faucet API: drips VERITAS to new users and submits their
+ * delegateBySig signature in the same transaction, so they can vote right away,
+ * shared proposal discussion threads made of wallet-signed comments, the
+ * wallet-signed statements of the delegate directory, and the encryption keys
+ * and encrypted articles of early-access readers.
+ * The relayer account must be allowed with VeritasFaucet.setRelayer (deploy.js
+ * allows the deployer by default).
+ *
+ * Usage:
+ * npm run relayer
+ *
+ * Environment:
+ * RELAYER_RPC_URL         - RPC endpoint (default: local Hardhat node)
+ * RELAYER_PRIVATE_KEY     - Key that pays for gas (falls back to PRIVATE_KEY)
+ * GOVERNOR_ADDRESS        - Governor address (falls back to deployment.json)
+ * VERITAS_TOKEN_ADDRESS   - Token address (falls back to deployment.json)
+ * FAUCET_ADDRESS          - Faucet address (falls back to deployment.json)
+ * RELAYER_PORT            - HTTP port (default: 3001)
+ * RELAYER_ALLOWED_ORIGIN  - CORS origin (default: *)
+ * RELAYER_MAX_VOTES       - Votes relayed per voter per window (default: 10)
+ * RELAYER_WINDOW_MS       - Rate limit window (default: 1 hour)
+ * RELAYER_MAX_DRIPS       - Faucet drips per address and per IP per window (default: 3)
+ * RELAYER_MAX_COMMENTS    - Discussion actions per author per window (default: 30)
+ * RELAYER_MAX_IP_COMMENTS - Discussion actions per IP per window (default: 60)
+ * DISCUSSION_MAX_ACTIONS  - Discussion actions kept per proposal (default: 500)
+ * DISCUSSION_DATA_FILE    - Where signed comments are kept (default: discussion.jsonl)
+ * RELAYER_MAX_STATEMENTS  - Delegate statements per delegate per window (default: 10)
+ * STATEMENTS_DATA_FILE    - Where signed delegate statements are kept (default: statements.jsonl)
+ * RELAYER_MAX_ENVELOPES   - Early-access keys and articles per address and per IP per window (default: 20)
+ * EARLY_ACCESS_DATA_FILE  - Where reader keys and encrypted articles are kept (default: early-access.jsonl)
+ *
+ * Endpoints:
+ * GET  /api/relayer/status - Relayer address, balance and limits
+ * POST /api/relayer/vote   - { proposalId, support, voter, signature, reason? }
+ * POST /api/faucet         - { address, delegation: { delegatee, nonce, expiry, signature } }
+ * GET  /api/discussion     - ?proposalId=<id> -> { actions }
+ * POST /api/discussion     - Signed discussion action (see src/utils/discussion.js)
+ * GET  /api/statements     - { statements } (the newest record of each delegate)
+ * POST /api/statements     - Signed delegate statement (see src/utils/delegateStatements.js)
+ * GET  /api/early-access/keys      - { keys } (the newest key of each reader)
+ * POST /api/early-access/keys      - Signed reader key (see src/utils/articleEncryption.js)
+ * GET  /api/early-access/envelopes - ?proposalId=<id> -> { envelopes }
+ * POST /api/early-access/envelopes - Encrypted article signed by the proposer
+ */
+
+const MAX_BODY_BYTES = 10 * 1024
+const MAX_ENVELOPE_BYTES = 512 * 1024
+const MAX_REASON_LENGTH = 1000
+const ACTIVE_STATE = 1n
+
+/**
+ * Error with the HTTP status the relayer should answer with
+ */
+export class RelayerError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'RelayerError'
+    this.status = status
+  }
+}
+
+/**
+ * Sliding-window limiter keyed by voter address
+ * @param {number} max - Allowed hits per window
+ * @param {number} windowMs - Window length in milliseconds
+ */
+export function createRateLimiter(max, windowMs) {
+  const hits = new Map()
+
+  const recent = (key, now) => (hits.get(key) || []).filter(t => now - t < windowMs)
+
+  return {
+    max,
+    windowMs,
+    check(key, now = Date.now()) {
+      const list = recent(key, now)
+      hits.set(key, list)
+      if (list.length >= max) {
+        const retryIn = Math.ceil((windowMs - (now - list[0])) / 1000)
+        throw new RelayerError(`Rate limit reached for ${key}. Try again in ${retryIn}s`, 429)
+      }
+    },
+    record(key, now = Date.now()) {
+      hits.set(key, [...recent(key, now), now])
+    },
+  }
+}
+
+// Voting power one block back - the Governor only answers for past timepoints
+const getCurrentVotes = async (governor, address) => governor.getVotes(address, (await governor.clock()) - 1n)
+
+// Read the JSON lines persisted by a board
+const readDataFile = (dataFile, label) => {
+  const entries = []
+  if (dataFile && fs.existsSync(dataFile)) {
+    fs.readFileSync(dataFile, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        entries.push(JSON.parse(line))
+      } catch {
+        console.error(`Skipping unreadable ${label} entry`)
+      }
+    })
+  }
+  return entries
+}
+
+/**
+ * Create the relayer logic around a Governor contract and a funded wallet
+ * @param {Object} options - Relayer options
+ * @param {ethers.Contract} options.governor - Governor connected to the relayer wallet
+ * @param {ethers.Wallet} options.wallet - Wallet paying for gas
+ * @param {Object} options.rateLimiter - Limiter from createRateLimiter
+ * @param {ethers.Contract} options.token - VeritasToken (optional, needed for the faucet)
+ * @param {ethers.Contract} options.faucet - VeritasFaucet connected to the relayer wallet (optional)
+ * @param {Object} options.faucetRateLimiter - Limiter from createRateLimiter, keyed by recipient and by IP (default: 3 per hour)
+ * @returns {Object} { getStatus, relayVote, relayFaucet }
+ */
+export function createRelayer({ governor, wallet, rateLimiter, token = null, faucet = null, faucetRateLimiter = createRateLimiter(3, 60 * 60 * 1000) }) {
+  // Serialize submissions so the relayer wallet never reuses a nonce
+  let submissions = Promise.resolve()
+  const enqueue = (task) => {
+    const run = submissions.then(task, task)
+    submissions = run.catch(() => {})
+    return run
+  }
+
+  const getStatus = async () => {
+    const [network, balance] = await Promise.all([
+      wallet.provider.getNetwork(),
+      wallet.provider.getBalance(wallet.address),
+    ])
+    return {
+      online: true,
+      relayer: wallet.address,
+      chainId: Number(network.chainId),
+      governor: await governor.getAddress(),
+      balance: ethers.formatEther(balance),
+      rateLimit: { maxVotes: rateLimiter.max, windowMs: rateLimiter.windowMs },
+      faucet: faucet ? await faucet.getAddress() : null,
+    }
+  }
+
+  const validateBody = ({ proposalId, support, voter, signature, reason = '' }) => {
+    if (typeof proposalId !== 'string' || !/^\d+$/.test(proposalId)) {
+      throw new RelayerError('proposalId must be a decimal string')
+    }
+    if (![0, 1, 2].includes(support)) {
+      throw new RelayerError('support must be 0 (Against), 1 (For) or 2 (Abstain)')
+    }
+    if (typeof voter !== 'string' || !ethers.isAddress(voter)) {
+      throw new RelayerError('voter must be an address')
+    }
+    if (!ethers.isHexString(signature)) {
+      throw new RelayerError('signature must be a hex string')
+    }
+    if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+      throw new RelayerError(`reason must be a string of at most ${MAX_REASON_LENGTH} characters`)
+    }
+    return { proposalId, support, voter: ethers.getAddress(voter), signature, reason }
+  }
+
+  const relayVote = async (body) => {
+    const { proposalId, support, voter, signature, reason } = validateBody(body || {})
+    rateLimiter.check(voter)
+
+    const state = await governor.state(proposalId).catch(() => null)
+    if (state === null) {
+      throw new RelayerError('Unknown proposal', 404)
+    }
+    if (state !== ACTIVE_STATE) {
+      throw new RelayerError('Proposal is not open for voting', 409)
+    }
+    if (await governor.hasVoted(proposalId, voter)) {
+      throw new RelayerError('Voter has already voted on this proposal', 409)
+    }
+
+    // Verify off-chain first so bad signatures never cost gas
+    const nonce = await governor.nonces(voter)
+    const domain = await getBallotDomain(governor)
+    const { types, value } = buildBallot({ proposalId, support, voter, nonce, reason })
+    let signer
+    try {
+      signer = ethers.verifyTypedData(domain, types, value, signature)
+    } catch {
+      throw new RelayerError('Malformed signature')
+    }
+    if (signer !== voter) {
+      throw new RelayerError('Signature was not made by the voter', 401)
+    }
+
+    // Zero-weight votes would burn relayer gas for nothing
+    const weight = await governor.getVotes(voter, await governor.proposalSnapshot(proposalId))
+    if (weight === 0n) {
+      throw new RelayerError('Voter had no voting power at the proposal snapshot', 403)
+    }
+
+    rateLimiter.record(voter)
+    const receipt = await enqueue(async () => {
+      const tx = reason
+        ? await governor.castVoteWithReasonAndParamsBySig(proposalId, support, voter, reason, '0x', signature)
+        : await governor.castVoteBySig(proposalId, support, voter, signature)
+      return tx.wait()
+    })
+
+    console.log(`Relayed vote ${support} on ${proposalId} for ${voter}: ${receipt.hash}`)
+    return { txHash: receipt.hash, weight: ethers.formatEther(weight) }
+  }
+
+  const validateDelegation = ({ delegatee, nonce, expiry, signature }) => {
+    if (typeof delegatee !== 'string' || !ethers.isAddress(delegatee)) {
+      throw new RelayerError('delegation.delegatee must be an address')
+    }
+    if (!/^\d+$/.test(String(nonce)) || !/^\d+$/.test(String(expiry))) {
+      throw new RelayerError('delegation.nonce and delegation.expiry must be integers')
+    }
+    if (!ethers.isHexString(signature, 65)) {
+      throw new RelayerError('delegation.signature must be a 65-byte hex string')
+    }
+    return { delegatee: ethers.getAddress(delegatee), nonce: BigInt(nonce), expiry: BigInt(expiry), signature }
+  }
+
+  // Check a delegateBySig signature off-chain so the drip transaction can't revert on it
+  const verifyDelegation = async (address, delegation) => {
+    const now = BigInt(Math.floor(Date.now() / 1000))
+    if (delegation.expiry <= now) {
+      throw new RelayerError('Delegation signature has expired')
+    }
+    if (delegation.nonce !== await token.nonces(address)) {
+      throw new RelayerError('Delegation nonce is out of date, sign again', 409)
+    }
+    const domain = await getDelegationDomain(token)
+    let signer
+    try {
+      signer = ethers.verifyTypedData(domain, DELEGATION_TYPES, buildDelegation(delegation), delegation.signature)
+    } catch {
+      throw new RelayerError('Malformed delegation signature')
+    }
+    if (signer !== address) {
+      throw new RelayerError('Delegation was not signed by the requesting address', 401)
+    }
+  }
+
+  // The signed delegation proves the caller controls the address, so drips can't be sent to arbitrary accounts
+  const relayFaucet = async (body, ip = null) => {
+    if (!faucet || !token) {
+      throw new RelayerError('This relayer does not serve the faucet', 503)
+    }
+    const { address: rawAddress, delegation: rawDelegation } = body || {}
+    if (typeof rawAddress !== 'string' || !ethers.isAddress(rawAddress)) {
+      throw new RelayerError('address must be an address')
+    }
+    if (!rawDelegation) {
+      throw new RelayerError('A delegation signed by the requesting address is required', 401)
+    }
+    const address = ethers.getAddress(rawAddress)
+    const delegation = validateDelegation(rawDelegation)
+    await verifyDelegation(address, delegation)
+
+    const limitKeys = [address, ...(ip ? [`ip:${ip}`] : [])]
+    limitKeys.forEach(key => faucetRateLimiter.check(key))
+    if (!await faucet.relayers(wallet.address)) {
+      throw new RelayerError('Relayer account is not an approved faucet relayer', 503)
+    }
+    const [canRequest, timeUntilNextRequest] = await faucet.canRequestTokens(address)
+    if (!canRequest) {
+      throw new RelayerError(
+        timeUntilNextRequest > 0n
+          ? `Faucet cooldown active. Try again in ${timeUntilNextRequest}s`
+          : 'Faucet is paused',
+        429
+      )
+    }
+
+    limitKeys.forEach(key => faucetRateLimiter.record(key))
+    const receipt = await enqueue(async () => {
+      const { v, r, s } = ethers.Signature.from(delegation.signature)
+      const tx = await faucet.requestTokensWithDelegation(
+        address, delegation.delegatee, delegation.nonce, delegation.expiry, v, r, s
+      )
+      return tx.wait()
+    })
+
+    console.log(`Faucet drip to ${address} (delegated to ${delegation.delegatee}): ${receipt.hash}`)
+    return {
+      txHash: receipt.hash,
+      delegated: true,
+      message: 'Tokens sent and voting power activated',
+    }
+  }
+
+  return { getStatus, relayVote, relayFaucet }
+}
+
+/**
+ * Create the shared discussion board
+ * Keeps signed discussion actions in a JSON-lines file. Only actions signed by
+ * their author for a proposal that exists are accepted, and only the original
+ * author may edit or delete a comment. Authors need voting power - fresh
+ * keypairs cost nothing, so a per-author limit alone would not stop spam - and
+ * each proposal's thread is capped.
+ * @param {Object} options - Board options
+ * @param {ethers.Contract} options.governor - Governor the proposals belong to
+ * @param {number} options.chainId - Chain id used in the signed messages
+ * @param {Object} options.rateLimiter - Limiter from createRateLimiter, keyed by author
+ * @param {Object} options.ipRateLimiter - Limiter from createRateLimiter, keyed by IP (default: 60 per hour)
+ * @param {number} options.maxActionsPerProposal - Actions kept per proposal (default: 500)
+ * @param {string|null} options.dataFile - JSON-lines file to persist to (null keeps actions in memory)
+ * @returns {Object} { getActions, submitAction }
+ */
+export function createDiscussionBoard({
+  governor,
+  chainId,
+  rateLimiter,
+  ipRateLimiter = createRateLimiter(60, 60 * 60 * 1000),
+  maxActionsPerProposal = 500,
+  dataFile = null,
+}) {
+  const actions = readDataFile(dataFile, 'discussion')
+
+  const getActions = async (query) => {
+    const proposalId = query.get('proposalId')
+    if (!proposalId || !/^\d+$/.test(proposalId)) {
+      throw new RelayerError('proposalId must be a decimal string')
+    }
+    return { actions: actions.filter(action => action.proposalId === proposalId) }
+  }
+
+  const submitAction = async (body, ip = null) => {
+    let action
+    try {
+      action = validateDiscussionAction(body)
+    } catch (error) {
+      throw new RelayerError(error.message)
+    }
+    if (!verifyDiscussionAction(action, chainId)) {
+      throw new RelayerError('Signature was not made by the author', 401)
+    }
+    const duplicate = actions.find(existing => existing.signature === action.signature)
+    if (duplicate) return { action: duplicate }
+
+    rateLimiter.check(action.author)
+    if (ip) {
+      ipRateLimiter.check(ip)
+    }
+    const snapshot = await governor.proposalSnapshot(action.proposalId)
+    if (snapshot === 0n) {
+      throw new RelayerError('Unknown proposal', 404)
+    }
+    if (await getCurrentVotes(governor, action.author) === 0n) {
+      throw new RelayerError('Only members with voting power can take part in discussions', 403)
+    }
+
+    const thread = actions.filter(existing => existing.proposalId === action.proposalId)
+    if (thread.length >= maxActionsPerProposal) {
+      throw new RelayerError('This discussion has reached its size limit', 429)
+    }
+    const posts = thread.filter(existing => existing.action === 'post')
+    if (action.action === 'post') {
+      if (posts.some(post => post.commentId === action.commentId)) {
+        throw new RelayerError('Comment id already used', 409)
+      }
+      if (action.parentId !== ethers.ZeroHash && !posts.some(post => post.commentId === action.parentId)) {
+        throw new RelayerError('Replying to an unknown comment', 404)
+      }
+    } else {
+      const original = posts.find(post => post.commentId === action.commentId)
+      if (!original) {
+        throw new RelayerError('Unknown comment', 404)
+      }
+      if (original.author !== action.author) {
+        throw new RelayerError('Only the author can change a comment', 403)
+      }
+    }
+
+    rateLimiter.record(action.author)
+    if (ip) {
+      ipRateLimiter.record(ip)
+    }
+    actions.push(action)
+    if (dataFile) {
+      fs.appendFileSync(dataFile, `${JSON.stringify(action)}\n`)
+    }
+    return { action }
+  }
+
+  return { getActions, submitAction }
+}
+
+/**
+ * Create the shared delegate statement board
+ * Keeps signed delegate statements in a JSON-lines file. A statement must be
+ * signed by its delegate, who needs voting power, and must be newer than the
+ * delegate's last one, so an old statement can't be replayed over a new one.
+ * @param {Object} options - Board options
+ * @param {ethers.Contract} options.governor - Governor whose voting power is checked
+ * @param {Object} options.rateLimiter - Limiter from createRateLimiter, keyed by delegate
+ * @param {string|null} options.dataFile - JSON-lines file to persist to (null keeps statements in memory)
+ * @returns {Object} { getStatements, submitStatement }
+ */
+export function createStatementBoard({ governor, rateLimiter, dataFile = null }) {
+  const latest = new Map()
+  readDataFile(dataFile, 'statement').forEach(record => {
+    const current = latest.get(record.address)
+    if (!current || current.timestamp < record.timestamp) latest.set(record.address, record)
+  })
+
+  const getStatements = async () => ({ statements: [...latest.values()] })
+
+  const submitStatement = async (body) => {
+    let record
+    try {
+      record = validateDelegateStatement(body)
+    } catch (error) {
+      throw new RelayerError(error.message)
+    }
+    if (!verifyDelegateStatement(record)) {
+      throw new RelayerError('Signature was not made by the delegate', 401)
+    }
+    const current = latest.get(record.address)
+    if (current?.signature === record.signature) return { statement: current }
+    if (current && current.timestamp >= record.timestamp) {
+      throw new RelayerError('A newer statement is already published', 409)
+    }
+
+    rateLimiter.check(record.address)
+    if (await getCurrentVotes(governor, record.address) === 0n) {
+      throw new RelayerError('Only members with voting power can publish a statement', 403)
+    }
+
+    rateLimiter.record(record.address)
+    latest.set(record.address, record)
+    if (dataFile) {
+      fs.appendFileSync(dataFile, `${JSON.stringify(record)}\n`)
+    }
+    return { statement: record }
+  }
+
+  return { getStatements, submitStatement }
+}
+
+/**
+ * Create the shared early-access board
+ * Keeps the signed encryption keys of early-access readers and the encrypted
+ * articles wrapped for them in a JSON-lines file, so readers on any device get
+ * their keys. Anyone may publish their own key - donors need no voting power -
+ * but only a proposal's proposer may publish its articles. The newest record of
+ * each reader or article slot wins, so an old one can't be replayed over it.
+ * @param {Object} options - Board options
+ * @param {ethers.Contract} options.governor - Governor whose proposers are checked
+ * @param {Object} options.rateLimiter - Limiter from createRateLimiter, keyed by address and by IP
+ * @param {number} options.maxEnvelopesPerProposal - Article slots kept per proposal (default: 100)
+ * @param {string|null} options.dataFile - JSON-lines file to persist to (null keeps records in memory)
+ * @returns {Object} { getKeys, submitKey, getEnvelopes, submitEnvelope }
+ */
+export function createEarlyAccessBoard({ governor, rateLimiter, maxEnvelopesPerProposal = 100, dataFile = null }) {
+  const keys = new Map()
+  const envelopes = new Map()
+  const envelopeId = (record) => `${record.proposalId}:${record.slot}`
+  readDataFile(dataFile, 'early-access').forEach(({ kind, record }) => {
+    const [latest, id, time] = kind === 'key'
+      ? [keys, record.address, 'registeredAt']
+      : [envelopes, envelopeId(record), 'timestamp']
+    const current = latest.get(id)
+    if (!current || current[time] < record[time]) latest.set(id, record)
+  })
+
+  const persist = (kind, record) => {
+    if (dataFile) {
+      fs.appendFileSync(dataFile, `${JSON.stringify({ kind, record })}\n`)
+    }
+  }
+
+  const checkLimits = (address, ip) => {
+    rateLimiter.check(address)
+    if (ip) {
+      rateLimiter.check(`ip:${ip}`)
+    }
+  }
+
+  const recordLimits = (address, ip) => {
+    rateLimiter.record(address)
+    if (ip) {
+      rateLimiter.record(`ip:${ip}`)
+    }
+  }
+
+  const getKeys = async () => ({ keys: [...keys.values()] })
+
+  const submitKey = async (body, ip = null) => {
+    let record
+    try {
+      record = validateReaderKey(body)
+    } catch (error) {
+      throw new RelayerError(error.message)
+    }
+    if (!verifyReaderKey(record)) {
+      throw new RelayerError('Signature was not made by the reader', 401)
+    }
+    const current = keys.get(record.address)
+    if (current?.signature === record.signature) return { key: current }
+    if (current && current.registeredAt >= record.registeredAt) {
+      throw new RelayerError('A newer key is already published', 409)
+    }
+
+    checkLimits(record.address, ip)
+    recordLimits(record.address, ip)
+    keys.set(record.address, record)
+    persist('key', record)
+    return { key: record }
+  }
+
+  const getEnvelopes = async (query) => {
+    const proposalId = query.get('proposalId')
+    if (!proposalId || !/^\d+$/.test(proposalId)) {
+      throw new RelayerError('proposalId must be a decimal string')
+    }
+    return { envelopes: [...envelopes.values()].filter(record => record.proposalId === proposalId) }
+  }
+
+  const submitEnvelope = async (body, ip = null) => {
+    let record
+    try {
+      record = validateEnvelopeRecord(body)
+    } catch (error) {
+      throw new RelayerError(error.message)
+    }
+    if (!verifyEnvelopeRecord(record)) {
+      throw new RelayerError('Signature was not made by the author', 401)
+    }
+    const current = envelopes.get(envelopeId(record))
+    if (current?.signature === record.signature) return { envelope: current }
+    if (current && current.timestamp >= record.timestamp) {
+      throw new RelayerError('A newer version of this article is already published', 409)
+    }
+
+    checkLimits(record.author, ip)
+    const proposer = await governor.proposalProposer(record.proposalId)
+    if (proposer === ethers.ZeroAddress) {
+      throw new RelayerError('Unknown proposal', 404)
+    }
+    if (proposer.toLowerCase() !== record.author) {
+      throw new RelayerError('Only the proposer can publish early-access articles', 403)
+    }
+    if (!current && [...envelopes.values()].filter(existing => existing.proposalId === record.proposalId).length >= maxEnvelopesPerProposal) {
+      throw new RelayerError('This proposal has reached its early-access article limit', 429)
+    }
+
+    recordLimits(record.author, ip)
+    envelopes.set(envelopeId(record), record)
+    persist('envelope', record)
+    return { envelope: record }
+  }
+
+  return { getKeys, submitKey, getEnvelopes, submitEnvelope }
+}
+
+// Read a JSON request body with a size cap
+const readJsonBody = (req, maxBytes = MAX_BODY_BYTES) => new Promise((resolve, reject) => {
+  let size = 0
+  const chunks = []
+  req.on('data', chunk => {
+    size += chunk.length
+    if (size > maxBytes) {
+      reject(new RelayerError('Request body too large', 413))
+      req.destroy()
+      return
+    }
+    chunks.push(chunk)
+  })
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'))
+    } catch {
+      reject(new RelayerError('Request body must be JSON'))
+    }
+  })
+  req.on('error', reject)
+})
+
+/**
+ * Create the HTTP server exposing the relayer
+ * @param {Object} relayer - Relayer from createRelayer
+ * @param {string} allowedOrigin - CORS origin
+ * @param {Object} discussion - Board from createDiscussionBoard (optional)
+ * @param {Object} statements - Board from createStatementBoard (optional)
+ * @param {Object} earlyAccess - Board from createEarlyAccessBoard (optional)
+ * @returns {http.Server} Server (not listening yet)
+ */
+export function createRelayerServer(relayer, allowedOrigin = '*', discussion = null, statements = null, earlyAccess = null) {
+  const routes = {
+    'GET /api/relayer/status': () => relayer.getStatus(),
+    'POST /api/relayer/vote': async (req) => relayer.relayVote(await readJsonBody(req)),
+    'POST /api/faucet': async (req) => relayer.relayFaucet(await readJsonBody(req), req.socket.remoteAddress),
+    ...(discussion ? {
+      'GET /api/discussion': (req) => discussion.getActions(new URL(req.url, 'http://localhost').searchParams),
+      'POST /api/discussion': async (req) => discussion.submitAction(await readJsonBody(req), req.socket.remoteAddress),
+    } : {}),
+    ...(statements ? {
+      'GET /api/statements': () => statements.getStatements(),
+      'POST /api/statements': async (req) => statements.submitStatement(await readJsonBody(req)),
+    } : {}),
+    ...(earlyAccess ? {
+      'GET /api/early-access/keys': () => earlyAccess.getKeys(),
+      'POST /api/early-access/keys': async (req) => earlyAccess.submitKey(await readJsonBody(req), req.socket.remoteAddress),
+      'GET /api/early-access/envelopes': (req) => earlyAccess.getEnvelopes(new URL(req.url, 'http://localhost').searchParams),
+      'POST /api/early-access/envelopes': async (req) =>
+        earlyAccess.submitEnvelope(await readJsonBody(req, MAX_ENVELOPE_BYTES), req.socket.remoteAddress),
+    } : {}),
+  }
+
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin)
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      res.end()
+      return
+    }
+
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(payload))
+    }
+
+    const route = routes[`${req.method} ${req.url.split('?')[0]}`]
+    if (!route) {
+      send(404, { message: 'Not found' })
+      return
+    }
+
+    try {
+      send(200, await route(req))
+    } catch (error) {
+      if (error instanceof RelayerError) {
+        send(error.status, { message: error.message })
+        return
+      }
+      console.error('Relayer error:', error)
+      send(500, { message: error.shortMessage || error.reason || 'Relayer failed to submit the transaction' })
+    }
+  })
+}
+
+// Contract address from the environment, or the last local deployment
+const resolveAddress = (envName, contractName) => {
+  if (process.env[envName]) return process.env[envName]
+  const deploymentPath = join(rootDir, 'deployment.json')
+  if (fs.existsSync(deploymentPath)) {
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'))
+    return deploymentInfo.contracts?.[contractName] || null
+  }
+  return null
+}
+
+async function main() {
+  const rpcUrl = process.env.RELAYER_RPC_URL || 'http://127.0.0.1:8545'
+  const privateKey = process.env.RELAYER_PRIVATE_KEY || process.env.PRIVATE_KEY
+  const governorAddress = resolveAddress('GOVERNOR_ADDRESS', 'VeritasGovernor')
+  const tokenAddress = resolveAddress('VERITAS_TOKEN_ADDRESS', 'VeritasToken')
+  const faucetAddress = resolveAddress('FAUCET_ADDRESS', 'VeritasFaucet')
+  const port = Number(process.env.RELAYER_PORT || 3001)
+
+  if (!privateKey) {
+    throw new Error('Set RELAYER_PRIVATE_KEY (or PRIVATE_KEY) to the account that pays for relayed votes')
+  }
+  if (!governorAddress || !ethers.isAddress(governorAddress)) {
+    throw new Error('Set GOVERNOR_ADDRESS or deploy locally so deployment.json exists')
+  }
+
+  const abis = JSON.parse(fs.readFileSync(join(rootDir, 'src', 'config', 'abis.json'), 'utf8'))
+  const provider = new ethers.JsonRpcProvider(rpcUrl)
+  const wallet = new ethers.Wallet(privateKey, provider)
+  const governor = new ethers.Contract(governorAddress, abis.VeritasGovernor, wallet)
+  // The faucet API is optional - without the token and faucet only votes are relayed
+  const faucetEnabled = ethers.isAddress(tokenAddress) && ethers.isAddress(faucetAddress)
+  const token = faucetEnabled ? new ethers.Contract(tokenAddress, abis.VeritasToken, provider) : null
+  const faucet = faucetEnabled ? new ethers.Contract(faucetAddress, abis.VeritasFaucet, wallet) : null
+
+  const relayer = createRelayer({
+    governor,
+    wallet,
+    token,
+    faucet,
+    rateLimiter: createRateLimiter(
+      Number(process.env.RELAYER_MAX_VOTES || 10),
+      Number(process.env.RELAYER_WINDOW_MS || 60 * 60 * 1000)
+    ),
+    faucetRateLimiter: createRateLimiter(
+      Number(process.env.RELAYER_MAX_DRIPS || 3),
+      Number(process.env.RELAYER_WINDOW_MS || 60 * 60 * 1000)
+    ),
+  })
+
+  const status = await relayer.getStatus()
+  const discussionFile = process.env.DISCUSSION_DATA_FILE || join(rootDir, 'discussion.jsonl')
+  const discussion = createDiscussionBoard({
+    governor,
+    chainId: status.chainId,
+    dataFile: discussionFile,
+    rateLimiter: createRateLimiter(
+      Number(process.env.RELAYER_MAX_COMMENTS || 30),
+      Number(process.env.RELAYER_WINDOW_MS || 60 * 60 * 1000)
+    ),
+    ipRateLimiter: createRateLimiter(
+      Number(process.env.RELAYER_MAX_IP_COMMENTS || 60),
+      Number(process.env.RELAYER_WINDOW_MS || 60 * 60 * 1000)
+    ),
+    maxActionsPerProposal: Number(process.env.DISCUSSION_MAX_ACTIONS || 500),
+  })
+  const statementsFile = process.env.STATEMENTS_DATA_FILE || join(rootDir, 'statements.jsonl')
+  const statements = createStatementBoard({
+    governor,
+    dataFile: statementsFile,
+    rateLimiter: createRateLimiter(
+      Number(process.env.RELAYER_MAX_STATEMENTS || 10),
+      Number(process.env.RELAYER_WINDOW_MS || 60 * 60 * 1000)
+    ),
+  })
+  const earlyAccessFile = process.env.EARLY_ACCESS_DATA_FILE || join(rootDir, 'early-access.jsonl')
+  const earlyAccess = createEarlyAccessBoard({
+    governor,
+    dataFile: earlyAccessFile,
+    rateLimiter: createRateLimiter(
+      Number(process.env.RELAYER_MAX_ENVELOPES || 20),
+      Number(process.env.RELAYER_WINDOW_MS || 60 * 60 * 1000)
+    ),
+  })
+  const server = createRelayerServer(relayer, process.env.RELAYER_ALLOWED_ORIGIN || '*', discussion, statements, earlyAccess)
+  server.listen(port, () => {
+    console.log('🛰️  VeritasDAO relayer')
+    console.log('RPC:', rpcUrl, `(chain ${status.chainId})`)
+    console.log('Governor:', status.governor)
+    console.log('Faucet:', status.faucet || 'not served (set VERITAS_TOKEN_ADDRESS and FAUCET_ADDRESS)')
+    console.log('Relayer account:', status.relayer, `(${status.balance} ETH)`)
+    console.log('Discussion threads:', discussionFile)
+    console.log('Delegate statements:', statementsFile)
+    console.log('Early-access keys and articles:', earlyAccessFile)
+    console.log(`Listening on http://localhost:${port}`)
+  })
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
+}
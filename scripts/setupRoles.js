@@ -10,7 +10,11 @@ const { ethers } = require("hardhat");
  * 1. Grants PROPOSER role to Governor
  * 2. Grants EXECUTOR role to Governor
  * 3. Grants CANCELLER role to Governor
- * 4. Renounces admin role (makes Timelock self-administered)
+ * 4. Grants CANCELLER role to the guardian (if GUARDIAN_ADDRESS is set)
+ * 5. Renounces admin role (makes Timelock self-administered)
+ * 6. Points DonationContract's governor at the Timelock, which executes the
+ *    proposals releasing or refunding escrowed donations (older deployments
+ *    pointed it at the Governor, so those proposals always reverted)
  */
 async function main() {
   const fs = require("fs");
@@ -74,12 +78,32 @@ async function main() {
     console.log("\n✓ CANCELLER role already granted");
   }
 
+  // Grant CANCELLER role to the guardian - their veto over queued proposals
+  const guardianAddress = process.env.GUARDIAN_ADDRESS;
+  if (guardianAddress) {
+    if (!ethers.isAddress(guardianAddress)) {
+      throw new Error(`GUARDIAN_ADDRESS is not a valid address: ${guardianAddress}`);
+    }
+    const hasGuardianRole = await timelock.hasRole(CANCELLER_ROLE, guardianAddress);
+
+    if (!hasGuardianRole) {
+      console.log("\n4. Granting CANCELLER role to guardian", guardianAddress, "...");
+      const txGuardian = await timelock.grantRole(CANCELLER_ROLE, guardianAddress);
+      await txGuardian.wait();
+      console.log("✓ Guardian CANCELLER role granted");
+    } else {
+      console.log("\n✓ Guardian CANCELLER role already granted");
+    }
+  } else {
+    console.log("\n4. No GUARDIAN_ADDRESS set - skipping guardian role");
+  }
+
   // Renounce admin role
   const ADMIN_ROLE = await timelock.TIMELOCK_ADMIN_ROLE();
   const hasAdminRole = await timelock.hasRole(ADMIN_ROLE, deployer.address);
   
   if (hasAdminRole) {
-    console.log("\n4. Renouncing admin role...");
+    console.log("\n5. Renouncing admin role...");
     const tx4 = await timelock.renounceRole(ADMIN_ROLE, deployer.address);
     await tx4.wait();
     console.log("✓ Admin role renounced - Timelock is now self-administered");
@@ -87,6 +111,27 @@ async function main() {
     console.log("\n✓ Admin role already renounced");
   }
 
+  // DonationContract escrow decisions execute from the Timelock
+  const donationAddress = deploymentInfo.contracts.DonationContract;
+  if (donationAddress) {
+    const donation = await ethers.getContractAt("DonationContract", donationAddress);
+    const donationGovernor = await donation.governor();
+
+    if (donationGovernor.toLowerCase() === timelockAddress.toLowerCase()) {
+      console.log("\n✓ DonationContract governor is already the Timelock");
+    } else if ((await donation.owner()).toLowerCase() !== deployer.address.toLowerCase()) {
+      console.log("\n⚠️  DonationContract governor is", donationGovernor, "but this account is not its owner");
+      console.log("   Ask the owner to call setGovernor(" + timelockAddress + ")");
+    } else {
+      console.log("\n6. Setting DonationContract governor to the Timelock...");
+      const tx5 = await donation.setGovernor(timelockAddress);
+      await tx5.wait();
+      console.log("✓ DonationContract governor updated");
+    }
+  } else {
+    console.log("\n6. No DonationContract in deployment.json - skipping escrow governor");
+  }
+
   console.log("\n=== Role Setup Complete ===");
   console.log("TimelockController is now fully configured for DAO governance.");
 }
@@ -9,15 +9,32 @@ import Read from './components/Read'
 import Donate from './components/Donate'
 import SubmitProposal from './components/SubmitProposal'
 import ReportDetail from './components/ReportDetail'
+import GuardianPanel from './components/GuardianPanel'
+import DelegateDirectory from './components/DelegateDirectory'
 import Network3D from './components/Network3D'
+import WalletModal from './components/WalletModal'
+import ProposalNotifier from './components/ProposalNotifier'
 import { useWallet } from './contexts/WalletContext'
+import { readSharedDraft } from './utils/proposalDrafts'
 import './App.css'
 
 function App() {
-  const { account } = useWallet()
+  const { account, connect, isConnectPromptOpen, closeConnectPrompt } = useWallet()
   const [activeSection, setActiveSection] = useState('dashboard')
+  const [isBrowsing, setIsBrowsing] = useState(false)
   const [selectedReportId, setSelectedReportId] = useState(null)
   const [previousSection, setPreviousSection] = useState(null)
+  // Pre-filled follow-up proposal for the next tranche of a milestone plan
+  const [trancheDraft, setTrancheDraft] = useState(null)
+  // Draft shared by a co-author through a signed #draft= link
+  const [sharedDraft, setSharedDraft] = useState(() => readSharedDraft(window.location.hash))
+
+  // Drop the draft from the address bar once it has been read
+  useEffect(() => {
+    if (sharedDraft) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search)
+    }
+  }, [])
 
   const handleReportClick = (reportId) => {
     setPreviousSection('reports')
@@ -31,6 +48,11 @@ function App() {
     setActiveSection('report-detail')
   }
 
+  const handleRequestTranche = (draft) => {
+    setTrancheDraft(draft)
+    setActiveSection('submit')
+  }
+
   const handleBack = () => {
     setSelectedReportId(null)
     if (previousSection) {
@@ -41,8 +63,15 @@ function App() {
     }
   }
 
-  // Show landing page if not connected, otherwise show app with navbar
+  // Visitors without a wallet can browse the archive and proposals read-only
+  const handleBrowse = () => {
+    setIsBrowsing(true)
+    setActiveSection(sharedDraft ? 'submit' : 'reports')
+  }
+
+  // Show landing page if not connected or browsing, otherwise show app with navbar
   const isConnected = !!account
+  const showApp = isConnected || isBrowsing
 
 
   // Reset to landing page when wallet disconnects
@@ -51,9 +80,12 @@ function App() {
       // Reset all state when disconnected - force landing page
       setActiveSection('dashboard')
       setSelectedReportId(null)
-    } else {
-      // When wallet connects, go to dashboard
-      setActiveSection('dashboard')
+      setIsBrowsing(false)
+    } else if (!isBrowsing) {
+      // When wallet connects from the landing page, go to dashboard
+      // (visitors who connect while browsing stay where they are, and shared
+      // draft links open the proposal form)
+      setActiveSection(sharedDraft ? 'submit' : 'dashboard')
     }
   }, [account])
 
@@ -63,19 +95,20 @@ function App() {
   return (
     <div className="app" key={renderKey}>
       <Network3D />
-      {!isConnected ? (
+      {!showApp ? (
         // Landing Page - No navbar, just simple top bar with logo and connect wallet
-        <LandingPage />
+        <LandingPage onBrowse={handleBrowse} />
       ) : (
-        // App with Dashboard Navbar - Only shown after wallet connect
+        // App with Dashboard Navbar - shown after wallet connect or in read-only mode
         <>
           <DashboardNavbar activeSection={activeSection} setActiveSection={setActiveSection} />
+          {isConnected && <ProposalNotifier />}
           <main className="main-content" style={{ paddingTop: '80px' }}>
             {activeSection === 'dashboard' && <Dashboard />}
             {activeSection === 'read' && <Read onArticleClick={handleArticleClick} />}
             {activeSection === 'donate' && <Donate />}
             {activeSection === 'proposals' && <Proposals />}
-            {activeSection === 'my-proposals' && <MyProposals />}
+            {activeSection === 'my-proposals' && <MyProposals onRequestTranche={handleRequestTranche} />}
             {activeSection === 'reports' && <Reports onReportClick={handleReportClick} />}
             {activeSection === 'report-detail' && (
               <ReportDetail 
@@ -84,8 +117,22 @@ function App() {
                 sourceSection={previousSection || 'reports'}
               />
             )}
-            {activeSection === 'submit' && <SubmitProposal />}
+            {activeSection === 'submit' && (
+              <SubmitProposal
+                tranche={trancheDraft}
+                onTrancheClear={() => setTrancheDraft(null)}
+                sharedDraft={sharedDraft}
+                onSharedDraftClear={() => setSharedDraft(null)}
+              />
+            )}
+            {activeSection === 'delegates' && <DelegateDirectory />}
+            {activeSection === 'guardian' && <GuardianPanel />}
           </main>
+          <WalletModal
+            isOpen={isConnectPromptOpen}
+            onClose={closeConnectPrompt}
+            onConnect={connect}
+          />
         </>
       )}
     </div>
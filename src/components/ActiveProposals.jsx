@@ -4,15 +4,22 @@ import { useContracts } from '../hooks/useContracts'
 import { useWallet } from '../contexts/WalletContext'
 import { useToast } from '../contexts/ToastContext'
 import { isSupportedNetwork, formatTimeRemaining } from '../utils/contractHelpers'
+import { parseProposalMetadata } from '../utils/proposalMetadata'
+import VoteRationales from './VoteRationales'
+import RelayerStatus from './RelayerStatus'
+import SettingChanges from './SettingChanges'
+import QuorumProgress from './QuorumProgress'
 import './ActiveProposals.css'
 
 function ActiveProposals() {
-  const { account, chainId } = useWallet()
-  const { getAllProposals, vote, getVotingPower, getVotingPowerAtBlock, isLoading: contractsLoading, contracts } = useContracts()
+  const { account, chainId, requireWallet } = useWallet()
+  const { getAllProposals, vote, relayVote, getVotingPower, getVotingPowerAtBlock, isLoading: contractsLoading, contracts, eventVersion } = useContracts()
   const { success, error: showError } = useToast()
   const [proposals, setProposals] = useState([])
   const [loading, setLoading] = useState(true)
   const [voting, setVoting] = useState({})
+  const [reasons, setReasons] = useState({})
+  const [gasless, setGasless] = useState(false)
   const [error, setError] = useState(null)
   const [votingPower, setVotingPower] = useState('0')
 
@@ -55,56 +62,19 @@ function ActiveProposals() {
     return () => clearInterval(interval)
   }, [fetchProposals])
 
-  // Listen for proposal submission events to refresh
-  useEffect(() => {
-    const handleProposalSubmitted = (e) => {
-      // Wait for block confirmation (usually 1-2 blocks on Sepolia)
-      setTimeout(() => {
-        fetchProposals()
-      }, 5000) // Wait 5 seconds for block confirmation
-      
-      // Refresh again after 15 seconds to ensure it's picked up
-      setTimeout(() => {
-        fetchProposals()
-      }, 15000)
-    }
-
-    const handleStorageChange = (e) => {
-      if (e.key === 'lastProposalSubmitted') {
-        setTimeout(() => {
-          fetchProposals()
-        }, 5000)
-      }
+  // Reload quietly when proposals are created or votes land on chain (from any member)
+  const refreshProposals = React.useCallback(async () => {
+    try {
+      const allProposals = await getAllProposals()
+      setProposals(allProposals.filter(p => p.state === 'Active' || p.state === 'Pending'))
+    } catch (error) {
+      console.error('Error refreshing proposals:', error)
     }
+  }, [getAllProposals])
 
-    // Listen for custom event
-    window.addEventListener('proposalSubmitted', handleProposalSubmitted)
-    // Listen for storage events (cross-tab)
-    window.addEventListener('storage', handleStorageChange)
-    
-    // Also check localStorage on mount/update
-    const checkLastSubmission = () => {
-      try {
-        const lastSubmission = localStorage.getItem('lastProposalSubmitted')
-        if (lastSubmission) {
-          const data = JSON.parse(lastSubmission)
-          // If submission was less than 30 seconds ago, refresh
-          if (Date.now() - data.timestamp < 30000) {
-            fetchProposals()
-          }
-        }
-      } catch (error) {
-        console.error('Error checking last submission:', error)
-      }
-    }
-    
-    checkLastSubmission()
-    
-    return () => {
-      window.removeEventListener('proposalSubmitted', handleProposalSubmitted)
-      window.removeEventListener('storage', handleStorageChange)
-    }
-  }, [fetchProposals])
+  useEffect(() => {
+    if (eventVersion > 0) refreshProposals()
+  }, [eventVersion, refreshProposals])
 
   // Check voting power
   useEffect(() => {
@@ -117,7 +87,7 @@ function ActiveProposals() {
     } else {
       setVotingPower('0')
     }
-  }, [account, contracts.token, getVotingPower])
+  }, [account, contracts.token, getVotingPower, eventVersion])
 
   const formatAddress = (address) => {
     if (!address) return 'Unknown'
@@ -126,10 +96,7 @@ function ActiveProposals() {
 
 
   const handleVote = async (proposalId, support) => {
-    if (!account) {
-      showError('Please connect your wallet to vote')
-      return
-    }
+    if (!requireWallet()) return
 
     // Find the proposal to check its snapshot block
     const proposal = proposals.find(p => p.id === proposalId)
@@ -166,50 +133,16 @@ function ActiveProposals() {
 
     setVoting(prev => ({ ...prev, [proposalId]: support }))
     try {
-      const txHash = await vote(proposalId, support)
-      
-      // Each vote costs 10 VERITAS (fixed)
-      const VOTE_COST = 10
-      success(`Vote submitted! This vote costs ${VOTE_COST} VERITAS. Transaction: ${txHash.slice(0, 10)}...`)
+      const castVote = gasless ? relayVote : vote
+      const txHash = await castVote(proposalId, support, reasons[proposalId] || '')
+      setReasons(prev => ({ ...prev, [proposalId]: '' }))
       
-      // Dispatch event to notify MyOverview to refresh voting power
-      window.dispatchEvent(new CustomEvent('voteCast', { 
-        detail: { proposalId, support, txHash, votingPower: votingPowerAtSnapshot, voteCost: VOTE_COST } 
-      }))
+      // Votes are weighted by voting power at the snapshot; no tokens are spent
+      const weight = parseFloat(votingPowerAtSnapshot || '0')
+      success(`Vote submitted with ${weight > 0 ? `${weight.toLocaleString()} VERITAS of ` : ''}voting power. Transaction: ${txHash.slice(0, 10)}...`)
       
-      // Wait for block confirmation and refresh proposals multiple times
-      // First refresh after 5 seconds (wait for block confirmation)
-      setTimeout(async () => {
-        try {
-          const allProposals = await getAllProposals()
-          const activeProposals = allProposals.filter(p => p.state === 'Active' || p.state === 'Pending')
-          setProposals(activeProposals)
-          
-          // Refresh again after another 8 seconds to ensure all votes are updated
-          setTimeout(async () => {
-            try {
-              const allProposals2 = await getAllProposals()
-              const activeProposals2 = allProposals2.filter(p => p.state === 'Active' || p.state === 'Pending')
-              setProposals(activeProposals2)
-              
-              // Final refresh after 15 seconds total
-              setTimeout(async () => {
-                try {
-                  const allProposals3 = await getAllProposals()
-                  const activeProposals3 = allProposals3.filter(p => p.state === 'Active' || p.state === 'Pending')
-                  setProposals(activeProposals3)
-                } catch (err) {
-                  console.error('Error in final refresh:', err)
-                }
-              }, 7000)
-            } catch (err) {
-              console.error('Error in second refresh:', err)
-            }
-          }, 8000)
-        } catch (err) {
-          console.error('Error refreshing proposals:', err)
-        }
-      }, 5000)
+      // The vote is mined - show it now; other views pick it up from the VoteCast event
+      refreshProposals()
     } catch (error) {
       console.error('Error voting:', error)
       showError(error.message || 'Failed to submit vote')
@@ -232,46 +165,6 @@ function ActiveProposals() {
     }
   }
 
-  const parseProposalDescription = (description) => {
-    if (!description) return {}
-    
-    const lines = description.split('\n')
-    const parsed = {
-      title: '',
-      author: '',
-      category: '',
-      requestedAmount: '',
-      estimatedDuration: '',
-      description: ''
-    }
-
-    let descriptionStart = false
-    let descriptionLines = []
-
-    lines.forEach(line => {
-      if (line.startsWith('Funding Request:')) {
-        parsed.title = line.replace('Funding Request:', '').trim()
-      } else if (line.startsWith('Author:')) {
-        parsed.author = line.replace('Author:', '').trim()
-      } else if (line.startsWith('Category:')) {
-        parsed.category = line.replace('Category:', '').trim()
-      } else if (line.startsWith('Requested Amount:')) {
-        parsed.requestedAmount = line.replace('Requested Amount:', '').trim()
-      } else if (line.startsWith('Estimated Duration:')) {
-        parsed.estimatedDuration = line.replace('Estimated Duration:', '').trim()
-      } else if (line.startsWith('Description:')) {
-        descriptionStart = true
-        const descText = line.replace('Description:', '').trim()
-        if (descText) descriptionLines.push(descText)
-      } else if (descriptionStart && line.trim()) {
-        descriptionLines.push(line.trim())
-      }
-    })
-
-    parsed.description = descriptionLines.join('\n')
-    return parsed
-  }
-
   if (loading) {
     return (
       <div className="active-proposals">
@@ -324,17 +217,18 @@ function ActiveProposals() {
           {loading ? 'Refreshing...' : '🔄 Refresh'}
         </motion.button>
       </div>
+
+      <RelayerStatus gasless={gasless} onGaslessChange={setGasless} />
       
       <div className="proposals-list">
         {proposals.map((proposal, index) => {
-          const parsed = parseProposalDescription(proposal.description)
+          const parsed = parseProposalMetadata(proposal.description)
           const percentages = calculateVotePercentages(proposal.votesFor, proposal.votesAgainst, proposal.votesAbstain || 0)
           const isVoting = voting[proposal.id] !== undefined
           const hasVoted = proposal.hasVoted
-          // Total votes in VERITAS (each vote = 10 VERITAS)
+          // Total voting weight cast, and the number of members who voted
           const totalVotes = parseFloat(proposal.votesFor) + parseFloat(proposal.votesAgainst) + parseFloat(proposal.votesAbstain || 0)
-          // Calculate number of votes (total VERITAS / 10)
-          const totalVoteCount = Math.round(totalVotes / 10)
+          const totalVoteCount = proposal.voteCount
 
           return (
             <motion.div
@@ -401,10 +295,14 @@ function ActiveProposals() {
                 )}
               </div>
 
+              {proposal.settingChanges.length > 0 && (
+                <SettingChanges changes={proposal.settingChanges} />
+              )}
+
               {/* Description */}
-              {parsed.description && (
+              {parsed.body && (
                 <div className="proposal-description">
-                  <p>{parsed.description}</p>
+                  <p>{parsed.body}</p>
                 </div>
               )}
               
@@ -437,9 +335,13 @@ function ActiveProposals() {
                     marginBottom: '1rem'
                   }}>
                     <p style={{ margin: 0 }}>
-                      💡 <strong>Note:</strong> Each vote costs <strong>10 VERITAS</strong>. 
-                      Your voting power is calculated at snapshot block {proposal.snapshot}. 
-                      Each proposal has its own snapshot, so you can vote on multiple proposals independently.
+                      💡 <strong>Note:</strong> Voting does not spend tokens. Your vote counts with your voting power at snapshot block {proposal.snapshot}
+                      {proposal.myVote
+                        ? <>: you voted with <strong>{parseFloat(proposal.myVote.weight).toLocaleString()} VERITAS</strong>.</>
+                        : proposal.votingWeight !== null
+                          ? <>: <strong>{parseFloat(proposal.votingWeight).toLocaleString()} VERITAS</strong>.</>
+                          : '.'}
+                      {' '}Each proposal has its own snapshot, so you can vote on every proposal with your full power.
                     </p>
                   </div>
                 )}
@@ -513,6 +415,22 @@ function ActiveProposals() {
                 </div>
               </div>
 
+              {/* Quorum and projected outcome */}
+              <QuorumProgress proposal={proposal} />
+
+              {/* Optional rationale, published with the vote */}
+              {!hasVoted && (
+                <textarea
+                  className="vote-reason-input"
+                  rows="2"
+                  maxLength={1000}
+                  value={reasons[proposal.id] || ''}
+                  onChange={(e) => setReasons(prev => ({ ...prev, [proposal.id]: e.target.value }))}
+                  placeholder="Why are you voting this way? (optional, stored on-chain)"
+                  disabled={isVoting}
+                />
+              )}
+
               {/* Voting Actions */}
               <div className="proposal-actions">
                 <motion.button
@@ -553,6 +471,8 @@ function ActiveProposals() {
                 </motion.button>
               </div>
 
+              <VoteRationales proposalId={proposal.id} />
+
               {index < proposals.length - 1 && <div className="proposal-divider" />}
             </motion.div>
           )
@@ -3,6 +3,7 @@ import { motion } from 'framer-motion'
 import MyOverview from './MyOverview'
 import ActiveProposals from './ActiveProposals'
 import JournalistVerification from './JournalistVerification'
+import NotificationSettings from './NotificationSettings'
 import './Dashboard.css'
 
 function Dashboard() {
@@ -47,6 +48,14 @@ function Dashboard() {
           >
             <ActiveProposals />
           </motion.div>
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5, delay: 0.25 }}
+          >
+            <NotificationSettings />
+          </motion.div>
         </div>
       </div>
     </div>
@@ -1,13 +1,21 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { useWallet } from '../contexts/WalletContext'
 import { CHAIN_IDS } from '../config/contracts'
 import { useToast } from '../contexts/ToastContext'
+import { useContracts } from '../hooks/useContracts'
 import './DashboardNavbar.css'
 
 function DashboardNavbar({ activeSection, setActiveSection }) {
-  const { account, chainId, switchNetwork, disconnect } = useWallet()
+  const { account, chainId, switchNetwork, disconnect, requireWallet } = useWallet()
   const { error: showError, success } = useToast()
+  const { isGuardian } = useContracts()
+  const [showGuardian, setShowGuardian] = useState(false)
+
+  // Only timelock guardians get the veto view
+  useEffect(() => {
+    isGuardian(account).then(setShowGuardian).catch(() => setShowGuardian(false))
+  }, [account, isGuardian])
 
   const formatAddress = (address) => {
     if (!address) return ''
@@ -43,19 +51,22 @@ function DashboardNavbar({ activeSection, setActiveSection }) {
     }
   }
 
+  // Items marked requiresWallet ask read-only visitors to connect first
   const navItems = [
-    { id: 'dashboard', label: 'Dashboard' },
+    { id: 'dashboard', label: 'Dashboard', requiresWallet: true },
     { id: 'read', label: 'Read' },
     { id: 'donate', label: 'Donate' },
     { id: 'proposals', label: 'Proposals' },
-    { id: 'my-proposals', label: 'My Proposals' },
+    { id: 'my-proposals', label: 'My Proposals', requiresWallet: true },
+    { id: 'delegates', label: 'Delegates' },
     { id: 'reports', label: 'Archive' },
-    { id: 'submit', label: 'Submit' },
+    { id: 'submit', label: 'Submit', requiresWallet: true },
+    ...(showGuardian ? [{ id: 'guardian', label: 'Guardian', requiresWallet: true }] : []),
   ]
 
-  // Only show navbar if wallet is connected
-  if (!account) {
-    return null
+  const handleNavClick = (item) => {
+    if (item.requiresWallet && !requireWallet()) return
+    setActiveSection(item.id)
   }
 
   return (
@@ -80,7 +91,7 @@ function DashboardNavbar({ activeSection, setActiveSection }) {
               <li key={item.id}>
                 <motion.button
                   className={`dashboard-nav-link ${isActive ? 'active' : ''}`}
-                  onClick={() => setActiveSection(item.id)}
+                  onClick={() => handleNavClick(item)}
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
                 >
@@ -98,32 +109,51 @@ function DashboardNavbar({ activeSection, setActiveSection }) {
           animate={{ opacity: 1, x: 0 }}
           transition={{ duration: 0.5, delay: 0.2 }}
         >
-          {!isCorrectNetwork() && chainId && (
-            <motion.button
-              className="network-warning-button"
-              onClick={handleSwitchToSepolia}
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              title="Switch to Sepolia testnet"
-            >
-              ⚠️ Switch to Sepolia
-            </motion.button>
+          {!account ? (
+            <>
+              <div className="network-info">
+                <span className="network-name">Read-only</span>
+              </div>
+              <motion.button
+                className="connect-wallet-button"
+                onClick={requireWallet}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                title="Connect a wallet to vote, donate or submit"
+              >
+                Connect Wallet
+              </motion.button>
+            </>
+          ) : (
+            <>
+              {!isCorrectNetwork() && chainId && (
+                <motion.button
+                  className="network-warning-button"
+                  onClick={handleSwitchToSepolia}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  title="Switch to Sepolia testnet"
+                >
+                  ⚠️ Switch to Sepolia
+                </motion.button>
+              )}
+              <div className="network-info">
+                <span className="network-name">{getNetworkName()}</span>
+              </div>
+              <div className="wallet-icon">🦊</div>
+              <div className="wallet-address">{formatAddress(account)}</div>
+              <div className={`wallet-status-dot ${isCorrectNetwork() ? 'connected' : 'disconnected'}`}></div>
+              <motion.button
+                className="disconnect-wallet-button"
+                onClick={disconnect}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                title="Disconnect wallet"
+              >
+                Disconnect
+              </motion.button>
+            </>
           )}
-          <div className="network-info">
-            <span className="network-name">{getNetworkName()}</span>
-          </div>
-          <div className="wallet-icon">🦊</div>
-          <div className="wallet-address">{formatAddress(account)}</div>
-          <div className={`wallet-status-dot ${isCorrectNetwork() ? 'connected' : 'disconnected'}`}></div>
-          <motion.button
-            className="disconnect-wallet-button"
-            onClick={disconnect}
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            title="Disconnect wallet"
-          >
-            Disconnect
-          </motion.button>
         </motion.div>
       </div>
     </nav>
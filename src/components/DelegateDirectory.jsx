@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { ethers } from 'ethers'
+import { useWallet } from '../contexts/WalletContext'
+import { useContracts } from '../hooks/useContracts'
+import { useToast } from '../contexts/ToastContext'
+import { MAX_STATEMENT_LENGTH } from '../utils/delegateStatements'
+import './DelegateDirectory.css'
+
+/**
+ * Delegate directory
+ * Lists members holding delegated voting power, built from the token's delegation
+ * events, and lets members hand their voting power to one of them.
+ */
+function DelegateDirectory() {
+  const { account, requireWallet } = useWallet()
+  const {
+    getDelegates, getCurrentDelegate, resolveDelegatee, delegate, getDelegateStatements, publishDelegateStatement,
+    statementsShared, signer, isLoading: contractsLoading, eventVersion,
+  } = useContracts()
+  const { success, error: showError } = useToast()
+  const [delegates, setDelegates] = useState([])
+  const [statements, setStatements] = useState({})
+  const [currentDelegate, setCurrentDelegate] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [delegateeInput, setDelegateeInput] = useState('')
+  const [delegating, setDelegating] = useState(null)
+  const [statementDraft, setStatementDraft] = useState('')
+  const [publishing, setPublishing] = useState(false)
+
+  useEffect(() => {
+    if (contractsLoading) return
+
+    const fetchDelegates = async () => {
+      if (eventVersion === 0) setLoading(true)
+      try {
+        const [directory, delegatee, published] = await Promise.all([
+          getDelegates(),
+          account ? getCurrentDelegate(account) : null,
+          getDelegateStatements(),
+        ])
+        setDelegates(directory)
+        setCurrentDelegate(delegatee)
+        setStatements(published)
+      } catch (error) {
+        console.error('Error loading delegates:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchDelegates()
+  }, [account, contractsLoading, getDelegates, getCurrentDelegate, getDelegateStatements, eventVersion])
+
+  // Start the editor from the member's published statement
+  useEffect(() => {
+    setStatementDraft(account ? statements[account.toLowerCase()]?.statement || '' : '')
+  }, [account, statements])
+
+  const handleDelegate = async (target) => {
+    if (!requireWallet()) return
+    setDelegating(target)
+    try {
+      const delegatee = await resolveDelegatee(target)
+      const txHash = await delegate(delegatee)
+      success(`Voting power delegated to ${formatAddress(delegatee)}. Transaction: ${txHash.slice(0, 10)}...`)
+      setCurrentDelegate(delegatee)
+      setDelegateeInput('')
+    } catch (error) {
+      showError(error.reason || error.message || 'Failed to delegate voting power')
+    } finally {
+      setDelegating(null)
+    }
+  }
+
+  const handlePublishStatement = async () => {
+    if (!requireWallet() || !signer) return
+    setPublishing(true)
+    try {
+      const record = await publishDelegateStatement(statementDraft)
+      success(record ? 'Delegate statement published' : 'Delegate statement removed')
+      setStatements(await getDelegateStatements())
+    } catch (error) {
+      showError(error.message || 'Failed to publish statement')
+    } finally {
+      setPublishing(false)
+    }
+  }
+
+  const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`
+
+  const isSelf = (address) => account && address.toLowerCase() === account.toLowerCase()
+  const isCurrentDelegate = (address) =>
+    currentDelegate && address.toLowerCase() === currentDelegate.toLowerCase()
+
+  const formatParticipation = (entry) => {
+    if (entry.participationRate === null) return 'No proposals yet'
+    return `${Math.round(entry.participationRate * 100)}% (${entry.votesCast}/${entry.proposalsEligible})`
+  }
+
+  if (loading) {
+    return (
+      <section className="delegates-section">
+        <div className="section-container">
+          <div className="loading-state">Loading delegates...</div>
+        </div>
+      </section>
+    )
+  }
+
+  return (
+    <section className="delegates-section">
+      <div className="section-container">
+        <div className="section-header">
+          <h1 className="section-title">Delegates</h1>
+          <p className="section-description">
+            Hand your voting power to a member you trust to vote for you
+          </p>
+        </div>
+
+        <div className="delegate-form-card">
+          <div className="delegate-current">
+            {!account
+              ? 'Connect your wallet to delegate.'
+              : !currentDelegate || currentDelegate === ethers.ZeroAddress
+                ? 'You have not delegated yet - your tokens carry no voting power.'
+                : isSelf(currentDelegate)
+                  ? 'You vote with your own tokens.'
+                  : `You delegate to ${formatAddress(currentDelegate)}.`}
+          </div>
+          <div className="delegate-form">
+            <input
+              type="text"
+              className="delegate-input"
+              value={delegateeInput}
+              onChange={(e) => setDelegateeInput(e.target.value)}
+              placeholder="0x... address or ENS name"
+              disabled={delegating !== null}
+            />
+            <motion.button
+              className="delegate-action-button"
+              onClick={() => handleDelegate(delegateeInput)}
+              disabled={delegating !== null || !delegateeInput.trim()}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              {delegating === delegateeInput ? 'Delegating...' : 'Delegate'}
+            </motion.button>
+            {account && !isSelf(currentDelegate || '') && (
+              <button
+                className="delegate-self-button"
+                onClick={() => handleDelegate(account)}
+                disabled={delegating !== null}
+              >
+                {delegating === account ? 'Delegating...' : 'Delegate to Self'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {account && (
+          <div className="delegate-statement-card">
+            <h3 className="delegate-statement-title">Your delegate statement</h3>
+            <p className="delegate-statement-hint">
+              Tell members how you intend to vote. The statement is signed with your wallet.
+              {statementsShared
+                ? ' Publishing needs voting power, so delegate to yourself first.'
+                : ' Statements are kept in this browser - set VITE_RELAYER_URL to share them through the relayer.'}
+            </p>
+            <textarea
+              className="delegate-statement-input"
+              rows="3"
+              maxLength={MAX_STATEMENT_LENGTH}
+              value={statementDraft}
+              onChange={(e) => setStatementDraft(e.target.value)}
+              placeholder="e.g. I fund investigative work with named, verifiable sources."
+              disabled={publishing}
+            />
+            <button
+              className="delegate-action-button"
+              onClick={handlePublishStatement}
+              disabled={publishing}
+            >
+              {publishing ? 'Signing...' : 'Publish Statement'}
+            </button>
+          </div>
+        )}
+
+        {delegates.length === 0 ? (
+          <div className="empty-state">No member holds delegated voting power yet.</div>
+        ) : (
+          <div className="delegates-list">
+            {delegates.map(entry => {
+              const statement = statements[entry.address.toLowerCase()]
+              return (
+                <div key={entry.address} className="delegate-card">
+                  <div className="delegate-card-header">
+                    <span className="delegate-address" title={entry.address}>{formatAddress(entry.address)}</span>
+                    {isSelf(entry.address) && <span className="delegate-tag">You</span>}
+                    {isCurrentDelegate(entry.address) && !isSelf(entry.address) && (
+                      <span className="delegate-tag">Your delegate</span>
+                    )}
+                  </div>
+
+                  <div className="delegate-stats">
+                    <div className="delegate-stat">
+                      <span className="delegate-stat-label">Voting Power</span>
+                      <span className="delegate-stat-value">{parseFloat(entry.votingPower).toFixed(2)} VERITAS</span>
+                    </div>
+                    <div className="delegate-stat">
+                      <span className="delegate-stat-label">Delegators</span>
+                      <span className="delegate-stat-value">{entry.delegators}</span>
+                    </div>
+                    <div className="delegate-stat">
+                      <span className="delegate-stat-label">Participation</span>
+                      <span className="delegate-stat-value">{formatParticipation(entry)}</span>
+                    </div>
+                  </div>
+
+                  {statement && <p className="delegate-statement">{statement.statement}</p>}
+
+                  {!isCurrentDelegate(entry.address) && (
+                    <motion.button
+                      className="delegate-action-button"
+                      onClick={() => handleDelegate(entry.address)}
+                      disabled={delegating !== null}
+                      whileHover={delegating === null ? { scale: 1.02 } : {}}
+                      whileTap={delegating === null ? { scale: 0.98 } : {}}
+                    >
+                      {delegating === entry.address ? 'Delegating...' : 'Delegate to this member'}
+                    </motion.button>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default DelegateDirectory
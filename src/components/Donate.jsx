@@ -4,55 +4,35 @@ import { useContracts } from '../hooks/useContracts'
 import { useWallet } from '../contexts/WalletContext'
 import { useToast } from '../contexts/ToastContext'
 import { isSupportedNetwork, formatTimeRemaining } from '../utils/contractHelpers'
+import { parseProposalMetadata, getProposalTitle } from '../utils/proposalMetadata'
+import { summarizeDonations, hasDonated as hasDonatedTo, getEscrowStatus, ESCROW_STATUS_LABELS, getDueEscrowAction, getEscrowTimeline, hasOpenEscrowProposal } from '../utils/donations'
+import { ethers } from 'ethers'
 import DonateModal from './DonateModal'
+import EscrowTimeline from './EscrowTimeline'
 import './Donate.css'
 
 function Donate() {
-  const { account, chainId } = useWallet()
-  const { getAllProposals, isLoading: contractsLoading, contracts } = useContracts()
-  const { error: showError } = useToast()
+  const { account, chainId, requireWallet } = useWallet()
+  const { getAllProposals, getDonationEvents, getEscrows, getEscrowEvents, proposeEscrowSettlement, isLoading: contractsLoading, contracts, eventVersion } = useContracts()
+  const { success, error: showError } = useToast()
   
   const [proposals, setProposals] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [donateModalOpen, setDonateModalOpen] = useState(false)
   const [selectedProposalForDonate, setSelectedProposalForDonate] = useState(null)
-  const [donations, setDonations] = useState({}) // Track donations per proposal
+  // DonationMade events for every proposal, and DonationContract escrows by proposal id
+  const [donations, setDonations] = useState([])
+  const [escrows, setEscrows] = useState(new Map())
+  // FundsReleased and DonationRefunded events, for the donor's timelines
+  const [escrowEvents, setEscrowEvents] = useState([])
+  // Proposal whose refund is being proposed
+  const [proposingRefund, setProposingRefund] = useState(null)
+  // Every proposal, to title the donor's history
+  const [allProposals, setAllProposals] = useState([])
   const [sortBy, setSortBy] = useState('newest') // newest, donations, votes
-
-  // Load donations from localStorage
-  useEffect(() => {
-    const loadDonations = () => {
-      const savedDonations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-      
-      const donationsMap = {}
-      savedDonations.forEach(donation => {
-        // Ensure proposalId is string for consistency
-        const proposalId = String(donation.proposalId)
-        if (!donationsMap[proposalId]) {
-          donationsMap[proposalId] = []
-        }
-        donationsMap[proposalId].push(donation)
-      })
-      
-      setDonations(donationsMap)
-    }
-    
-    loadDonations()
-    
-    // Listen for storage changes (when donation is saved in another tab/window)
-    const handleStorageChange = (e) => {
-      if (e.key === 'veritasDonations') {
-        loadDonations()
-      }
-    }
-    
-    window.addEventListener('storage', handleStorageChange)
-    
-    return () => {
-      window.removeEventListener('storage', handleStorageChange)
-    }
-  }, [])
+  // Bumped after a donation to re-read events and escrows
+  const [refreshKey, setRefreshKey] = useState(0)
 
   useEffect(() => {
     if (contractsLoading) return
@@ -72,15 +52,20 @@ function Donate() {
     }
 
     const fetchProposals = async () => {
-      setLoading(true)
+      // Live refreshes (new events or a donation from this page) update the list in place
+      if (eventVersion === 0 && refreshKey === 0) setLoading(true)
       setError(null)
       try {
-        const allProposals = await getAllProposals()
+        const [fetched, donationEvents, settlements] = await Promise.all([getAllProposals(), getDonationEvents(), getEscrowEvents()])
         // Filter only active proposals (can be donated to)
-        const activeProposals = allProposals.filter(p => 
-          p.state === 'Active' || p.state === 'Succeeded' || p.state === 'Pending'
+        const activeProposals = fetched.filter(p => 
+          p.state === 'Active' || p.state === 'Succeeded' || p.state === 'Queued' || p.state === 'Pending'
         )
+        setAllProposals(fetched)
         setProposals(activeProposals)
+        setDonations(donationEvents)
+        setEscrowEvents(settlements)
+        setEscrows(await getEscrows(fetched.map(p => p.id)))
       } catch (error) {
         console.error('Error fetching proposals:', error)
         setError('Failed to load proposals. Please check your connection.')
@@ -93,7 +78,7 @@ function Donate() {
     // Refresh every 30 seconds
     const interval = setInterval(fetchProposals, 30000)
     return () => clearInterval(interval)
-  }, [getAllProposals, contractsLoading, chainId, contracts])
+  }, [getAllProposals, getDonationEvents, getEscrows, getEscrowEvents, contractsLoading, chainId, contracts, eventVersion, refreshKey])
 
   const handleDonateClick = (proposal) => {
     setSelectedProposalForDonate(proposal)
@@ -103,65 +88,43 @@ function Donate() {
   const handleDonateClose = () => {
     setDonateModalOpen(false)
     setSelectedProposalForDonate(null)
-    
-    // Force reload donations from localStorage
-    const reloadDonations = () => {
-      const savedDonations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-      
-      const donationsMap = {}
-      savedDonations.forEach(donation => {
-        // Ensure proposalId is string for consistency
-        const proposalId = String(donation.proposalId)
-        if (!donationsMap[proposalId]) {
-          donationsMap[proposalId] = []
-        }
-        donationsMap[proposalId].push(donation)
-      })
-      
-      // Log summary
-      Object.keys(donationsMap).forEach(proposalId => {
-        const total = donationsMap[proposalId].reduce((sum, d) => sum + parseFloat(d.amount || 0), 0)
-      })
-      
-      setDonations(donationsMap)
-    }
-    
-    // Reload immediately
-    reloadDonations()
-    
-    // Also reload after a short delay to ensure localStorage is fully written
-    setTimeout(() => {
-      reloadDonations()
-    }, 500)
   }
 
-  const getTotalDonations = (proposalId) => {
-    // Ensure proposalId is string for consistency
-    const id = String(proposalId)
-    if (!donations[id] || donations[id].length === 0) {
-      return 0
-    }
-    const total = donations[id].reduce((sum, d) => sum + parseFloat(d.amount || 0), 0)
-    return total
-  }
+  const donationSummary = summarizeDonations(donations)
+
+  const getTotalDonations = (proposalId) => parseFloat(donationSummary[String(proposalId)]?.total || 0)
+
+  const getDonationCount = (proposalId) => donationSummary[String(proposalId)]?.count || 0
 
-  const getDonationCount = (proposalId) => {
-    // Ensure proposalId is string for consistency
-    const id = String(proposalId)
-    if (!donations[id]) return 0
-    return donations[id].length
+  const hasDonated = (proposalId) => hasDonatedTo(donations, proposalId, account)
+
+  const handleProposeRefund = async (proposal) => {
+    if (!requireWallet()) return
+    setProposingRefund(proposal.id)
+    try {
+      const result = await proposeEscrowSettlement('refund', proposal.id, getProposalTitle(proposal))
+      success(`Refund proposed${result.proposalId ? ` in Proposal #${result.proposalId}` : ''}. Donors are repaid once it passes and executes.`)
+      setRefreshKey(key => key + 1)
+    } catch (error) {
+      console.error('Error proposing refund:', error)
+      showError(error.reason || error.message || 'Failed to propose the refund')
+    } finally {
+      setProposingRefund(null)
+    }
   }
 
-  const hasDonated = (proposalId) => {
-    if (!account) return false
-    // Ensure proposalId is string for consistency
-    const id = String(proposalId)
-    if (!donations[id]) return false
-    return donations[id].some(d => 
-      d.donor && 
-      d.donor.toLowerCase() === account.toLowerCase() && 
-      d.txHash
-    )
+  // The connected donor's own donations grouped by proposal, most recent first
+  const myDonationsByProposal = []
+  if (account) {
+    donations
+      .filter(d => d.donor.toLowerCase() === account.toLowerCase())
+      .reverse()
+      .forEach(donation => {
+        const id = donation.proposalId.toString()
+        const group = myDonationsByProposal.find(entry => entry.proposalId === id)
+        if (group) group.donations.unshift(donation)
+        else myDonationsByProposal.push({ proposalId: id, donations: [donation] })
+      })
   }
 
   const formatAddress = (address) => {
@@ -183,14 +146,10 @@ function Donate() {
     }
   })
 
-  // Calculate total donations across all proposals
-  const totalDonations = Object.values(donations).reduce((sum, proposalDonations) => {
-    return sum + proposalDonations.reduce((s, d) => s + parseFloat(d.amount || 0), 0)
-  }, 0)
+  // Totals across all proposals
+  const totalDonations = Object.values(donationSummary).reduce((sum, entry) => sum + parseFloat(entry.total), 0)
 
-  const totalDonationCount = Object.values(donations).reduce((sum, proposalDonations) => {
-    return sum + proposalDonations.length
-  }, 0)
+  const totalDonorCount = new Set(donations.map(d => d.donor.toLowerCase())).size
 
   if (loading) {
     return (
@@ -245,7 +204,7 @@ function Donate() {
           <div className="stat-card">
             <div className="stat-icon">👥</div>
             <div className="stat-content">
-              <div className="stat-value">{totalDonationCount}</div>
+              <div className="stat-value">{totalDonorCount}</div>
               <div className="stat-label">Total Donors</div>
             </div>
           </div>
@@ -315,22 +274,11 @@ function Donate() {
               const donationCount = getDonationCount(proposalId)
               const userDonated = hasDonated(proposalId)
 
-              // Parse proposal title from description
-              const description = proposal.description || ''
-              const lines = description.split('\n')
-              let title = `Proposal #${proposal.id}`
-              let author = 'Unknown'
-              let category = 'Other'
-              
-              lines.forEach(line => {
-                if (line.startsWith('Funding Request:')) {
-                  title = line.replace('Funding Request:', '').trim()
-                } else if (line.startsWith('Author:')) {
-                  author = line.replace('Author:', '').trim()
-                } else if (line.startsWith('Category:')) {
-                  category = line.replace('Category:', '').trim()
-                }
-              })
+              // Title, author and category from the proposal metadata
+              const metadata = parseProposalMetadata(proposal.description)
+              const title = metadata.title || `Proposal #${proposal.id}`
+              const author = metadata.author || 'Unknown'
+              const category = metadata.category || 'Other'
 
               return (
                 <motion.div
@@ -353,6 +301,11 @@ function Donate() {
                   <div className="proposal-meta">
                     <span className="proposal-author">By {author}</span>
                     <span className="proposal-category">{category}</span>
+                    {proposal.funding.length > 0 && (
+                      <span className="proposal-funding">
+                        Requesting {proposal.funding.map(payout => payout.formatted).join(' + ')}
+                      </span>
+                    )}
                   </div>
 
                   {/* Donation Stats */}
@@ -362,7 +315,7 @@ function Donate() {
                       <div>
                         <div className="donation-value">{totalDonated.toFixed(3)} ETH</div>
                         <div className="donation-label">
-                          {donationCount} {donationCount === 1 ? 'donation' : 'donations'}
+                          {donationCount} {donationCount === 1 ? 'donation' : 'donations'} · {ESCROW_STATUS_LABELS[getEscrowStatus(escrows.get(proposalId))]}
                         </div>
                       </div>
                     </div>
@@ -404,24 +357,65 @@ function Donate() {
         )}
       </div>
 
+      {/* Donor history, rebuilt from DonationMade, FundsReleased and DonationRefunded events */}
+      {myDonationsByProposal.length > 0 && (
+        <div className="section-container">
+          <div className="donation-history">
+            <h2 className="donation-history-title">Your Donations</h2>
+            <ul className="donation-history-list">
+              {myDonationsByProposal.map(({ proposalId, donations: given }) => {
+                const proposal = allProposals.find(p => p.id === proposalId)
+                const escrow = escrows.get(proposalId)
+                const status = getEscrowStatus(escrow)
+                const total = given.reduce((sum, donation) => sum + BigInt(donation.amount), 0n)
+                // A settlement already being voted on does not need proposing again
+                const canProposeRefund = proposal &&
+                  getDueEscrowAction(proposal, escrow) === 'refund' &&
+                  !hasOpenEscrowProposal(allProposals, proposalId)
+                return (
+                  <li key={proposalId} className="donation-history-item">
+                    <div className="donation-history-row">
+                      <div className="donation-history-info">
+                        <span className="donation-history-proposal">
+                          {proposal ? getProposalTitle(proposal) : `Proposal #${proposalId}`}
+                        </span>
+                        <span className="donation-history-date">
+                          {given.length} {given.length === 1 ? 'donation' : 'donations'}
+                          {given.some(donation => donation.earlyAccessPromised) && ' · Early access promised'}
+                        </span>
+                      </div>
+                      <span className="donation-history-amount">{parseFloat(ethers.formatEther(total)).toFixed(4)} ETH</span>
+                      <span className={`donation-history-status escrow-${status}`}>{ESCROW_STATUS_LABELS[status]}</span>
+                    </div>
+                    <EscrowTimeline
+                      steps={getEscrowTimeline({ proposal, escrow, donations: given, escrowEvents, proposals: allProposals })}
+                    />
+                    {canProposeRefund && (
+                      <div className="donation-history-action">
+                        <span>This proposal was {proposal.state.toLowerCase()}. Propose returning the escrow to its donors.</span>
+                        <button
+                          className="donation-refund-button"
+                          onClick={() => handleProposeRefund(proposal)}
+                          disabled={proposingRefund !== null}
+                        >
+                          {proposingRefund === proposal.id ? 'Proposing...' : 'Propose Refund'}
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                )
+              })}
+            </ul>
+          </div>
+        </div>
+      )}
+
       {/* Donate Modal */}
       <DonateModal
         proposal={selectedProposalForDonate}
         isOpen={donateModalOpen}
         onClose={handleDonateClose}
-        onDonationSuccess={() => {
-          // Force reload donations immediately after successful donation
-          const savedDonations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-          const donationsMap = {}
-          savedDonations.forEach(donation => {
-            const proposalId = String(donation.proposalId)
-            if (!donationsMap[proposalId]) {
-              donationsMap[proposalId] = []
-            }
-            donationsMap[proposalId].push(donation)
-          })
-          setDonations(donationsMap)
-        }}
+        onDonationSuccess={() => setRefreshKey(key => key + 1)}
       />
     </section>
   )
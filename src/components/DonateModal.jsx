@@ -4,12 +4,14 @@ import { useWallet } from '../contexts/WalletContext'
 import { useContracts } from '../hooks/useContracts'
 import { useToast } from '../contexts/ToastContext'
 import { isSupportedNetwork } from '../utils/contractHelpers'
+import { parseProposalMetadata, getProposalTitle } from '../utils/proposalMetadata'
+import { getEscrowStatus, ESCROW_STATUS_LABELS } from '../utils/donations'
 import { ethers } from 'ethers'
 import './DonateModal.css'
 
 function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
-  const { account, chainId } = useWallet()
-  const { signer, provider } = useContracts()
+  const { account, chainId, requireWallet } = useWallet()
+  const { signer, provider, contracts, donate, getEscrows } = useContracts()
   const { success, error: showError, info } = useToast()
   
   const [donationAmount, setDonationAmount] = useState('')
@@ -17,59 +19,35 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
   const [earlyAccessPromised, setEarlyAccessPromised] = useState(false)
   const [ethBalance, setEthBalance] = useState('0')
   const [recipientAddress, setRecipientAddress] = useState(null)
+  const [escrow, setEscrow] = useState(null)
 
-  // Parse proposal description to get recipient address
+  // Recipient recorded in the proposal metadata; it must match the address the
+  // proposal actually pays on-chain, so a description cannot redirect donations
   useEffect(() => {
     if (!proposal) {
       setRecipientAddress(null)
       return
     }
-    
-    // Parse description to extract recipient address
-    // Format from SubmitProposal: "Recipient Wallet Address: 0x..." or just look for any 0x address
-    const description = proposal.description || ''
-    const lines = description.split('\n')
-    
-    let recipient = null
-    
-    // Look for recipient address in description
-    // Check for lines containing "Recipient" or look for any valid Ethereum address
-    for (const line of lines) {
-      const trimmedLine = line.trim()
-      
-      // Check if line contains "Recipient" keyword
-      if (trimmedLine.toLowerCase().includes('recipient')) {
-        // Extract address from line
-        const addressMatch = trimmedLine.match(/0x[a-fA-F0-9]{40}/)
-        if (addressMatch && ethers.isAddress(addressMatch[0])) {
-          recipient = addressMatch[0]
-          break
-        }
-      }
-    }
-    
-    // If not found, search for any valid Ethereum address in the description
-    if (!recipient) {
-      const addressMatch = description.match(/0x[a-fA-F0-9]{40}/g)
-      if (addressMatch) {
-        // Use the first valid address found (usually the recipient)
-        for (const addr of addressMatch) {
-          if (ethers.isAddress(addr)) {
-            recipient = addr
-            break
-          }
-        }
-      }
-    }
-    
-    // If still not found, use proposer as fallback
-    if (!recipient && proposal.proposer && ethers.isAddress(proposal.proposer)) {
-      recipient = proposal.proposer
-    }
-    
-    setRecipientAddress(recipient)
+
+    const { recipient } = parseProposalMetadata(proposal.description)
+    const payees = (proposal.funding || []).map(payout => payout.recipient.toLowerCase())
+    const matchesPayout = payees.length === 0 || (recipient && payees.includes(recipient.toLowerCase()))
+
+    setRecipientAddress(recipient && matchesPayout ? recipient : null)
   }, [proposal])
 
+  // Escrow already collected for this proposal
+  useEffect(() => {
+    if (!proposal || !isOpen) return
+    getEscrows([proposal.id]).then(escrows => setEscrow(escrows.get(proposal.id.toString()) || null))
+  }, [proposal, isOpen, getEscrows])
+
+  const escrowStatus = getEscrowStatus(escrow)
+  // The contract only takes donations once the proposer opened the escrow, and not after it is settled
+  const escrowNotOpened = escrowStatus === 'none'
+  const escrowClosed = escrowStatus === 'released' || escrowStatus === 'refunded'
+  const investigatorMismatch = !!(escrow && recipientAddress && escrow.investigator.toLowerCase() !== recipientAddress.toLowerCase())
+
   // Get ETH balance
   useEffect(() => {
     if (account && provider) {
@@ -84,10 +62,7 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
   }, [account, provider])
 
   const handleDonate = async () => {
-    if (!account) {
-      showError('Please connect your wallet')
-      return
-    }
+    if (!requireWallet()) return
 
     // Check network
     if (chainId && !isSupportedNetwork(chainId)) {
@@ -100,13 +75,18 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
       return
     }
 
+    if (!contracts.donation) {
+      showError('Donation contract not configured. Please set VITE_DONATION_CONTRACT_ADDRESS in .env file')
+      return
+    }
+
     if (!donationAmount || parseFloat(donationAmount) <= 0) {
       showError('Please enter a valid donation amount')
       return
     }
 
     if (!recipientAddress) {
-      showError('Recipient address not found in proposal')
+      showError('This proposal does not record a recipient that matches its on-chain payout')
       return
     }
 
@@ -116,6 +96,26 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
       return
     }
 
+    if (recipientAddress.toLowerCase() === account.toLowerCase()) {
+      showError('You cannot donate to your own proposal')
+      return
+    }
+
+    if (escrowNotOpened) {
+      showError('The proposer has not opened this proposal\'s escrow yet, so it cannot take donations')
+      return
+    }
+
+    if (escrowClosed) {
+      showError(`Donations for this proposal are closed: ${ESCROW_STATUS_LABELS[escrowStatus].toLowerCase()}`)
+      return
+    }
+
+    if (investigatorMismatch) {
+      showError('This proposal\'s escrow pays a different investigator than its recorded recipient')
+      return
+    }
+
     // Check ETH balance
     const balance = parseFloat(ethBalance || '0')
     const amount = parseFloat(donationAmount)
@@ -130,58 +130,12 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
     info('Processing donation...')
 
     try {
-      const amountWei = ethers.parseEther(donationAmount)
-      
-      // Send ETH directly to recipient
-      const tx = await signer.sendTransaction({
-        to: recipientAddress,
-        value: amountWei
-      })
+      // Held in the DonationContract escrow until the DAO releases or refunds it
+      const txHash = await donate(proposal.id, donationAmount, earlyAccessPromised)
 
-      info('Transaction submitted. Waiting for confirmation...')
-      const receipt = await tx.wait()
-
-      // Save donation record to localStorage for early access tracking
-      // Ensure proposalId is string for consistency
-      const donationRecord = {
-        proposalId: String(proposal.id),
-        amount: donationAmount,
-        recipient: recipientAddress,
-        txHash: tx.hash,
-        timestamp: Date.now(),
-        earlyAccess: earlyAccessPromised,
-        network: chainId === 11155111 ? 'sepolia' : 'localhost',
-        donor: account // Track who donated
-      }
-
-
-      // Get existing donations
-      const existingDonations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-      
-      // Check if this donation already exists (prevent duplicates)
-      const isDuplicate = existingDonations.some(d => 
-        d.proposalId === proposal.id && 
-        d.txHash === tx.hash &&
-        d.donor && d.donor.toLowerCase() === account.toLowerCase()
-      )
-      
-      if (!isDuplicate) {
-      existingDonations.push(donationRecord)
-      localStorage.setItem('veritasDonations', JSON.stringify(existingDonations))
-      } else {
-        // Donation already exists, skip duplicate
-      }
-
-      // Mark proposal as "donated" for this user - this will make it appear in Archive
-      const donatedProposals = JSON.parse(localStorage.getItem('donatedProposals') || '[]')
-      if (!donatedProposals.includes(proposal.id)) {
-        donatedProposals.push(proposal.id)
-        localStorage.setItem('donatedProposals', JSON.stringify(donatedProposals))
-      }
-
-      success(`Donation successful! Transaction: ${tx.hash.slice(0, 10)}... Amount: ${donationAmount} ETH`)
+      success(`Donation successful! Transaction: ${txHash.slice(0, 10)}... Amount: ${donationAmount} ETH`)
       success('This proposal has been added to your Archive. You can now view all updates!')
-      
+
       if (earlyAccessPromised) {
         success('You will receive early access to the article once it\'s published!')
       }
@@ -195,13 +149,10 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
         onDonationSuccess()
       }
       
-      // Wait a bit before closing to ensure localStorage is updated
-      setTimeout(() => {
       onClose()
-      }, 500)
     } catch (error) {
       console.error('Error donating:', error)
-      showError(error.message || 'Failed to process donation. Please try again.')
+      showError(error.reason || error.shortMessage || error.message || 'Failed to process donation. Please try again.')
     } finally {
       setIsDonating(false)
     }
@@ -226,14 +177,14 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
           <div className="donate-modal-header">
             <h2 className="donate-modal-title">Support This Investigation</h2>
             <p className="donate-modal-subtitle">
-              Donate directly to the investigator and get early access to the article
+              Donations are held in escrow for the investigator and can include early access to the article
             </p>
           </div>
 
           <div className="donate-modal-content">
             <div className="proposal-info">
               <h3 className="proposal-title-small">
-                {proposal?.description?.split('\n')[0]?.replace('Funding Request:', '').trim() || `Proposal #${proposal?.id}`}
+                {proposal ? getProposalTitle(proposal) : ''}
               </h3>
               <p className="proposal-author-small">
                 Investigator: {proposal?.proposer ? `${proposal.proposer.slice(0, 6)}...${proposal.proposer.slice(-4)}` : 'Unknown'}
@@ -243,6 +194,10 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
                   Recipient: {recipientAddress.slice(0, 6)}...{recipientAddress.slice(-4)}
                 </p>
               )}
+              <p className={`escrow-status escrow-${escrowStatus}`}>
+                Escrow: {ESCROW_STATUS_LABELS[escrowStatus]}
+                {escrow && ` · ${parseFloat(escrow.totalAmount).toFixed(4)} ETH from ${escrow.donationCount} ${escrow.donationCount === 1 ? 'donation' : 'donations'}`}
+              </p>
             </div>
 
             {/* Network and Balance Info */}
@@ -317,7 +272,7 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
             <motion.button
               className="donate-button"
               onClick={handleDonate}
-              disabled={!donationAmount || parseFloat(donationAmount) <= 0 || isDonating || !account}
+              disabled={!!account && (!donationAmount || parseFloat(donationAmount) <= 0 || isDonating || escrowNotOpened || escrowClosed)}
               whileHover={!isDonating && account ? { scale: 1.02 } : {}}
               whileTap={!isDonating && account ? { scale: 0.98 } : {}}
             >
@@ -325,8 +280,9 @@ function DonateModal({ proposal, isOpen, onClose, onDonationSuccess }) {
             </motion.button>
 
             <p className="donation-note">
-              💡 Your donation goes directly to the investigator. Early access will be granted 
-              once the article is published.
+              💡 Your donation is held by the DonationContract. It is released to the investigator
+              if the DAO approves it, or refunded to you if the proposal fails. Early access will be
+              granted once the article is published.
             </p>
           </div>
         </motion.div>
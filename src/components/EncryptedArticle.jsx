@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { useWallet } from '../contexts/WalletContext'
+import { useToast } from '../contexts/ToastContext'
+import { useContracts } from '../hooks/useContracts'
+import './EncryptedArticle.css'
+
+/**
+ * Early-access text stored encrypted (see utils/articleEncryption). Readers with
+ * early access decrypt it in the browser with the key the author shared with
+ * their wallet, or publish their encryption key so the author can share one.
+ * `access` is the decision from getEarlyAccess.
+ */
+function EncryptedArticle({ envelope, access }) {
+  const { account } = useWallet()
+  const { success, error: showError } = useToast()
+  const { decryptEarlyAccessContent, getEncryptionKey, registerEncryptionKey } = useContracts()
+  const [plaintext, setPlaintext] = useState(null)
+  const [decrypting, setDecrypting] = useState(false)
+  const [registering, setRegistering] = useState(false)
+  const [registered, setRegistered] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    getEncryptionKey(account).then(key => {
+      if (!cancelled) setRegistered(!!key)
+    })
+    return () => { cancelled = true }
+  }, [account, getEncryptionKey])
+
+  const handleDecrypt = async () => {
+    setDecrypting(true)
+    try {
+      setPlaintext(await decryptEarlyAccessContent(envelope))
+    } catch (error) {
+      console.error('Error decrypting article:', error)
+      showError(error.message || 'Failed to decrypt the article')
+    } finally {
+      setDecrypting(false)
+    }
+  }
+
+  const handleRegister = async () => {
+    setRegistering(true)
+    try {
+      await registerEncryptionKey()
+      setRegistered(true)
+      success('Encryption key published. The author can now share this article with you.')
+    } catch (error) {
+      console.error('Error publishing encryption key:', error)
+      showError(error.message || 'Failed to publish your encryption key')
+    } finally {
+      setRegistering(false)
+    }
+  }
+
+  if (plaintext !== null) {
+    return (
+      <div className="encrypted-article decrypted">
+        {plaintext.split('\n').map((para, index) => (
+          para.trim() && <p key={index}>{para.trim()}</p>
+        ))}
+      </div>
+    )
+  }
+
+  if (!access?.hasAccess) {
+    return (
+      <div className="encrypted-article">
+        <p className="encrypted-article-note">🔒 Encrypted for early-access readers. {access?.message}</p>
+      </div>
+    )
+  }
+
+  const hasKey = !!account && !!envelope.keys[account.toLowerCase()]
+
+  return (
+    <div className="encrypted-article">
+      {hasKey ? (
+        <>
+          <p className="encrypted-article-note">
+            🔐 This article is encrypted. Your wallet holds its key - decrypting happens in your browser.
+          </p>
+          <motion.button
+            className="encrypted-article-button"
+            onClick={handleDecrypt}
+            disabled={decrypting}
+            whileHover={!decrypting ? { scale: 1.02 } : {}}
+            whileTap={!decrypting ? { scale: 0.98 } : {}}
+          >
+            {decrypting ? 'Decrypting...' : '🔓 Decrypt Article'}
+          </motion.button>
+        </>
+      ) : registered ? (
+        <p className="encrypted-article-note">
+          🔐 Your encryption key is published. The author has not shared this article's key with you yet - it
+          arrives the next time they update reader keys.
+        </p>
+      ) : (
+        <>
+          <p className="encrypted-article-note">
+            🔐 This article is encrypted. Publish your wallet's encryption key so the author can share it with you.
+          </p>
+          <motion.button
+            className="encrypted-article-button"
+            onClick={handleRegister}
+            disabled={registering}
+            whileHover={!registering ? { scale: 1.02 } : {}}
+            whileTap={!registering ? { scale: 0.98 } : {}}
+          >
+            {registering ? 'Publishing...' : 'Publish Encryption Key'}
+          </motion.button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EncryptedArticle
@@ -0,0 +1,24 @@
+import React from 'react'
+import './EscrowTimeline.css'
+
+/**
+ * Donation escrow progress for one proposal: escrowed → outcome → settlement
+ * proposed → released or refunded. `steps` come from getEscrowTimeline.
+ */
+function EscrowTimeline({ steps }) {
+  return (
+    <ol className="escrow-timeline">
+      {steps.map(step => (
+        <li key={step.key} className={`escrow-timeline-step ${step.status}`}>
+          <span className="escrow-timeline-dot" />
+          <div className="escrow-timeline-text">
+            <span className="escrow-timeline-label">{step.label}</span>
+            <span className="escrow-timeline-detail">{step.detail}</span>
+          </div>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default EscrowTimeline
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { useWallet } from '../contexts/WalletContext'
+import { useContracts } from '../hooks/useContracts'
+import { useToast } from '../contexts/ToastContext'
+import { formatCountdown } from '../utils/contractHelpers'
+import { getProposalTitle } from '../utils/proposalMetadata'
+import './GuardianPanel.css'
+
+/**
+ * Guardian admin view
+ * Accounts holding the timelock CANCELLER_ROLE can veto queued proposals
+ * before their timelock delay runs out.
+ */
+function GuardianPanel() {
+  const { account } = useWallet()
+  const { getAllProposals, isGuardian, vetoProposal, isLoading: contractsLoading, eventVersion } = useContracts()
+  const { success, error: showError } = useToast()
+  const [guardian, setGuardian] = useState(false)
+  const [queued, setQueued] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [confirming, setConfirming] = useState(null)
+  const [vetoing, setVetoing] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (contractsLoading) return
+
+    const fetchQueued = async () => {
+      try {
+        const hasRole = await isGuardian(account)
+        setGuardian(hasRole)
+        if (!hasRole) return
+        const allProposals = await getAllProposals()
+        setQueued(allProposals.filter(p => p.state === 'Queued'))
+      } catch (error) {
+        console.error('Error loading queued proposals:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchQueued()
+  }, [account, contractsLoading, isGuardian, getAllProposals, eventVersion])
+
+  // Countdowns to each ETA
+  useEffect(() => {
+    if (queued.length === 0) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [queued.length])
+
+  const handleVeto = async (proposalId) => {
+    setVetoing(proposalId)
+    try {
+      const txHash = await vetoProposal(proposalId)
+      success(`Proposal #${proposalId} vetoed. Transaction: ${txHash.slice(0, 10)}...`)
+      setQueued(prev => prev.filter(p => p.id !== proposalId))
+    } catch (error) {
+      showError(error.reason || error.message || 'Failed to veto proposal')
+    } finally {
+      setVetoing(null)
+      setConfirming(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <section className="guardian-section">
+        <div className="section-container">
+          <div className="loading-state">Loading guardian view...</div>
+        </div>
+      </section>
+    )
+  }
+
+  return (
+    <section className="guardian-section">
+      <div className="section-container">
+        <div className="section-header">
+          <h1 className="section-title">Guardian</h1>
+          <p className="section-description">
+            Emergency brake: veto queued proposals before the timelock executes them
+          </p>
+        </div>
+
+        {!guardian ? (
+          <div className="empty-state">
+            This account does not hold the timelock CANCELLER_ROLE.
+          </div>
+        ) : queued.length === 0 ? (
+          <div className="empty-state">No proposals are waiting in the timelock.</div>
+        ) : (
+          <div className="guardian-list">
+            {queued.map(proposal => (
+              <div key={proposal.id} className="guardian-card">
+                <div className="guardian-card-info">
+                  <div className="guardian-card-id">Proposal #{proposal.id}</div>
+                  <h3 className="guardian-card-title">{getProposalTitle(proposal)}</h3>
+                  <div className="guardian-card-eta">
+                    {proposal.etaTimestamp && now < proposal.etaTimestamp
+                      ? `Executable in ${formatCountdown(proposal.etaTimestamp, now)}`
+                      : 'Executable now'}
+                  </div>
+                </div>
+
+                {confirming === proposal.id ? (
+                  <div className="guardian-card-actions">
+                    <motion.button
+                      className="veto-button"
+                      onClick={() => handleVeto(proposal.id)}
+                      disabled={vetoing !== null}
+                      whileHover={vetoing === null ? { scale: 1.02 } : {}}
+                      whileTap={vetoing === null ? { scale: 0.98 } : {}}
+                    >
+                      {vetoing === proposal.id ? 'Vetoing...' : 'Confirm Veto'}
+                    </motion.button>
+                    <button
+                      className="veto-dismiss-button"
+                      onClick={() => setConfirming(null)}
+                      disabled={vetoing !== null}
+                    >
+                      Back
+                    </button>
+                  </div>
+                ) : (
+                  <motion.button
+                    className="veto-button"
+                    onClick={() => setConfirming(proposal.id)}
+                    disabled={vetoing !== null}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                  >
+                    Veto
+                  </motion.button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default GuardianPanel
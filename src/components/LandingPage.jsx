@@ -5,7 +5,7 @@ import { useToast } from '../contexts/ToastContext'
 import WalletModal from './WalletModal'
 import './LandingPage.css'
 
-function LandingPage() {
+function LandingPage({ onBrowse }) {
   const { connect, isWalletAvailable, isConnecting, error, account } = useWallet()
   const { success, error: showError } = useToast()
   const [showWalletModal, setShowWalletModal] = useState(false)
@@ -158,6 +158,23 @@ function LandingPage() {
                   Install Wallet
                 </motion.a>
               )}
+              {onBrowse && (
+                <motion.button
+                  className="cta-secondary"
+                  onClick={onBrowse}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  style={{
+                    minWidth: '250px',
+                    padding: '1.25rem 3rem',
+                    fontSize: '1.25rem',
+                    cursor: 'pointer'
+                  }}
+                  type="button"
+                >
+                  Browse the Archive
+                </motion.button>
+              )}
             </motion.div>
           </motion.div>
         </div>
@@ -2,14 +2,45 @@ import React, { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useWallet } from '../contexts/WalletContext'
 import { useToast } from '../contexts/ToastContext'
+import { useContracts } from '../hooks/useContracts'
+import { getTrancheProgress } from '../utils/milestones'
+import { parseProposalMetadata } from '../utils/proposalMetadata'
+import { isEncryptedArticle } from '../utils/articleEncryption'
+import { getArticleExcerpt, MAX_EXCERPT_LENGTH } from '../utils/ipfs'
+import TrancheProgress from './TrancheProgress'
 import './ManageProposal.css'
 
-function ManageProposal({ proposal, onClose }) {
+function ManageProposal({ proposal, onClose, onRequestTranche }) {
   const { account } = useWallet()
   const { success, error: showError } = useToast()
+  const {
+    cancelProposal,
+    getAllProposals,
+    getEscrows,
+    openEscrow,
+    getPublishedArticle,
+    getEarlyAccessReaders,
+    encryptEarlyAccessContent,
+    shareEarlyAccessKeys,
+    decryptEarlyAccessContent,
+    getEarlyAccessEnvelopes,
+    publishEarlyAccessEnvelope,
+    earlyAccessShared,
+    uploadArticle,
+    publishArticle,
+    getArticleUrl,
+    ipfsConfigured,
+  } = useContracts()
   
   const [activeTab, setActiveTab] = useState('status')
   const [submitting, setSubmitting] = useState(false)
+  const [confirmingCancel, setConfirmingCancel] = useState(false)
+  const [cancelling, setCancelling] = useState(false)
+
+  // Donations are refused until the proposer opens the escrow for the recipient
+  const escrowRecipient = parseProposalMetadata(proposal.description).recipient
+  const [escrowMissing, setEscrowMissing] = useState(false)
+  const [openingEscrow, setOpeningEscrow] = useState(false)
   
   // Form states
   const [statusUpdate, setStatusUpdate] = useState({
@@ -25,6 +56,54 @@ function ManageProposal({ proposal, onClose }) {
   
   const [articleContent, setArticleContent] = useState('')
 
+  // Early-access articles are published encrypted; the author re-wraps their keys as readers qualify
+  const [encryptedArticle, setEncryptedArticle] = useState(null)
+  const [encryptedNews, setEncryptedNews] = useState([])
+  const [earlyAccessReaders, setEarlyAccessReaders] = useState(null)
+  const [sharingKeys, setSharingKeys] = useState(false)
+  const [decryptingArticle, setDecryptingArticle] = useState(false)
+
+  // Milestone plan: tranche progress and the ArticleRegistry entry usable as evidence
+  const hasMilestonePlan = !!parseProposalMetadata(proposal.description).milestones
+  const [tranches, setTranches] = useState(null)
+  const [publishedArticle, setPublishedArticle] = useState(null)
+
+  // Publishing: the bundle is uploaded to IPFS first, then its CID is registered on-chain.
+  // The CID is kept with the inputs it was uploaded for, so a failed registration retries without re-uploading
+  const [publishForm, setPublishForm] = useState({
+    title: parseProposalMetadata(proposal.description).title || '',
+    excerpt: ''
+  })
+  const [publishStep, setPublishStep] = useState(null)
+  const [uploadedBundle, setUploadedBundle] = useState(null)
+
+  React.useEffect(() => {
+    let cancelled = false
+    getPublishedArticle(proposal.id).then(article => {
+      if (!cancelled) setPublishedArticle(article)
+    })
+    return () => { cancelled = true }
+  }, [proposal, getPublishedArticle])
+
+  React.useEffect(() => {
+    if (!escrowRecipient) return
+    let cancelled = false
+    getEscrows([proposal.id]).then(escrows => {
+      const key = proposal.id.toString()
+      if (!cancelled) setEscrowMissing(escrows.has(key) && !escrows.get(key))
+    })
+    return () => { cancelled = true }
+  }, [proposal, escrowRecipient, getEscrows])
+
+  React.useEffect(() => {
+    if (!hasMilestonePlan) return
+    let cancelled = false
+    getAllProposals().then(allProposals => {
+      if (!cancelled) setTranches(getTrancheProgress(proposal, allProposals))
+    })
+    return () => { cancelled = true }
+  }, [proposal, hasMilestonePlan, getAllProposals])
+
   // Load existing updates
   React.useEffect(() => {
     const proposalId = proposal.id?.toString() || String(proposal.id)
@@ -55,6 +134,24 @@ function ManageProposal({ proposal, onClose }) {
     }
   }, [proposal])
 
+  React.useEffect(() => {
+    let cancelled = false
+    getEarlyAccessEnvelopes(proposal).then(({ article, updates }) => {
+      if (cancelled) return
+      setEncryptedArticle(article)
+      setEncryptedNews(updates)
+    })
+    return () => { cancelled = true }
+  }, [proposal, getEarlyAccessEnvelopes])
+
+  React.useEffect(() => {
+    let cancelled = false
+    getEarlyAccessReaders(proposal).then(readers => {
+      if (!cancelled) setEarlyAccessReaders(readers)
+    })
+    return () => { cancelled = true }
+  }, [proposal, getEarlyAccessReaders])
+
   const handleStatusUpdate = async (e) => {
     e.preventDefault()
     if (!statusUpdate.message.trim()) {
@@ -102,6 +199,37 @@ function ManageProposal({ proposal, onClose }) {
     }
   }
 
+  // Withdraw the proposal on-chain - the Governor only allows this before voting starts
+  const handleCancelProposal = async () => {
+    setCancelling(true)
+    try {
+      const txHash = await cancelProposal(proposal.id)
+      success(`Proposal cancelled. Transaction: ${txHash.slice(0, 10)}...`)
+      onClose()
+    } catch (error) {
+      console.error('Error cancelling proposal:', error)
+      showError(error.reason || error.message || 'Failed to cancel proposal')
+    } finally {
+      setCancelling(false)
+      setConfirmingCancel(false)
+    }
+  }
+
+  // Open the donation escrow for the recipient named in the proposal
+  const handleOpenEscrow = async () => {
+    setOpeningEscrow(true)
+    try {
+      const txHash = await openEscrow(proposal.id, escrowRecipient)
+      success(`Donation escrow opened. Transaction: ${txHash.slice(0, 10)}...`)
+      setEscrowMissing(false)
+    } catch (error) {
+      console.error('Error opening escrow:', error)
+      showError(error.reason || error.message || 'Failed to open the donation escrow')
+    } finally {
+      setOpeningEscrow(false)
+    }
+  }
+
   const handleNewsUpdate = async (e) => {
     e.preventDefault()
     if (!newsUpdate.title.trim() || !newsUpdate.content.trim()) {
@@ -128,19 +256,30 @@ function ManageProposal({ proposal, onClose }) {
         proposalUpdates.news = []
       }
       
-      // Add new news update
-      proposalUpdates.news.push({
-        title: newsUpdate.title.trim(),
-        content: newsUpdate.content.trim(),
-        earlyAccessOnly: newsUpdate.earlyAccessOnly,
-        timestamp: Date.now(),
-        proposer: account
-      })
-      
-      // Save to localStorage
-      localStorage.setItem(`proposal_updates_${proposalId}`, JSON.stringify(proposalUpdates))
+      // Add new news update - early-access updates are only published encrypted
+      const content = newsUpdate.content.trim()
+      const timestamp = Date.now()
+      const { envelope, unregistered } = newsUpdate.earlyAccessOnly
+        ? await encryptEarlyAccessContent(proposal, content)
+        : { envelope: null, unregistered: [] }
+      if (envelope) {
+        await publishEarlyAccessEnvelope(proposal, `update-${timestamp}`, envelope, newsUpdate.title.trim())
+      } else {
+        proposalUpdates.news.push({
+          title: newsUpdate.title.trim(),
+          content,
+          earlyAccessOnly: false,
+          timestamp,
+          proposer: account
+        })
+
+        // Save to localStorage
+        localStorage.setItem(`proposal_updates_${proposalId}`, JSON.stringify(proposalUpdates))
+      }
       
-      success('News update shared successfully!')
+      success(envelope && unregistered.length > 0
+        ? `News update shared! ${unregistered.length} eligible reader${unregistered.length === 1 ? ' has' : 's have'} not published an encryption key yet.`
+        : 'News update shared successfully!')
       
       // Reset form
       setNewsUpdate({
@@ -155,7 +294,7 @@ function ManageProposal({ proposal, onClose }) {
       }, 1000)
     } catch (error) {
       console.error('Error sharing news update:', error)
-      showError('Failed to share news update')
+      showError(error.message || 'Failed to share news update')
     } finally {
       setSubmitting(false)
     }
@@ -181,20 +320,34 @@ function ManageProposal({ proposal, onClose }) {
       const proposalSettings = JSON.parse(
         localStorage.getItem(`proposal_settings_${proposalId}`) || '{}'
       )
-      proposalSettings.articleContent = articleContent.trim()
       proposalSettings.timestamp = Date.now()
       
       // Also update in proposal updates for backward compatibility
       const proposalUpdates = JSON.parse(
         localStorage.getItem(`proposal_updates_${proposalId}`) || '{}'
       )
-      proposalUpdates.articleContent = articleContent.trim()
+
+      // Early-access articles replace any plaintext copy with the published encrypted envelope
+      let unregistered = []
+      if (earlyAccessArticle) {
+        const encrypted = await encryptEarlyAccessContent(proposal, articleContent.trim())
+        unregistered = encrypted.unregistered
+        await publishEarlyAccessEnvelope(proposal, 'article', encrypted.envelope)
+        delete proposalSettings.articleContent
+        delete proposalUpdates.articleContent
+        setEncryptedArticle(encrypted.envelope)
+      } else {
+        proposalSettings.articleContent = articleContent.trim()
+        proposalUpdates.articleContent = articleContent.trim()
+      }
       
       // Save to localStorage
       localStorage.setItem(`proposal_settings_${proposalId}`, JSON.stringify(proposalSettings))
       localStorage.setItem(`proposal_updates_${proposalId}`, JSON.stringify(proposalUpdates))
       
-      success('Article content updated successfully!')
+      success(unregistered.length > 0
+        ? `Article encrypted and saved! ${unregistered.length} eligible reader${unregistered.length === 1 ? ' has' : 's have'} not published an encryption key yet.`
+        : 'Article content updated successfully!')
       
       // Refresh parent
       setTimeout(() => {
@@ -202,62 +355,163 @@ function ManageProposal({ proposal, onClose }) {
       }, 1000)
     } catch (error) {
       console.error('Error updating article content:', error)
-      showError('Failed to update article content')
+      showError(error.message || 'Failed to update article content')
     } finally {
       setSubmitting(false)
     }
   }
 
-  const parseProposalDescription = (description) => {
-    if (!description) return {}
-    
-    const lines = description.split('\n')
-    const parsed = {
-      title: '',
-      author: '',
-      category: '',
-      requestedAmount: '',
-      estimatedDuration: '',
-      description: ''
+  // Load the encrypted article into the editor with the author's own key
+  const handleDecryptArticle = async () => {
+    setDecryptingArticle(true)
+    try {
+      setArticleContent(await decryptEarlyAccessContent(encryptedArticle))
+    } catch (error) {
+      console.error('Error decrypting article:', error)
+      showError(error.message || 'Failed to decrypt the article')
+    } finally {
+      setDecryptingArticle(false)
     }
+  }
 
-    let descriptionStart = false
-    let descriptionLines = []
-
-    lines.forEach(line => {
-      if (line.startsWith('Funding Request:')) {
-        parsed.title = line.replace('Funding Request:', '').trim()
-      } else if (line.startsWith('Author:')) {
-        parsed.author = line.replace('Author:', '').trim()
-      } else if (line.startsWith('Category:')) {
-        parsed.category = line.replace('Category:', '').trim()
-      } else if (line.startsWith('Requested Amount:')) {
-        parsed.requestedAmount = line.replace('Requested Amount:', '').trim()
-      } else if (line.startsWith('Estimated Duration:')) {
-        parsed.estimatedDuration = line.replace('Estimated Duration:', '').trim()
-      } else if (line.startsWith('Description:')) {
-        descriptionStart = true
-        const descText = line.replace('Description:', '').trim()
-        if (descText) descriptionLines.push(descText)
-      } else if (descriptionStart && line.trim()) {
-        descriptionLines.push(line.trim())
+  // Wrap the keys of every encrypted article and news update for readers who qualified since,
+  // and republish the envelopes that gained readers
+  const handleShareKeys = async () => {
+    setSharingKeys(true)
+    try {
+      const items = [
+        ...(encryptedArticle ? [{ slot: 'article', title: '', encrypted: encryptedArticle }] : []),
+        ...encryptedNews,
+      ]
+      const { envelopes, added } = await shareEarlyAccessKeys(proposal, items.map(item => item.encrypted))
+
+      for (const [index, item] of items.entries()) {
+        if (envelopes[index] !== item.encrypted) {
+          await publishEarlyAccessEnvelope(proposal, item.slot, envelopes[index], item.title)
+        }
+      }
+      if (encryptedArticle) {
+        setEncryptedArticle(envelopes[0])
+      }
+      setEncryptedNews(encryptedNews.map((update, index) => ({
+        ...update,
+        encrypted: envelopes[index + (encryptedArticle ? 1 : 0)],
+      })))
+      success(added > 0 ? `Shared ${added} key${added === 1 ? '' : 's'} with new readers` : 'Every reader with a published key already has access')
+
+      // Refresh parent
+      setTimeout(() => {
+        onClose()
+      }, 1000)
+    } catch (error) {
+      console.error('Error sharing article keys:', error)
+      showError(error.message || 'Failed to share article keys')
+    } finally {
+      setSharingKeys(false)
+    }
+  }
+
+  // Upload the article bundle to IPFS and register its CID in the ArticleRegistry
+  const handlePublishArticle = async (e) => {
+    e.preventDefault()
+    const content = articleContent.trim()
+    const title = publishForm.title.trim()
+    if (!title || content.length < 100) {
+      showError('A title and an article of at least 100 characters are required')
+      return
+    }
+
+    const article = {
+      title,
+      author: parsed.author,
+      category: parsed.category || 'Other',
+      excerpt: publishForm.excerpt.trim() || getArticleExcerpt(content),
+      content,
+    }
+    const bundleKey = JSON.stringify(article)
+
+    try {
+      let cid = uploadedBundle?.key === bundleKey ? uploadedBundle.cid : null
+      if (!cid) {
+        setPublishStep('uploading')
+        cid = await uploadArticle(proposal, article)
+        setUploadedBundle({ key: bundleKey, cid })
       }
-    })
 
-    parsed.description = descriptionLines.join('\n')
-    return parsed
+      setPublishStep('registering')
+      const txHash = await publishArticle(proposal.id, cid, article)
+      success(`Article published to IPFS and registered on-chain. Transaction: ${txHash.slice(0, 10)}...`)
+      setPublishedArticle(await getPublishedArticle(proposal.id))
+    } catch (error) {
+      console.error('Error publishing article:', error)
+      showError(error.reason || error.message || 'Failed to publish article')
+    } finally {
+      setPublishStep(null)
+    }
   }
 
-  const parsed = parseProposalDescription(proposal.description)
+  // Hand a pre-filled follow-up proposal for the next tranche to SubmitProposal
+  const handleRequestTranche = (tranche, evidenceOptions) => {
+    const payout = proposal.funding[0]
+    const parsed = parseProposalMetadata(proposal.description)
+    onRequestTranche({
+      parentId: proposal.id.toString(),
+      number: tranche.number,
+      count: tranches.length,
+      label: tranche.label,
+      previousLabel: tranches[tranche.number - 2].label,
+      title: `${parsed.title} - Tranche ${tranche.number}/${tranches.length}`,
+      author: parsed.author,
+      category: parsed.category,
+      recipient: payout.recipient,
+      token: payout.token,
+      decimals: payout.decimals,
+      amount: tranche.amount.toString(),
+      evidenceOptions,
+    })
+  }
+
+  const parsed = parseProposalMetadata(proposal.description)
   const proposalId = proposal.id?.toString() || String(proposal.id)
   
   // Load existing updates for display
   const proposalUpdates = JSON.parse(
     localStorage.getItem(`proposal_updates_${proposalId}`) || '{}'
   )
-  const existingNews = proposalUpdates.news || []
+  // Early-access updates are published encrypted; older local entries without a signature are not shown
+  const existingNews = [
+    ...(proposalUpdates.news || []).filter(update => !update.encrypted),
+    ...encryptedNews,
+  ].sort((a, b) => a.timestamp - b.timestamp)
   const existingStatus = proposalUpdates.status
 
+  const proposalSettings = JSON.parse(
+    localStorage.getItem(`proposal_settings_${proposalId}`) || '{}'
+  )
+  const earlyAccessArticle = (proposalSettings.readVisibility || parsed.readVisibility) === 'early-access'
+
+  // Eligible readers with a published key who are still missing from an encrypted item
+  const encryptedItems = [
+    ...(encryptedArticle ? [encryptedArticle] : []),
+    ...encryptedNews.map(update => update.encrypted),
+  ]
+  const readersAwaitingKeys = earlyAccessReaders
+    ? earlyAccessReaders.readers.filter(reader => encryptedItems.some(envelope => !envelope.keys[reader.address]))
+    : []
+
+  // The next tranche opens once the previous one was paid out and there is evidence to point to
+  const nextTranche = tranches?.find(tranche => tranche.number > 1 && tranche.canRequest) || null
+  const previousReleased = nextTranche ? tranches[nextTranche.number - 2].released : false
+  const evidenceOptions = []
+  if (publishedArticle) {
+    evidenceOptions.push(`ArticleRegistry entry "${publishedArticle.title}" (ipfs://${publishedArticle.ipfsHash})`)
+  }
+  if (existingStatus) {
+    evidenceOptions.push(
+      `Status update of ${new Date(existingStatus.timestamp).toLocaleDateString()}: ${existingStatus.status} - ${existingStatus.message.replace(/\s+/g, ' ')}`
+    )
+  }
+
   return (
     <AnimatePresence>
       <motion.div
@@ -309,11 +563,87 @@ function ManageProposal({ proposal, onClose }) {
             >
               📝 Article Content
             </button>
+            <button
+              className={`tab-button ${activeTab === 'publish' ? 'active' : ''}`}
+              onClick={() => setActiveTab('publish')}
+            >
+              🌐 Publish
+            </button>
+            {hasMilestonePlan && (
+              <button
+                className={`tab-button ${activeTab === 'tranches' ? 'active' : ''}`}
+                onClick={() => setActiveTab('tranches')}
+              >
+                💰 Tranches
+              </button>
+            )}
           </div>
 
           {/* Status Update Tab */}
           {activeTab === 'status' && (
             <div className="tab-content">
+              {proposal.state === 'Pending' && (
+                <div className="cancel-section">
+                  <div className="cancel-text">
+                    <h3 className="section-title">Withdraw Proposal</h3>
+                    <p className="section-description">
+                      Made a mistake in the recipient or amount? You can cancel this proposal until voting starts,
+                      then submit a corrected one.
+                    </p>
+                  </div>
+                  {confirmingCancel ? (
+                    <div className="cancel-actions">
+                      <motion.button
+                        className="cancel-confirm-button"
+                        onClick={handleCancelProposal}
+                        disabled={cancelling}
+                        whileHover={!cancelling ? { scale: 1.02 } : {}}
+                        whileTap={!cancelling ? { scale: 0.98 } : {}}
+                      >
+                        {cancelling ? 'Cancelling...' : 'Yes, Cancel Proposal'}
+                      </motion.button>
+                      <button
+                        className="cancel-dismiss-button"
+                        onClick={() => setConfirmingCancel(false)}
+                        disabled={cancelling}
+                      >
+                        Keep It
+                      </button>
+                    </div>
+                  ) : (
+                    <motion.button
+                      className="cancel-confirm-button"
+                      onClick={() => setConfirmingCancel(true)}
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                    >
+                      Cancel Proposal
+                    </motion.button>
+                  )}
+                </div>
+              )}
+
+              {escrowMissing && (
+                <div className="escrow-section">
+                  <div>
+                    <h3 className="section-title">Open Donation Escrow</h3>
+                    <p className="section-description">
+                      Donations are held for {escrowRecipient.slice(0, 6)}...{escrowRecipient.slice(-4)} once you open the escrow.
+                      Until then donors cannot contribute to this proposal.
+                    </p>
+                  </div>
+                  <motion.button
+                    className="submit-button"
+                    onClick={handleOpenEscrow}
+                    disabled={openingEscrow}
+                    whileHover={!openingEscrow ? { scale: 1.02 } : {}}
+                    whileTap={!openingEscrow ? { scale: 0.98 } : {}}
+                  >
+                    {openingEscrow ? 'Opening...' : 'Open Escrow'}
+                  </motion.button>
+                </div>
+              )}
+
               <div className="form-section">
                 <h3 className="section-title">Update Proposal Status</h3>
                 <p className="section-description">
@@ -400,7 +730,13 @@ function ManageProposal({ proposal, onClose }) {
                         {update.earlyAccessOnly && (
                           <span className="early-access-badge">Early Access Only</span>
                         )}
-                        <p className="update-content">{update.content}</p>
+                        {isEncryptedArticle(update.encrypted) ? (
+                          <p className="update-content encrypted-note">
+                            🔐 Encrypted for {Object.keys(update.encrypted.keys).length} reader{Object.keys(update.encrypted.keys).length === 1 ? '' : 's'}
+                          </p>
+                        ) : (
+                          <p className="update-content">{update.content}</p>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -442,7 +778,7 @@ function ManageProposal({ proposal, onClose }) {
                         checked={newsUpdate.earlyAccessOnly}
                         onChange={(e) => setNewsUpdate({ ...newsUpdate, earlyAccessOnly: e.target.checked })}
                       />
-                      <span>Early Access Only (visible only to voters who voted FOR and donors)</span>
+                      <span>Early Access Only (encrypted for voters who voted FOR and donors with early access)</span>
                     </label>
                   </div>
 
@@ -467,8 +803,60 @@ function ManageProposal({ proposal, onClose }) {
                 <h3 className="section-title">Update Article Content</h3>
                 <p className="section-description">
                   Update or create the full article content that will appear on the "Read" page.
+                  {earlyAccessArticle && ' This is an early-access article: it is encrypted in your browser and only readers you share a key with can decrypt it.'}
+                  {earlyAccessArticle && !earlyAccessShared && ' Encrypted articles and reader keys are kept in this browser until a relayer is configured (VITE_RELAYER_URL).'}
                 </p>
 
+                {encryptedItems.length > 0 && (
+                  <div className="reader-keys">
+                    <div className="update-header">
+                      <span className="update-label">🔐 Reader Keys</span>
+                      {encryptedArticle && (
+                        <span className="char-count-large">
+                          Article shared with {Object.keys(encryptedArticle.keys).length} wallet{Object.keys(encryptedArticle.keys).length === 1 ? '' : 's'}
+                        </span>
+                      )}
+                    </div>
+                    {!earlyAccessReaders ? (
+                      <p className="section-description">Checking who has early access...</p>
+                    ) : (
+                      <>
+                        <p className="section-description">
+                          {earlyAccessReaders.holders.length} wallet{earlyAccessReaders.holders.length === 1 ? ' has' : 's have'} early
+                          access. {readersAwaitingKeys.length} with a published encryption key {readersAwaitingKeys.length === 1 ? 'is' : 'are'} waiting
+                          for a key{earlyAccessReaders.unregistered.length > 0 && `, and ${earlyAccessReaders.unregistered.length} ha${earlyAccessReaders.unregistered.length === 1 ? 's' : 've'} not published one yet`}.
+                        </p>
+                        <motion.button
+                          type="button"
+                          className="submit-button"
+                          onClick={handleShareKeys}
+                          disabled={sharingKeys || readersAwaitingKeys.length === 0}
+                          whileHover={!sharingKeys && readersAwaitingKeys.length > 0 ? { scale: 1.02 } : {}}
+                          whileTap={!sharingKeys && readersAwaitingKeys.length > 0 ? { scale: 0.98 } : {}}
+                        >
+                          {sharingKeys ? 'Sharing Keys...' : `Share Keys with New Readers (${readersAwaitingKeys.length})`}
+                        </motion.button>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {encryptedArticle && !articleContent && (
+                  <div className="existing-update">
+                    <div className="update-header">
+                      <span className="update-label">Current Article Content is encrypted</span>
+                      <button
+                        type="button"
+                        className="decrypt-article-button"
+                        onClick={handleDecryptArticle}
+                        disabled={decryptingArticle}
+                      >
+                        {decryptingArticle ? 'Decrypting...' : 'Decrypt to Edit'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
                 {articleContent && (
                   <div className="existing-update">
                     <div className="update-header">
@@ -504,12 +892,176 @@ function ManageProposal({ proposal, onClose }) {
                     whileHover={!submitting ? { scale: 1.02 } : {}}
                     whileTap={!submitting ? { scale: 0.98 } : {}}
                   >
-                    {submitting ? 'Saving...' : 'Save Article Content'}
+                    {submitting ? 'Saving...' : earlyAccessArticle ? 'Encrypt & Save Article' : 'Save Article Content'}
                   </motion.button>
                 </form>
               </div>
             </div>
           )}
+
+          {/* Publish Tab */}
+          {activeTab === 'publish' && (
+            <div className="tab-content">
+              <div className="form-section">
+                <h3 className="section-title">Publish to IPFS</h3>
+                <p className="section-description">
+                  Uploads the article as a Markdown + JSON bundle to IPFS and registers its CID in the
+                  ArticleRegistry, where the Archive lists it. Publishing is permanent and public.
+                </p>
+
+                {publishedArticle ? (
+                  <div className="existing-update published-article">
+                    <div className="update-header">
+                      <span className="update-label">{publishedArticle.title}</span>
+                      <span className="update-date">
+                        {new Date(publishedArticle.publishedAt).toLocaleDateString()}
+                      </span>
+                    </div>
+                    {publishedArticle.verified && <span className="early-access-badge">✓ Verified</span>}
+                    <p className="update-content">{publishedArticle.excerpt}</p>
+                    <div className="published-cid">
+                      <span className="update-label">CID</span>
+                      <a href={getArticleUrl(publishedArticle.ipfsHash, 'article.md')} target="_blank" rel="noopener noreferrer">
+                        {publishedArticle.ipfsHash}
+                      </a>
+                    </div>
+                  </div>
+                ) : proposal.state !== 'Succeeded' && proposal.state !== 'Executed' ? (
+                  <p className="section-description">
+                    The ArticleRegistry accepts articles once the proposal has succeeded. This proposal is {proposal.state}.
+                  </p>
+                ) : !ipfsConfigured ? (
+                  <p className="section-description">
+                    No IPFS API is configured. Set VITE_IPFS_API_URL to a kubo node (e.g. http://127.0.0.1:5001) to publish.
+                  </p>
+                ) : !articleContent.trim() ? (
+                  <div className="existing-update">
+                    <div className="update-header">
+                      <span className="update-label">
+                        {encryptedArticle ? 'The article is encrypted - decrypt it to publish' : 'Write the article in the Article Content tab first'}
+                      </span>
+                      {encryptedArticle && (
+                        <button
+                          type="button"
+                          className="decrypt-article-button"
+                          onClick={handleDecryptArticle}
+                          disabled={decryptingArticle}
+                        >
+                          {decryptingArticle ? 'Decrypting...' : 'Decrypt Article'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ) : (
+                  <form onSubmit={handlePublishArticle} className="update-form">
+                    {earlyAccessArticle && (
+                      <p className="tranche-request-hint">
+                        This is an early-access article. Once published to IPFS anyone with the CID can read it.
+                      </p>
+                    )}
+
+                    <div className="form-group">
+                      <label htmlFor="publishTitle">Title</label>
+                      <input
+                        type="text"
+                        id="publishTitle"
+                        value={publishForm.title}
+                        onChange={(e) => setPublishForm({ ...publishForm, title: e.target.value })}
+                        required
+                      />
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="publishExcerpt">Excerpt (stored on-chain)</label>
+                      <textarea
+                        id="publishExcerpt"
+                        rows="3"
+                        value={publishForm.excerpt}
+                        onChange={(e) => setPublishForm({ ...publishForm, excerpt: e.target.value })}
+                        placeholder={getArticleExcerpt(articleContent)}
+                        maxLength={MAX_EXCERPT_LENGTH}
+                      />
+                      <div className="char-count">
+                        {publishForm.excerpt.length} / {MAX_EXCERPT_LENGTH} characters - leave empty to use the opening of the article
+                      </div>
+                    </div>
+
+                    {uploadedBundle && (
+                      <div className="published-cid">
+                        <span className="update-label">Uploaded CID</span>
+                        <a href={getArticleUrl(uploadedBundle.cid, 'article.md')} target="_blank" rel="noopener noreferrer">
+                          {uploadedBundle.cid}
+                        </a>
+                      </div>
+                    )}
+
+                    <motion.button
+                      type="submit"
+                      className="submit-button"
+                      disabled={!!publishStep}
+                      whileHover={!publishStep ? { scale: 1.02 } : {}}
+                      whileTap={!publishStep ? { scale: 0.98 } : {}}
+                    >
+                      {publishStep === 'uploading'
+                        ? 'Uploading to IPFS...'
+                        : publishStep === 'registering'
+                          ? 'Registering on-chain...'
+                          : 'Publish Article'}
+                    </motion.button>
+                  </form>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Milestone Tranches Tab */}
+          {activeTab === 'tranches' && (
+            <div className="tab-content">
+              <div className="form-section">
+                <h3 className="section-title">Milestone Tranches</h3>
+                <p className="section-description">
+                  Each tranche after the first is a follow-up proposal. Voters release it once you show the
+                  previous milestone was delivered.
+                </p>
+
+                {!tranches ? (
+                  <p className="section-description">Loading tranches...</p>
+                ) : (
+                  <>
+                    <TrancheProgress tranches={tranches} />
+
+                    {nextTranche ? (
+                      <div className="tranche-request">
+                        {!previousReleased && (
+                          <p className="tranche-request-hint">
+                            Tranche {nextTranche.number - 1} ({tranches[nextTranche.number - 2].label}) must be
+                            executed before you can request the next one.
+                          </p>
+                        )}
+                        {previousReleased && evidenceOptions.length === 0 && (
+                          <p className="tranche-request-hint">
+                            Publish the article to the ArticleRegistry or post a status update first - the
+                            follow-up proposal has to cite it as evidence.
+                          </p>
+                        )}
+                        <motion.button
+                          className="submit-button"
+                          onClick={() => handleRequestTranche(nextTranche, evidenceOptions)}
+                          disabled={!previousReleased || evidenceOptions.length === 0 || !onRequestTranche}
+                          whileHover={previousReleased && evidenceOptions.length > 0 ? { scale: 1.02 } : {}}
+                          whileTap={previousReleased && evidenceOptions.length > 0 ? { scale: 0.98 } : {}}
+                        >
+                          Request Tranche {nextTranche.number}: {nextTranche.label} ({nextTranche.formatted})
+                        </motion.button>
+                      </div>
+                    ) : (
+                      <p className="section-description">Every tranche has been requested.</p>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          )}
         </motion.div>
       </motion.div>
     </AnimatePresence>
@@ -5,20 +5,37 @@ import { useContracts } from '../hooks/useContracts'
 import { useWallet } from '../contexts/WalletContext'
 import { useToast } from '../contexts/ToastContext'
 import { isSupportedNetwork } from '../utils/contractHelpers'
+import { getProposalTitle } from '../utils/proposalMetadata'
 import './MyOverview.css'
 
+// Labels for VoteCast support values
+const SUPPORT_LABELS = ['Against', 'For', 'Abstain']
+
+// Proposals the member voted on, plus open ones they can still vote on,
+// each with the voting power they had at that proposal's snapshot
+const getParticipation = (proposals) => proposals
+  .filter(p => p.myVote || (p.state === 'Active' && !p.hasVoted && parseFloat(p.votingWeight || '0') > 0))
+  .map(p => ({
+    id: p.id.toString(),
+    title: getProposalTitle(p),
+    voted: !!p.myVote,
+    support: p.myVote ? SUPPORT_LABELS[p.myVote.support] : null,
+    weight: p.myVote ? p.myVote.weight : p.votingWeight,
+  }))
+
 function MyOverview() {
   const { account, chainId } = useWallet()
-  const { getTokenBalance, getVotingPower, getUserActivity, delegate, requestFaucet, isJournalistVerified, isLoading, contracts, getAllProposals } = useContracts()
+  const { getTokenBalance, getVotingPower, getUserActivity, delegate, requestFaucet, isJournalistVerified, isLoading, contracts, getAllProposals, getCurrentDelegate, requestFaucetWithDelegation, getRelayerStatus, eventVersion } = useContracts()
   const { success, error: showError } = useToast()
   const [balance, setBalance] = useState('0')
   const [votingPower, setVotingPower] = useState('0')
-  const [usedVotingPower, setUsedVotingPower] = useState('0')
-  const [availableVotingPower, setAvailableVotingPower] = useState('0')
+  const [participation, setParticipation] = useState([])
   const [activity, setActivity] = useState({ proposalsCreated: 0, votesCast: 0 })
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [isDelegating, setIsDelegating] = useState(false)
+  const [currentDelegate, setCurrentDelegate] = useState(null)
+  const [faucetRelayerOnline, setFaucetRelayerOnline] = useState(false)
   const [isRequestingFaucet, setIsRequestingFaucet] = useState(false)
   const [isVerifiedJournalist, setIsVerifiedJournalist] = useState(false)
 
@@ -46,51 +63,34 @@ function MyOverview() {
     }
 
     const fetchData = async () => {
-      setLoading(true)
+      // Live refreshes (eventVersion > 0) update the figures in place
+      if (eventVersion === 0) setLoading(true)
       setError(null)
       try {
         
-        const [tokenBalance, votes, userActivity] = await Promise.all([
+        const [tokenBalance, votes, userActivity, delegatee, proposals] = await Promise.all([
           getTokenBalance(account).catch((err) => {
             return '0'
           }),
           getVotingPower(account).catch((err) => {
             return '0'
           }),
-          getUserActivity().catch(() => ({ proposalsCreated: 0, votesCast: 0 }))
+          getUserActivity().catch(() => ({ proposalsCreated: 0, votesCast: 0 })),
+          getCurrentDelegate(account),
+          getAllProposals().catch(() => [])
         ])
         
-        // Calculate used voting power from all votes cast
-        // Each vote costs 10 VERITAS (fixed amount)
-        const VOTE_COST = 10 // Fixed cost per vote in VERITAS
-        let totalUsedPower = 0
-        if (contracts.governor && account) {
-          try {
-            // Query all VoteCast events for this user
-            const voteFilter = contracts.governor.filters.VoteCast(account)
-            const voteEvents = await contracts.governor.queryFilter(voteFilter)
-            
-            // Each vote costs 10 VERITAS (fixed)
-            totalUsedPower = voteEvents.length * VOTE_COST
-          } catch (error) {
-            // Silent fail
-          }
-        }
-        
         const balanceValue = parseFloat(tokenBalance || '0')
         const votesValue = parseFloat(votes || '0')
-        const usedPowerValue = totalUsedPower
         
         const finalBalance = isNaN(balanceValue) ? '0.00' : balanceValue.toFixed(2)
         const finalVotes = isNaN(votesValue) ? '0.00' : votesValue.toFixed(2)
-        const finalUsedPower = isNaN(usedPowerValue) ? '0.00' : usedPowerValue.toFixed(2)
-        const finalAvailablePower = Math.max(0, votesValue - usedPowerValue).toFixed(2)
         
         setBalance(finalBalance)
         setVotingPower(finalVotes)
-        setUsedVotingPower(finalUsedPower)
-        setAvailableVotingPower(finalAvailablePower)
+        setParticipation(getParticipation(proposals))
         setActivity(userActivity || { proposalsCreated: 0, votesCast: 0 })
+        setCurrentDelegate(delegatee)
         
         // Check if user is verified journalist
         if (account && contracts.journalistRegistry) {
@@ -119,30 +119,21 @@ function MyOverview() {
       }
     }
 
+    // Re-runs via eventVersion when votes or delegations land on chain
     fetchData()
-    
-    // Listen for vote events to refresh voting power
-    const handleVoteCast = () => {
-      setTimeout(() => {
-        fetchData()
-      }, 3000)
-    }
-    
-    // Listen for delegation events to refresh voting power
-    const handleDelegation = () => {
-      setTimeout(() => {
-        fetchData()
-      }, 3000)
-    }
-    
-    window.addEventListener('voteCast', handleVoteCast)
-    window.addEventListener('delegationUpdated', handleDelegation)
-    
-    return () => {
-      window.removeEventListener('voteCast', handleVoteCast)
-      window.removeEventListener('delegationUpdated', handleDelegation)
-    }
-  }, [account, chainId, getTokenBalance, getVotingPower, getUserActivity, isJournalistVerified, isLoading, contracts, isSupportedNetwork, getAllProposals])
+  }, [account, chainId, getTokenBalance, getVotingPower, getUserActivity, isJournalistVerified, isLoading, contracts, isSupportedNetwork, getAllProposals, getCurrentDelegate, eventVersion])
+
+  // The relayer faucet can activate voting power together with the drip
+  useEffect(() => {
+    if (!account) return
+    getRelayerStatus().then(status => setFaucetRelayerOnline(!!status?.faucet))
+  }, [account, getRelayerStatus])
+
+  const needsDelegation = !currentDelegate || currentDelegate === ethers.ZeroAddress
+
+  // Tokens handed to another member (zero voting power here is expected)
+  const delegatedElsewhere = !!currentDelegate && !!account &&
+    currentDelegate !== ethers.ZeroAddress && currentDelegate.toLowerCase() !== account.toLowerCase()
 
   const handleFaucet = async () => {
     if (!account) {
@@ -151,7 +142,12 @@ function MyOverview() {
     }
     setIsRequestingFaucet(true)
     try {
-      const result = await requestFaucet(account)
+      // New members sign a delegation with the request so the relayer activates their
+      // voting power in the same transaction; without a relayer they delegate afterwards
+      const result = needsDelegation && faucetRelayerOnline
+        ? await requestFaucetWithDelegation(account)
+        : await requestFaucet(account)
+      if (result.delegated) setCurrentDelegate(account)
       success(result.message || 'Tokens received successfully!')
       
       // Refresh balance multiple times to ensure it updates
@@ -194,67 +190,18 @@ function MyOverview() {
     setIsDelegating(true)
     try {
       const txHash = await delegate(account) // Delegate to self
+      setCurrentDelegate(account)
       success('Voting power delegated successfully! Transaction: ' + txHash.slice(0, 10) + '...')
       
-      // Refresh voting power multiple times to ensure it updates
-      // Voting power update might take a few blocks to reflect
-      const refreshVotingPower = async (attempt = 1) => {
-        try {
-          // Get fresh voting power
-          const votes = await getVotingPower(account)
-          const votesValue = parseFloat(votes || '0')
-          
-          // Recalculate used and available power
-          // Each vote costs 10 VERITAS (fixed amount)
-          const VOTE_COST = 10 // Fixed cost per vote in VERITAS
-          let totalUsedPower = 0
-          if (contracts.governor && account) {
-            try {
-              // Query all VoteCast events for this user
-              const voteFilter = contracts.governor.filters.VoteCast(account)
-              const voteEvents = await contracts.governor.queryFilter(voteFilter)
-              
-              // Each vote costs 10 VERITAS (fixed)
-              totalUsedPower = voteEvents.length * VOTE_COST
-            } catch (error) {
-              // Silent fail
-            }
-          }
-          
-          const finalVotes = isNaN(votesValue) ? '0.00' : votesValue.toFixed(2)
-          const finalUsedPower = isNaN(totalUsedPower) ? '0.00' : totalUsedPower.toFixed(2)
-          const finalAvailablePower = Math.max(0, votesValue - totalUsedPower).toFixed(2)
-          
-          
-          setVotingPower(finalVotes)
-          setUsedVotingPower(finalUsedPower)
-          setAvailableVotingPower(finalAvailablePower)
-          
-          // If voting power is still 0 and we have balance, try again
-          if (votesValue === 0 && parseFloat(balance) > 0 && attempt < 5) {
-            setTimeout(() => refreshVotingPower(attempt + 1), 3000 * attempt)
-          }
-        } catch (error) {
-          console.error(`Error refreshing voting power (attempt ${attempt}):`, error)
-          // Retry if not last attempt
-          if (attempt < 3) {
-            setTimeout(() => refreshVotingPower(attempt + 1), 3000 * attempt)
-          }
-        }
+      // The delegation is mined, so voting power can be read right away;
+      // the DelegateVotesChanged event refreshes the rest of the overview
+      try {
+        const votes = await getVotingPower(account)
+        const votesValue = parseFloat(votes || '0')
+        setVotingPower(isNaN(votesValue) ? '0.00' : votesValue.toFixed(2))
+      } catch (error) {
+        console.error('Error refreshing voting power:', error)
       }
-      
-      // First refresh after 2 seconds (wait for block confirmation)
-      setTimeout(() => refreshVotingPower(1), 2000)
-      // Second refresh after 5 seconds
-      setTimeout(() => refreshVotingPower(2), 5000)
-      // Third refresh after 10 seconds
-      setTimeout(() => refreshVotingPower(3), 10000)
-      
-      // Also dispatch event to trigger full data refresh
-      window.dispatchEvent(new CustomEvent('delegationUpdated', { 
-        detail: { account } 
-      }))
-      
     } catch (error) {
       console.error('Error delegating:', error)
       showError(error.message || 'Failed to delegate voting power')
@@ -336,7 +283,7 @@ function MyOverview() {
                         </>
                       ) : (
                         <>
-                          <span className="button-icon">🚰</span> Get Free Tokens
+                          <span className="button-icon">🚰</span> {needsDelegation && faucetRelayerOnline ? 'Get Tokens & Activate Voting' : 'Get Free Tokens'}
                         </>
                       )}
                     </motion.button>
@@ -365,45 +312,33 @@ function MyOverview() {
               <div className="error-message">{error}</div>
             ) : (
               <>
-                <div className="card-value">{formatNumber(availableVotingPower)}</div>
-                <div className="card-label">Available Voting Power</div>
-                {parseFloat(votingPower) > 0 && (
-                  <div style={{ 
-                    fontSize: '0.75rem', 
-                    color: 'var(--text-secondary)', 
-                    marginTop: '0.5rem',
-                    padding: '0.5rem',
-                    background: 'var(--bg-tertiary)',
-                    borderRadius: '8px'
-                  }}>
-                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
-                      <span>Total Power:</span>
-                      <span>{formatNumber(votingPower)} VERITAS</span>
-                    </div>
-                    {parseFloat(usedVotingPower) > 0 && (
-                      <>
-                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
-                          <span>Used ({Math.floor(parseFloat(usedVotingPower) / 10)} votes × 10 VERITAS):</span>
-                          <span style={{ color: 'var(--accent-red)' }}>-{formatNumber(usedVotingPower)} VERITAS</span>
-                        </div>
-                        <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: '600', marginTop: '0.5rem', paddingTop: '0.5rem', borderTop: '1px solid var(--border-color)' }}>
-                          <span>Available:</span>
-                          <span style={{ color: 'var(--accent-green)' }}>{formatNumber(availableVotingPower)} VERITAS</span>
-                        </div>
-                      </>
-                    )}
-                    {parseFloat(usedVotingPower) === 0 && (
-                      <div style={{ 
-                        marginTop: '0.5rem', 
-                        padding: '0.5rem', 
-                        background: 'rgba(16, 185, 129, 0.1)', 
-                        borderRadius: '6px',
-                        fontSize: '0.7rem'
-                      }}>
-                        <p style={{ margin: 0 }}>
-                          💡 Each vote costs <strong>10 VERITAS</strong>. You can cast {Math.floor(parseFloat(votingPower) / 10)} vote(s) with your current power.
-                        </p>
-                      </div>
+                <div className="card-value">{formatNumber(votingPower)}</div>
+                <div className="card-label">Current Voting Power</div>
+                <div className={`delegation-status ${needsDelegation ? 'inactive' : 'active'}`}>
+                  {needsDelegation
+                    ? 'Not delegated - tokens carry no voting power'
+                    : delegatedElsewhere
+                      ? `Delegated to ${currentDelegate.slice(0, 6)}...${currentDelegate.slice(-4)}`
+                      : 'Delegated to yourself'}
+                </div>
+                {(parseFloat(votingPower) > 0 || participation.length > 0) && (
+                  <div className="participation-box">
+                    <p className="participation-note">
+                      💡 Voting never spends tokens. Each proposal counts the voting power you had at its snapshot block.
+                    </p>
+                    {participation.length > 0 && (
+                      <ul className="participation-list">
+                        {participation.map(entry => (
+                          <li key={entry.id} className="participation-item">
+                            <span className="participation-title">{entry.title}</span>
+                            <span className={`participation-weight ${entry.voted ? 'voted' : 'open'}`}>
+                              {entry.voted
+                                ? `${entry.support} · ${formatNumber(entry.weight)} VERITAS`
+                                : `Not voted · ${formatNumber(entry.weight)} VERITAS`}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
                     )}
                   </div>
                 )}
@@ -417,11 +352,19 @@ function MyOverview() {
                       </div>
                     ) : (
                       <>
-                        <div className="card-info-message">
-                          <p className="info-icon">⚡</p>
-                          <p><strong>Not delegated</strong></p>
-                          <p className="info-hint">Delegate your tokens to activate voting power.</p>
-                        </div>
+                        {delegatedElsewhere ? (
+                          <div className="card-info-message">
+                            <p className="info-icon">🤝</p>
+                            <p><strong>Delegated to {currentDelegate.slice(0, 6)}...{currentDelegate.slice(-4)}</strong></p>
+                            <p className="info-hint">Your delegate votes with your tokens. Pick another member under Delegates.</p>
+                          </div>
+                        ) : (
+                          <div className="card-info-message">
+                            <p className="info-icon">⚡</p>
+                            <p><strong>Not delegated</strong></p>
+                            <p className="info-hint">Delegate to yourself, or to a trusted member under Delegates.</p>
+                          </div>
+                        )}
                         <motion.button
                           className="delegate-button"
                           onClick={handleDelegate}
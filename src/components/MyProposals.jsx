@@ -4,18 +4,27 @@ import { useContracts } from '../hooks/useContracts'
 import { useWallet } from '../contexts/WalletContext'
 import { useToast } from '../contexts/ToastContext'
 import { isSupportedNetwork, formatTimeRemaining } from '../utils/contractHelpers'
+import { parseProposalMetadata } from '../utils/proposalMetadata'
+import { getEscrowStatus, ESCROW_STATUS_LABELS, getDueEscrowAction, hasOpenEscrowProposal } from '../utils/donations'
 import ManageProposal from './ManageProposal'
+import ProposalLifecycle from './ProposalLifecycle'
 import './MyProposals.css'
 
-function MyProposals() {
-  const { account, chainId } = useWallet()
-  const { getAllProposals, isLoading: contractsLoading, contracts } = useContracts()
-  const { error: showError } = useToast()
+function MyProposals({ onRequestTranche }) {
+  const { account, chainId, requireWallet } = useWallet()
+  const { getAllProposals, getEscrows, proposeEscrowSettlement, isLoading: contractsLoading, contracts, eventVersion } = useContracts()
+  const { success, error: showError } = useToast()
   const [proposals, setProposals] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [selectedProposal, setSelectedProposal] = useState(null)
   const [showManage, setShowManage] = useState(false)
+  // DonationContract escrow per proposal id
+  const [escrows, setEscrows] = useState(new Map())
+  // Every proposal, to tell whether an escrow release or refund is already proposed
+  const [allProposals, setAllProposals] = useState([])
+  // Proposal whose escrow release or refund is being proposed
+  const [proposingSettlement, setProposingSettlement] = useState(null)
 
   useEffect(() => {
     if (contractsLoading || !account) return
@@ -35,15 +44,18 @@ function MyProposals() {
     }
 
     const fetchMyProposals = async () => {
-      setLoading(true)
+      // Live refreshes (eventVersion > 0) update the list in place
+      if (eventVersion === 0) setLoading(true)
       setError(null)
       try {
-        const allProposals = await getAllProposals()
+        const fetched = await getAllProposals()
         // Filter only proposals created by current user
-        const myProposals = allProposals.filter(p => 
+        const myProposals = fetched.filter(p => 
           p.proposer && p.proposer.toLowerCase() === account.toLowerCase()
         )
+        setAllProposals(fetched)
         setProposals(myProposals)
+        setEscrows(await getEscrows(myProposals.map(p => p.id)))
       } catch (error) {
         console.error('Error fetching proposals:', error)
         setError('Failed to load proposals. Please check your connection.')
@@ -56,70 +68,51 @@ function MyProposals() {
     // Refresh every 30 seconds
     const interval = setInterval(fetchMyProposals, 30000)
     return () => clearInterval(interval)
-  }, [getAllProposals, contractsLoading, chainId, contracts, account])
+  }, [getAllProposals, getEscrows, contractsLoading, chainId, contracts, account, eventVersion])
 
   const handleManage = (proposal) => {
     setSelectedProposal(proposal)
     setShowManage(true)
   }
 
-  const handleCloseManage = () => {
-    setShowManage(false)
-    setSelectedProposal(null)
-    // Refresh proposals
+  const refreshMyProposals = () => {
     if (contracts.governor && account) {
-      getAllProposals().then(allProposals => {
-        const myProposals = allProposals.filter(p => 
+      getAllProposals().then(async fetched => {
+        const myProposals = fetched.filter(p => 
           p.proposer && p.proposer.toLowerCase() === account.toLowerCase()
         )
+        setAllProposals(fetched)
         setProposals(myProposals)
+        setEscrows(await getEscrows(myProposals.map(p => p.id)))
       })
     }
   }
 
-  const formatAddress = (address) => {
-    if (!address) return 'Unknown'
-    return `${address.slice(0, 6)}...${address.slice(-4)}`
-  }
-
-  const parseProposalDescription = (description) => {
-    if (!description) return {}
-    
-    const lines = description.split('\n')
-    const parsed = {
-      title: '',
-      author: '',
-      category: '',
-      requestedAmount: '',
-      estimatedDuration: '',
-      description: ''
+  const handleProposeSettlement = async (kind, proposal) => {
+    if (!requireWallet()) return
+    setProposingSettlement(proposal.id)
+    try {
+      const title = parseProposalMetadata(proposal.description).title || `Proposal #${proposal.id}`
+      const result = await proposeEscrowSettlement(kind, proposal.id, title)
+      success(`${kind === 'release' ? 'Release' : 'Refund'} proposed${result.proposalId ? ` in Proposal #${result.proposalId}` : ''}. The escrow is settled once it passes and executes.`)
+      refreshMyProposals()
+    } catch (error) {
+      console.error('Error proposing escrow settlement:', error)
+      showError(error.reason || error.message || 'Failed to create the proposal')
+    } finally {
+      setProposingSettlement(null)
     }
+  }
 
-    let descriptionStart = false
-    let descriptionLines = []
-
-    lines.forEach(line => {
-      if (line.startsWith('Funding Request:')) {
-        parsed.title = line.replace('Funding Request:', '').trim()
-      } else if (line.startsWith('Author:')) {
-        parsed.author = line.replace('Author:', '').trim()
-      } else if (line.startsWith('Category:')) {
-        parsed.category = line.replace('Category:', '').trim()
-      } else if (line.startsWith('Requested Amount:')) {
-        parsed.requestedAmount = line.replace('Requested Amount:', '').trim()
-      } else if (line.startsWith('Estimated Duration:')) {
-        parsed.estimatedDuration = line.replace('Estimated Duration:', '').trim()
-      } else if (line.startsWith('Description:')) {
-        descriptionStart = true
-        const descText = line.replace('Description:', '').trim()
-        if (descText) descriptionLines.push(descText)
-      } else if (descriptionStart && line.trim()) {
-        descriptionLines.push(line.trim())
-      }
-    })
+  const handleCloseManage = () => {
+    setShowManage(false)
+    setSelectedProposal(null)
+    refreshMyProposals()
+  }
 
-    parsed.description = descriptionLines.join('\n')
-    return parsed
+  const formatAddress = (address) => {
+    if (!address) return 'Unknown'
+    return `${address.slice(0, 6)}...${address.slice(-4)}`
   }
 
   if (!account) {
@@ -181,7 +174,7 @@ function MyProposals() {
         ) : (
           <div className="my-proposals-grid">
             {proposals.map((proposal, index) => {
-              const parsed = parseProposalDescription(proposal.description)
+              const parsed = parseProposalMetadata(proposal.description)
               const votesFor = parseFloat(proposal.votesFor || 0)
               const votesAgainst = parseFloat(proposal.votesAgainst || 0)
               const totalVotes = votesFor + votesAgainst
@@ -198,33 +191,21 @@ function MyProposals() {
               )
               const hasUpdates = proposalUpdates.status || proposalUpdates.news
               
-              // Calculate total donations received for this proposal
-              const allDonations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-              const proposalDonations = allDonations.filter(d => {
-                const dProposalId = d.proposalId?.toString() || String(d.proposalId)
-                const pId = proposal.id?.toString() || String(proposal.id)
-                return dProposalId === pId && d.txHash && d.recipient
-              })
-              const totalDonationsReceived = proposalDonations.reduce((sum, d) => sum + parseFloat(d.amount || 0), 0)
-              const donationCount = proposalDonations.length
+              // Donations held for this proposal by the DonationContract
+              const escrow = escrows.get(proposal.id.toString()) || null
+              const escrowStatus = getEscrowStatus(escrow)
+              const totalDonationsReceived = escrow ? parseFloat(escrow.totalAmount) : 0
+              const donationCount = escrow ? escrow.donationCount : 0
               
-              // Get recipient address from proposal description or use proposer
-              const description = proposal.description || ''
-              let recipientAddress = proposal.proposer
-              const lines = description.split('\n')
-              for (const line of lines) {
-                if (line.toLowerCase().includes('recipient')) {
-                  const addressMatch = line.match(/0x[a-fA-F0-9]{40}/)
-                  if (addressMatch) {
-                    recipientAddress = addressMatch[0]
-                    break
-                  }
-                }
-              }
+              // Recipient recorded in the proposal metadata, or the proposer
+              const recipientAddress = parsed.recipient || proposal.proposer
               
               // Check if current user is the recipient
               const isRecipient = account && recipientAddress && account.toLowerCase() === recipientAddress.toLowerCase()
 
+              // Release after execution, refund after defeat - unless one is already proposed
+              const dueSettlement = hasOpenEscrowProposal(allProposals, proposal.id) ? null : getDueEscrowAction(proposal, escrow)
+
               return (
                 <motion.div
                   key={proposal.id}
@@ -377,7 +358,10 @@ function MyProposals() {
                         <div className="withdraw-info">
                           <span className="info-icon">ℹ️</span>
                           <span className="info-text">
-                            Funds are in your wallet. You can withdraw them anytime.
+                            {ESCROW_STATUS_LABELS[escrowStatus]}.{' '}
+                            {escrowStatus === 'escrowed' && 'Donations are paid to you when a DAO proposal releases the escrow.'}
+                            {escrowStatus === 'released' && 'The funds were sent to the investigator wallet.'}
+                            {escrowStatus === 'refunded' && 'Every donation was returned to its donor.'}
                             {chainId === 11155111 && recipientAddress && (
                               <a 
                                 href={`https://sepolia.etherscan.io/address/${recipientAddress}`}
@@ -401,6 +385,28 @@ function MyProposals() {
                     </div>
                   )}
 
+                  {/* Queue / execute once the vote has passed */}
+                  <ProposalLifecycle proposal={proposal} onUpdated={refreshMyProposals} />
+
+                  {dueSettlement && (
+                    <div className="escrow-settlement">
+                      <span className="escrow-settlement-text">
+                        {dueSettlement === 'release'
+                          ? `${escrow.totalAmount} ETH of donations is still in escrow. Propose releasing it to the investigator.`
+                          : `${escrow.totalAmount} ETH of donations is still in escrow. Propose refunding it to the donors.`}
+                      </span>
+                      <button
+                        className={`escrow-settlement-button ${dueSettlement}`}
+                        onClick={() => handleProposeSettlement(dueSettlement, proposal)}
+                        disabled={proposingSettlement !== null}
+                      >
+                        {proposingSettlement === proposal.id
+                          ? 'Proposing...'
+                          : dueSettlement === 'release' ? 'Propose Release' : 'Propose Refund'}
+                      </button>
+                    </div>
+                  )}
+
                   {/* Actions */}
                   <div className="proposal-actions">
                     <motion.button
@@ -424,6 +430,7 @@ function MyProposals() {
         <ManageProposal
           proposal={selectedProposal}
           onClose={handleCloseManage}
+          onRequestTranche={onRequestTranche}
         />
       )}
     </section>
@@ -0,0 +1,82 @@
+import React, { useState } from 'react'
+import { useToast } from '../contexts/ToastContext'
+import {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  browserNotificationsSupported,
+} from '../utils/notifications'
+import './NotificationSettings.css'
+
+/**
+ * Notification preferences, stored in this browser
+ * Alerts cover proposals the member follows and their own proposals.
+ */
+function NotificationSettings() {
+  const { success, error: showError } = useToast()
+  const [preferences, setPreferences] = useState(() => getNotificationPreferences())
+  const supported = browserNotificationsSupported()
+  const permission = supported ? Notification.permission : 'unsupported'
+
+  const update = (next) => {
+    setPreferences(next)
+    saveNotificationPreferences(next)
+  }
+
+  const handleBrowserToggle = async (enabled) => {
+    if (!enabled) {
+      update({ ...preferences, browser: false })
+      return
+    }
+    const result = Notification.permission === 'granted'
+      ? 'granted'
+      : await Notification.requestPermission()
+    if (result !== 'granted') {
+      showError('Browser notifications are blocked. Allow them in your browser settings to turn them on.')
+      return
+    }
+    update({ ...preferences, browser: true })
+    success('Browser notifications turned on')
+  }
+
+  return (
+    <div className="notification-settings">
+      <div className="notification-settings-header">
+        <h3 className="notification-settings-title">🔔 Notifications</h3>
+        <p className="notification-settings-note">
+          Alerts for proposals you follow (★ on the Proposals page) and proposals you created or that pay you.
+          Shown while VeritasDAO is open.
+        </p>
+      </div>
+
+      <label className="notification-option browser">
+        <input
+          type="checkbox"
+          checked={preferences.browser && permission === 'granted'}
+          onChange={(e) => handleBrowserToggle(e.target.checked)}
+          disabled={!supported || permission === 'denied'}
+        />
+        <span>
+          Also show browser notifications
+          {!supported && ' (not supported by this browser)'}
+          {permission === 'denied' && ' (blocked in browser settings)'}
+        </span>
+      </label>
+
+      <div className="notification-types">
+        {NOTIFICATION_TYPES.map(type => (
+          <label key={type.key} className="notification-option">
+            <input
+              type="checkbox"
+              checked={preferences.types[type.key]}
+              onChange={(e) => update({ ...preferences, types: { ...preferences.types, [type.key]: e.target.checked } })}
+            />
+            <span>{type.label}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default NotificationSettings
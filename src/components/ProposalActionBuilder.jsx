@@ -0,0 +1,268 @@
+import React from 'react'
+import { ethers } from 'ethers'
+import { parseAbiText, getWritableFunctions, encodeAction, decodeCalldata } from '../utils/proposalActions'
+import './ProposalActionBuilder.css'
+
+const CUSTOM_TARGET = 'custom'
+
+// Interfaces of the known contracts, built once per ABI
+const interfaceCache = new Map()
+
+let nextActionId = 1
+
+export const createEmptyAction = () => ({
+  id: nextActionId++,
+  targetName: '',
+  address: '',
+  abiText: '',
+  signature: '',
+  args: [],
+  value: '',
+})
+
+/**
+ * Resolve the address and interface an action calls
+ * @param {Object} action - Builder action
+ * @param {Array<Object>} targets - Known targets from getProposalTargets
+ * @returns {{address: string, iface: ethers.Interface}} Target (throws on a bad custom ABI)
+ */
+const resolveTarget = (action, targets) => {
+  if (action.targetName === CUSTOM_TARGET) {
+    return { address: action.address.trim(), iface: parseAbiText(action.abiText) }
+  }
+  const target = targets.find(t => t.name === action.targetName)
+  if (!target) {
+    throw new Error('Choose a target contract')
+  }
+  if (!interfaceCache.has(target.name)) {
+    interfaceCache.set(target.name, new ethers.Interface(target.abi))
+  }
+  return { address: target.address, iface: interfaceCache.get(target.name) }
+}
+
+/**
+ * Encode every builder action for Governor.propose
+ * @param {Array<Object>} actions - Builder actions
+ * @param {Array<Object>} targets - Known targets from getProposalTargets
+ * @returns {{targets: string[], values: bigint[], calldatas: string[]}} propose() inputs
+ */
+export function encodeBuilderActions(actions, targets) {
+  if (actions.length === 0) {
+    throw new Error('Add at least one action')
+  }
+  const encoded = actions.map((action, i) => {
+    try {
+      const { address, iface } = resolveTarget(action, targets)
+      return encodeAction({ target: address, iface, signature: action.signature, args: action.args, value: action.value })
+    } catch (error) {
+      throw new Error(`Action ${i + 1}: ${error.message}`)
+    }
+  })
+  return {
+    targets: encoded.map(a => a.target),
+    values: encoded.map(a => a.value),
+    calldatas: encoded.map(a => a.calldata),
+  }
+}
+
+// Input hints for parameter types that take structured text
+const getPlaceholder = (param) => {
+  if (param.isArray()) return 'Comma-separated values or a JSON array'
+  if (param.isTuple()) return `JSON: {${param.components.map(c => `"${c.name}": ...`).join(', ')}}`
+  if (param.baseType === 'address') return '0x...'
+  if (param.baseType === 'bool') return 'true or false'
+  if (param.baseType.startsWith('uint') || param.baseType.startsWith('int')) return 'Whole number (wei for token and ETH amounts)'
+  if (param.baseType.startsWith('bytes')) return '0x...'
+  return ''
+}
+
+/**
+ * Advanced proposal builder
+ * Any number of actions, each calling a function on a known DAO contract or on a
+ * pasted address + ABI, with typed arguments and a decoded calldata preview.
+ */
+function ProposalActionBuilder({ actions, onChange, targets, disabled }) {
+  const updateAction = (id, changes) => {
+    onChange(actions.map(action => (action.id === id ? { ...action, ...changes } : action)))
+  }
+
+  const removeAction = (id) => onChange(actions.filter(action => action.id !== id))
+
+  const addAction = () => onChange([...actions, createEmptyAction()])
+
+  return (
+    <div className="action-builder">
+      {actions.map((action, index) => {
+        let iface = null
+        let targetError = null
+        if (action.targetName) {
+          try {
+            iface = resolveTarget(action, targets).iface
+          } catch (error) {
+            targetError = error.message
+          }
+        }
+        const functions = iface ? getWritableFunctions(iface) : []
+        const fragment = iface && action.signature ? iface.getFunction(action.signature) : null
+
+        let preview = null
+        let previewError = null
+        if (fragment) {
+          try {
+            const { address } = resolveTarget(action, targets)
+            const encoded = encodeAction({ target: address, iface, signature: action.signature, args: action.args, value: action.value })
+            preview = { ...encoded, decoded: decodeCalldata(iface, encoded.calldata) }
+          } catch (error) {
+            previewError = error.message
+          }
+        }
+
+        return (
+          <div key={action.id} className="action-card">
+            <div className="action-card-header">
+              <span className="action-card-title">Action {index + 1}</span>
+              {actions.length > 1 && (
+                <button
+                  type="button"
+                  className="action-remove-button"
+                  onClick={() => removeAction(action.id)}
+                  disabled={disabled}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>Target Contract *</label>
+              <select
+                value={action.targetName}
+                onChange={(e) => updateAction(action.id, { targetName: e.target.value, signature: '', args: [], value: '' })}
+                disabled={disabled}
+              >
+                <option value="">Select a contract</option>
+                {targets.map(target => (
+                  <option key={target.name} value={target.name}>
+                    {target.name} ({target.address.slice(0, 6)}...{target.address.slice(-4)})
+                  </option>
+                ))}
+                <option value={CUSTOM_TARGET}>Other contract (paste address and ABI)</option>
+              </select>
+            </div>
+
+            {action.targetName === CUSTOM_TARGET && (
+              <>
+                <div className="form-group">
+                  <label>Contract Address *</label>
+                  <input
+                    type="text"
+                    value={action.address}
+                    onChange={(e) => updateAction(action.id, { address: e.target.value })}
+                    placeholder="0x..."
+                    disabled={disabled}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Contract ABI *</label>
+                  <textarea
+                    rows="4"
+                    className="action-abi-input"
+                    value={action.abiText}
+                    onChange={(e) => updateAction(action.id, { abiText: e.target.value, signature: '', args: [] })}
+                    placeholder={'JSON ABI, or one signature per line:\nfunction transfer(address to, uint256 amount)'}
+                    disabled={disabled}
+                  />
+                  {action.abiText.trim() && targetError && (
+                    <small className="action-error">{targetError}</small>
+                  )}
+                </div>
+              </>
+            )}
+
+            {iface && (
+              <div className="form-group">
+                <label>Function *</label>
+                <select
+                  value={action.signature}
+                  onChange={(e) => updateAction(action.id, { signature: e.target.value, args: [], value: '' })}
+                  disabled={disabled}
+                >
+                  <option value="">Select a function</option>
+                  {functions.map(fn => (
+                    <option key={fn.format()} value={fn.format()}>{fn.format('full').replace(/^function /, '')}</option>
+                  ))}
+                </select>
+                {functions.length === 0 && (
+                  <small className="form-hint">This ABI has no state-changing functions.</small>
+                )}
+              </div>
+            )}
+
+            {fragment && fragment.inputs.map((param, i) => (
+              <div key={`${fragment.format()}-${i}`} className="form-group">
+                <label>
+                  {param.name || `Argument ${i + 1}`} <span className="action-param-type">{param.type}</span>
+                </label>
+                <input
+                  type="text"
+                  value={action.args[i] ?? ''}
+                  onChange={(e) => {
+                    const args = [...action.args]
+                    args[i] = e.target.value
+                    updateAction(action.id, { args })
+                  }}
+                  placeholder={getPlaceholder(param)}
+                  disabled={disabled}
+                />
+              </div>
+            ))}
+
+            {fragment && fragment.payable && (
+              <div className="form-group">
+                <label>ETH Value</label>
+                <input
+                  type="text"
+                  value={action.value}
+                  onChange={(e) => updateAction(action.id, { value: e.target.value })}
+                  placeholder="0.0"
+                  disabled={disabled}
+                />
+                <small className="form-hint">Sent from the timelock when the proposal executes</small>
+              </div>
+            )}
+
+            {fragment && (
+              <div className="action-preview">
+                <div className="action-preview-title">Preview</div>
+                {previewError ? (
+                  <div className="action-error">{previewError}</div>
+                ) : (
+                  <>
+                    <div className="action-preview-call">
+                      {preview.target.slice(0, 6)}...{preview.target.slice(-4)}.{preview.decoded.signature}
+                      {preview.value > 0n && ` with ${ethers.formatEther(preview.value)} ETH`}
+                    </div>
+                    <ul className="action-preview-args">
+                      {preview.decoded.args.map(arg => (
+                        <li key={arg.name}>
+                          <span className="action-param-type">{arg.type}</span> {arg.name}: <code>{arg.value}</code>
+                        </li>
+                      ))}
+                    </ul>
+                    <code className="action-preview-calldata">{preview.calldata}</code>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      <button type="button" className="action-add-button" onClick={addAction} disabled={disabled}>
+        + Add Action
+      </button>
+    </div>
+  )
+}
+
+export default ProposalActionBuilder
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useContracts } from '../hooks/useContracts'
+import { useWallet } from '../contexts/WalletContext'
+import { useToast } from '../contexts/ToastContext'
+import { MAX_COMMENT_LENGTH } from '../utils/discussion'
+import './ProposalDiscussion.css'
+
+// Replies nest up to this depth; deeper replies attach to the last level
+const MAX_REPLY_DEPTH = 3
+
+const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+})
+
+/**
+ * Discussion thread under a proposal
+ * Comments, edits and deletions are signed by the commenter's wallet; each
+ * comment shows the author's current voting power and journalist verification.
+ */
+function ProposalDiscussion({ proposalId, defaultOpen = false }) {
+  const { account, requireWallet } = useWallet()
+  const { getDiscussion, postComment, editComment, deleteComment } = useContracts()
+  const { success, error: showError } = useToast()
+  const [open, setOpen] = useState(defaultOpen)
+  const [thread, setThread] = useState(null)
+  const [draft, setDraft] = useState('')
+  // Open reply or edit box: { mode: 'reply' | 'edit', commentId, text }
+  const [composer, setComposer] = useState(null)
+  const [historyOpen, setHistoryOpen] = useState({})
+  const [busy, setBusy] = useState(false)
+
+  const loadThread = useCallback(async () => {
+    const result = await getDiscussion(proposalId)
+    setThread(result)
+  }, [getDiscussion, proposalId])
+
+  useEffect(() => {
+    if (open) loadThread()
+  }, [open, loadThread])
+
+  const run = async (task, message) => {
+    if (!requireWallet()) return false
+    setBusy(true)
+    try {
+      await task()
+      success(message)
+      await loadThread()
+      return true
+    } catch (error) {
+      console.error('Error updating discussion:', error)
+      showError(error.message || 'Failed to update the discussion')
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handlePost = async (e) => {
+    e.preventDefault()
+    if (!draft.trim()) return
+    if (await run(() => postComment(proposalId, draft), 'Comment posted')) setDraft('')
+  }
+
+  const handleComposerSubmit = async (e) => {
+    e.preventDefault()
+    if (!composer.text.trim()) return
+    const done = composer.mode === 'reply'
+      ? await run(() => postComment(proposalId, composer.text, composer.commentId), 'Reply posted')
+      : await run(() => editComment(proposalId, composer.commentId, composer.text), 'Comment updated')
+    if (done) setComposer(null)
+  }
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment? Its text and edit history will be removed from the thread.')) return
+    await run(() => deleteComment(proposalId, comment.id), 'Comment deleted')
+  }
+
+  const renderComposer = () => (
+    <form className="discussion-composer nested" onSubmit={handleComposerSubmit}>
+      <textarea
+        rows="2"
+        maxLength={MAX_COMMENT_LENGTH}
+        value={composer.text}
+        onChange={(e) => setComposer(prev => ({ ...prev, text: e.target.value }))}
+        placeholder={composer.mode === 'reply' ? 'Write a reply...' : 'Edit your comment...'}
+        disabled={busy}
+        autoFocus
+      />
+      <div className="discussion-composer-actions">
+        <button type="button" className="discussion-link" onClick={() => setComposer(null)} disabled={busy}>
+          Cancel
+        </button>
+        <button type="submit" className="discussion-submit" disabled={busy || !composer.text.trim()}>
+          {busy ? 'Signing...' : composer.mode === 'reply' ? 'Sign & Reply' : 'Sign & Save'}
+        </button>
+      </div>
+    </form>
+  )
+
+  const renderComment = (comment, depth) => {
+    const info = thread.authors[comment.author] || {}
+    const isOwn = account && comment.author.toLowerCase() === account.toLowerCase()
+    const composing = composer?.commentId === comment.id
+
+    return (
+      <li key={comment.id} className={`discussion-comment ${comment.deleted ? 'deleted' : ''}`}>
+        <div className="discussion-meta">
+          <span className="discussion-author">{formatAddress(comment.author)}</span>
+          {info.verified && <span className="discussion-badge">✓ Journalist</span>}
+          {info.votingPower !== null && info.votingPower !== undefined && (
+            <span className="discussion-power">{parseFloat(info.votingPower).toLocaleString()} VERITAS</span>
+          )}
+          <span className="discussion-time">{formatTime(comment.createdAt)}</span>
+        </div>
+
+        {comment.deleted ? (
+          <p className="discussion-body">Comment deleted by its author.</p>
+        ) : composing && composer.mode === 'edit' ? (
+          renderComposer()
+        ) : (
+          <p className="discussion-body">{comment.body}</p>
+        )}
+
+        {!comment.deleted && !(composing && composer.mode === 'edit') && (
+          <div className="discussion-actions">
+            {depth < MAX_REPLY_DEPTH && (
+              <button className="discussion-link" onClick={() => setComposer({ mode: 'reply', commentId: comment.id, text: '' })}>
+                Reply
+              </button>
+            )}
+            {isOwn && (
+              <>
+                <button className="discussion-link" onClick={() => setComposer({ mode: 'edit', commentId: comment.id, text: comment.body })}>
+                  Edit
+                </button>
+                <button className="discussion-link danger" onClick={() => handleDelete(comment)} disabled={busy}>
+                  Delete
+                </button>
+              </>
+            )}
+            {comment.history.length > 1 && (
+              <button
+                className="discussion-link"
+                onClick={() => setHistoryOpen(prev => ({ ...prev, [comment.id]: !prev[comment.id] }))}
+              >
+                Edited {formatTime(comment.editedAt)} · {historyOpen[comment.id] ? 'Hide' : 'Show'} {comment.history.length} signed versions
+              </button>
+            )}
+          </div>
+        )}
+
+        {historyOpen[comment.id] && !comment.deleted && (
+          <ol className="discussion-history">
+            {comment.history.map(version => (
+              <li key={version.signature}>
+                <span className="discussion-time">{formatTime(version.timestamp)}</span>
+                <span className="discussion-signature" title={version.signature}>
+                  sig {version.signature.slice(0, 10)}...
+                </span>
+                <p>{version.body}</p>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {composing && composer.mode === 'reply' && renderComposer()}
+
+        {comment.replies.length > 0 && (
+          <ul className="discussion-replies">
+            {comment.replies.map(reply => renderComment(reply, depth + 1))}
+          </ul>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <div className="proposal-discussion">
+      <button className="discussion-toggle" onClick={() => setOpen(prev => !prev)}>
+        💬 Discussion{thread ? ` (${thread.count})` : ''} {open ? '▲' : '▼'}
+      </button>
+
+      {open && (
+        <div className="discussion-content">
+          {!thread ? (
+            <div className="discussion-empty">Loading discussion...</div>
+          ) : (
+            <>
+              {thread.error && <div className="discussion-error">{thread.error}</div>}
+              {!thread.shared && (
+                <div className="discussion-note">
+                  Comments are kept in this browser. Set VITE_RELAYER_URL to share them through the relayer.
+                </div>
+              )}
+
+              {thread.comments.length === 0 ? (
+                <div className="discussion-empty">No comments yet. Start the discussion before voting ends.</div>
+              ) : (
+                <ul className="discussion-list">
+                  {thread.comments.map(comment => renderComment(comment, 1))}
+                </ul>
+              )}
+
+              <form className="discussion-composer" onSubmit={handlePost}>
+                <textarea
+                  rows="3"
+                  maxLength={MAX_COMMENT_LENGTH}
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  placeholder={account ? 'Share your view on this proposal...' : 'Connect your wallet to comment'}
+                  disabled={busy}
+                />
+                <div className="discussion-composer-actions">
+                  <span className="discussion-hint">
+                    Signed with your wallet{thread.shared ? ' · needs voting power' : ''} · {draft.length}/{MAX_COMMENT_LENGTH}
+                  </span>
+                  <button type="submit" className="discussion-submit" disabled={busy || !draft.trim()}>
+                    {busy ? 'Signing...' : 'Sign & Post'}
+                  </button>
+                </div>
+              </form>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ProposalDiscussion
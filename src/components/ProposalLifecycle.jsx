@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { useWallet } from '../contexts/WalletContext'
+import { useContracts } from '../hooks/useContracts'
+import { useToast } from '../contexts/ToastContext'
+import { formatCountdown } from '../utils/contractHelpers'
+import './ProposalLifecycle.css'
+
+/**
+ * Queue and execute controls for proposals that passed the vote
+ * Succeeded proposals can be queued in the timelock by anyone; queued proposals
+ * become executable once the timelock ETA has passed.
+ */
+function ProposalLifecycle({ proposal, onUpdated }) {
+  const { requireWallet } = useWallet()
+  const { queueProposal, executeProposal } = useContracts()
+  const { success, error: showError } = useToast()
+  const [pendingAction, setPendingAction] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  const isQueued = proposal.state === 'Queued'
+  const etaTimestamp = proposal.etaTimestamp
+
+  // Tick every second while waiting for the timelock delay
+  useEffect(() => {
+    if (!isQueued || !etaTimestamp) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [isQueued, etaTimestamp])
+
+  if (proposal.state !== 'Succeeded' && !isQueued) return null
+
+  const isReady = isQueued && etaTimestamp && now >= etaTimestamp
+
+  const handleQueue = async () => {
+    if (!requireWallet()) return
+    setPendingAction('queue')
+    try {
+      const txHash = await queueProposal(proposal.id)
+      success(`Proposal queued in the timelock. Transaction: ${txHash.slice(0, 10)}...`)
+      if (onUpdated) onUpdated()
+    } catch (error) {
+      showError(error.reason || error.message || 'Failed to queue proposal')
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const handleExecute = async () => {
+    if (!requireWallet()) return
+    setPendingAction('execute')
+    try {
+      const txHash = await executeProposal(proposal.id)
+      success(`Proposal executed! Transaction: ${txHash.slice(0, 10)}...`)
+      if (onUpdated) onUpdated()
+    } catch (error) {
+      showError(error.reason || error.message || 'Failed to execute proposal')
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  return (
+    <div className="proposal-lifecycle">
+      {isQueued ? (
+        <div className="lifecycle-status">
+          <span className="lifecycle-icon">⏳</span>
+          <span className="lifecycle-text">
+            {!etaTimestamp
+              ? 'Queued in the timelock'
+              : isReady
+                ? 'Timelock delay has passed - ready to execute'
+                : `Executable in ${formatCountdown(etaTimestamp, now)}`}
+          </span>
+        </div>
+      ) : (
+        <div className="lifecycle-status">
+          <span className="lifecycle-icon">✓</span>
+          <span className="lifecycle-text">Passed - queue it to start the timelock delay</span>
+        </div>
+      )}
+
+      {isQueued ? (
+        <motion.button
+          className="lifecycle-button"
+          onClick={handleExecute}
+          disabled={!isReady || pendingAction !== null}
+          whileHover={isReady && !pendingAction ? { scale: 1.02, y: -2 } : {}}
+          whileTap={isReady && !pendingAction ? { scale: 0.98 } : {}}
+        >
+          {pendingAction === 'execute' ? 'Executing...' : 'Execute'}
+        </motion.button>
+      ) : (
+        <motion.button
+          className="lifecycle-button"
+          onClick={handleQueue}
+          disabled={pendingAction !== null}
+          whileHover={!pendingAction ? { scale: 1.02, y: -2 } : {}}
+          whileTap={!pendingAction ? { scale: 0.98 } : {}}
+        >
+          {pendingAction === 'queue' ? 'Queueing...' : 'Queue for Execution'}
+        </motion.button>
+      )}
+    </div>
+  )
+}
+
+export default ProposalLifecycle
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react'
+import { useContracts } from '../hooks/useContracts'
+import { useWallet } from '../contexts/WalletContext'
+import { useToast } from '../contexts/ToastContext'
+import { checkNotifications, showBrowserNotification } from '../utils/notifications'
+
+// Deadlines pass and donations arrive without Governor events, so re-check on a timer too
+const CHECK_INTERVAL = 2 * 60 * 1000
+
+/**
+ * Background watcher for proposal alerts
+ * Checks followed and own proposals whenever a Governor event arrives and on a
+ * timer, then shows each due alert as a toast and, if enabled, a browser
+ * notification. Renders nothing.
+ */
+function ProposalNotifier() {
+  const { account } = useWallet()
+  const { getAllProposals, getDonationEvents, eventVersion, contracts } = useContracts()
+  const { info } = useToast()
+  const [tick, setTick] = useState(0)
+
+  useEffect(() => {
+    const interval = setInterval(() => setTick(t => t + 1), CHECK_INTERVAL)
+    return () => clearInterval(interval)
+  }, [])
+
+  useEffect(() => {
+    if (!account || !contracts.governor) return
+    let cancelled = false
+
+    const check = async () => {
+      const [proposals, donations] = await Promise.all([getAllProposals(), getDonationEvents()])
+      if (cancelled) return
+      const alerts = checkNotifications({ proposals, donations, account })
+      alerts.forEach(alert => {
+        showBrowserNotification(alert)
+        info(alert.message, 10000)
+      })
+    }
+
+    check().catch(error => console.error('Error checking notifications:', error))
+    return () => { cancelled = true }
+  }, [account, contracts.governor, eventVersion, tick, getAllProposals, getDonationEvents, info])
+
+  return null
+}
+
+export default ProposalNotifier
@@ -5,17 +5,29 @@ import { useWallet } from '../contexts/WalletContext'
 import { useToast } from '../contexts/ToastContext'
 import { getContractAddresses } from '../config/contracts'
 import { isSupportedNetwork, formatTimeRemaining } from '../utils/contractHelpers'
+import { getProposalTitle } from '../utils/proposalMetadata'
+import ProposalLifecycle from './ProposalLifecycle'
+import VoteRationales from './VoteRationales'
+import RelayerStatus from './RelayerStatus'
+import SettingChanges from './SettingChanges'
+import QuorumProgress from './QuorumProgress'
+import ProposalDiscussion from './ProposalDiscussion'
+import { getFollowedProposals, setProposalFollowed } from '../utils/notifications'
 import './Proposals.css'
 
 function Proposals() {
-  const { account, chainId } = useWallet()
-  const { getAllProposals, vote, getVotingPower, getVotingPowerAtBlock, getProposalVotes, isLoading: contractsLoading, contracts } = useContracts()
+  const { account, chainId, requireWallet } = useWallet()
+  const { getAllProposals, vote, relayVote, getVotingPower, getVotingPowerAtBlock, isLoading: contractsLoading, contracts, eventVersion } = useContracts()
   const { success, error: showError } = useToast()
   const [proposals, setProposals] = useState([])
   const [loading, setLoading] = useState(true)
   const [voting, setVoting] = useState({})
-  const [filter, setFilter] = useState('all') // all, active, succeeded, defeated
+  const [reasons, setReasons] = useState({})
+  const [gasless, setGasless] = useState(false)
+  const [filter, setFilter] = useState('all') // all, active, succeeded, queued, defeated
   const [error, setError] = useState(null)
+  // Proposals this browser gets notifications for
+  const [followed, setFollowed] = useState(() => getFollowedProposals())
 
   useEffect(() => {
     if (contractsLoading) return
@@ -58,11 +70,16 @@ function Proposals() {
     return () => clearInterval(interval)
   }, [getAllProposals, contractsLoading, chainId, contracts, filter])
 
+  // Reload quietly when proposals, votes or lifecycle changes land on chain
+  useEffect(() => {
+    if (eventVersion === 0) return
+    getAllProposals()
+      .then(setProposals)
+      .catch(error => console.error('Error refreshing proposals:', error))
+  }, [eventVersion, getAllProposals])
+
   const handleVote = async (proposalId, voteType) => {
-    if (!account) {
-      showError('Please connect your wallet to vote')
-      return
-    }
+    if (!requireWallet()) return
 
     // Check if user is proposer
     const proposal = proposals.find(p => p.id === proposalId)
@@ -112,88 +129,19 @@ function Proposals() {
 
     try {
       const effectivePower = votingPowerAtSnapshot || votingPower
-      const txHash = await vote(proposalId, support)
+      const castVote = gasless ? relayVote : vote
+      const txHash = await castVote(proposalId, support, reasons[proposalId] || '')
+      setReasons(prev => ({ ...prev, [proposalId]: '' }))
       success(
         `Vote submitted! Transaction: ${txHash.slice(0, 10)}... ` +
         `Using ${parseFloat(effectivePower).toFixed(2)} VERITAS voting power (at snapshot block). ` +
-        `Vote count will update shortly.`
-      )
-      
-      // Immediately try to get updated vote count after transaction confirmation
-      if (getProposalVotes) {
-        setTimeout(async () => {
-          try {
-            const voteData = await getProposalVotes(proposalId)
-            if (voteData) {
-              // Update the specific proposal in state
-              setProposals(prevProposals => 
-                prevProposals.map(p => 
-                  p.id === proposalId 
-                    ? { 
-                        ...p, 
-                        votesFor: voteData.for, 
-                        votesAgainst: voteData.against,
-                        votesAbstain: voteData.abstain || '0',
-                        hasVoted: true
-                      }
-                    : p
-                )
-              )
-            }
-          } catch (err) {
-          }
-        }, 2000) // Wait 2 seconds after transaction confirmation
-      }
-      
-      // Track voter in localStorage for early access
-      const allVotes = JSON.parse(localStorage.getItem('proposal_votes') || '[]')
-      const voteRecord = {
-        proposalId: proposalId,
-        voter: account,
-        support: support,
-        timestamp: Date.now(),
-        txHash: txHash
-      }
-      // Remove existing vote for this proposal from this voter
-      const filteredVotes = allVotes.filter(v => 
-        !(v.proposalId === proposalId && v.voter.toLowerCase() === account.toLowerCase())
+        `Vote counts update live.`
       )
-      filteredVotes.push(voteRecord)
-      localStorage.setItem('proposal_votes', JSON.stringify(filteredVotes))
       
-      // Wait for block confirmation and refresh proposals multiple times
-      // First refresh after 3 seconds (immediate after confirmation)
-      setTimeout(async () => {
-        try {
-          const allProposals = await getAllProposals()
-          const updatedProposal = allProposals.find(p => p.id === proposalId)
-          setProposals(allProposals)
-          
-          // Refresh again after another 5 seconds
-          setTimeout(async () => {
-            try {
-              const allProposals2 = await getAllProposals()
-              const updatedProposal2 = allProposals2.find(p => p.id === proposalId)
-              setProposals(allProposals2)
-              
-              // Final refresh after another 7 seconds
-              setTimeout(async () => {
-                try {
-                  const allProposals3 = await getAllProposals()
-                  const updatedProposal3 = allProposals3.find(p => p.id === proposalId)
-                  setProposals(allProposals3)
-                } catch (err) {
-                  console.error('[REFRESH] Error in final refresh:', err)
-                }
-              }, 7000)
-            } catch (err) {
-              console.error('[REFRESH] Error in second refresh:', err)
-            }
-          }, 5000)
-        } catch (err) {
-          console.error('[REFRESH] Error in first refresh:', err)
-        }
-      }, 3000)
+      // The vote is mined - show it now; other members' votes arrive via VoteCast events
+      getAllProposals()
+        .then(setProposals)
+        .catch(error => console.error('Error refreshing proposals:', error))
     } catch (error) {
       console.error('Error voting:', error)
       showError(error.message || 'Failed to submit vote')
@@ -206,6 +154,13 @@ function Proposals() {
     }
   }
 
+  // Show the new state right after a queue or execute transaction is mined
+  const handleLifecycleUpdated = () => {
+    getAllProposals()
+      .then(setProposals)
+      .catch(error => console.error('Error refreshing proposals:', error))
+  }
+
   const handleRefresh = async () => {
     setLoading(true)
     try {
@@ -297,6 +252,12 @@ function Proposals() {
           >
             Succeeded
           </button>
+          <button
+            className={`filter-button ${filter === 'queued' ? 'active' : ''}`}
+            onClick={() => setFilter('queued')}
+          >
+            Queued
+          </button>
           <button
             className={`filter-button ${filter === 'defeated' ? 'active' : ''}`}
             onClick={() => setFilter('defeated')}
@@ -305,6 +266,8 @@ function Proposals() {
           </button>
         </div>
 
+        <RelayerStatus gasless={gasless} onGaslessChange={setGasless} />
+
         {filteredProposals.length === 0 ? (
           <div className="empty-state">No proposals found.</div>
         ) : (
@@ -337,19 +300,44 @@ function Proposals() {
                 >
                   <div className="proposal-header">
                     <div className="proposal-id">Proposal #{proposal.id.padStart(3, '0')}</div>
-                    <div className={`proposal-status ${proposal.state.toLowerCase()}-badge`}>
-                      {proposal.state}
+                    <div className="proposal-header-actions">
+                      <button
+                        className={`proposal-follow-button ${followed.includes(proposal.id) ? 'following' : ''}`}
+                        onClick={() => setFollowed(setProposalFollowed(proposal.id, !followed.includes(proposal.id)))}
+                        title="Get notified when this proposal changes state"
+                      >
+                        {followed.includes(proposal.id) ? '★ Following' : '☆ Follow'}
+                      </button>
+                      <div className={`proposal-status ${proposal.state.toLowerCase()}-badge`}>
+                        {proposal.state}
+                      </div>
                     </div>
                   </div>
 
                   <h3 className="proposal-title">
-                    {proposal.description || `Proposal #${proposal.id}`}
+                    {getProposalTitle(proposal)}
                   </h3>
 
                   <div className="proposal-meta">
                     <span className="proposal-author">Proposer: {formatAddress(proposal.proposer)}</span>
+                    {proposal.funding.length > 0 && (
+                      <span className="proposal-funding">
+                        Requesting {proposal.funding.map(payout => payout.formatted).join(' + ')}
+                      </span>
+                    )}
+                    {proposal.escrowActions.map(action => (
+                      <span key={`${action.kind}-${action.proposalId}`} className="proposal-funding">
+                        {action.kind === 'release' ? 'Releases' : 'Refunds'} donation escrow of Proposal #{action.proposalId}
+                      </span>
+                    ))}
                   </div>
 
+                  {proposal.settingChanges.length > 0 && (
+                    <SettingChanges changes={proposal.settingChanges} />
+                  )}
+
+                  <QuorumProgress proposal={proposal} />
+
                   <div className="proposal-votes">
                     <div className="vote-progress-container">
                       {totalVotes > 0 ? (
@@ -424,6 +412,17 @@ function Proposals() {
                         </div>
                       ) : (
                         <>
+                          {!hasVoted && (
+                            <textarea
+                              className="vote-reason-input"
+                              rows="2"
+                              maxLength={1000}
+                              value={reasons[proposal.id] || ''}
+                              onChange={(e) => setReasons(prev => ({ ...prev, [proposal.id]: e.target.value }))}
+                              placeholder="Why are you voting this way? (optional, stored on-chain)"
+                              disabled={isVoting}
+                            />
+                          )}
                           <motion.button
                             className="vote-button vote-for"
                             onClick={() => handleVote(proposal.id, 'for')}
@@ -452,6 +451,12 @@ function Proposals() {
                       )}
                     </div>
                   )}
+
+                  <ProposalLifecycle proposal={proposal} onUpdated={handleLifecycleUpdated} />
+
+                  {proposal.state !== 'Pending' && <VoteRationales proposalId={proposal.id} />}
+
+                  <ProposalDiscussion proposalId={proposal.id} />
                 </motion.div>
               )
             })}
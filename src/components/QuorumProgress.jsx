@@ -0,0 +1,59 @@
+import React from 'react'
+import { getQuorumStatus } from '../utils/proposalOutcome'
+import './QuorumProgress.css'
+
+const formatVotes = (value) => parseFloat(value).toLocaleString(undefined, { maximumFractionDigits: 2 })
+
+/**
+ * Quorum progress, vote differential and projected outcome for a proposal card
+ */
+function QuorumProgress({ proposal }) {
+  const status = getQuorumStatus(proposal)
+
+  if (!status) {
+    return (
+      <div className="quorum-progress">
+        <span className="quorum-note">Quorum is fixed at the snapshot block when voting starts.</span>
+      </div>
+    )
+  }
+
+  const differential = parseFloat(status.differential)
+
+  return (
+    <div className={`quorum-progress ${status.quorumAtRisk ? 'at-risk' : ''}`}>
+      <div className="quorum-header">
+        <span className="quorum-label">Quorum</span>
+        <span className="quorum-value">
+          {formatVotes(status.counted)} / {formatVotes(status.quorum)} VERITAS
+          {status.quorumReached && ' ✓'}
+        </span>
+      </div>
+      <div className="quorum-bar">
+        <div
+          className={`quorum-bar-fill ${status.quorumReached ? 'reached' : ''}`}
+          style={{ width: `${status.progress}%` }}
+        />
+      </div>
+      <div className="quorum-details">
+        <span>For + Abstain count toward quorum</span>
+        <span>
+          Differential: {differential > 0 ? '+' : ''}{formatVotes(status.differential)} For
+        </span>
+      </div>
+      {!status.final && (
+        <div className={`quorum-outcome ${status.quorumReached && status.majority ? 'passing' : 'failing'}`}>
+          If voting ended now: {status.projectedOutcome}
+        </div>
+      )}
+      {status.quorumAtRisk && (
+        <div className="quorum-warning">
+          ⚠ On track to be Defeated for lack of quorum - {formatVotes(status.remaining)} more VERITAS
+          of For or Abstain votes needed before the deadline.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default QuorumProgress
@@ -4,11 +4,14 @@ import { useContracts } from '../hooks/useContracts'
 import { useWallet } from '../contexts/WalletContext'
 import { useToast } from '../contexts/ToastContext'
 import { isSupportedNetwork, formatTimeRemaining } from '../utils/contractHelpers'
+import { parseProposalMetadata } from '../utils/proposalMetadata'
+import { getEarlyAccess } from '../utils/earlyAccess'
+import { getEncryptedLength } from '../utils/articleEncryption'
 import './Read.css'
 
 function Read({ onArticleClick }) {
   const { account, chainId } = useWallet()
-  const { getAllProposals, contracts, isLoading: contractsLoading } = useContracts()
+  const { getAllProposals, getDonationEvents, getEarlyAccessGrants, getEarlyAccessEnvelopes, contracts, isLoading: contractsLoading, eventVersion } = useContracts()
   const { error: showError } = useToast()
   const [articles, setArticles] = useState([])
   const [loading, setLoading] = useState(true)
@@ -16,53 +19,6 @@ function Read({ onArticleClick }) {
   const [visibilityFilter, setVisibilityFilter] = useState('all') // all, public, early-access
   const [error, setError] = useState(null)
 
-  // Check if user has access to a proposal
-  const checkUserAccess = async (proposal, account) => {
-    if (!account) return { hasAccess: false, isDonator: false, isVoter: false, votedFor: false }
-
-    let isDonator = false
-    let isVoter = false
-    let votedFor = false
-
-    // Check donations
-    const savedDonations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-    const userDonations = savedDonations.filter(d => 
-      d.proposalId === proposal.id && d.recipient && d.txHash
-    )
-    isDonator = userDonations.length > 0
-
-    // Check votes
-    try {
-      const hasVoted = await contracts.governor.hasVoted(proposal.id, account)
-      if (hasVoted) {
-        isVoter = true
-        // Check if voted "For"
-        const voteFilter = contracts.governor.filters.VoteCast(account, proposal.id)
-        const voteEvents = await contracts.governor.queryFilter(voteFilter)
-        
-        if (voteEvents.length > 0) {
-          const voteEvent = voteEvents[voteEvents.length - 1]
-          try {
-            const iface = contracts.governor.interface
-            const decoded = iface.decodeEventLog(
-              'VoteCast',
-              voteEvent.data,
-              voteEvent.topics
-            )
-            votedFor = decoded.support === 1n
-          } catch (parseError) {
-            console.error('Error parsing vote event:', parseError)
-          }
-        }
-      }
-    } catch (voteError) {
-      console.error('Error checking vote:', voteError)
-    }
-
-    const hasAccess = isDonator || (isVoter && votedFor)
-    return { hasAccess, isDonator, isVoter, votedFor }
-  }
-
   useEffect(() => {
     if (contractsLoading) return
 
@@ -81,10 +37,12 @@ function Read({ onArticleClick }) {
     }
 
     const fetchArticles = async () => {
-      setLoading(true)
+      // Live refreshes (eventVersion > 0) update the list in place
+      if (eventVersion === 0) setLoading(true)
       setError(null)
       try {
-        const allProposals = await getAllProposals()
+        const [allProposals, donations] = await Promise.all([getAllProposals(), getDonationEvents()])
+        const grants = await getEarlyAccessGrants(allProposals.map(p => p.id))
         const accessibleArticles = []
         
         for (const proposal of allProposals) {
@@ -97,56 +55,35 @@ function Read({ onArticleClick }) {
               localStorage.getItem(`proposal_settings_${proposalId}`) || '{}'
             )
             
-            // Also check from proposal description (for backward compatibility)
-            let readVisibility = proposalSettings.readVisibility
-            if (!readVisibility) {
-              const description = proposal.description || ''
-              const lines = description.split('\n')
-              lines.forEach(line => {
-                if (line.startsWith('Read Visibility:')) {
-                  readVisibility = line.replace('Read Visibility:', '').trim()
-                }
-              })
-            }
+            // Fall back to the visibility recorded in the proposal metadata
+            const metadata = parseProposalMetadata(proposal.description)
+            const readVisibility = proposalSettings.readVisibility || metadata.readVisibility
 
             // Skip if visibility is 'none' or not set
             if (!readVisibility || readVisibility === 'none') {
               continue
             }
 
-            // Parse proposal description first to get title, author, category
-            const description = proposal.description || ''
-            const lines = description.split('\n')
-            
-            let title = `Investigation Report #${proposal.id}`
-            let author = 'Unknown'
-            let category = 'Other'
-
-            lines.forEach(line => {
-              if (line.startsWith('Funding Request:')) {
-                title = line.replace('Funding Request:', '').trim()
-              } else if (line.startsWith('Author:')) {
-                author = line.replace('Author:', '').trim()
-              } else if (line.startsWith('Category:')) {
-                category = line.replace('Category:', '').trim()
-              }
-            })
+            const title = metadata.title || `Investigation Report #${proposal.id}`
+            const author = metadata.author || 'Unknown'
+            const category = metadata.category || 'Other'
 
-            // Get news updates from localStorage
+            // Get news updates from localStorage, and the encrypted ones signed by the proposer
             const proposalUpdates = JSON.parse(
               localStorage.getItem(`proposal_updates_${proposalId}`) || '{}'
             )
-            let newsUpdates = proposalUpdates.news || []
+            const earlyAccessEnvelopes = await getEarlyAccessEnvelopes(proposal)
+            let newsUpdates = [
+              ...(proposalUpdates.news || []).filter(update => !update.encrypted),
+              ...earlyAccessEnvelopes.updates,
+            ]
 
 
             // If no news updates but visibility is set, try to create article from articleContent
             if (newsUpdates.length === 0 && readVisibility) {
               // Check if articleContent was saved during proposal submission
               // It should be in the first news update if it exists
-              const descriptionStart = description.indexOf('Description:')
-              let content = descriptionStart !== -1 
-                ? description.substring(descriptionStart + 12).trim()
-                : description
+              let content = metadata.body
 
               // Also check if there's articleContent saved separately
               // This happens when user submits proposal with readVisibility set
@@ -158,6 +95,8 @@ function Read({ onArticleClick }) {
                 }
               }
 
+              const encryptedArticle = earlyAccessEnvelopes.article
+
               if (content && content.length >= 50) {
                 // Create a default news update from content
                 const defaultUpdate = {
@@ -168,6 +107,14 @@ function Read({ onArticleClick }) {
                   proposer: proposal.proposer
                 }
                 newsUpdates = [defaultUpdate] // Use array directly
+              } else if (encryptedArticle) {
+                newsUpdates = [{
+                  title: title,
+                  encrypted: encryptedArticle,
+                  earlyAccessOnly: true,
+                  timestamp: proposalSettings.timestamp || Date.now(),
+                  proposer: proposal.proposer
+                }]
               } else {
                 // If still no content, skip this proposal
                 continue
@@ -178,8 +125,8 @@ function Read({ onArticleClick }) {
               continue // Skip proposals without content
             }
 
-            // Check user access
-            const access = account ? await checkUserAccess(proposal, account) : { hasAccess: false, isDonator: false, isVoter: false, votedFor: false }
+            // Early access from on-chain donations, grants and votes
+            const access = getEarlyAccess({ proposal, account, donations, granted: grants.get(proposalId) })
 
             // Process each news update
             for (const update of newsUpdates) {
@@ -190,10 +137,14 @@ function Read({ onArticleClick }) {
               if (visibilityFilter === 'public' && !isPublic) continue
               if (visibilityFilter === 'early-access' && isPublic) continue
 
+              // Encrypted articles have no plaintext here - they are decrypted on the article page
+              const encrypted = !!update.encrypted
+              const plaintext = encrypted ? '' : update.content
+
               // For public articles, show preview; for early access, show full if user has access
               const content = canAccess 
-                ? update.content 
-                : update.content.substring(0, 200) + '...' // Preview for locked content
+                ? plaintext 
+                : plaintext.substring(0, 200) + '...' // Preview for locked content
 
               accessibleArticles.push({
                 id: `${proposalId}-${update.timestamp}`,
@@ -202,18 +153,20 @@ function Read({ onArticleClick }) {
                 author: author,
                 category: category,
                 content: content,
-                excerpt: update.content.substring(0, 150) + '...',
+                excerpt: encrypted
+                  ? 'Encrypted for early-access readers - open the article to decrypt it in your browser.'
+                  : update.content.substring(0, 150) + '...',
                 publishedDate: new Date(update.timestamp).toLocaleDateString('en-US', { 
                   year: 'numeric', 
                   month: 'long', 
                   day: 'numeric' 
                 }),
-                readTime: `${Math.ceil(update.content.length / 500)} min read`,
+                readTime: `${Math.ceil((encrypted ? getEncryptedLength(update.encrypted) : update.content.length) / 500)} min read`,
                 status: proposal.state,
                 isPublic: isPublic,
                 hasAccess: canAccess,
+                accessMessage: access.message,
                 isDonator: access.isDonator,
-                isVoter: access.isVoter,
                 votedFor: access.votedFor,
                 proposal: proposal, // Store full proposal for CTA
                 update: update // Store full update
@@ -239,7 +192,7 @@ function Read({ onArticleClick }) {
     // Refresh every 60 seconds
     const interval = setInterval(fetchArticles, 60000)
     return () => clearInterval(interval)
-  }, [getAllProposals, contractsLoading, chainId, contracts, account, visibilityFilter])
+  }, [getAllProposals, getDonationEvents, getEarlyAccessGrants, getEarlyAccessEnvelopes, contractsLoading, chainId, contracts, account, visibilityFilter, eventVersion])
 
   const categories = ['All', 'Environment', 'Health', 'Technology', 'Social Justice', 'Corruption', 'Other']
   
@@ -271,7 +224,7 @@ function Read({ onArticleClick }) {
           <h2 className="section-title">Read</h2>
           <p className="section-description">
             Investigative journalism reports and updates. Public articles are free to read, 
-            while early access content is available to supporters who voted "For" or donated.
+            while early access content is available to members who voted "For" and donors who opted in to early access.
           </p>
         </motion.div>
 
@@ -368,7 +321,7 @@ function Read({ onArticleClick }) {
                     {article.isDonator && (
                       <span className="article-badge donator">🚀 Donator</span>
                     )}
-                    {article.isVoter && article.votedFor && (
+                    {article.votedFor && (
                       <span className="article-badge voter">✓ Voter</span>
                     )}
                   </div>
@@ -383,6 +336,10 @@ function Read({ onArticleClick }) {
 
                 <p className="article-excerpt">{article.excerpt}</p>
 
+                {!article.isPublic && article.hasAccess && (
+                  <p className="article-access-reason">🔐 {article.accessMessage}</p>
+                )}
+
                 {/* Locked Content CTA */}
                 {!article.hasAccess && !article.isPublic && (
                   <div className="article-cta">
@@ -390,7 +347,7 @@ function Read({ onArticleClick }) {
                       <span className="cta-icon">🔒</span>
                       <div className="cta-text">
                         <strong>Early Access Content</strong>
-                        <p>Support this investigation to unlock full access</p>
+                        <p>{article.accessMessage}</p>
                       </div>
                     </div>
                     <div className="cta-actions">
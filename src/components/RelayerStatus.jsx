@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react'
+import { useContracts } from '../hooks/useContracts'
+import './RelayerStatus.css'
+
+// How often to re-check whether the relayer is up
+const STATUS_INTERVAL = 30000
+
+/**
+ * Relayer status indicator with the "sign vote (gasless)" switch
+ * The switch is only offered while the relayer answers for the current Governor.
+ */
+function RelayerStatus({ gasless, onGaslessChange }) {
+  const { getRelayerStatus } = useContracts()
+  const [status, setStatus] = useState(null)
+  const [checked, setChecked] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    const checkStatus = async () => {
+      const result = await getRelayerStatus()
+      if (cancelled) return
+      setStatus(result)
+      setChecked(true)
+    }
+
+    checkStatus()
+    const interval = setInterval(checkStatus, STATUS_INTERVAL)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+    }
+  }, [getRelayerStatus])
+
+  // Fall back to regular voting when the relayer goes away
+  useEffect(() => {
+    if (checked && !status && gasless) onGaslessChange(false)
+  }, [checked, status, gasless, onGaslessChange])
+
+  if (!checked) return null
+
+  const windowMinutes = status ? Math.round(status.rateLimit.windowMs / 60000) : 0
+
+  return (
+    <div className={`relayer-status ${status ? 'online' : 'offline'}`}>
+      <span className="relayer-dot" />
+      {status ? (
+        <>
+          <label className="relayer-toggle">
+            <input
+              type="checkbox"
+              checked={gasless}
+              onChange={(e) => onGaslessChange(e.target.checked)}
+            />
+            <span>Sign votes instead of paying gas</span>
+          </label>
+          <span className="relayer-details">
+            Relayer online · {status.rateLimit.maxVotes} votes per {windowMinutes} min
+          </span>
+        </>
+      ) : (
+        <span className="relayer-details">Gasless voting unavailable (relayer offline)</span>
+      )}
+    </div>
+  )
+}
+
+export default RelayerStatus
@@ -3,18 +3,29 @@ import { motion } from 'framer-motion'
 import { useContracts } from '../hooks/useContracts'
 import { useWallet } from '../contexts/WalletContext'
 import { isSupportedNetwork } from '../utils/contractHelpers'
+import { getTrancheProgress } from '../utils/milestones'
+import { parseProposalMetadata } from '../utils/proposalMetadata'
+import { hasDonated } from '../utils/donations'
+import { getEarlyAccess } from '../utils/earlyAccess'
+import { getEncryptedLength } from '../utils/articleEncryption'
+import TrancheProgress from './TrancheProgress'
+import EncryptedArticle from './EncryptedArticle'
+import ProposalDiscussion from './ProposalDiscussion'
 import './ReportDetail.css'
 
 function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
   const { chainId, account } = useWallet()
-  const { getProposalDetails, getAllProposals, contracts, isLoading: contractsLoading } = useContracts()
+  const { getProposalDetails, getAllProposals, getDonationEvents, getEarlyAccessGrants, getEarlyAccessEnvelopes, getPublishedArticle, getArticleBundle, getArticleUrl, contracts, isLoading: contractsLoading, eventVersion } = useContracts()
   const [report, setReport] = useState(null)
+  // Early-access decision for the connected account, with the reason shown to the reader
+  const [access, setAccess] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [updates, setUpdates] = useState({
     status: null,
     news: [],
-    articleContent: null
+    articleContent: null,
+    encryptedArticle: null
   })
 
   useEffect(() => {
@@ -41,7 +52,8 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
     }
 
     const fetchReport = async () => {
-      setLoading(true)
+      // Live refreshes (eventVersion > 0) update the report in place
+      if (eventVersion === 0) setLoading(true)
       setError(null)
       try {
         // Check if this is an article from Read page (format: proposalId-timestamp)
@@ -75,15 +87,32 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
           return
         }
 
+        const metadata = parseProposalMetadata(proposal.description)
+
+        const [donations, grants] = await Promise.all([getDonationEvents(), getEarlyAccessGrants([proposal.id])])
+        const earlyAccess = getEarlyAccess({ proposal, account, donations, granted: grants.get(proposal.id.toString()) })
+        setAccess(earlyAccess)
+
+        // Encrypted articles and early-access news updates signed by the proposer
+        const earlyAccessEnvelopes = await getEarlyAccessEnvelopes(proposal)
+
+        // Milestone tranche progress - follow-up tranches show their parent's plan
+        const parentId = metadata.parentProposal
+        const milestoneParent = parentId ? allProposals.find(p => p.id === parentId) : proposal
+        const tranches = milestoneParent ? getTrancheProgress(milestoneParent, allProposals) : null
+
         // If this is from Read page, load article from localStorage
         if (isArticleId && sourceSection === 'read') {
           const normalizedProposalId = proposal.id?.toString() || String(proposal.id)
           
-          // Get news updates from localStorage
+          // Get news updates from localStorage, and the encrypted ones from the early-access store
           const proposalUpdates = JSON.parse(
             localStorage.getItem(`proposal_updates_${normalizedProposalId}`) || '{}'
           )
-          let newsUpdates = proposalUpdates.news || []
+          let newsUpdates = [
+            ...(proposalUpdates.news || []).filter(update => !update.encrypted),
+            ...earlyAccessEnvelopes.updates,
+          ]
 
           // If no news updates, try to get from articleContent
           if (newsUpdates.length === 0) {
@@ -91,32 +120,23 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
               localStorage.getItem(`proposal_settings_${normalizedProposalId}`) || '{}'
             )
             const articleContent = proposalSettings.articleContent || proposalUpdates.articleContent
+            const encryptedArticle = earlyAccessEnvelopes.article
             
             if (articleContent && articleContent.length >= 50) {
-              // Parse proposal description for title, author, category
-              const description = proposal.description || ''
-              const lines = description.split('\n')
-              
-              let title = `Investigation Report #${proposal.id}`
-              let author = 'Unknown'
-              let category = 'Other'
-
-              lines.forEach(line => {
-                if (line.startsWith('Funding Request:')) {
-                  title = line.replace('Funding Request:', '').trim()
-                } else if (line.startsWith('Author:')) {
-                  author = line.replace('Author:', '').trim()
-                } else if (line.startsWith('Category:')) {
-                  category = line.replace('Category:', '').trim()
-                }
-              })
-
               newsUpdates = [{
-                title: title,
+                title: metadata.title || `Investigation Report #${proposal.id}`,
                 content: articleContent,
                 timestamp: proposalSettings.timestamp || Date.now(),
                 proposer: proposal.proposer
               }]
+            } else if (encryptedArticle) {
+              newsUpdates = [{
+                title: metadata.title || `Investigation Report #${proposal.id}`,
+                encrypted: encryptedArticle,
+                earlyAccessOnly: true,
+                timestamp: proposalSettings.timestamp || Date.now(),
+                proposer: proposal.proposer
+              }]
             }
           }
 
@@ -155,26 +175,19 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
             return
           }
 
-          // Parse proposal description for metadata
-          const description = proposal.description || ''
-          const lines = description.split('\n')
-          
-          let title = selectedUpdate.title || `Investigation Report #${proposal.id}`
-          let author = 'Unknown'
-          let category = 'Other'
-
-          lines.forEach(line => {
-            if (line.startsWith('Funding Request:')) {
-              title = line.replace('Funding Request:', '').trim()
-            } else if (line.startsWith('Author:')) {
-              author = line.replace('Author:', '').trim()
-            } else if (line.startsWith('Category:')) {
-              category = line.replace('Category:', '').trim()
-            }
-          })
+          const title = metadata.title || selectedUpdate.title || `Investigation Report #${proposal.id}`
+          const author = metadata.author || 'Unknown'
+          const category = metadata.category || 'Other'
+
+          // Readers without early access get the same preview as the Read page;
+          // encrypted articles have no plaintext to preview and decrypt in EncryptedArticle
+          const encrypted = selectedUpdate.encrypted || null
+          const locked = !!selectedUpdate.earlyAccessOnly && !earlyAccess.hasAccess
+          const fullContent = encrypted ? '' : selectedUpdate.content
+          const visibleContent = locked && !encrypted ? `${fullContent.substring(0, 200)}...` : fullContent
 
           // Format content as HTML
-          const formattedContent = selectedUpdate.content
+          const formattedContent = visibleContent
             .split('\n')
             .map(para => para.trim())
             .filter(para => para.length > 0)
@@ -187,19 +200,24 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
             title: title,
             author: author,
             category: category,
-            content: formattedContent || `<p>${selectedUpdate.content}</p>`,
+            content: formattedContent || `<p>${visibleContent}</p>`,
             publishedDate: new Date(selectedUpdate.timestamp).toLocaleDateString('en-US', { 
               year: 'numeric', 
               month: 'long', 
               day: 'numeric' 
             }),
-            readTime: `${Math.ceil(selectedUpdate.content.length / 500)} min read`,
+            readTime: `${Math.ceil((encrypted ? getEncryptedLength(encrypted) : fullContent.length) / 500)} min read`,
             ipfsHash: null,
             proposer: proposal.proposer,
             votesFor: proposal.votesFor,
             votesAgainst: proposal.votesAgainst,
             state: proposal.state,
-            isArticle: true
+            funding: proposal.funding || [],
+            tranches,
+            isArticle: true,
+            earlyAccessOnly: !!selectedUpdate.earlyAccessOnly,
+            locked,
+            encrypted,
           })
           setLoading(false)
           return
@@ -210,15 +228,9 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
         
         // For Reports page: Check if proposal is executed/succeeded OR user has donated
         if (sourceSection === 'reports') {
-          const donations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-          const userDonated = account && donations.some(d => 
-            d.donor && 
-            d.donor.toLowerCase() === account.toLowerCase() && 
-            d.txHash &&
-            (d.proposalId === normalizedProposalId || d.proposalId?.toString() === normalizedProposalId)
-          )
+          const userDonated = hasDonated(donations, normalizedProposalId, account)
           
-          const isExecuted = proposal.state === 'Executed' || proposal.state === 'Succeeded'
+          const isExecuted = proposal.state === 'Executed' || proposal.state === 'Queued' || proposal.state === 'Succeeded'
           
           if (!isExecuted && !userDonated) {
             setError('This proposal has not been executed yet. Donate to view updates!')
@@ -238,47 +250,39 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
         // Get status update
         const statusUpdate = proposalUpdates.status || null
         
-        // Get news updates (sorted by timestamp, newest first)
-        const newsUpdates = (proposalUpdates.news || []).sort((a, b) => {
+        // Get news updates (sorted by timestamp, newest first) - encrypted ones come from the early-access store
+        const newsUpdates = [
+          ...(proposalUpdates.news || []).filter(update => !update.encrypted),
+          ...earlyAccessEnvelopes.updates,
+        ].sort((a, b) => {
           const aTime = typeof a.timestamp === 'string' ? parseInt(a.timestamp) : a.timestamp
           const bTime = typeof b.timestamp === 'string' ? parseInt(b.timestamp) : b.timestamp
           return bTime - aTime
         })
         
-        // Get article content
-        const articleContent = proposalSettings.articleContent || proposalUpdates.articleContent || null
+        // Articles registered in the ArticleRegistry are public and read from their IPFS bundle
+        const publishedArticle = await getPublishedArticle(proposal.id)
+        const bundle = publishedArticle ? await getArticleBundle(publishedArticle.ipfsHash) : null
+
+        // Get article content - early-access articles stay hidden without access
+        const readVisibility = proposalSettings.readVisibility || metadata.readVisibility
+        const articleLocked = !bundle && readVisibility === 'early-access' && !earlyAccess.hasAccess
+        const articleContent = bundle
+          ? bundle.content
+          : articleLocked ? null : (proposalSettings.articleContent || proposalUpdates.articleContent || null)
         
         setUpdates({
           status: statusUpdate,
           news: newsUpdates,
-          articleContent: articleContent
+          articleContent: articleContent,
+          encryptedArticle: bundle ? null : earlyAccessEnvelopes.article
         })
 
-        // Parse description to extract report info
-        const description = proposal.description || ''
-        const lines = description.split('\n')
-        
-        let title = `Proposal #${proposal.id}`
-        let author = 'Unknown'
-        let category = 'Other'
-        let content = description
-
-        // Parse description format
-        lines.forEach(line => {
-          if (line.startsWith('Funding Request:')) {
-            title = line.replace('Funding Request:', '').trim()
-          } else if (line.startsWith('Author:')) {
-            author = line.replace('Author:', '').trim()
-          } else if (line.startsWith('Category:')) {
-            category = line.replace('Category:', '').trim()
-          }
-        })
-
-        // Extract content from description
-        const descriptionStart = description.indexOf('Description:')
-        if (descriptionStart !== -1) {
-          content = description.substring(descriptionStart + 12).trim()
-        }
+        // Report info from the published article, falling back to the proposal metadata
+        let title = publishedArticle?.title || metadata.title || `Proposal #${proposal.id}`
+        const author = metadata.author || 'Unknown'
+        const category = metadata.category || 'Other'
+        let content = metadata.body
 
         // If no content from description, try to get from articleContent or news updates
         if ((!content || content.length < 50) && updates.articleContent) {
@@ -307,17 +311,22 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
           author: author,
           category: category,
           content: formattedContent || `<p>${content || 'No content available.'}</p>`,
-          publishedDate: new Date().toLocaleDateString('en-US', { 
+          publishedDate: new Date(publishedArticle?.publishedAt || Date.now()).toLocaleDateString('en-US', { 
             year: 'numeric', 
             month: 'long', 
             day: 'numeric' 
           }),
-          readTime: `${Math.ceil((content || '').length / 500)} min read`,
-          ipfsHash: null, // Will be added when IPFS integration is complete
+          readTime: `${Math.ceil((articleContent || content || '').length / 500)} min read`,
+          ipfsHash: publishedArticle?.ipfsHash || null,
+          verified: !!publishedArticle?.verified,
           proposer: proposal.proposer,
           votesFor: proposal.votesFor,
           votesAgainst: proposal.votesAgainst,
           state: proposal.state,
+          funding: proposal.funding || [],
+          tranches,
+          earlyAccessOnly: !bundle && readVisibility === 'early-access',
+          locked: articleLocked,
         })
       } catch (error) {
         console.error('Error fetching report:', error)
@@ -335,7 +344,7 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
     }
 
     fetchReport()
-  }, [reportId, getAllProposals, getProposalDetails, contractsLoading, chainId, contracts])
+  }, [reportId, getAllProposals, getDonationEvents, getEarlyAccessGrants, getEarlyAccessEnvelopes, getPublishedArticle, getArticleBundle, getProposalDetails, contractsLoading, chainId, contracts, account, eventVersion])
 
   if (loading) {
     return (
@@ -410,6 +419,11 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
               <span className="report-author-name">By {report.author}</span>
               <span className="report-publish-date">{report.publishedDate}</span>
               <span className="report-read-time">{report.readTime}</span>
+              {report.funding.length > 0 && (
+                <span className="report-funding">
+                  Funded with {report.funding.map(payout => payout.formatted).join(' + ')}
+                </span>
+              )}
             </div>
           </div>
 
@@ -417,8 +431,13 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
             <div className="report-ipfs-info">
               <span className="ipfs-icon-large">🌐</span>
               <div>
-                <div className="ipfs-label">Permanently Archived on IPFS</div>
-                <div className="ipfs-hash">Hash: {report.ipfsHash}</div>
+                <div className="ipfs-label">Permanently Archived on IPFS{report.verified ? ' · ✓ Verified' : ''}</div>
+                <div className="ipfs-hash">
+                  CID:{' '}
+                  <a href={getArticleUrl(report.ipfsHash, 'article.md')} target="_blank" rel="noopener noreferrer">
+                    {report.ipfsHash}
+                  </a>
+                </div>
               </div>
             </div>
           )}
@@ -432,6 +451,18 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
             </div>
           )}
 
+          {report.earlyAccessOnly && access && (
+            <div className={`report-access-note ${access.hasAccess ? 'unlocked' : 'locked'}`}>
+              {access.hasAccess ? '🔐' : '🔒'} {report.locked && !report.encrypted ? 'Early access article - showing a preview. ' : ''}{access.message}
+            </div>
+          )}
+
+          {report.tranches && (
+            <div className="update-section">
+              <TrancheProgress tranches={report.tranches} />
+            </div>
+          )}
+
           {/* Status Update Section */}
           {updates.status && (
             <div className="update-section status-update-section">
@@ -484,11 +515,19 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
                         </span>
                       </div>
                     </div>
-                    <div className="news-update-content">
-                      {update.content.split('\n').map((para, pIndex) => (
-                        para.trim() && <p key={pIndex}>{para.trim()}</p>
-                      ))}
-                    </div>
+                    {update.encrypted ? (
+                      <EncryptedArticle envelope={update.encrypted} access={access} />
+                    ) : update.earlyAccessOnly && !access?.hasAccess ? (
+                      <div className="news-update-content news-update-locked">
+                        🔒 {access?.message || 'Early access only'}
+                      </div>
+                    ) : (
+                      <div className="news-update-content">
+                        {update.content.split('\n').map((para, pIndex) => (
+                          para.trim() && <p key={pIndex}>{para.trim()}</p>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -499,15 +538,19 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
           <div className="update-section main-content-section">
             <h3 className="update-section-title">
               <span className="update-icon">📝</span>
-              {updates.articleContent ? 'Full Article' : 'Proposal Description'}
+              {updates.articleContent || updates.encryptedArticle || report.encrypted ? 'Full Article' : 'Proposal Description'}
             </h3>
-            <div 
-              className="report-body"
-              dangerouslySetInnerHTML={{ __html: updates.articleContent 
-                ? updates.articleContent.split('\n').map(para => para.trim()).filter(para => para).map(para => `<p>${para}</p>`).join('')
-                : report.content 
-              }}
-            />
+            {report.encrypted || updates.encryptedArticle ? (
+              <EncryptedArticle envelope={report.encrypted || updates.encryptedArticle} access={access} />
+            ) : (
+              <div 
+                className="report-body"
+                dangerouslySetInnerHTML={{ __html: updates.articleContent 
+                  ? updates.articleContent.split('\n').map(para => para.trim()).filter(para => para).map(para => `<p>${para}</p>`).join('')
+                  : report.content 
+                }}
+              />
+            )}
           </div>
 
           <div className="report-footer-info">
@@ -520,6 +563,8 @@ function ReportDetail({ reportId, onBack, sourceSection = 'reports' }) {
               <span>All sources verified and protected</span>
             </div>
           </div>
+
+          <ProposalDiscussion proposalId={report.proposalId} defaultOpen />
         </motion.article>
       </div>
     </section>
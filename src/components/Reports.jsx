@@ -3,11 +3,13 @@ import { motion } from 'framer-motion'
 import { useContracts } from '../hooks/useContracts'
 import { useWallet } from '../contexts/WalletContext'
 import { isSupportedNetwork } from '../utils/contractHelpers'
+import { parseProposalMetadata } from '../utils/proposalMetadata'
+import { hasDonated } from '../utils/donations'
 import './Reports.css'
 
 function Reports({ onReportClick }) {
   const { chainId, account } = useWallet()
-  const { getAllProposals, contracts, isLoading: contractsLoading } = useContracts()
+  const { getAllProposals, getDonationEvents, getPublishedArticles, getArticleUrl, contracts, isLoading: contractsLoading, eventVersion } = useContracts()
   const [reports, setReports] = useState([])
   const [loading, setLoading] = useState(true)
   const [selectedCategory, setSelectedCategory] = useState('All')
@@ -24,123 +26,63 @@ function Reports({ onReportClick }) {
     }
 
     // Check if contracts are available
-    if (!contracts.governor) {
-      setError('Governor contract not configured')
+    if (!contracts.articleRegistry) {
+      setError('ArticleRegistry contract not configured')
       setLoading(false)
       return
     }
 
-    const fetchExecutedProposals = async () => {
-      setLoading(true)
+    const fetchPublishedArticles = async () => {
+      // Live refreshes (eventVersion > 0) update the list in place
+      if (eventVersion === 0) setLoading(true)
       setError(null)
       try {
-        const allProposals = await getAllProposals()
-        
-        // Get proposals that user has donated to
-        const donatedProposals = JSON.parse(localStorage.getItem('donatedProposals') || '[]')
-        const donations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-        
-        // Filter proposals:
-        // 1. Executed/Succeeded proposals (public archive)
-        // 2. Proposals that current user has donated to (personal archive)
-        let filteredProposals = []
-        
-        if (account) {
-          // Get proposals user donated to
-          const userDonatedProposalIds = donations
-            .filter(d => d.donor && d.donor.toLowerCase() === account.toLowerCase() && d.txHash)
-            .map(d => d.proposalId)
-          
-          // Combine: executed proposals + user's donated proposals
-          filteredProposals = allProposals.filter(p => {
-            const proposalId = p.id?.toString() || String(p.id)
-            const isExecuted = p.state === 'Executed' || p.state === 'Succeeded'
-            const isDonated = userDonatedProposalIds.includes(proposalId) || 
-                             userDonatedProposalIds.includes(proposalId.toString())
-            return isExecuted || isDonated
-          })
-        } else {
-          // If not logged in, only show executed proposals
-          filteredProposals = allProposals.filter(p => 
-            p.state === 'Executed' || p.state === 'Succeeded'
-          )
-        }
-
-        // Convert filtered proposals to reports format
-        const reportsData = filteredProposals.map((proposal, index) => {
-          // Parse description to extract report info
-          const description = proposal.description || ''
-          const lines = description.split('\n')
-          
-          // Try to extract title, author, category from description
-          let title = `Proposal #${proposal.id}`
-          let author = 'Unknown'
-          let category = 'Other'
-          let excerpt = description.substring(0, 150) + '...'
-
-          // Parse description format: "Funding Request: Title\n\nAuthor: ...\nCategory: ..."
-          lines.forEach(line => {
-            if (line.startsWith('Funding Request:')) {
-              title = line.replace('Funding Request:', '').trim()
-            } else if (line.startsWith('Author:')) {
-              author = line.replace('Author:', '').trim()
-            } else if (line.startsWith('Category:')) {
-              category = line.replace('Category:', '').trim()
-            }
-          })
-
-          // Extract excerpt from description
-          const descriptionStart = description.indexOf('Description:')
-          if (descriptionStart !== -1) {
-            excerpt = description.substring(descriptionStart + 12).trim().substring(0, 150) + '...'
-          }
-
-          // Check if user donated to this proposal
-          const donations = JSON.parse(localStorage.getItem('veritasDonations') || '[]')
-          const userDonated = account && donations.some(d => 
-            d.donor && 
-            d.donor.toLowerCase() === account.toLowerCase() && 
-            d.txHash &&
-            (d.proposalId === proposal.id || d.proposalId?.toString() === proposal.id?.toString())
-          )
+        // The archive is the ArticleRegistry: every entry points at an IPFS bundle
+        const [articles, allProposals, donations] = await Promise.all([
+          getPublishedArticles(),
+          getAllProposals(),
+          getDonationEvents()
+        ])
+
+        const reportsData = articles.map((article) => {
+          // Author and outcome come from the proposal the article reports on
+          const proposal = allProposals.find(p => p.id.toString() === article.proposalId)
+          const metadata = proposal ? parseProposalMetadata(proposal.description) : null
 
           return {
-            id: proposal.id,
-            proposalId: proposal.id,
-            title: title,
-            author: author,
-            category: category,
-            excerpt: excerpt,
-            publishedDate: new Date().toLocaleDateString('en-US', { 
+            id: article.proposalId,
+            proposalId: article.proposalId,
+            title: article.title,
+            author: metadata?.author || `${article.investigator.slice(0, 6)}...${article.investigator.slice(-4)}`,
+            category: article.category || 'Other',
+            excerpt: article.excerpt,
+            publishedDate: new Date(article.publishedAt).toLocaleDateString('en-US', { 
               year: 'numeric', 
               month: 'long', 
               day: 'numeric' 
             }),
-            readTime: '5 min read',
-            status: proposal.state === 'Executed' || proposal.state === 'Succeeded' ? 'Published' : 'In Progress',
-            ipfsHash: null, // Will be added when IPFS integration is complete
-            proposer: proposal.proposer,
-            votesFor: proposal.votesFor,
-            votesAgainst: proposal.votesAgainst,
-            userDonated: userDonated || false,
-            state: proposal.state
+            status: article.verified ? 'Verified' : 'Published',
+            ipfsHash: article.ipfsHash,
+            proposer: proposal?.proposer || article.investigator,
+            userDonated: hasDonated(donations, article.proposalId, account),
+            state: proposal?.state || null
           }
         })
 
         setReports(reportsData)
       } catch (error) {
-        console.error('Error fetching executed proposals:', error)
+        console.error('Error fetching published articles:', error)
         setError('Failed to load reports. Please check your connection.')
       } finally {
         setLoading(false)
       }
     }
 
-    fetchExecutedProposals()
+    fetchPublishedArticles()
     // Refresh every 60 seconds
-    const interval = setInterval(fetchExecutedProposals, 60000)
+    const interval = setInterval(fetchPublishedArticles, 60000)
     return () => clearInterval(interval)
-  }, [getAllProposals, contractsLoading, chainId, contracts, selectedCategory])
+  }, [getAllProposals, getDonationEvents, getPublishedArticles, contractsLoading, chainId, contracts, account, selectedCategory, eventVersion])
 
   const categories = ['All', 'Environment', 'Health', 'Technology', 'Social Justice']
   
@@ -159,9 +101,8 @@ function Reports({ onReportClick }) {
         >
           <h2 className="section-title">Archive</h2>
           <p className="section-description">
-            {account 
-              ? 'Your donated proposals and all updates. View the complete progress of investigations you\'ve supported.'
-              : 'All executed proposals and their outcomes. Connect your wallet to see proposals you\'ve donated to.'}
+            Articles investigators published to IPFS and registered on-chain in the ArticleRegistry.
+            {account && ' Investigations you donated to are marked.'}
           </p>
         </motion.div>
 
@@ -214,8 +155,8 @@ function Reports({ onReportClick }) {
             <div className="empty-icon">📰</div>
             <h3>No Published Reports Yet</h3>
             <p>
-              No proposals have been executed yet. Once proposals are approved, executed, and finalized, 
-              they will appear here as published reports.
+              No articles have been registered yet. Once a funded investigation is published to IPFS,
+              it will appear here as a published report.
             </p>
           </motion.div>
         ) : (
@@ -249,7 +190,7 @@ function Reports({ onReportClick }) {
                 <p className="report-excerpt">{report.excerpt}</p>
 
                 <div className="report-footer">
-                  <span className="read-time">{report.readTime}</span>
+                  {report.state && <span className="read-time">Proposal {report.state}</span>}
                   <motion.button
                     className="read-button"
                     onClick={() => onReportClick(report.id)}
@@ -260,10 +201,15 @@ function Reports({ onReportClick }) {
                   </motion.button>
                 </div>
 
-                <div className="report-ipfs-badge">
+                <a
+                  className="report-ipfs-badge"
+                  href={getArticleUrl(report.ipfsHash, 'article.md')}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
                   <span className="ipfs-icon">🌐</span>
-                  <span>IPFS: {report.ipfsHash ? `${report.ipfsHash.slice(0, 10)}...` : 'Loading...'}</span>
-                </div>
+                  <span>IPFS: {report.ipfsHash.slice(0, 10)}...{report.ipfsHash.slice(-4)}</span>
+                </a>
               </motion.article>
             ))}
           </div>
@@ -0,0 +1,32 @@
+import React from 'react'
+import { formatSettingValue } from '../utils/governanceSettings'
+import './SettingChanges.css'
+
+/**
+ * Before/after values of a governance settings proposal
+ */
+function SettingChanges({ changes }) {
+  return (
+    <div className="setting-changes">
+      <div className="setting-changes-title">Governance Settings</div>
+      <ul className="setting-changes-list">
+        {changes.map(change => (
+          <li key={change.key} className="setting-change">
+            <span className="setting-change-label">{change.label}</span>
+            <span className="setting-change-values">
+              {change.from !== null && (
+                <>
+                  <span className="setting-change-from">{formatSettingValue(change.key, change.from)}</span>
+                  <span className="setting-change-arrow">→</span>
+                </>
+              )}
+              <span className="setting-change-to">{formatSettingValue(change.key, change.to)}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default SettingChanges
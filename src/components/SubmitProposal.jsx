@@ -1,30 +1,68 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { motion } from 'framer-motion'
 import { useWallet } from '../contexts/WalletContext'
 import { useContracts } from '../hooks/useContracts'
 import { useToast } from '../contexts/ToastContext'
-import { getContractAddresses } from '../config/contracts'
+import { getContractAddresses, getProposalTargets, getFundingTokenAddresses } from '../config/contracts'
 import { ethers } from 'ethers'
 import Loading from './Loading'
+import ProposalActionBuilder, { createEmptyAction, encodeBuilderActions } from './ProposalActionBuilder'
+import { encodeFundingRequest } from '../utils/fundingRequests'
+import { DEFAULT_MILESTONES, validateMilestones, getTrancheAmounts } from '../utils/milestones'
+import { GOVERNANCE_SETTINGS, formatSettingValue, parseSettingInput, encodeSettingChanges } from '../utils/governanceSettings'
+import { serializeProposalDescription, getProposalTitle } from '../utils/proposalMetadata'
+import { encodeEscrowAction, getDueEscrowAction, hasOpenEscrowProposal } from '../utils/donations'
+import { DRAFT_TEMPLATES, listDrafts, saveDraft, deleteDraft, createDraftShareLink } from '../utils/proposalDrafts'
 import './SubmitProposal.css'
 
-function SubmitProposal() {
-  const { account } = useWallet()
-  const { createProposal, getProposalThreshold, getTokenBalance, isJournalistVerified, contracts, isLoading: contractsLoading } = useContracts()
+const EMPTY_FORM = {
+  title: '',
+  author: '',
+  description: '',
+  requestedAmount: '',
+  fundingToken: 'ETH', // 'ETH', an ERC-20 address, or 'custom'
+  customTokenAddress: '',
+  estimatedDuration: '',
+  category: '',
+  recipientAddress: '',
+  readVisibility: 'none', // 'public', 'early-access', 'none'
+  articleContent: '' // Content for Read page (required if readVisibility is not 'none')
+}
+
+// Builder action ids are per session, so drafts store actions without them
+const withoutActionId = ({ id, ...action }) => action
+
+// Draft content of an untouched form, which is never autosaved
+const EMPTY_DRAFT_JSON = JSON.stringify({
+  proposalType: 'funding',
+  formData: EMPTY_FORM,
+  useMilestones: false,
+  milestones: DEFAULT_MILESTONES,
+  settingInputs: {},
+  actions: [withoutActionId(createEmptyAction())],
+})
+
+// Wait this long after the last keystroke before autosaving
+const AUTOSAVE_DELAY_MS = 1000
+
+/**
+ * Proposal submission form
+ * `tranche` pre-fills a follow-up proposal releasing the next tranche of a
+ * milestone plan (set from ManageProposal); `onTrancheClear` clears it.
+ * `sharedDraft` is a draft opened from a co-author's signed link;
+ * `onSharedDraftClear` clears it.
+ */
+function SubmitProposal({ tranche = null, onTrancheClear, sharedDraft = null, onSharedDraftClear }) {
+  const { account, chainId, requireWallet } = useWallet()
+  const { createProposal, getProposalThreshold, getTokenBalance, isJournalistVerified, getTokenInfo, getTreasuryTokenBalance, getGovernanceSettings, getAllProposals, getEscrows, openEscrow, encryptEarlyAccessContent, publishEarlyAccessEnvelope, contracts, signer, isLoading: contractsLoading } = useContracts()
   const { success, error: showError, info } = useToast()
   
-  const [formData, setFormData] = useState({
-    title: '',
-    author: '',
-    description: '',
-    requestedAmount: '',
-    estimatedDuration: '',
-    category: '',
-    recipientAddress: '',
-    readVisibility: 'none', // 'public', 'early-access', 'none'
-    articleContent: '' // Content for Read page (required if readVisibility is not 'none')
-  })
+  const [formData, setFormData] = useState(EMPTY_FORM)
 
+  // 'funding' = Treasury.withdrawEth/withdrawToken request, 'settings' = Governor parameter change,
+  // 'custom' = actions from the advanced builder
+  const [proposalType, setProposalType] = useState('funding')
+  const [actions, setActions] = useState(() => [createEmptyAction()])
   const [submitted, setSubmitted] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [proposalThreshold, setProposalThreshold] = useState('0')
@@ -32,6 +70,69 @@ function SubmitProposal() {
   const [hasEnoughTokens, setHasEnoughTokens] = useState(false)
   const [isVerifiedJournalist, setIsVerifiedJournalist] = useState(false)
   const [isCheckingVerification, setIsCheckingVerification] = useState(true)
+  // Funding currency: ERC-20s offered in the selector, and the selected token with the treasury's balance
+  const [fundingTokens, setFundingTokens] = useState([])
+  const [selectedToken, setSelectedToken] = useState(null)
+  const [treasuryBalance, setTreasuryBalance] = useState(null)
+  const [tokenError, setTokenError] = useState(null)
+  // Milestone plan for new funding requests; the first tranche is paid when the proposal executes
+  const [useMilestones, setUseMilestones] = useState(false)
+  const [milestones, setMilestones] = useState(DEFAULT_MILESTONES)
+  // Evidence the previous milestone was delivered (tranche follow-ups only)
+  const [evidence, setEvidence] = useState('')
+  // Governance settings: current on-chain values and the proposed ones as typed (blank = unchanged)
+  const [currentSettings, setCurrentSettings] = useState(null)
+  const [settingInputs, setSettingInputs] = useState({})
+  // Local drafts: the one being edited (autosaved) and the saved list
+  const [draftId, setDraftId] = useState(null)
+  const [draftSavedAt, setDraftSavedAt] = useState(null)
+  const [drafts, setDrafts] = useState(() => listDrafts())
+  const [isSharing, setIsSharing] = useState(false)
+  const lastSavedRef = useRef(null)
+  // Donation escrows of executed proposals that nobody has proposed releasing yet.
+  // Funding proposals to the same investigator release them too, unless unticked
+  const [releasableEscrows, setReleasableEscrows] = useState([])
+  const [skippedReleases, setSkippedReleases] = useState([])
+
+  // Pre-fill a tranche follow-up from its parent proposal
+  useEffect(() => {
+    if (!tranche) return
+    setProposalType('funding')
+    setUseMilestones(false)
+    setEvidence('')
+    setFormData(prev => ({
+      ...prev,
+      title: tranche.title,
+      author: tranche.author,
+      category: tranche.category,
+      recipientAddress: tranche.recipient,
+      requestedAmount: ethers.formatUnits(tranche.amount, tranche.decimals),
+      fundingToken: tranche.token ? 'custom' : 'ETH',
+      customTokenAddress: tranche.token || '',
+      readVisibility: 'none',
+      articleContent: '',
+    }))
+  }, [tranche])
+
+  // Find escrows a funding proposal can release alongside its own payout
+  useEffect(() => {
+    if (proposalType !== 'funding' || !contracts.donation) return
+    let cancelled = false
+    const loadEscrows = async () => {
+      const proposals = await getAllProposals()
+      const executed = proposals.filter(proposal => proposal.state === 'Executed')
+      const escrows = await getEscrows(executed.map(proposal => proposal.id))
+      if (cancelled) return
+      setReleasableEscrows(executed
+        .filter(proposal =>
+          getDueEscrowAction(proposal, escrows.get(proposal.id)) === 'release' &&
+          !hasOpenEscrowProposal(proposals, proposal.id)
+        )
+        .map(proposal => ({ proposalId: proposal.id, title: getProposalTitle(proposal), escrow: escrows.get(proposal.id) })))
+    }
+    loadEscrows()
+    return () => { cancelled = true }
+  }, [proposalType, contracts.donation, getAllProposals, getEscrows])
 
   // Load proposal threshold and check token balance
   React.useEffect(() => {
@@ -77,6 +178,152 @@ function SubmitProposal() {
     checkVerification()
   }, [contracts.governor, contracts.token, contracts.journalistRegistry, account, getProposalThreshold, getTokenBalance, proposalThreshold, isJournalistVerified])
 
+  // Load VERITAS and any configured treasury tokens for the currency selector
+  useEffect(() => {
+    if (!contracts.treasury) return
+    Promise.all(
+      getFundingTokenAddresses(chainId).map(address => getTokenInfo(address).catch(() => null))
+    ).then(tokens => setFundingTokens(tokens.filter(Boolean)))
+  }, [contracts.treasury, chainId, getTokenInfo])
+
+  // Resolve the selected currency and show what the treasury can pay out in it
+  useEffect(() => {
+    if (!contracts.treasury) return
+    const tokenAddress = formData.fundingToken === 'custom'
+      ? formData.customTokenAddress.trim()
+      : formData.fundingToken === 'ETH' ? null : formData.fundingToken
+
+    setSelectedToken(null)
+    setTreasuryBalance(null)
+    setTokenError(null)
+    if (formData.fundingToken === 'custom' && !ethers.isAddress(tokenAddress)) return
+
+    let cancelled = false
+    getTokenInfo(tokenAddress)
+      .then(async token => {
+        const balance = await getTreasuryTokenBalance(token.address)
+        if (cancelled) return
+        setSelectedToken(token)
+        setTreasuryBalance(balance)
+      })
+      .catch(err => {
+        if (!cancelled) setTokenError(err.message)
+      })
+    return () => { cancelled = true }
+  }, [contracts.treasury, formData.fundingToken, formData.customTokenAddress, getTokenInfo, getTreasuryTokenBalance])
+
+  // Read the Governor's current settings when that proposal type is opened
+  useEffect(() => {
+    if (proposalType !== 'settings' || !contracts.governor) return
+    getGovernanceSettings().then(setCurrentSettings)
+  }, [proposalType, contracts.governor, getGovernanceSettings])
+
+  // Everything needed to restore the form (tranche follow-ups are not drafted:
+  // they are pre-filled from their parent proposal)
+  const draftContent = { proposalType, formData, useMilestones, milestones, settingInputs, actions: actions.map(withoutActionId) }
+  const draftJson = JSON.stringify(draftContent)
+
+  // Autosave so a rejected wallet popup or a reload does not lose the form
+  useEffect(() => {
+    if (tranche || submitted || draftJson === lastSavedRef.current) return
+    if (!draftId && draftJson === EMPTY_DRAFT_JSON) return
+
+    const timer = setTimeout(() => {
+      const draft = saveDraft(draftId, JSON.parse(draftJson))
+      lastSavedRef.current = draftJson
+      setDraftId(draft.id)
+      setDraftSavedAt(draft.updatedAt)
+      setDrafts(listDrafts())
+    }, AUTOSAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [draftJson, draftId, tranche, submitted])
+
+  const applyDraftContent = (content) => {
+    setProposalType(content.proposalType || 'funding')
+    setFormData({ ...EMPTY_FORM, ...content.formData })
+    setUseMilestones(!!content.useMilestones)
+    setMilestones(content.milestones || DEFAULT_MILESTONES)
+    setSettingInputs(content.settingInputs || {})
+    setActions(content.actions?.length ? content.actions.map(action => ({ ...createEmptyAction(), ...action })) : [createEmptyAction()])
+  }
+
+  const handleLoadDraft = (draft) => {
+    lastSavedRef.current = JSON.stringify(draft.content)
+    applyDraftContent(draft.content)
+    setDraftId(draft.id)
+    setDraftSavedAt(draft.updatedAt)
+  }
+
+  const handleNewDraft = () => {
+    lastSavedRef.current = null
+    applyDraftContent({})
+    setDraftId(null)
+    setDraftSavedAt(null)
+  }
+
+  const handleDeleteDraft = (draft) => {
+    if (!window.confirm('Delete this draft? This cannot be undone.')) return
+    deleteDraft(draft.id)
+    setDrafts(listDrafts())
+    if (draft.id === draftId) handleNewDraft()
+  }
+
+  const handleApplyTemplate = (template) => {
+    if (formData.description.trim() && !window.confirm(`Replace the current description with the ${template.label} template?`)) {
+      return
+    }
+    setProposalType('funding')
+    setFormData(prev => ({
+      ...prev,
+      description: template.description,
+      category: prev.category || template.category || '',
+      estimatedDuration: prev.estimatedDuration || template.estimatedDuration,
+    }))
+  }
+
+  const handleShareDraft = async () => {
+    if (!requireWallet() || !signer) return
+    setIsSharing(true)
+    try {
+      const link = await createDraftShareLink(signer, draftContent, window.location.origin + window.location.pathname)
+      try {
+        await navigator.clipboard.writeText(link)
+        success('Signed draft link copied. Co-authors who open it can load the draft and check it came from you.')
+      } catch {
+        window.prompt('Copy this signed draft link:', link)
+      }
+    } catch (err) {
+      console.error('Error sharing draft:', err)
+      showError(err.message || 'Failed to share the draft')
+    } finally {
+      setIsSharing(false)
+    }
+  }
+
+  // Copy a co-author's shared draft into a new local draft
+  const handleOpenSharedDraft = () => {
+    lastSavedRef.current = null
+    applyDraftContent(sharedDraft.content)
+    setDraftId(null)
+    setDraftSavedAt(null)
+    onSharedDraftClear()
+    info('Shared draft loaded. Your edits are saved as your own draft.')
+  }
+
+  const handleDiscardTranche = () => {
+    setFormData(EMPTY_FORM)
+    setEvidence('')
+    onTrancheClear()
+  }
+
+  const handleProposalTypeChange = (type) => {
+    setProposalType(type)
+    // Governance actions are not investigations, so they are never published to Read
+    if (type !== 'funding') {
+      setFormData(prev => ({ ...prev, readVisibility: 'none', articleContent: '' }))
+    }
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -84,13 +331,15 @@ function SubmitProposal() {
     })
   }
 
+  // Releasable escrows that pay the recipient of this request
+  const escrowReleases = ethers.isAddress(formData.recipientAddress)
+    ? releasableEscrows.filter(release => release.escrow.investigator.toLowerCase() === formData.recipientAddress.toLowerCase())
+    : []
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     
-    if (!account) {
-      showError('Please connect your wallet first')
-      return
-    }
+    if (!requireWallet()) return
 
     // Check if user is verified journalist
     if (!isVerifiedJournalist) {
@@ -104,7 +353,7 @@ function SubmitProposal() {
       return
     }
 
-    if (!contracts.governor || !contracts.treasury) {
+    if (!contracts.governor || (proposalType === 'funding' && !contracts.treasury)) {
       showError('Contracts not loaded. Please check your network connection.')
       return
     }
@@ -124,49 +373,124 @@ function SubmitProposal() {
         }
       }
 
-      // Validate recipient address
-      if (!ethers.isAddress(formData.recipientAddress)) {
-        throw new Error('Invalid recipient address')
-      }
+      let targets, values, calldatas, description
+      if (proposalType === 'settings') {
+        // Re-read so the recorded "before" values are the ones the proposal replaces
+        const current = await getGovernanceSettings()
+        if (!current) {
+          throw new Error('Could not read the current governance settings')
+        }
+        const next = {}
+        GOVERNANCE_SETTINGS.forEach(setting => {
+          const input = settingInputs[setting.key] || ''
+          if (input.trim()) next[setting.key] = parseSettingInput(setting.key, input)
+        })
+        let changes
+        ({ targets, values, calldatas, changes } = encodeSettingChanges(contracts.governor.target, current, next))
+        description = serializeProposalDescription({
+          type: 'settings',
+          title: formData.title,
+          author: formData.author,
+          settingChanges: changes,
+        }, formData.description)
+      } else if (proposalType === 'custom') {
+        // Validates every argument against the ABI before anything is signed
+        ({ targets, values, calldatas } = encodeBuilderActions(actions, getProposalTargets(chainId)))
+        description = serializeProposalDescription({
+          type: 'action',
+          title: formData.title,
+          author: formData.author,
+        }, formData.description)
+      } else {
+        // Validate recipient address
+        if (!ethers.isAddress(formData.recipientAddress)) {
+          throw new Error('Invalid recipient address')
+        }
 
-      // Validate amount
-      const amount = ethers.parseEther(formData.requestedAmount)
-      if (amount <= 0n) {
-        throw new Error('Amount must be greater than 0')
-      }
+        if (!selectedToken) {
+          throw new Error(tokenError || 'Choose the currency to request')
+        }
 
-      // Validate article content if publishing to Read page
-      if (formData.readVisibility !== 'none' && !formData.articleContent.trim()) {
-        throw new Error('Please provide article content for Read page. This should describe your investigation findings or current status.')
-      }
+        // Validate amount against the token's decimals (tranche amounts come fixed from the plan)
+        let amount
+        try {
+          amount = tranche ? BigInt(tranche.amount) : ethers.parseUnits(formData.requestedAmount, selectedToken.decimals)
+        } catch {
+          throw new Error(`Amount must be a number with at most ${selectedToken.decimals} decimals`)
+        }
+        if (amount <= 0n) {
+          throw new Error('Amount must be greater than 0')
+        }
 
-      if (formData.readVisibility !== 'none' && formData.articleContent.trim().length < 100) {
-        throw new Error('Article content must be at least 100 characters. Please provide a detailed description of your investigation.')
-      }
+        if (tranche && !evidence) {
+          throw new Error(`Choose the evidence that the "${tranche.previousLabel}" milestone was delivered`)
+        }
 
-      // Prepare proposal description
-      const description = `Funding Request: ${formData.title}\n\n` +
-        `Author: ${formData.author}\n` +
-        `Category: ${formData.category}\n` +
-        `Recipient Wallet Address: ${formData.recipientAddress}\n` +
-        `Requested Amount: ${formData.requestedAmount} ETH\n` +
-        `Estimated Duration: ${formData.estimatedDuration}\n` +
-        `Read Visibility: ${formData.readVisibility}\n\n` +
-        `Description:\n${formData.description}`
-
-      // Prepare calldata for Treasury.withdrawEth()
-      const treasuryInterface = new ethers.Interface([
-        "function withdrawEth(address payable to, uint256 amount) external"
-      ])
-      const calldata = treasuryInterface.encodeFunctionData("withdrawEth", [
-        formData.recipientAddress,
-        amount
-      ])
-
-      const addresses = getContractAddresses()
-      const targets = [addresses.Treasury]
-      const values = [0] // No ETH sent with the call
-      const calldatas = [calldata]
+        // Only the first tranche of a milestone plan is paid by this proposal
+        const milestoneFields = {}
+        let payout = amount
+        if (tranche) {
+          Object.assign(milestoneFields, {
+            parentProposal: tranche.parentId,
+            tranche: { number: tranche.number, count: tranche.count, label: tranche.label },
+            evidence,
+          })
+        } else if (useMilestones) {
+          const plan = validateMilestones(milestones)
+          payout = getTrancheAmounts(amount, plan)[0]
+          if (payout <= 0n) {
+            throw new Error('The first tranche rounds down to 0 - request a larger amount')
+          }
+          milestoneFields.milestones = plan
+        }
+
+        // Validate article content if publishing to Read page
+        if (formData.readVisibility !== 'none' && !formData.articleContent.trim()) {
+          throw new Error('Please provide article content for Read page. This should describe your investigation findings or current status.')
+        }
+
+        if (formData.readVisibility !== 'none' && formData.articleContent.trim().length < 100) {
+          throw new Error('Article content must be at least 100 characters. Please provide a detailed description of your investigation.')
+        }
+
+        // Prepare proposal description (validates the metadata)
+        description = serializeProposalDescription({
+          type: 'funding',
+          title: formData.title,
+          author: formData.author,
+          category: formData.category,
+          recipient: formData.recipientAddress,
+          amount: {
+            value: ethers.formatUnits(amount, selectedToken.decimals),
+            symbol: selectedToken.symbol,
+            token: selectedToken.address,
+          },
+          estimatedDuration: formData.estimatedDuration,
+          readVisibility: formData.readVisibility,
+          ...milestoneFields,
+        }, formData.description)
+
+        // Treasury.withdrawEth() for ETH, Treasury.withdrawToken() for ERC-20s
+        const calldata = encodeFundingRequest({
+          token: selectedToken.address,
+          recipient: formData.recipientAddress,
+          amount: payout
+        })
+
+        const addresses = getContractAddresses(chainId)
+        targets = [addresses.Treasury]
+        values = [0] // No ETH sent with the call
+        calldatas = [calldata]
+
+        // DonationContract.releaseFunds() for the investigator's earlier escrows
+        escrowReleases
+          .filter(release => !skippedReleases.includes(release.proposalId))
+          .forEach(release => {
+            targets.push(addresses.DonationContract)
+            values.push(0)
+            calldatas.push(encodeEscrowAction('release', release.proposalId))
+          })
+      }
 
       info('Submitting proposal to blockchain...')
       const result = await createProposal(targets, values, calldatas, description)
@@ -180,8 +504,21 @@ function SubmitProposal() {
         proposalSettings.readVisibility = formData.readVisibility
         proposalSettings.timestamp = Date.now()
         
+        // Early-access articles are only published encrypted - for now just the author
+        // holds a key, more readers are added from Manage Proposal as they qualify
+        if (formData.readVisibility === 'early-access' && formData.articleContent.trim()) {
+          try {
+            const newProposal = { id: result.proposalId, proposer: account, description }
+            const { envelope } = await encryptEarlyAccessContent(newProposal, formData.articleContent.trim())
+            await publishEarlyAccessEnvelope(newProposal, 'article', envelope)
+          } catch (error) {
+            console.error('Error encrypting article:', error)
+            showError(`The early-access article was not saved (${error.message}). Add it from Manage Proposal.`)
+          }
+        }
+
         // If publishing to Read page, save article content
-        if (formData.readVisibility !== 'none' && formData.articleContent.trim()) {
+        if (formData.readVisibility === 'public' && formData.articleContent.trim()) {
           // Save articleContent in settings for easy access
           proposalSettings.articleContent = formData.articleContent.trim()
           
@@ -197,7 +534,7 @@ function SubmitProposal() {
           proposalUpdates.news.push({
             title: formData.title,
             content: formData.articleContent.trim(),
-            earlyAccessOnly: formData.readVisibility === 'early-access',
+            earlyAccessOnly: false,
             timestamp: Date.now(),
             proposer: account
           })
@@ -210,32 +547,34 @@ function SubmitProposal() {
         
         localStorage.setItem(`proposal_settings_${proposalId}`, JSON.stringify(proposalSettings))
 
+        // Donations are only accepted once the proposer opens the escrow for the recipient
+        if (proposalType === 'funding' && contracts.donation) {
+          try {
+            info('Opening the donation escrow for the recipient...')
+            await openEscrow(result.proposalId, formData.recipientAddress)
+          } catch (error) {
+            console.error('Error opening escrow:', error)
+            showError('The donation escrow was not opened. Open it from Manage Proposal to accept donations.')
+          }
+        }
+
         success(`Proposal created successfully! Proposal ID: ${result.proposalId}`)
+        // The draft is on-chain now
+        if (draftId) {
+          deleteDraft(draftId)
+          setDrafts(listDrafts())
+        }
+        lastSavedRef.current = null
+        setDraftId(null)
+        setDraftSavedAt(null)
         setSubmitted(true)
-        setFormData({
-          title: '',
-          author: '',
-          description: '',
-          requestedAmount: '',
-          estimatedDuration: '',
-          category: '',
-          recipientAddress: '',
-          readVisibility: 'none',
-          articleContent: ''
-        })
-        
-        // Trigger refresh of proposals list
-        // Dispatch custom event to notify other components
-        window.dispatchEvent(new CustomEvent('proposalSubmitted', { 
-          detail: { proposalId: result.proposalId, txHash: result.txHash } 
-        }))
-        
-        // Also trigger via localStorage change (for cross-tab communication)
-        localStorage.setItem('lastProposalSubmitted', JSON.stringify({
-          proposalId: result.proposalId,
-          txHash: result.txHash,
-          timestamp: Date.now()
-        }))
+        setFormData(EMPTY_FORM)
+        setActions([createEmptyAction()])
+        setSettingInputs({})
+        setUseMilestones(false)
+        setMilestones(DEFAULT_MILESTONES)
+        setEvidence('')
+        if (tranche && onTrancheClear) onTrancheClear()
         
         setTimeout(() => {
           setSubmitted(false)
@@ -305,6 +644,131 @@ function SubmitProposal() {
             </motion.div>
           ) : (
             <form className="proposal-form" onSubmit={handleSubmit}>
+              {sharedDraft && (
+                <div className={`shared-draft-banner ${sharedDraft.verified ? '' : 'unverified'}`}>
+                  <div>
+                    <strong>
+                      Draft shared by {sharedDraft.author.slice(0, 6)}...{sharedDraft.author.slice(-4)}
+                    </strong>
+                    <p>
+                      {sharedDraft.verified
+                        ? `✓ Signed by this address on ${new Date(sharedDraft.timestamp).toLocaleString()}. Opening it copies it into a new draft of your own.`
+                        : '⚠ The signature does not match this address, so the draft may have been altered. It cannot be opened.'}
+                    </p>
+                  </div>
+                  <div className="draft-banner-actions">
+                    {sharedDraft.verified && (
+                      <button type="button" className="draft-action-button primary" onClick={handleOpenSharedDraft}>
+                        Open Draft
+                      </button>
+                    )}
+                    <button type="button" className="tranche-discard-button" onClick={onSharedDraftClear}>
+                      Dismiss
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {!tranche && (
+                <div className="drafts-panel">
+                  <div className="drafts-panel-header">
+                    <span className="drafts-panel-title">Drafts</span>
+                    <span className="draft-status">
+                      {draftSavedAt
+                        ? `Autosaved ${new Date(draftSavedAt).toLocaleTimeString()}`
+                        : 'Your changes are saved in this browser as you type'}
+                    </span>
+                  </div>
+
+                  <div className="draft-templates">
+                    <span className="draft-templates-label">Start from a template:</span>
+                    {DRAFT_TEMPLATES.map(template => (
+                      <button
+                        key={template.id}
+                        type="button"
+                        className="draft-template-button"
+                        title={template.summary}
+                        onClick={() => handleApplyTemplate(template)}
+                        disabled={isSubmitting}
+                      >
+                        {template.label}
+                      </button>
+                    ))}
+                  </div>
+
+                  {drafts.length > 0 && (
+                    <ul className="drafts-list">
+                      {drafts.map(draft => (
+                        <li key={draft.id} className={`draft-item ${draft.id === draftId ? 'current' : ''}`}>
+                          <div className="draft-item-info">
+                            <span className="draft-item-title">{draft.content.formData?.title || 'Untitled draft'}</span>
+                            <span className="draft-item-date">Edited {new Date(draft.updatedAt).toLocaleString()}</span>
+                          </div>
+                          {draft.id === draftId ? (
+                            <span className="draft-item-current">Editing</span>
+                          ) : (
+                            <button type="button" className="draft-action-button" onClick={() => handleLoadDraft(draft)} disabled={isSubmitting}>
+                              Open
+                            </button>
+                          )}
+                          <button type="button" className="draft-action-button danger" onClick={() => handleDeleteDraft(draft)} disabled={isSubmitting}>
+                            Delete
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  <div className="draft-panel-actions">
+                    <button type="button" className="draft-action-button" onClick={handleNewDraft} disabled={isSubmitting || !draftId}>
+                      New Draft
+                    </button>
+                    <button type="button" className="draft-action-button" onClick={handleShareDraft} disabled={isSharing || isSubmitting || !draftId}>
+                      {isSharing ? 'Signing...' : 'Share Signed Link'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {tranche ? (
+                <div className="tranche-banner">
+                  <div>
+                    <strong>Tranche {tranche.number} of {tranche.count}: {tranche.label}</strong>
+                    <p>
+                      Follow-up to Proposal #{tranche.parentId.slice(0, 8)}... The recipient, currency and
+                      amount are fixed by the milestone plan voters approved.
+                    </p>
+                  </div>
+                  <button type="button" className="tranche-discard-button" onClick={handleDiscardTranche}>
+                    Discard
+                  </button>
+                </div>
+              ) : (
+              <div className="proposal-type-toggle">
+                <button
+                  type="button"
+                  className={`proposal-type-button ${proposalType === 'funding' ? 'active' : ''}`}
+                  onClick={() => handleProposalTypeChange('funding')}
+                >
+                  Funding Request
+                </button>
+                <button
+                  type="button"
+                  className={`proposal-type-button ${proposalType === 'settings' ? 'active' : ''}`}
+                  onClick={() => handleProposalTypeChange('settings')}
+                >
+                  Governance Settings
+                </button>
+                <button
+                  type="button"
+                  className={`proposal-type-button ${proposalType === 'custom' ? 'active' : ''}`}
+                  onClick={() => handleProposalTypeChange('custom')}
+                >
+                  Advanced: Custom Actions
+                </button>
+              </div>
+              )}
+
               <div className="form-group">
                 <label htmlFor="title">Proposal Title *</label>
                 <input
@@ -331,43 +795,84 @@ function SubmitProposal() {
                 />
               </div>
 
-              <div className="form-group">
-                <label htmlFor="recipientAddress">Recipient Wallet Address *</label>
-                <input
-                  type="text"
-                  id="recipientAddress"
-                  name="recipientAddress"
-                  value={formData.recipientAddress}
-                  onChange={handleChange}
-                  required
-                  placeholder="0x..."
-                  pattern="^0x[a-fA-F0-9]{40}$"
-                />
-                <small className="form-hint">Address where funding will be sent</small>
-              </div>
-
-              <div className="form-row">
+              {proposalType === 'funding' && (
+                <>
                 <div className="form-group">
-                  <label htmlFor="category">Category *</label>
-                  <select
-                    id="category"
-                    name="category"
-                    value={formData.category}
+                  <label htmlFor="recipientAddress">Recipient Wallet Address *</label>
+                  <input
+                    type="text"
+                    id="recipientAddress"
+                    name="recipientAddress"
+                    value={formData.recipientAddress}
                     onChange={handleChange}
                     required
-                  >
-                    <option value="">Select a category</option>
-                    <option value="environment">Environment</option>
-                    <option value="health">Health</option>
-                    <option value="technology">Technology</option>
-                    <option value="social-justice">Social Justice</option>
-                    <option value="corruption">Corruption</option>
-                    <option value="other">Other</option>
-                  </select>
+                    readOnly={!!tranche}
+                    placeholder="0x..."
+                    pattern="^0x[a-fA-F0-9]{40}$"
+                  />
+                  <small className="form-hint">Address where funding will be sent</small>
                 </div>
 
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="category">Category *</label>
+                    <select
+                      id="category"
+                      name="category"
+                      value={formData.category}
+                      onChange={handleChange}
+                      required
+                    >
+                      <option value="">Select a category</option>
+                      <option value="environment">Environment</option>
+                      <option value="health">Health</option>
+                      <option value="technology">Technology</option>
+                      <option value="social-justice">Social Justice</option>
+                      <option value="corruption">Corruption</option>
+                      <option value="other">Other</option>
+                    </select>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="fundingToken">Currency *</label>
+                    <select
+                      id="fundingToken"
+                      name="fundingToken"
+                      value={formData.fundingToken}
+                      onChange={handleChange}
+                      required
+                      disabled={!!tranche}
+                    >
+                      <option value="ETH">ETH</option>
+                      {fundingTokens.map(token => (
+                        <option key={token.address} value={token.address}>{token.symbol}</option>
+                      ))}
+                      <option value="custom">Other ERC-20 (paste address)</option>
+                    </select>
+                  </div>
+                </div>
+
+                {formData.fundingToken === 'custom' && (
+                  <div className="form-group">
+                    <label htmlFor="customTokenAddress">Token Contract Address *</label>
+                    <input
+                      type="text"
+                      id="customTokenAddress"
+                      name="customTokenAddress"
+                      value={formData.customTokenAddress}
+                      onChange={handleChange}
+                      required
+                      readOnly={!!tranche}
+                      placeholder="0x..."
+                      pattern="^0x[a-fA-F0-9]{40}$"
+                    />
+                  </div>
+                )}
+
                 <div className="form-group">
-                  <label htmlFor="requestedAmount">Requested Amount (ETH) *</label>
+                  <label htmlFor="requestedAmount">
+                    Requested Amount ({selectedToken ? selectedToken.symbol : 'select a currency'}) *
+                  </label>
                   <input
                     type="number"
                     id="requestedAmount"
@@ -375,25 +880,125 @@ function SubmitProposal() {
                     value={formData.requestedAmount}
                     onChange={handleChange}
                     required
+                    readOnly={!!tranche}
                     placeholder="0.5"
                     min="0"
-                    step="0.001"
+                    step="any"
                   />
+                  {tokenError ? (
+                    <small className="form-hint funding-balance-warning">{tokenError}</small>
+                  ) : selectedToken && treasuryBalance !== null && (
+                    <small className={`form-hint ${parseFloat(formData.requestedAmount || 0) > parseFloat(treasuryBalance) ? 'funding-balance-warning' : ''}`}>
+                      Treasury available: {parseFloat(treasuryBalance).toLocaleString(undefined, { maximumFractionDigits: 4 })} {selectedToken.symbol}
+                      {parseFloat(formData.requestedAmount || 0) > parseFloat(treasuryBalance) &&
+                        ' - more than the treasury holds, so execution would fail unless it is topped up'}
+                    </small>
+                  )}
                 </div>
-              </div>
 
-              <div className="form-group">
-                <label htmlFor="estimatedDuration">Estimated Duration *</label>
-                <input
-                  type="text"
-                  id="estimatedDuration"
-                  name="estimatedDuration"
-                  value={formData.estimatedDuration}
-                  onChange={handleChange}
-                  required
-                  placeholder="e.g., 3 months, 6 weeks"
-                />
-              </div>
+                {!tranche && (
+                  <div className="form-group">
+                    <label className="milestone-toggle">
+                      <input
+                        type="checkbox"
+                        checked={useMilestones}
+                        onChange={(e) => setUseMilestones(e.target.checked)}
+                      />
+                      <span>Release in milestones</span>
+                    </label>
+                    <small className="form-hint">
+                      Only the first tranche is paid when this proposal executes. Each later tranche is a
+                      follow-up proposal backed by evidence of the previous milestone.
+                    </small>
+                    {useMilestones && (
+                      <div className="milestone-editor">
+                        {milestones.map((milestone, i) => (
+                          <div key={i} className="milestone-row">
+                            <span className="milestone-number">{i + 1}</span>
+                            <input
+                              type="text"
+                              value={milestone.label}
+                              onChange={(e) => setMilestones(milestones.map((m, j) => (j === i ? { ...m, label: e.target.value } : m)))}
+                              placeholder={i === 0 ? 'On approval' : 'Milestone'}
+                            />
+                            <input
+                              type="number"
+                              className="milestone-percent"
+                              value={milestone.percent}
+                              onChange={(e) => setMilestones(milestones.map((m, j) => (j === i ? { ...m, percent: e.target.value } : m)))}
+                              min="1"
+                              max="100"
+                              step="1"
+                            />
+                            <span className="milestone-percent-sign">%</span>
+                            {milestones.length > 2 && (
+                              <button
+                                type="button"
+                                className="milestone-remove-button"
+                                onClick={() => setMilestones(milestones.filter((_, j) => j !== i))}
+                              >
+                                ×
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                        <button
+                          type="button"
+                          className="milestone-add-button"
+                          onClick={() => setMilestones([...milestones, { label: '', percent: 0 }])}
+                        >
+                          + Add Milestone
+                        </button>
+                        <small className="form-hint">
+                          Total: {milestones.reduce((sum, m) => sum + (Number(m.percent) || 0), 0)}% (must be 100%)
+                        </small>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {contracts.donation && (
+                  <div className="form-group">
+                    <label>Donation Escrow</label>
+                    {escrowReleases.length > 0 && (
+                      <div className="escrow-release-list">
+                        {escrowReleases.map(release => (
+                          <label key={release.proposalId} className="milestone-toggle">
+                            <input
+                              type="checkbox"
+                              checked={!skippedReleases.includes(release.proposalId)}
+                              onChange={(e) => setSkippedReleases(prev => (e.target.checked
+                                ? prev.filter(id => id !== release.proposalId)
+                                : [...prev, release.proposalId]))}
+                            />
+                            <span>
+                              Also release {release.escrow.totalAmount} ETH donated to "{release.title}" (Proposal #{release.proposalId})
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                    <small className="form-hint">
+                      Donations to this proposal are held in escrow. A proposal cannot release its own escrow, so
+                      once it executes, propose the release from My Proposals or include it in your next funding request.
+                    </small>
+                  </div>
+                )}
+
+                <div className="form-group">
+                  <label htmlFor="estimatedDuration">Estimated Duration *</label>
+                  <input
+                    type="text"
+                    id="estimatedDuration"
+                    name="estimatedDuration"
+                    value={formData.estimatedDuration}
+                    onChange={handleChange}
+                    required
+                    placeholder="e.g., 3 months, 6 weeks"
+                  />
+                </div>
+                </>
+              )}
 
               <div className="form-group">
                 <label htmlFor="description">Project Description *</label>
@@ -408,105 +1013,199 @@ function SubmitProposal() {
                 />
               </div>
 
-              <div className="form-group">
-                <label htmlFor="readVisibility">Publish to Read Page *</label>
-                <div className="read-visibility-options">
-                  <label className="visibility-option">
-                    <input
-                      type="radio"
-                      name="readVisibility"
-                      value="public"
-                      checked={formData.readVisibility === 'public'}
-                      onChange={handleChange}
-                      required
-                    />
-                    <div className="option-content">
-                      <span className="option-icon">🌍</span>
-                      <div className="option-text">
-                        <strong>Public</strong>
-                        <small>Visible to everyone in Read page</small>
-                      </div>
-                    </div>
-                  </label>
-                  <label className="visibility-option">
-                    <input
-                      type="radio"
-                      name="readVisibility"
-                      value="early-access"
-                      checked={formData.readVisibility === 'early-access'}
-                      onChange={handleChange}
-                      required
-                    />
-                    <div className="option-content">
-                      <span className="option-icon">🔐</span>
-                      <div className="option-text">
-                        <strong>Early Access</strong>
-                        <small>Only visible to voters & donors in Read page</small>
-                      </div>
-                    </div>
-                  </label>
-                  <label className="visibility-option">
-                    <input
-                      type="radio"
-                      name="readVisibility"
-                      value="none"
-                      checked={formData.readVisibility === 'none'}
-                      onChange={handleChange}
-                      required
-                    />
-                    <div className="option-content">
-                      <span className="option-icon">🚫</span>
-                      <div className="option-text">
-                        <strong>Don't Publish</strong>
-                        <small>Not shown in Read page</small>
-                      </div>
+              {tranche && (
+                <div className="form-group">
+                  <label>Evidence of the {tranche.previousLabel} milestone *</label>
+                  <div className="tranche-evidence-options">
+                    {tranche.evidenceOptions.map(option => (
+                      <label key={option} className="tranche-evidence-option">
+                        <input
+                          type="radio"
+                          name="evidence"
+                          value={option}
+                          checked={evidence === option}
+                          onChange={(e) => setEvidence(e.target.value)}
+                          required
+                        />
+                        <span>{option}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <small className="form-hint">Recorded in the proposal so voters can check the deliverable before releasing funds</small>
+                </div>
+              )}
+
+              {proposalType === 'settings' && (
+                <div className="form-group">
+                  <label>New Settings *</label>
+                  <small className="form-hint">
+                    Leave a field blank to keep its current value. Block counts assume ~12 seconds per block.
+                  </small>
+                  {!currentSettings ? (
+                    <small className="form-hint">Reading current settings from the Governor...</small>
+                  ) : (
+                    <div className="settings-editor">
+                      {GOVERNANCE_SETTINGS.map(setting => {
+                        const input = settingInputs[setting.key] || ''
+                        let preview = null
+                        let previewError = null
+                        if (input.trim()) {
+                          try {
+                            preview = formatSettingValue(setting.key, parseSettingInput(setting.key, input))
+                          } catch (err) {
+                            previewError = err.message
+                          }
+                        }
+                        return (
+                          <div key={setting.key} className="settings-row">
+                            <div className="settings-row-header">
+                              <span className="settings-row-label">{setting.label}</span>
+                              <span className="settings-row-current">
+                                Current: {formatSettingValue(setting.key, currentSettings[setting.key])}
+                              </span>
+                            </div>
+                            <input
+                              type="text"
+                              value={input}
+                              onChange={(e) => setSettingInputs({ ...settingInputs, [setting.key]: e.target.value })}
+                              placeholder={
+                                setting.key === 'proposalThreshold' ? 'New threshold in VERITAS'
+                                  : setting.key === 'quorumNumerator' ? 'New quorum in % of supply'
+                                  : 'New value in blocks'
+                              }
+                              disabled={isSubmitting}
+                            />
+                            {previewError ? (
+                              <small className="form-hint funding-balance-warning">{previewError}</small>
+                            ) : preview && (
+                              <small className="form-hint">New: {preview}</small>
+                            )}
+                          </div>
+                        )
+                      })}
                     </div>
-                  </label>
+                  )}
                 </div>
-                <small className="form-hint">
-                  Choose how your investigation results will be displayed in the Read page
-                </small>
-              </div>
+              )}
 
-              {formData.readVisibility !== 'none' && (
+              {proposalType === 'custom' && (
                 <div className="form-group">
-                  <label htmlFor="articleContent">
-                    Article Content for Read Page *
-                    <span className="required-badge">Required</span>
-                  </label>
-                  <textarea
-                    id="articleContent"
-                    name="articleContent"
-                    value={formData.articleContent}
-                    onChange={handleChange}
-                    required={formData.readVisibility !== 'none'}
-                    rows="12"
-                    minLength={100}
-                    placeholder="Write your investigative journalism report here. Describe your findings, current investigation status, sources you've interviewed, evidence collected, and any preliminary conclusions. This content will be published in the Read page for the selected audience (public or early access). Be thorough and accurate - this represents your work as a journalist."
-                    className="article-content-textarea"
+                  <label>Proposal Actions *</label>
+                  <small className="form-hint">
+                    Executed in order by the timelock if the proposal passes. Check each preview before submitting.
+                  </small>
+                  <ProposalActionBuilder
+                    actions={actions}
+                    onChange={setActions}
+                    targets={getProposalTargets(chainId)}
+                    disabled={isSubmitting}
                   />
-                  <div className="article-content-hint">
-                    <p>
-                      <strong>📝 What to include:</strong>
-                    </p>
-                    <ul>
-                      <li>Current status of your investigation</li>
-                      <li>Key findings and evidence collected so far</li>
-                      <li>Sources interviewed or contacted</li>
-                      <li>Preliminary analysis or conclusions</li>
-                      <li>Next steps or what you're working on</li>
-                    </ul>
-                    <p className="hint-warning">
-                      <strong>⚠️ Important:</strong> This content will be visible to readers. Make sure it accurately reflects your current investigation status and findings.
-                    </p>
-                    <div className="character-count">
-                      {formData.articleContent.length} / 100 minimum characters
-                      {formData.articleContent.length < 100 && (
-                        <span className="count-warning"> (Need {100 - formData.articleContent.length} more characters)</span>
-                      )}
-                    </div>
+                </div>
+              )}
+
+              {proposalType === 'funding' && (
+                <>
+                <div className="form-group">
+                  <label htmlFor="readVisibility">Publish to Read Page *</label>
+                  <div className="read-visibility-options">
+                    <label className="visibility-option">
+                      <input
+                        type="radio"
+                        name="readVisibility"
+                        value="public"
+                        checked={formData.readVisibility === 'public'}
+                        onChange={handleChange}
+                        required
+                      />
+                      <div className="option-content">
+                        <span className="option-icon">🌍</span>
+                        <div className="option-text">
+                          <strong>Public</strong>
+                          <small>Visible to everyone in Read page</small>
+                        </div>
+                      </div>
+                    </label>
+                    <label className="visibility-option">
+                      <input
+                        type="radio"
+                        name="readVisibility"
+                        value="early-access"
+                        checked={formData.readVisibility === 'early-access'}
+                        onChange={handleChange}
+                        required
+                      />
+                      <div className="option-content">
+                        <span className="option-icon">🔐</span>
+                        <div className="option-text">
+                          <strong>Early Access</strong>
+                          <small>Encrypted - only voters & donors with early access can decrypt it</small>
+                        </div>
+                      </div>
+                    </label>
+                    <label className="visibility-option">
+                      <input
+                        type="radio"
+                        name="readVisibility"
+                        value="none"
+                        checked={formData.readVisibility === 'none'}
+                        onChange={handleChange}
+                        required
+                      />
+                      <div className="option-content">
+                        <span className="option-icon">🚫</span>
+                        <div className="option-text">
+                          <strong>Don't Publish</strong>
+                          <small>Not shown in Read page</small>
+                        </div>
+                      </div>
+                    </label>
                   </div>
+                  <small className="form-hint">
+                    Choose how your investigation results will be displayed in the Read page
+                  </small>
                 </div>
+
+                {formData.readVisibility !== 'none' && (
+                  <div className="form-group">
+                    <label htmlFor="articleContent">
+                      Article Content for Read Page *
+                      <span className="required-badge">Required</span>
+                    </label>
+                    <textarea
+                      id="articleContent"
+                      name="articleContent"
+                      value={formData.articleContent}
+                      onChange={handleChange}
+                      required={formData.readVisibility !== 'none'}
+                      rows="12"
+                      minLength={100}
+                      placeholder="Write your investigative journalism report here. Describe your findings, current investigation status, sources you've interviewed, evidence collected, and any preliminary conclusions. This content will be published in the Read page for the selected audience (public or early access). Be thorough and accurate - this represents your work as a journalist."
+                      className="article-content-textarea"
+                    />
+                    <div className="article-content-hint">
+                      <p>
+                        <strong>📝 What to include:</strong>
+                      </p>
+                      <ul>
+                        <li>Current status of your investigation</li>
+                        <li>Key findings and evidence collected so far</li>
+                        <li>Sources interviewed or contacted</li>
+                        <li>Preliminary analysis or conclusions</li>
+                        <li>Next steps or what you're working on</li>
+                      </ul>
+                      <p className="hint-warning">
+                        <strong>⚠️ Important:</strong> This content will be visible to readers. Make sure it accurately reflects your current investigation status and findings.
+                      </p>
+                      <div className="character-count">
+                        {formData.articleContent.length} / 100 minimum characters
+                        {formData.articleContent.length < 100 && (
+                          <span className="count-warning"> (Need {100 - formData.articleContent.length} more characters)</span>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )}
+                </>
               )}
 
               <div className="form-info">
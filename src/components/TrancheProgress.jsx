@@ -0,0 +1,53 @@
+import React from 'react'
+import './TrancheProgress.css'
+
+/**
+ * Milestone tranche progress
+ * Shows how much of a milestone plan has been released and where each
+ * follow-up tranche proposal stands.
+ */
+function TrancheProgress({ tranches }) {
+  const releasedPercent = tranches
+    .filter(tranche => tranche.released)
+    .reduce((sum, tranche) => sum + tranche.percent, 0)
+
+  return (
+    <div className="tranche-progress">
+      <div className="tranche-progress-header">
+        <span className="tranche-progress-title">Milestone Funding</span>
+        <span className="tranche-progress-summary">{releasedPercent}% released</span>
+      </div>
+
+      <div className="tranche-bar">
+        {tranches.map(tranche => (
+          <div
+            key={tranche.number}
+            className={`tranche-bar-segment ${tranche.released ? 'released' : ''}`}
+            style={{ width: `${tranche.percent}%` }}
+            title={`${tranche.label}: ${tranche.state}`}
+          />
+        ))}
+      </div>
+
+      <ol className="tranche-list">
+        {tranches.map(tranche => (
+          <li key={tranche.number} className="tranche-item">
+            <div className="tranche-item-main">
+              <span className="tranche-label">
+                {tranche.number}. {tranche.label} ({tranche.percent}%)
+              </span>
+              <span className="tranche-amount">{tranche.formatted}</span>
+            </div>
+            <span className={`tranche-state ${tranche.state.toLowerCase().replace(/\s+/g, '-')}`}>
+              {tranche.number > 1 && tranche.proposal
+                ? `${tranche.state} · Proposal #${tranche.proposal.id.slice(0, 8)}...`
+                : tranche.state}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default TrancheProgress
@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react'
+import { useContracts } from '../hooks/useContracts'
+import './VoteRationales.css'
+
+const SUPPORT_LABELS = ['Against', 'For', 'Abstain']
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 1, label: 'For' },
+  { id: 0, label: 'Against' },
+  { id: 2, label: 'Abstain' },
+]
+
+/**
+ * Feed of the reasons members gave when voting on a proposal
+ * Built from the reason field of indexed VoteCast events.
+ */
+function VoteRationales({ proposalId }) {
+  const { getVoteRationales, eventVersion } = useContracts()
+  const [rationales, setRationales] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filter, setFilter] = useState('all')
+
+  useEffect(() => {
+    let cancelled = false
+    getVoteRationales(proposalId).then(result => {
+      if (cancelled) return
+      setRationales(result)
+      setLoading(false)
+    })
+    return () => { cancelled = true }
+  }, [proposalId, getVoteRationales, eventVersion])
+
+  const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`
+
+  const visible = filter === 'all' ? rationales : rationales.filter(r => r.support === filter)
+
+  return (
+    <div className="vote-rationales">
+      <div className="rationales-header">
+        <span className="rationales-title">Voter Rationales ({rationales.length})</span>
+        <div className="rationales-filter">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              className={`rationales-filter-button ${filter === option.id ? 'active' : ''}`}
+              onClick={() => setFilter(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="rationales-empty">Loading rationales...</div>
+      ) : visible.length === 0 ? (
+        <div className="rationales-empty">
+          {rationales.length === 0 ? 'No voter has explained their vote yet.' : 'No rationales for this choice.'}
+        </div>
+      ) : (
+        <ul className="rationales-list">
+          {visible.map(rationale => (
+            <li key={`${rationale.transactionHash}-${rationale.voter}`} className="rationale-item">
+              <div className="rationale-meta">
+                <span className="rationale-voter">{formatAddress(rationale.voter)}</span>
+                <span className={`rationale-support support-${SUPPORT_LABELS[rationale.support].toLowerCase()}`}>
+                  {SUPPORT_LABELS[rationale.support]}
+                </span>
+                <span className="rationale-weight">{parseFloat(rationale.weight).toFixed(2)} VERITAS</span>
+              </div>
+              <p className="rationale-reason">{rationale.reason}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default VoteRationales
@@ -4,6 +4,9 @@
 // Import full ABIs from artifacts
 import fullABIs from './abis.json'
 
+// Canonical Multicall3 deployment (same address on Sepolia, mainnet and most EVM chains)
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
 export const CONTRACT_ADDRESSES = {
   // Local development (default addresses - update after deployment)
   localhost: {
@@ -16,6 +19,7 @@ export const CONTRACT_ADDRESSES = {
     ReputationContract: "", // Will be set after deployment
     VeritasFaucet: "", // Will be set after deployment
     JournalistRegistry: "", // Will be set after deployment
+    Multicall3: import.meta.env.VITE_MULTICALL3_ADDRESS || "", // Deployed by scripts/deploy.js on local networks
   },
   // Sepolia testnet
   sepolia: {
@@ -28,6 +32,7 @@ export const CONTRACT_ADDRESSES = {
     ReputationContract: import.meta.env.VITE_REPUTATION_CONTRACT_ADDRESS || "",
     VeritasFaucet: import.meta.env.VITE_FAUCET_ADDRESS || "",
     JournalistRegistry: import.meta.env.VITE_JOURNALIST_REGISTRY_ADDRESS || "",
+    Multicall3: MULTICALL3_ADDRESS,
   },
   // Mainnet (when ready)
   mainnet: {
@@ -40,6 +45,7 @@ export const CONTRACT_ADDRESSES = {
     ReputationContract: "",
     VeritasFaucet: "",
     JournalistRegistry: "",
+    Multicall3: MULTICALL3_ADDRESS,
   },
 };
 
@@ -80,6 +86,21 @@ export const getContractAddresses = (chainId = null) => {
   return CONTRACT_ADDRESSES[network] || CONTRACT_ADDRESSES.sepolia;
 };
 
+// First block the event indexer scans per network (deployment block of the DAO contracts)
+// scripts/deploy.js records it in deployment.json and scripts/add-frontend-env.js writes it
+// to VITE_INDEXER_START_BLOCK; scanning from genesis on public RPCs is slow and rate-limited
+export const INDEXER_START_BLOCKS = {
+  localhost: 0,
+  sepolia: Number(import.meta.env.VITE_INDEXER_START_BLOCK || 0),
+  mainnet: 0,
+};
+
+// Get indexer start block for current network
+export const getIndexerStartBlock = (chainId = null) => {
+  const network = getNetwork(chainId);
+  return INDEXER_START_BLOCKS[network] || 0;
+};
+
 // Contract ABIs - use full ABI from artifacts if available, otherwise use minimal ABI
 export const CONTRACT_ABIS = {
   VeritasToken: fullABIs.VeritasToken || [
@@ -92,6 +113,9 @@ export const CONTRACT_ABIS = {
     "function approve(address spender, uint256 amount) returns (bool)",
     "function allowance(address owner, address spender) view returns (uint256)",
     "function delegate(address delegatee)",
+    "function delegates(address account) view returns (address)",
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
     "function getVotes(address account) view returns (uint256)",
     "function getPastVotes(address account, uint256 blockNumber) view returns (uint256)",
     "function mint(address to, uint256 amount)",
@@ -99,6 +123,8 @@ export const CONTRACT_ABIS = {
     "function setFaucetAddress(address _faucetAddress)",
     "function faucetAddress() view returns (address)",
     "function owner() view returns (address)",
+    "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+    "event DelegateVotesChanged(address indexed delegate, uint256 previousVotes, uint256 newVotes)",
   ],
   VeritasFaucet: fullABIs.VeritasFaucet || [
     "function requestTokens()",
@@ -124,13 +150,28 @@ export const CONTRACT_ABIS = {
     "function votingDelay() view returns (uint256)",
     "function votingPeriod() view returns (uint256)",
     "function quorum(uint256 blockNumber) view returns (uint256)",
+    "function quorumNumerator() view returns (uint256)",
+    "function setVotingDelay(uint48 newVotingDelay)",
+    "function setVotingPeriod(uint32 newVotingPeriod)",
+    "function updateQuorumNumerator(uint256 newQuorumNumerator)",
     "function proposalVotes(uint256 proposalId) view returns (uint256 againstVotes, uint256 forVotes, uint256 abstainVotes)",
     "function proposalSnapshot(uint256 proposalId) view returns (uint256)",
     "function proposalDeadline(uint256 proposalId) view returns (uint256)",
     "function hasVoted(uint256 proposalId, address account) view returns (bool)",
+    "function queue(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) returns (uint256)",
+    "function execute(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) payable returns (uint256)",
+    "function proposalEta(uint256 proposalId) view returns (uint256)",
+    "function proposalNeedsQueuing(uint256 proposalId) view returns (bool)",
+    "function cancel(address[] targets, uint256[] values, bytes[] calldatas, bytes32 descriptionHash) returns (uint256)",
+    "function timelock() view returns (address)",
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
     "function owner() view returns (address)",
     "event ProposalCreated(uint256 proposalId, address proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 startBlock, uint256 endBlock, string description)",
     "event VoteCast(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason)",
+    "event ProposalQueued(uint256 proposalId, uint256 etaSeconds)",
+    "event ProposalExecuted(uint256 proposalId)",
+    "event ProposalCanceled(uint256 proposalId)",
   ],
   Treasury: fullABIs.Treasury || [
     "function withdrawEth(address payable to, uint256 amount)",
@@ -139,7 +180,8 @@ export const CONTRACT_ABIS = {
     "function getTokenBalance(address token) view returns (uint256)",
   ],
   DonationContract: fullABIs.DonationContract || [
-    "function donate(uint256 proposalId, address investigator, bool earlyAccessPromised) payable",
+    "function openEscrow(uint256 proposalId, address investigator)",
+    "function donate(uint256 proposalId, bool earlyAccessPromised) payable",
     "function grantEarlyAccess(uint256 proposalId, address donor)",
     "function releaseFunds(uint256 proposalId)",
     "function refundDonations(uint256 proposalId)",
@@ -149,6 +191,7 @@ export const CONTRACT_ABIS = {
     "function getEscrow(uint256 proposalId) view returns (tuple(uint256 totalAmount, address investigator, bool released, bool refunded, uint256 donationCount))",
     "function hasEarlyAccess(uint256 proposalId, address user) view returns (bool)",
     "function getDonorProposals(address donor) view returns (uint256[])",
+    "event EscrowOpened(uint256 indexed proposalId, address indexed investigator, address indexed openedBy)",
     "event DonationMade(uint256 indexed proposalId, address indexed donor, uint256 amount, bool earlyAccessPromised, uint256 timestamp)",
     "event EarlyAccessGranted(uint256 indexed proposalId, address indexed donor)",
     "event FundsReleased(uint256 indexed proposalId, address indexed investigator, uint256 amount)",
@@ -186,5 +229,56 @@ export const CONTRACT_ABIS = {
     "event JournalistVerified(address indexed journalist, uint256 timestamp)",
     "event JournalistRemoved(address indexed journalist)",
   ],
+  // TimelockController comes from OpenZeppelin and isn't exported to abis.json - only the guardian subset is needed
+  TimelockController: [
+    "function CANCELLER_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function getMinDelay() view returns (uint256)",
+    "function hashOperationBatch(address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt) pure returns (bytes32)",
+    "function isOperationPending(bytes32 id) view returns (bool)",
+    "function getTimestamp(bytes32 id) view returns (uint256)",
+    "function cancel(bytes32 id)",
+    "event Cancelled(bytes32 indexed id)",
+  ],
+  // Multicall3 is not compiled into abis.json on public networks - only the read-batching subset is needed
+  Multicall3: [
+    "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) returns (tuple(bool success, bytes returnData)[] returnData)",
+    "function getBlockNumber() view returns (uint256 blockNumber)",
+    "function getCurrentBlockTimestamp() view returns (uint256 timestamp)",
+    "function getEthBalance(address addr) view returns (uint256 balance)",
+  ],
+};
+
+
+// Contracts offered as proposal targets in the advanced proposal builder
+const PROPOSAL_TARGETS = [
+  'Treasury',
+  'DonationContract',
+  'ArticleRegistry',
+  'JournalistRegistry',
+  'ReputationContract',
+  'VeritasToken',
+  'VeritasGovernor',
+  'VeritasFaucet',
+];
+
+// Get deployed proposal targets with their ABIs for the current network
+export const getProposalTargets = (chainId = null) => {
+  const addresses = getContractAddresses(chainId);
+  return PROPOSAL_TARGETS
+    .filter(name => addresses[name])
+    .map(name => ({ name, address: addresses[name], abi: CONTRACT_ABIS[name] }));
 };
 
+// ERC-20s offered in the funding request currency selector: VERITAS plus any
+// stablecoins the treasury holds (comma-separated VITE_TREASURY_TOKENS)
+export const getFundingTokenAddresses = (chainId = null) => {
+  const addresses = getContractAddresses(chainId);
+  const extra = (import.meta.env.VITE_TREASURY_TOKENS || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  return [addresses.VeritasToken, ...extra].filter(
+    (address, i, all) => address && all.findIndex(a => a.toLowerCase() === address.toLowerCase()) === i
+  );
+};
@@ -1,4 +1,4 @@
-import { createConfig, http } from 'wagmi'
+import { createConfig, fallback, http } from 'wagmi'
 import { sepolia, mainnet } from 'wagmi/chains'
 import { injected, metaMask } from 'wagmi/connectors'
 
@@ -78,6 +78,39 @@ const getDefaultChain = () => {
   }
 }
 
+// Public RPC endpoints for read-only access (visitors without a wallet)
+// Tried in order; the first healthy endpoint serves the request
+const PUBLIC_RPC_URLS = {
+  [customSepolia.id]: [
+    'https://ethereum-sepolia-rpc.publicnode.com',
+    'https://rpc.sepolia.org',
+    ...sepolia.rpcUrls.default.http,
+  ],
+  [mainnet.id]: [
+    'https://ethereum-rpc.publicnode.com',
+    ...mainnet.rpcUrls.default.http,
+  ],
+  [localhost.id]: localhost.rpcUrls.default.http,
+}
+
+// Get the ordered RPC fallback list for a chain
+// VITE_READ_RPC_URLS (comma-separated) applies to the default network and takes priority,
+// followed by VITE_SEPOLIA_RPC_URL for Sepolia and the public endpoints above
+export const getReadRpcUrls = (chainId) => {
+  const envUrls = chainId === getDefaultChain().id
+    ? (import.meta.env.VITE_READ_RPC_URLS || '').split(',').map(url => url.trim()).filter(Boolean)
+    : []
+  const urls = [
+    ...envUrls,
+    ...(chainId === customSepolia.id && customRpcUrl ? [customRpcUrl] : []),
+    ...(PUBLIC_RPC_URLS[chainId] || []),
+  ]
+  // Remove duplicates while keeping priority order
+  return [...new Set(urls)]
+}
+
+const fallbackTransport = (chainId) => fallback(getReadRpcUrls(chainId).map(url => http(url)))
+
 export const wagmiConfig = createConfig({
   chains: [customSepolia, mainnet, localhost],
   connectors: [
@@ -85,8 +118,8 @@ export const wagmiConfig = createConfig({
     injected(),
   ],
   transports: {
-    [customSepolia.id]: customRpcUrl ? http(customRpcUrl) : http(),
-    [mainnet.id]: http(),
+    [customSepolia.id]: fallbackTransport(customSepolia.id),
+    [mainnet.id]: fallbackTransport(mainnet.id),
     [localhost.id]: http(),
   },
 })
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useEffect } from 'react'
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react'
 import { useAccount, useConnect, useDisconnect, useChainId, useSwitchChain } from 'wagmi'
 import { injected, metaMask } from 'wagmi/connectors'
 import { ensureSepoliaNetwork } from '../utils/metamaskNetwork'
@@ -12,6 +12,7 @@ export function WalletProvider({ children }) {
   const { disconnect } = useDisconnect()
   const chainId = useChainId()
   const { switchChain, isPending: isSwitchingChain } = useSwitchChain()
+  const [isConnectPromptOpen, setIsConnectPromptOpen] = useState(false)
 
   // Ensure Sepolia network name is correct when connected to Sepolia
   useEffect(() => {
@@ -22,6 +23,22 @@ export function WalletProvider({ children }) {
     }
   }, [isConnected, chainId])
 
+  // Close the connect prompt once a wallet is connected
+  useEffect(() => {
+    if (isConnected) {
+      setIsConnectPromptOpen(false)
+    }
+  }, [isConnected])
+
+  // Gate a write action: returns true if connected, otherwise asks the visitor to connect
+  const requireWallet = useCallback(() => {
+    if (address) return true
+    setIsConnectPromptOpen(true)
+    return false
+  }, [address])
+
+  const closeConnectPrompt = useCallback(() => setIsConnectPromptOpen(false), [])
+
   // Check if any Web3 wallet is available
   const isWalletAvailable = () => {
     return typeof window !== 'undefined' && typeof window.ethereum !== 'undefined'
@@ -109,6 +126,9 @@ export function WalletProvider({ children }) {
     connect: connectWallet,
     disconnect,
     switchNetwork,
+    requireWallet,
+    isConnectPromptOpen,
+    closeConnectPrompt,
   }
 
   return (
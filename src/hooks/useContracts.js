@@ -1,7 +1,67 @@
 import { useState, useEffect, useCallback } from 'react'
 import { ethers } from 'ethers'
-import { getContractAddresses, getNetwork, CONTRACT_ABIS } from '../config/contracts'
+import { getContractAddresses, getNetwork, getIndexerStartBlock, CONTRACT_ABIS } from '../config/contracts'
 import { useWallet } from '../contexts/WalletContext'
+import { defaultChain } from '../config/wagmi'
+import { syncContractEvents, invalidateEventIndex } from '../utils/eventIndexer'
+import { subscribeToContractEvents } from '../utils/liveEvents'
+import { getReadProvider } from '../utils/readProvider'
+import { multicall } from '../utils/multicall'
+import { getBlockTimestamps } from '../utils/contractHelpers'
+import { getBallotDomain, buildBallot } from '../utils/ballot'
+import { DELEGATION_TYPES, DELEGATION_TTL_SECONDS, getDelegationDomain, buildDelegation } from '../utils/delegation'
+import { ERC20_METADATA_ABI, NATIVE_TOKEN, decodeFundingRequests, formatTokenAmount } from '../utils/fundingRequests'
+import { GOVERNANCE_SETTINGS, decodeSettingChanges } from '../utils/governanceSettings'
+import { signDiscussionAction, buildDiscussionThread, createIndexedDbDiscussionStore, createHttpDiscussionStore } from '../utils/discussion'
+import { signDelegateStatement, buildStatementDirectory, createLocalStatementStore, createHttpStatementStore } from '../utils/delegateStatements'
+import { decodeEscrowActions, buildEscrowProposal } from '../utils/donations'
+import { getEarlyAccessHolders } from '../utils/earlyAccess'
+import { DEFAULT_GATEWAY_URL, buildArticleBundle, uploadArticleBundle, fetchArticleBundle, getGatewayUrl } from '../utils/ipfs'
+import {
+  signReaderKey, buildKeyDirectory, encryptArticle, addArticleReaders, unwrapContentKey, decryptArticle,
+  signEnvelopeRecord, buildEnvelopeDirectory, createLocalEarlyAccessStore, createHttpEarlyAccessStore,
+} from '../utils/articleEncryption'
+
+const PROPOSAL_STATES = [
+  'Pending', 'Active', 'Canceled', 'Defeated',
+  'Succeeded', 'Queued', 'Expired', 'Executed'
+]
+
+// Gasless voting relayer (scripts/relayer.js)
+const RELAYER_URL = import.meta.env.VITE_RELAYER_URL || 'http://localhost:3001'
+// Faucet API - served by the same relayer, which also submits signed delegations
+const FAUCET_API_URL = import.meta.env.VITE_FAUCET_API_URL || 'http://localhost:3001/api/faucet'
+
+// Discussion threads, delegate statements and early-access keys and articles are shared through
+// the relayer when VITE_RELAYER_URL is set; without it they are kept in this browser only
+const discussionStore = import.meta.env.VITE_RELAYER_URL
+  ? createHttpDiscussionStore(import.meta.env.VITE_RELAYER_URL)
+  : createIndexedDbDiscussionStore()
+const statementStore = import.meta.env.VITE_RELAYER_URL
+  ? createHttpStatementStore(import.meta.env.VITE_RELAYER_URL)
+  : createLocalStatementStore()
+const earlyAccessStore = import.meta.env.VITE_RELAYER_URL
+  ? createHttpEarlyAccessStore(import.meta.env.VITE_RELAYER_URL)
+  : createLocalEarlyAccessStore()
+
+// Published articles are uploaded to a Kubo-compatible IPFS API and read back through a gateway
+const IPFS_API_URL = import.meta.env.VITE_IPFS_API_URL || ''
+const IPFS_GATEWAY_URL = import.meta.env.VITE_IPFS_GATEWAY_URL || DEFAULT_GATEWAY_URL
+
+// ERC-20 symbol/decimals never change, so they are cached per chain for the session
+const tokenInfoCache = new Map()
+
+// ArticleRegistry.getArticle tuple -> plain article record
+const toPublishedArticle = (article) => ({
+  proposalId: article.proposalId.toString(),
+  investigator: article.investigator,
+  ipfsHash: article.ipfsHash,
+  title: article.title,
+  category: article.category,
+  excerpt: article.excerpt,
+  publishedAt: Number(article.publishedAt) * 1000,
+  verified: article.verified,
+})
 
 /**
  * Custom hook for interacting with VeritasDAO contracts
@@ -12,6 +72,8 @@ export function useContracts() {
   const [signer, setSigner] = useState(null)
   const [contracts, setContracts] = useState({})
   const [isLoading, setIsLoading] = useState(true)
+  // Bumped whenever a watched contract event arrives - add to effect deps to refetch live
+  const [eventVersion, setEventVersion] = useState(0)
 
   // Check if address is valid contract address
   const isValidAddress = (address) => {
@@ -19,30 +81,30 @@ export function useContracts() {
     return ethers.isAddress(address) && address !== ethers.ZeroAddress && address !== ''
   }
 
+  // Visitors without a wallet read from the default network
+  const networkChainId = account ? chainId : defaultChain.id
+
   // Initialize provider and signer
   useEffect(() => {
-    if (!isMetaMaskInstalled) {
-      setIsLoading(false)
-      return
-    }
-
     const initProvider = async () => {
       try {
-        // Always use MetaMask provider for wallet operations (signer and contract calls)
-        // MetaMask provider is more reliable for contract calls
-        const provider = new ethers.BrowserProvider(window.ethereum)
-        const signer = account ? await provider.getSigner() : null
-
-        // For contract verification, use MetaMask provider directly (more reliable)
-        // Custom RPC can have rate limits
-        const verificationProvider = provider
+        // Connected wallets read and write through MetaMask; visitors get signerless
+        // contracts on the public RPC fallback list so the archive works without a wallet
+        const useWalletProvider = !!account && isMetaMaskInstalled
+        const provider = useWalletProvider
+          ? new ethers.BrowserProvider(window.ethereum)
+          : getReadProvider(networkChainId)
+        if (!provider) {
+          setContracts({})
+          return
+        }
+        const signer = useWalletProvider ? await provider.getSigner() : null
 
-        // Use MetaMask provider for contract instances (can do both read and write)
         setProvider(provider)
         setSigner(signer)
 
         // Initialize contracts - use chainId to determine network
-        const addresses = getContractAddresses(chainId)
+        const addresses = getContractAddresses(networkChainId)
         const contractInstances = {}
 
 
@@ -76,7 +138,7 @@ export function useContracts() {
               address: addresses.VeritasGovernor,
               error: error.message,
               code: error.code,
-              chainId: chainId
+              chainId: networkChainId
             })
           }
         } else {
@@ -116,6 +178,45 @@ export function useContracts() {
           }
         }
 
+        if (isValidAddress(addresses.ArticleRegistry)) {
+          try {
+            contractInstances.articleRegistry = new ethers.Contract(
+              addresses.ArticleRegistry,
+              CONTRACT_ABIS.ArticleRegistry,
+              signer || provider
+            )
+          } catch (error) {
+          }
+        }
+
+        if (isValidAddress(addresses.DonationContract)) {
+          try {
+            contractInstances.donation = new ethers.Contract(
+              addresses.DonationContract,
+              CONTRACT_ABIS.DonationContract,
+              signer || provider
+            )
+          } catch (error) {
+          }
+        }
+
+        if (isValidAddress(addresses.TimelockController)) {
+          contractInstances.timelock = new ethers.Contract(
+            addresses.TimelockController,
+            CONTRACT_ABIS.TimelockController,
+            signer || provider
+          )
+        }
+
+        // Multicall3 is read-only, so it always uses the provider
+        if (isValidAddress(addresses.Multicall3)) {
+          contractInstances.multicall = new ethers.Contract(
+            addresses.Multicall3,
+            CONTRACT_ABIS.Multicall3,
+            provider
+          )
+        }
+
         setContracts(contractInstances)
       } catch (error) {
         console.error('Error initializing contracts:', error)
@@ -125,7 +226,7 @@ export function useContracts() {
     }
 
     initProvider()
-  }, [account, chainId, isMetaMaskInstalled])
+  }, [account, networkChainId, isMetaMaskInstalled])
 
   // Check if contract address is valid
   const isValidContractAddress = useCallback((address) => {
@@ -133,6 +234,106 @@ export function useContracts() {
     return ethers.isAddress(address) && address !== ethers.ZeroAddress
   }, [])
 
+  // Subscribe to live Governor and token events
+  const onContractEvent = useCallback((handler) => {
+    if (!contracts.governor || !provider) return () => {}
+    return subscribeToContractEvents({
+      provider,
+      chainId: networkChainId,
+      governor: contracts.governor,
+      token: contracts.token || null,
+      startBlock: getIndexerStartBlock(networkChainId),
+    }, handler)
+  }, [contracts.governor, contracts.token, provider, networkChainId])
+
+  // Refresh consumers when proposals, votes or delegations change on chain
+  useEffect(() => {
+    return onContractEvent(() => setEventVersion(version => version + 1))
+  }, [onContractEvent])
+
+  // Sync the Governor event index and return a view over it
+  const getGovernorIndex = useCallback(async () => {
+    return syncContractEvents(contracts.governor, {
+      provider,
+      chainId: networkChainId,
+      startBlock: getIndexerStartBlock(networkChainId),
+    })
+  }, [contracts.governor, provider, networkChainId])
+
+  // Sync the token event index (delegations and voting power changes)
+  const getTokenIndex = useCallback(async () => {
+    return syncContractEvents(contracts.token, {
+      provider,
+      chainId: networkChainId,
+      startBlock: getIndexerStartBlock(networkChainId),
+    })
+  }, [contracts.token, provider, networkChainId])
+
+  // Read state, votes, snapshot, deadline, timelock ETA and hasVoted for many proposals in one multicall
+  const readProposalsOnChain = useCallback(async (proposalIds) => {
+    const governor = contracts.governor
+    const callsPerProposal = account ? 6 : 5
+    const calls = proposalIds.flatMap(proposalId => [
+      { contract: governor, method: 'state', args: [proposalId] },
+      { contract: governor, method: 'proposalVotes', args: [proposalId] },
+      { contract: governor, method: 'proposalSnapshot', args: [proposalId] },
+      { contract: governor, method: 'proposalDeadline', args: [proposalId] },
+      { contract: governor, method: 'proposalEta', args: [proposalId] },
+      ...(account ? [{ contract: governor, method: 'hasVoted', args: [proposalId, account] }] : []),
+    ])
+
+    const results = await multicall(contracts.multicall || null, calls)
+
+    return proposalIds.map((proposalId, i) => {
+      const [state, votes, snapshot, deadline, eta, hasVoted] =
+        results.slice(i * callsPerProposal, (i + 1) * callsPerProposal)
+      if (![state, votes, snapshot, deadline].every(r => r.success)) {
+        console.error(`Error getting proposal ${proposalId} details`)
+        return null
+      }
+      return {
+        state: Number(state.result),
+        votes: votes.result,
+        snapshot: snapshot.result,
+        deadline: deadline.result,
+        // ETA in seconds; 0 until the proposal is queued in the timelock
+        eta: eta.success ? Number(eta.result) : 0,
+        hasVoted: !!(hasVoted && hasVoted.success && hasVoted.result),
+      }
+    })
+  }, [contracts.governor, contracts.multicall, account])
+
+  // Read symbol and decimals for many ERC-20s in one multicall; unreadable tokens are left out
+  const readTokenInfos = useCallback(async (tokenAddresses) => {
+    const readProvider = provider || getReadProvider(networkChainId)
+    const infos = new Map()
+    const missing = []
+    new Set(tokenAddresses.map(address => ethers.getAddress(address))).forEach(address => {
+      const cached = tokenInfoCache.get(`${networkChainId}:${address}`)
+      if (cached) infos.set(address, cached)
+      else missing.push(address)
+    })
+    if (missing.length === 0 || !readProvider) return infos
+
+    const calls = missing.flatMap(address => {
+      const token = new ethers.Contract(address, ERC20_METADATA_ABI, readProvider)
+      return [
+        { contract: token, method: 'symbol' },
+        { contract: token, method: 'decimals' },
+      ]
+    })
+    const results = await multicall(contracts.multicall || null, calls)
+
+    missing.forEach((address, i) => {
+      const [symbol, decimals] = results.slice(i * 2, i * 2 + 2)
+      if (!symbol.success || !decimals.success) return
+      const info = { address, symbol: symbol.result, decimals: Number(decimals.result) }
+      tokenInfoCache.set(`${networkChainId}:${address}`, info)
+      infos.set(address, info)
+    })
+    return infos
+  }, [provider, networkChainId, contracts.multicall])
+
   // Get token balance
   const getTokenBalance = useCallback(async (address) => {
     if (!address) return '0'
@@ -191,6 +392,43 @@ export function useContracts() {
     }
   }, [contracts.token])
 
+  // Sign a delegateBySig payload so the relayer can delegate without the user paying gas
+  const signDelegation = useCallback(async (delegatee) => {
+    if (!contracts.token || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    const delegator = await signer.getAddress()
+    const [domain, nonce] = await Promise.all([
+      getDelegationDomain(contracts.token),
+      contracts.token.nonces(delegator),
+    ])
+    const expiry = Math.floor(Date.now() / 1000) + DELEGATION_TTL_SECONDS
+    const value = buildDelegation({ delegatee, nonce, expiry })
+    const signature = await signer.signTypedData(domain, DELEGATION_TYPES, value)
+    return { delegatee, nonce: nonce.toString(), expiry: expiry.toString(), signature }
+  }, [contracts.token, signer])
+
+  // Onboarding: one signature gets faucet tokens and self-delegates them through the relayer
+  const requestFaucetWithDelegation = useCallback(async (address) => {
+    const delegation = await signDelegation(address)
+    let response
+    try {
+      response = await fetch(FAUCET_API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address, delegation }),
+      })
+    } catch (error) {
+      throw new Error(`Faucet relayer is not reachable at ${FAUCET_API_URL}`)
+    }
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.message || 'Faucet request failed')
+    }
+    invalidateEventIndex(contracts.token.target)
+    return { success: true, txHash: data.txHash, delegated: data.delegated, message: data.message }
+  }, [signDelegation, contracts.token])
+
   // Request faucet tokens (for testnet/development)
   const requestFaucet = useCallback(async (address) => {
     if (!address) {
@@ -280,24 +518,9 @@ export function useContracts() {
     }
     
     // Fallback: Try backend API if faucet contract not available
-    const faucetApiUrl = import.meta.env.VITE_FAUCET_API_URL || 'http://localhost:3001/api/faucet'
-    
+    // The relayer only drips with a signed delegation, which proves the address is the caller's
     try {
-      const response = await fetch(faucetApiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ address }),
-      })
-      
-      if (response.ok) {
-        const data = await response.json()
-        return { success: true, txHash: data.txHash, message: data.message || 'Tokens minted successfully' }
-      } else {
-        const error = await response.json()
-        throw new Error(error.message || 'Faucet request failed')
-      }
+      return await requestFaucetWithDelegation(address)
     } catch (apiError) {
         // Check if it's a network error or contract not available
         if (!contracts.faucet) {
@@ -313,7 +536,7 @@ export function useContracts() {
         }
       throw new Error('Faucet request failed. Please check your network connection and try again.')
     }
-  }, [contracts.faucet, signer])
+  }, [contracts.faucet, signer, requestFaucetWithDelegation])
 
   // Delegate voting power
   const delegate = useCallback(async (delegatee) => {
@@ -323,6 +546,7 @@ export function useContracts() {
     try {
       const tx = await contracts.token.delegate(delegatee)
       await tx.wait()
+      invalidateEventIndex(contracts.token.target)
       return tx.hash
     } catch (error) {
       console.error('Error delegating:', error)
@@ -330,6 +554,121 @@ export function useContracts() {
     }
   }, [contracts.token, signer])
 
+  // Current delegate of an account (zero address if it never delegated)
+  const getCurrentDelegate = useCallback(async (address) => {
+    if (!address || !contracts.token) return null
+    try {
+      return await contracts.token.delegates(address)
+    } catch (error) {
+      console.error('Error getting delegate:', error)
+      return null
+    }
+  }, [contracts.token])
+
+  // Resolve an address or ENS name typed by the user
+  const resolveDelegatee = useCallback(async (input) => {
+    const value = input.trim()
+    if (ethers.isAddress(value)) return ethers.getAddress(value)
+    if (!value.includes('.')) {
+      throw new Error('Enter a valid address or ENS name')
+    }
+    let resolved = null
+    try {
+      resolved = await provider.resolveName(value)
+    } catch (error) {
+      throw new Error('ENS names cannot be resolved on this network. Use the address instead.')
+    }
+    if (!resolved) {
+      throw new Error(`${value} does not resolve to an address`)
+    }
+    return resolved
+  }, [provider])
+
+  // Delegate directory built from DelegateChanged / DelegateVotesChanged events
+  // Participation counts proposals created after the delegate first held voting power
+  const getDelegates = useCallback(async () => {
+    if (!contracts.token || !contracts.governor || !provider) return []
+    try {
+      const [tokenIndex, governorIndex] = await Promise.all([getTokenIndex(), getGovernorIndex()])
+
+      // Latest delegation of every delegator
+      const delegateOf = new Map()
+      tokenIndex.getEvents('DelegateChanged').forEach(e => {
+        delegateOf.set(e.args.delegator.toLowerCase(), e.args.toDelegate.toLowerCase())
+      })
+
+      const delegates = new Map()
+      const getEntry = (address) => {
+        if (!delegates.has(address)) {
+          delegates.set(address, { address, votes: 0n, delegators: 0, firstPowerBlock: null })
+        }
+        return delegates.get(address)
+      }
+
+      delegateOf.forEach(delegatee => {
+        if (delegatee !== ethers.ZeroAddress) getEntry(delegatee).delegators++
+      })
+
+      tokenIndex.getEvents('DelegateVotesChanged').forEach(e => {
+        const entry = getEntry(e.args.delegate.toLowerCase())
+        entry.votes = BigInt(e.args.newVotes)
+        if (entry.firstPowerBlock === null && entry.votes > 0n) {
+          entry.firstPowerBlock = e.blockNumber
+        }
+      })
+
+      const proposals = governorIndex.getEvents('ProposalCreated')
+      const votedOn = new Map()
+      governorIndex.getEvents('VoteCast').forEach(e => {
+        const voter = e.args.voter.toLowerCase()
+        if (!votedOn.has(voter)) votedOn.set(voter, new Set())
+        votedOn.get(voter).add(e.args.proposalId)
+      })
+
+      return Array.from(delegates.values())
+        .filter(entry => entry.votes > 0n || entry.delegators > 0)
+        .map(entry => {
+          const eligible = entry.firstPowerBlock === null
+            ? []
+            : proposals.filter(p => p.blockNumber >= entry.firstPowerBlock)
+          const voted = votedOn.get(entry.address) || new Set()
+          const votesCast = eligible.filter(p => voted.has(p.args.proposalId)).length
+          return {
+            address: ethers.getAddress(entry.address),
+            votingPower: ethers.formatEther(entry.votes),
+            delegators: entry.delegators,
+            proposalsEligible: eligible.length,
+            votesCast,
+            participationRate: eligible.length > 0 ? votesCast / eligible.length : null,
+          }
+        })
+        .sort((a, b) => parseFloat(b.votingPower) - parseFloat(a.votingPower))
+    } catch (error) {
+      console.error('Error building delegate directory:', error)
+      return []
+    }
+  }, [contracts.token, contracts.governor, provider, getTokenIndex, getGovernorIndex])
+
+  // Delegate statements keyed by lowercase address; every record's signature is checked here
+  const getDelegateStatements = useCallback(async () => {
+    try {
+      return buildStatementDirectory(await statementStore.getStatements())
+    } catch (error) {
+      console.error('Error loading delegate statements:', error)
+      return {}
+    }
+  }, [])
+
+  // Sign and publish the connected member's statement (empty text removes it)
+  const publishDelegateStatement = useCallback(async (statement) => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    const record = await signDelegateStatement(signer, statement)
+    await statementStore.saveStatement(record)
+    return record.statement ? record : null
+  }, [signer])
+
   // Create proposal
   const createProposal = useCallback(async (targets, values, calldatas, description) => {
     if (!contracts.governor || !signer) {
@@ -338,6 +677,7 @@ export function useContracts() {
     try {
       const tx = await contracts.governor.propose(targets, values, calldatas, description)
       const receipt = await tx.wait()
+      invalidateEventIndex(contracts.governor.target)
       
       // Extract proposal ID from events
       const proposalCreatedEvent = receipt.logs.find(
@@ -366,21 +706,155 @@ export function useContracts() {
     }
   }, [contracts.governor, signer])
 
-  // Vote on proposal
-  const vote = useCallback(async (proposalId, support) => {
+  // Rebuild a proposal's targets, values, calldatas and description hash from its ProposalCreated event
+  const getProposalActions = useCallback(async (proposalId) => {
+    const index = await getGovernorIndex()
+    const [created] = index.getEvents('ProposalCreated', e => e.args.proposalId === proposalId.toString())
+    if (!created) {
+      throw new Error('Proposal not found in the event index')
+    }
+
+    const { targets, values, calldatas, description } = created.args
+    const actions = {
+      targets,
+      values: values.map(value => BigInt(value)),
+      calldatas,
+      descriptionHash: ethers.id(description),
+    }
+
+    // The Governor derives the id from exactly these parameters - catch decoding mistakes before sending
+    const hashed = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address[]', 'uint256[]', 'bytes[]', 'bytes32'],
+      [actions.targets, actions.values, actions.calldatas, actions.descriptionHash]
+    ))
+    if (BigInt(hashed) !== BigInt(proposalId)) {
+      throw new Error('Indexed proposal parameters do not match the proposal id')
+    }
+    return actions
+  }, [getGovernorIndex])
+
+  // Queue a succeeded proposal in the timelock
+  const queueProposal = useCallback(async (proposalId) => {
     if (!contracts.governor || !signer) {
       throw new Error('Wallet not connected')
     }
     try {
-      const tx = await contracts.governor.castVote(proposalId, support)
-      // Wait for at least 1 confirmation
-      const receipt = await tx.wait(1)
-      
-      // Immediately check vote count after confirmation
-      try {
-        const votes = await contracts.governor.proposalVotes(proposalId)
-      } catch (voteError) {
+      const { targets, values, calldatas, descriptionHash } = await getProposalActions(proposalId)
+      const tx = await contracts.governor.queue(targets, values, calldatas, descriptionHash)
+      await tx.wait()
+      invalidateEventIndex(contracts.governor.target)
+      return tx.hash
+    } catch (error) {
+      console.error('Error queueing proposal:', error)
+      throw error
+    }
+  }, [contracts.governor, signer, getProposalActions])
+
+  // Execute a queued proposal once its timelock ETA has passed
+  const executeProposal = useCallback(async (proposalId) => {
+    if (!contracts.governor || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    try {
+      const { targets, values, calldatas, descriptionHash } = await getProposalActions(proposalId)
+      // ETH the actions send is paid by the timelock from its own balance, not by the caller
+      const tx = await contracts.governor.execute(targets, values, calldatas, descriptionHash)
+      await tx.wait()
+      invalidateEventIndex(contracts.governor.target)
+      return tx.hash
+    } catch (error) {
+      console.error('Error executing proposal:', error)
+      throw error
+    }
+  }, [contracts.governor, signer, getProposalActions])
+
+  // Cancel a proposal before voting starts (only the proposer, only while Pending)
+  const cancelProposal = useCallback(async (proposalId) => {
+    if (!contracts.governor || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    try {
+      const { targets, values, calldatas, descriptionHash } = await getProposalActions(proposalId)
+      const tx = await contracts.governor.cancel(targets, values, calldatas, descriptionHash)
+      await tx.wait()
+      invalidateEventIndex(contracts.governor.target)
+      return tx.hash
+    } catch (error) {
+      console.error('Error cancelling proposal:', error)
+      throw error
+    }
+  }, [contracts.governor, signer, getProposalActions])
+
+  // Check if an address holds the timelock CANCELLER_ROLE (the DAO guardian)
+  const isGuardian = useCallback(async (address) => {
+    if (!address || !contracts.timelock || !contracts.governor) return false
+    // The Governor itself is a canceller but not a guardian
+    if (address.toLowerCase() === contracts.governor.target.toLowerCase()) return false
+    try {
+      const cancellerRole = await contracts.timelock.CANCELLER_ROLE()
+      return await contracts.timelock.hasRole(cancellerRole, address)
+    } catch (error) {
+      console.error('Error checking guardian role:', error)
+      return false
+    }
+  }, [contracts.timelock, contracts.governor])
+
+  // Compute the timelock operation id the Governor used when queueing a proposal
+  const getTimelockOperationId = useCallback(async (proposalId) => {
+    if (!contracts.timelock || !contracts.governor) {
+      throw new Error('Timelock contract not configured')
+    }
+    const { targets, values, calldatas, descriptionHash } = await getProposalActions(proposalId)
+    // GovernorTimelockControl salts operations with bytes20(governor) ^ descriptionHash
+    const salt = ethers.toBeHex((BigInt(contracts.governor.target) << 96n) ^ BigInt(descriptionHash), 32)
+    return contracts.timelock.hashOperationBatch(targets, values, calldatas, ethers.ZeroHash, salt)
+  }, [contracts.timelock, contracts.governor, getProposalActions])
+
+  // Guardian veto: cancel a queued proposal's timelock operation
+  const vetoProposal = useCallback(async (proposalId) => {
+    if (!contracts.timelock || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    try {
+      const operationId = await getTimelockOperationId(proposalId)
+      if (!(await contracts.timelock.isOperationPending(operationId))) {
+        throw new Error('Proposal has no pending timelock operation')
       }
+      const tx = await contracts.timelock.cancel(operationId)
+      await tx.wait()
+      invalidateEventIndex(contracts.governor.target)
+      return tx.hash
+    } catch (error) {
+      console.error('Error vetoing proposal:', error)
+      throw error
+    }
+  }, [contracts.timelock, contracts.governor, signer, getTimelockOperationId])
+
+  // Get the timelock ETA of a queued proposal (milliseconds, or null if not queued)
+  const getProposalEta = useCallback(async (proposalId) => {
+    if (!contracts.governor) return null
+    try {
+      const eta = await contracts.governor.proposalEta(proposalId)
+      return eta > 0n ? Number(eta) * 1000 : null
+    } catch (error) {
+      console.error('Error getting proposal ETA:', error)
+      return null
+    }
+  }, [contracts.governor])
+
+  // Vote on proposal, optionally explaining the vote (stored on-chain in the VoteCast event)
+  const vote = useCallback(async (proposalId, support, reason = '') => {
+    if (!contracts.governor || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    try {
+      const trimmedReason = reason.trim()
+      const tx = trimmedReason
+        ? await contracts.governor.castVoteWithReason(proposalId, support, trimmedReason)
+        : await contracts.governor.castVote(proposalId, support)
+      // Wait for at least 1 confirmation
+      await tx.wait(1)
+      invalidateEventIndex(contracts.governor.target)
       
       return tx.hash
     } catch (error) {
@@ -389,16 +863,129 @@ export function useContracts() {
     }
   }, [contracts.governor, signer])
 
+  // Sign an EIP-712 ballot so a relayer can cast the vote without the voter paying gas
+  const signVote = useCallback(async (proposalId, support, reason = '') => {
+    if (!contracts.governor || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    const voter = await signer.getAddress()
+    const trimmedReason = reason.trim()
+    const [domain, nonce] = await Promise.all([
+      getBallotDomain(contracts.governor),
+      contracts.governor.nonces(voter),
+    ])
+    const { types, value } = buildBallot({ proposalId, support, voter, nonce, reason: trimmedReason })
+    const signature = await signer.signTypedData(domain, types, value)
+    return { proposalId: proposalId.toString(), support, voter, signature, reason: trimmedReason }
+  }, [contracts.governor, signer])
+
+  // Sign a ballot and hand it to the relayer, which submits castVoteBySig
+  const relayVote = useCallback(async (proposalId, support, reason = '') => {
+    const ballot = await signVote(proposalId, support, reason)
+    try {
+      const response = await fetch(`${RELAYER_URL}/api/relayer/vote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(ballot),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Relayer rejected the vote')
+      }
+      invalidateEventIndex(contracts.governor.target)
+      return data.txHash
+    } catch (error) {
+      console.error('[VOTE] Error relaying vote:', error)
+      if (error instanceof TypeError) {
+        throw new Error(`Relayer is not reachable at ${RELAYER_URL}`)
+      }
+      throw error
+    }
+  }, [signVote, contracts.governor])
+
+  // Relayer status, or null when the relayer is offline or serves another chain
+  const getRelayerStatus = useCallback(async () => {
+    try {
+      const response = await fetch(`${RELAYER_URL}/api/relayer/status`)
+      if (!response.ok) return null
+      const status = await response.json()
+      if (contracts.governor && status.governor.toLowerCase() !== contracts.governor.target.toLowerCase()) {
+        return null
+      }
+      return status
+    } catch (error) {
+      return null
+    }
+  }, [contracts.governor])
+
+  // Discussion thread for a proposal, with each commenter's voting power and verification
+  const getDiscussion = useCallback(async (proposalId) => {
+    const empty = { comments: [], count: 0, authors: {}, storeName: discussionStore.name, shared: discussionStore.shared }
+    try {
+      const actions = await discussionStore.getActions(proposalId)
+      const thread = buildDiscussionThread(actions, networkChainId)
+
+      const addresses = new Set()
+      const collect = (comments) => comments.forEach(comment => {
+        addresses.add(comment.author)
+        collect(comment.replies)
+      })
+      collect(thread.comments)
+
+      const authorList = [...addresses]
+      const calls = []
+      authorList.forEach(address => {
+        if (contracts.token) calls.push({ contract: contracts.token, method: 'getVotes', args: [address] })
+        if (contracts.journalistRegistry) calls.push({ contract: contracts.journalistRegistry, method: 'isVerified', args: [address] })
+      })
+      const results = calls.length > 0 ? await multicall(contracts.multicall || null, calls) : []
+      let resultIndex = 0
+      const authors = Object.fromEntries(authorList.map(address => {
+        const votes = contracts.token ? results[resultIndex++] : null
+        const verified = contracts.journalistRegistry ? results[resultIndex++] : null
+        return [address, {
+          votingPower: votes?.success ? ethers.formatEther(votes.result) : null,
+          verified: !!(verified?.success && verified.result),
+        }]
+      }))
+
+      return { ...empty, ...thread, authors }
+    } catch (error) {
+      console.error('Error loading discussion:', error)
+      return { ...empty, error: error.message }
+    }
+  }, [contracts.token, contracts.journalistRegistry, contracts.multicall, networkChainId])
+
+  // Sign a discussion action with the connected wallet and store it
+  const saveDiscussionAction = useCallback(async (fields) => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    const action = await signDiscussionAction(signer, networkChainId, fields)
+    return discussionStore.saveAction(action)
+  }, [signer, networkChainId])
+
+  // Post a comment, or a reply when parentId is given
+  const postComment = useCallback(async (proposalId, body, parentId = ethers.ZeroHash) => {
+    return saveDiscussionAction({ proposalId, action: 'post', body, parentId })
+  }, [saveDiscussionAction])
+
+  // Edit one of your comments; the earlier versions stay in its signed history
+  const editComment = useCallback(async (proposalId, commentId, body) => {
+    return saveDiscussionAction({ proposalId, action: 'edit', body, commentId })
+  }, [saveDiscussionAction])
+
+  // Delete one of your comments with a signed deletion
+  const deleteComment = useCallback(async (proposalId, commentId) => {
+    return saveDiscussionAction({ proposalId, action: 'delete', commentId })
+  }, [saveDiscussionAction])
+
   // Get proposal state
   const getProposalState = useCallback(async (proposalId) => {
     if (!contracts.governor) return null
     try {
       const state = await contracts.governor.state(proposalId)
-      const states = [
-        'Pending', 'Active', 'Canceled', 'Defeated',
-        'Succeeded', 'Queued', 'Expired', 'Executed'
-      ]
-      return states[state]
+      return PROPOSAL_STATES[Number(state)]
     } catch (error) {
       console.error('Error getting proposal state:', error)
       return null
@@ -422,50 +1009,49 @@ export function useContracts() {
     }
   }, [contracts.governor])
   
-  // Get all votes for a proposal by querying VoteCast events
+  // Get the votes cast with a reason for a proposal, newest first
+  const getVoteRationales = useCallback(async (proposalId) => {
+    if (!contracts.governor || !provider) return []
+    try {
+      const index = await getGovernorIndex()
+      return index
+        .getEvents('VoteCast', e => e.args.proposalId === proposalId.toString() && !!e.args.reason?.trim())
+        .map(e => ({
+          voter: e.args.voter,
+          support: Number(e.args.support),
+          weight: ethers.formatEther(e.args.weight),
+          reason: e.args.reason.trim(),
+          blockNumber: e.blockNumber,
+          transactionHash: e.transactionHash,
+        }))
+        .reverse()
+    } catch (error) {
+      console.error('Error getting vote rationales:', error)
+      return []
+    }
+  }, [contracts.governor, provider, getGovernorIndex])
+
+  // Get all votes for a proposal from the indexed VoteCast events
   const getProposalVotesFromEvents = useCallback(async (proposalId) => {
     if (!contracts.governor || !provider) return null
     try {
-      // VoteCast event: VoteCast(address indexed voter, uint256 indexed proposalId, uint8 support, uint256 weight, string reason)
-      // Filter by proposalId (second indexed parameter, first is null for voter)
-      let events = []
-      try {
-        const filter = contracts.governor.filters.VoteCast(null, proposalId)
-        events = await contracts.governor.queryFilter(filter)
-      } catch (filterError) {
-        // Fallback: query all VoteCast events and filter manually
-        const allEvents = await contracts.governor.queryFilter(contracts.governor.filters.VoteCast())
-        events = allEvents.filter(e => {
-          try {
-            const parsed = contracts.governor.interface.parseLog(e)
-            return parsed && parsed.args.proposalId && parsed.args.proposalId.toString() === proposalId
-          } catch {
-            return false
-          }
-        })
-      }
-      
-      
+      const index = await getGovernorIndex()
+      const events = index.getEvents('VoteCast', e => e.args.proposalId === proposalId.toString())
+
       let totalFor = BigInt(0)
       let totalAgainst = BigInt(0)
       let totalAbstain = BigInt(0)
-      
-      events.forEach((event, index) => {
-        try {
-          const parsed = contracts.governor.interface.parseLog(event)
-          if (parsed && parsed.name === 'VoteCast') {
-            const support = parsed.args.support
-            const weight = parsed.args.weight
-            
-            if (support === 0) {
-              totalAgainst += weight
-            } else if (support === 1) {
-              totalFor += weight
-            } else if (support === 2) {
-              totalAbstain += weight
-            }
-          }
-        } catch (parseError) {
+
+      events.forEach((event) => {
+        const support = Number(event.args.support)
+        const weight = BigInt(event.args.weight)
+
+        if (support === 0) {
+          totalAgainst += weight
+        } else if (support === 1) {
+          totalFor += weight
+        } else if (support === 2) {
+          totalAbstain += weight
         }
       })
       
@@ -480,7 +1066,7 @@ export function useContracts() {
       console.error('[VOTES] Error getting votes from events:', error)
       return null
     }
-  }, [contracts.governor, provider])
+  }, [contracts.governor, provider, getGovernorIndex])
 
   // Get proposal threshold
   const getProposalThreshold = useCallback(async () => {
@@ -494,171 +1080,148 @@ export function useContracts() {
     }
   }, [contracts.governor])
 
-  // Get all proposals (by querying ProposalCreated events)
+  // Read the Governor's current settings (raw values: blocks, wei and quorum percent)
+  const getGovernanceSettings = useCallback(async () => {
+    if (!contracts.governor) return null
+    try {
+      const results = await multicall(
+        contracts.multicall || null,
+        GOVERNANCE_SETTINGS.map(setting => ({ contract: contracts.governor, method: setting.getter }))
+      )
+      if (!results.every(r => r.success)) {
+        throw new Error('Governor settings could not be read')
+      }
+      return Object.fromEntries(GOVERNANCE_SETTINGS.map((setting, i) => [setting.key, results[i].result.toString()]))
+    } catch (error) {
+      console.error('Error getting governance settings:', error)
+      return null
+    }
+  }, [contracts.governor, contracts.multicall])
+
+  // Get all proposals (from the indexed ProposalCreated events)
   const getAllProposals = useCallback(async () => {
     if (!contracts.governor || !provider) return []
     try {
-      // Force provider to use latest block
-      await provider.getBlockNumber() // This ensures we're using latest block
-      
-      // Query ProposalCreated events
-      const filter = contracts.governor.filters.ProposalCreated()
-      const events = await contracts.governor.queryFilter(filter)
-      
-      
-      // Get details for each proposal
-      const proposals = await Promise.all(
-        events.map(async (event) => {
-          const proposalId = event.args.proposalId.toString()
-          try {
-            const [state, votes, snapshot, deadline, hasVoted] = await Promise.all([
-              contracts.governor.state(proposalId),
-              contracts.governor.proposalVotes(proposalId),
-              contracts.governor.proposalSnapshot(proposalId),
-              contracts.governor.proposalDeadline(proposalId),
-              account ? contracts.governor.hasVoted(proposalId, account).catch(() => false) : false
-            ])
-
-            const states = [
-              'Pending', 'Active', 'Canceled', 'Defeated',
-              'Succeeded', 'Queued', 'Expired', 'Executed'
-            ]
-            
-            // Get vote counts from contract (may not be accurate immediately after vote)
-            let contractVotesFor = parseFloat(ethers.formatEther(votes.forVotes))
-            let contractVotesAgainst = parseFloat(ethers.formatEther(votes.againstVotes))
-            let contractVotesAbstain = parseFloat(ethers.formatEther(votes.abstainVotes))
-            
-            
-            // ALWAYS use events as primary source - more reliable and includes all votes
-            let votesFor = contractVotesFor
-            let votesAgainst = contractVotesAgainst
-            let votesAbstain = contractVotesAbstain
-            
-            try {
-              // Query all VoteCast events and filter by proposalId (most reliable method)
-              const allVoteEvents = await contracts.governor.queryFilter(contracts.governor.filters.VoteCast())
-              const filteredEvents = allVoteEvents.filter(e => {
-                try {
-                  const parsed = contracts.governor.interface.parseLog(e)
-                  if (parsed && parsed.name === 'VoteCast') {
-                    const eventProposalId = parsed.args.proposalId ? parsed.args.proposalId.toString() : null
-                    return eventProposalId === proposalId
-                  }
-                  return false
-                } catch {
-                  return false
-                }
-              })
-              
-              if (filteredEvents.length > 0) {
-                // Count votes: Each vote = 10 VERITAS (fixed cost)
-                const VOTE_COST = 10
-                let voteCountFor = 0
-                let voteCountAgainst = 0
-                let voteCountAbstain = 0
-                
-                filteredEvents.forEach((event, index) => {
-                  try {
-                    const parsed = contracts.governor.interface.parseLog(event)
-                    if (parsed && parsed.name === 'VoteCast') {
-                      // Get all args from event
-                      const args = parsed.args
-                      const support = Number(args.support)
-                      const voter = args.voter
-                      
-                      // proposalId is the second indexed parameter in VoteCast event
-                      // VoteCast(address indexed voter, uint256 indexed proposalId, uint8 support, uint256 weight, string reason)
-                      let eventProposalId = null
-                      if (args.proposalId !== undefined) {
-                        eventProposalId = args.proposalId.toString()
-                      } else if (args.length >= 2) {
-                        // Fallback: try to get from args array
-                        eventProposalId = args[1] ? args[1].toString() : null
-                      }
-                      
-                      // Double check proposalId matches
-                      if (eventProposalId && eventProposalId !== proposalId) {
-                        return
-                      }
-                      
-                      const supportLabel = support === 0 ? 'AGAINST' : support === 1 ? 'FOR' : support === 2 ? 'ABSTAIN' : 'UNKNOWN'
-                      
-                      // Count votes (each vote = 10 VERITAS)
-                      if (support === 0) {
-                        voteCountAgainst++
-                      } else if (support === 1) {
-                        voteCountFor++
-                      } else if (support === 2) {
-                        voteCountAbstain++
-                      }
-                    }
-                  } catch (parseError) {
-                    // Silent fail for parse errors
-                  }
-                })
-                
-                // Calculate VERITAS amounts: votes × 10 VERITAS per vote
-                const eventVotesFor = voteCountFor * VOTE_COST
-                const eventVotesAgainst = voteCountAgainst * VOTE_COST
-                const eventVotesAbstain = voteCountAbstain * VOTE_COST
-                
-                
-                // ALWAYS use events as primary source (more reliable, includes all votes)
-                votesFor = eventVotesFor
-                votesAgainst = eventVotesAgainst
-                votesAbstain = eventVotesAbstain
-                
-              } else {
-                // No events found, use contract values
-              }
-            } catch (eventError) {
-              // Silent fail, use contract values
-            }
+      const index = await getGovernorIndex()
+      const events = index.getEvents('ProposalCreated')
 
-            // Parse description from event (if available)
-            const description = event.args.description || ''
+      // Group indexed votes by proposal once instead of filtering per proposal
+      const votesByProposal = new Map()
+      index.getEvents('VoteCast').forEach(vote => {
+        const list = votesByProposal.get(vote.args.proposalId) || []
+        list.push(vote)
+        votesByProposal.set(vote.args.proposalId, list)
+      })
 
-            // Convert deadline block number to timestamp
-            let deadlineTimestamp = null
-            try {
-              const deadlineBlock = await provider.getBlock(deadline.toString())
-              deadlineTimestamp = deadlineBlock.timestamp * 1000
-            } catch (error) {
-              // Fallback: estimate from current block
-              try {
-                const currentBlock = await provider.getBlockNumber()
-                const currentBlockData = await provider.getBlock('latest')
-                const blockDiff = Number(deadline) - currentBlock
-                const avgBlockTime = 12 // seconds
-                deadlineTimestamp = (currentBlockData.timestamp + (blockDiff * avgBlockTime)) * 1000
-              } catch {
-                deadlineTimestamp = Date.now()
-              }
+      // Batch every on-chain read into multicalls, then batch deadline timestamps. Timestamps come from
+      // the same provider as proposal state: the wallet when connected, the public RPC list otherwise
+      const proposalIds = events.map(event => event.args.proposalId)
+      const onChain = await readProposalsOnChain(proposalIds)
+      const deadlineTimestamps = await getBlockTimestamps(
+        provider || getReadProvider(networkChainId),
+        onChain.filter(Boolean).map(data => data.deadline)
+      )
+
+      // Quorum and the member's vote weight are fixed at the snapshot block,
+      // so they can only be read once voting has started
+      const currentBlock = await provider.getBlockNumber()
+      const snapshotReads = onChain.map(data => (data && data.snapshot < BigInt(currentBlock) ? data.snapshot : null))
+      const readWeight = !!(account && contracts.token)
+      const snapshotResults = await multicall(
+        contracts.multicall || null,
+        snapshotReads.filter(snapshot => snapshot !== null).flatMap(snapshot => [
+          { contract: contracts.governor, method: 'quorum', args: [snapshot] },
+          ...(readWeight ? [{ contract: contracts.token, method: 'getPastVotes', args: [account, snapshot] }] : []),
+        ])
+      )
+      let snapshotIndex = 0
+      const snapshotValues = snapshotReads.map(snapshot => {
+        if (snapshot === null) return { quorum: null, weight: null }
+        const quorum = snapshotResults[snapshotIndex++]
+        const weight = readWeight ? snapshotResults[snapshotIndex++] : null
+        return {
+          quorum: quorum.success ? quorum.result.toString() : null,
+          weight: weight?.success ? ethers.formatEther(weight.result) : null,
+        }
+      })
+
+      // Label treasury payouts with the symbol and decimals of the requested token
+      const treasuryAddress = contracts.treasury?.target
+      const payouts = events.map(event => decodeFundingRequests(event.args, treasuryAddress))
+      const tokenInfos = await readTokenInfos(payouts.flat().map(p => p.token).filter(Boolean))
+
+      const proposals = events.map((event, i) => {
+        const data = onChain[i]
+        if (!data) return null
+        const proposalId = event.args.proposalId
+        const { state, votes, snapshot, deadline, eta, hasVoted } = data
+
+        // Tallies are the sum of VoteCast weights (voting power at the snapshot);
+        // the contract's proposalVotes covers votes the index has not caught up with
+        let tallyWei = [votes.againstVotes, votes.forVotes, votes.abstainVotes]
+        const voteEvents = votesByProposal.get(proposalId) || []
+        if (voteEvents.length > 0) {
+          const indexed = [0n, 0n, 0n]
+          voteEvents.forEach(vote => {
+            const support = Number(vote.args.support)
+            if (support >= 0 && support <= 2) {
+              indexed[support] += BigInt(vote.args.weight)
             }
+          })
+          tallyWei = tallyWei.map((onChainWei, support) => (indexed[support] > onChainWei ? indexed[support] : onChainWei))
+        }
+        const [votesAgainst, votesFor, votesAbstain] = tallyWei.map(wei => ethers.formatEther(wei))
+
+        // The connected member's own vote, if indexed
+        const ownVote = account
+          ? voteEvents.find(vote => vote.args.voter.toLowerCase() === account.toLowerCase())
+          : null
 
+        return {
+          id: proposalId,
+          proposalId: proposalId,
+          proposer: event.args.proposer,
+          description: event.args.description || '',
+          state: PROPOSAL_STATES[state],
+          stateNumber: state,
+          votesFor,
+          votesAgainst,
+          votesAbstain,
+          voteCount: voteEvents.length,
+          snapshot: snapshot.toString(),
+          deadline: deadline.toString(),
+          // Raw on-chain tally (wei) and quorum at the snapshot, for outcome projections
+          tally: {
+            forVotes: votes.forVotes.toString(),
+            againstVotes: votes.againstVotes.toString(),
+            abstainVotes: votes.abstainVotes.toString(),
+          },
+          quorum: snapshotValues[i].quorum,
+          currentBlock,
+          // Connected member's voting power at the snapshot, and their vote if cast
+          votingWeight: snapshotValues[i].weight,
+          myVote: ownVote
+            ? { support: Number(ownVote.args.support), weight: ethers.formatEther(ownVote.args.weight) }
+            : null,
+          deadlineTimestamp: deadlineTimestamps.get(Number(deadline)),
+          etaTimestamp: eta > 0 ? eta * 1000 : null,
+          hasVoted: hasVoted,
+          createdAt: event.blockNumber,
+          funding: payouts[i].map(payout => {
+            const token = payout.token ? tokenInfos.get(payout.token) : NATIVE_TOKEN
             return {
-              id: proposalId,
-              proposalId: proposalId,
-              proposer: event.args.proposer,
-              description: description,
-              state: states[state],
-              stateNumber: state,
-              votesFor: votesFor.toString(), // Use updated vote count (from events if mismatch)
-              votesAgainst: votesAgainst.toString(), // Use updated vote count (from events if mismatch)
-              votesAbstain: votesAbstain.toString(), // Use updated vote count (from events if mismatch)
-              snapshot: snapshot.toString(),
-              deadline: deadline.toString(),
-              deadlineTimestamp: deadlineTimestamp,
-              hasVoted: hasVoted,
-              createdAt: event.blockNumber,
+              ...payout,
+              amount: payout.amount.toString(),
+              symbol: token?.symbol || 'tokens',
+              decimals: token?.decimals ?? 18,
+              formatted: token ? formatTokenAmount(payout.amount, token) : `${payout.amount} base units`,
             }
-          } catch (error) {
-            console.error(`Error getting proposal ${proposalId} details:`, error)
-            return null
-          }
-        })
-      )
+          }),
+          settingChanges: decodeSettingChanges(event.args, contracts.governor.target),
+          // DonationContract releases and refunds this proposal executes
+          escrowActions: decodeEscrowActions(event.args, contracts.donation?.target),
+        }
+      })
 
       // Filter out null results and sort by ID (newest first)
       return proposals
@@ -668,28 +1231,19 @@ export function useContracts() {
       console.error('Error getting all proposals:', error)
       return []
     }
-  }, [contracts.governor, provider, account])
+  }, [contracts.governor, contracts.treasury, contracts.token, contracts.multicall, contracts.donation, provider, account, networkChainId, getGovernorIndex, readProposalsOnChain, readTokenInfos])
 
   // Get proposal details
   const getProposalDetails = useCallback(async (proposalId) => {
     if (!contracts.governor) return null
     try {
-      const [state, votes, snapshot, deadline, hasVoted] = await Promise.all([
-        contracts.governor.state(proposalId),
-        contracts.governor.proposalVotes(proposalId),
-        contracts.governor.proposalSnapshot(proposalId),
-        contracts.governor.proposalDeadline(proposalId),
-        account ? contracts.governor.hasVoted(proposalId, account).catch(() => false) : false
-      ])
-
-      const states = [
-        'Pending', 'Active', 'Canceled', 'Defeated',
-        'Succeeded', 'Queued', 'Expired', 'Executed'
-      ]
+      const [data] = await readProposalsOnChain([proposalId])
+      if (!data) return null
+      const { state, votes, snapshot, deadline, hasVoted } = data
 
       return {
         id: proposalId,
-        state: states[state],
+        state: PROPOSAL_STATES[state],
         stateNumber: state,
         votesFor: ethers.formatEther(votes.forVotes),
         votesAgainst: ethers.formatEther(votes.againstVotes),
@@ -702,7 +1256,7 @@ export function useContracts() {
       console.error('Error getting proposal details:', error)
       return null
     }
-  }, [contracts.governor, account])
+  }, [contracts.governor, readProposalsOnChain])
 
   // Get treasury balances
   const getTreasuryBalances = useCallback(async () => {
@@ -744,22 +1298,408 @@ export function useContracts() {
     }
   }, [contracts.treasury, contracts.token, isValidContractAddress])
 
+  // Get symbol and decimals for a funding currency (null = ETH)
+  const getTokenInfo = useCallback(async (tokenAddress) => {
+    if (!tokenAddress) return NATIVE_TOKEN
+    if (!ethers.isAddress(tokenAddress)) {
+      throw new Error('Invalid token address')
+    }
+    const info = (await readTokenInfos([tokenAddress])).get(ethers.getAddress(tokenAddress))
+    if (!info) {
+      throw new Error('Address is not an ERC-20 token on this network')
+    }
+    return info
+  }, [readTokenInfos])
+
+  // Get the treasury's available balance of a funding currency (null = ETH), in whole units
+  const getTreasuryTokenBalance = useCallback(async (tokenAddress) => {
+    if (!contracts.treasury) return '0'
+    try {
+      if (!tokenAddress) {
+        return ethers.formatEther(await contracts.treasury.getEthBalance())
+      }
+      const [{ decimals }, balance] = await Promise.all([
+        getTokenInfo(tokenAddress),
+        contracts.treasury.getTokenBalance(tokenAddress),
+      ])
+      return ethers.formatUnits(balance, decimals)
+    } catch (error) {
+      console.error('Error getting treasury token balance:', error)
+      return '0'
+    }
+  }, [contracts.treasury, getTokenInfo])
+
+  // Get the ArticleRegistry entry published for a proposal, or null if there is none
+  const getPublishedArticle = useCallback(async (proposalId) => {
+    if (!contracts.articleRegistry) return null
+    try {
+      if (!(await contracts.articleRegistry.articleExists(proposalId))) return null
+      return toPublishedArticle(await contracts.articleRegistry.getArticle(proposalId))
+    } catch (error) {
+      console.error('Error getting published article:', error)
+      return null
+    }
+  }, [contracts.articleRegistry])
+
+  // Get every ArticleRegistry entry, newest first
+  const getPublishedArticles = useCallback(async () => {
+    if (!contracts.articleRegistry) return []
+    try {
+      const proposalIds = await contracts.articleRegistry.getAllPublishedProposals()
+      const results = await multicall(
+        contracts.multicall || null,
+        proposalIds.map(proposalId => ({ contract: contracts.articleRegistry, method: 'getArticle', args: [proposalId] }))
+      )
+      return results
+        .filter(({ success }) => success)
+        .map(({ result }) => toPublishedArticle(result))
+        .sort((a, b) => b.publishedAt - a.publishedAt)
+    } catch (error) {
+      console.error('Error getting published articles:', error)
+      return []
+    }
+  }, [contracts.articleRegistry, contracts.multicall])
+
+  // Fetch a published article bundle from the IPFS gateway, or null if it cannot be read
+  const getArticleBundle = useCallback(async (cid) => {
+    try {
+      return await fetchArticleBundle(IPFS_GATEWAY_URL, cid)
+    } catch (error) {
+      console.error('Error fetching article bundle:', error)
+      return null
+    }
+  }, [])
+
+  // Gateway link to a published bundle, or to one of its files
+  const getArticleUrl = useCallback((cid, path) => getGatewayUrl(IPFS_GATEWAY_URL, cid, path), [])
+
+  // Upload an article as a JSON + Markdown bundle to the IPFS API and return its CID
+  const uploadArticle = useCallback(async (proposal, { title, author, category, excerpt, content }) => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    if (!IPFS_API_URL) {
+      throw new Error('IPFS API not configured - set VITE_IPFS_API_URL')
+    }
+    const files = buildArticleBundle({
+      proposalId: proposal.id.toString(),
+      title,
+      author,
+      category,
+      excerpt,
+      content,
+      investigator: await signer.getAddress(),
+      chainId: networkChainId,
+    })
+    return uploadArticleBundle(IPFS_API_URL, files)
+  }, [signer, networkChainId])
+
+  // Register an uploaded article in the ArticleRegistry
+  // The registry only accepts Succeeded or Executed proposals and one article per proposal
+  const publishArticle = useCallback(async (proposalId, cid, { title, category, excerpt }) => {
+    if (!contracts.articleRegistry || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    try {
+      const tx = await contracts.articleRegistry.publishArticle(proposalId, cid, title, category, excerpt)
+      await tx.wait()
+      return tx.hash
+    } catch (error) {
+      console.error('Error publishing article:', error)
+      throw error
+    }
+  }, [contracts.articleRegistry, signer])
+
+  // Get DonationMade events from the DonationContract index, oldest first
+  const getDonationEvents = useCallback(async () => {
+    if (!contracts.donation) return []
+    try {
+      const index = await syncContractEvents(contracts.donation, {
+        provider,
+        chainId: networkChainId,
+        startBlock: getIndexerStartBlock(networkChainId),
+      })
+      return index.getEvents('DonationMade').map(event => ({
+        id: event.id,
+        proposalId: event.args.proposalId,
+        donor: event.args.donor,
+        amount: event.args.amount,
+        earlyAccessPromised: event.args.earlyAccessPromised,
+        timestamp: Number(event.args.timestamp) * 1000,
+        transactionHash: event.transactionHash,
+      }))
+    } catch (error) {
+      console.error('Error getting donation events:', error)
+      return []
+    }
+  }, [contracts.donation, provider, networkChainId])
+
+  // Read DonationContract.hasEarlyAccess for the connected account across many proposals
+  // Returns proposal id -> granted
+  const getEarlyAccessGrants = useCallback(async (proposalIds) => {
+    const grants = new Map()
+    if (!contracts.donation || !account || proposalIds.length === 0) return grants
+    const results = await multicall(
+      contracts.multicall || null,
+      proposalIds.map(proposalId => ({ contract: contracts.donation, method: 'hasEarlyAccess', args: [proposalId, account] }))
+    )
+    proposalIds.forEach((proposalId, i) => {
+      grants.set(proposalId.toString(), results[i].success && results[i].result === true)
+    })
+    return grants
+  }, [contracts.donation, contracts.multicall, account])
+
+  // Get FundsReleased and DonationRefunded events from the DonationContract index, oldest first
+  const getEscrowEvents = useCallback(async () => {
+    if (!contracts.donation) return []
+    try {
+      const index = await syncContractEvents(contracts.donation, {
+        provider,
+        chainId: networkChainId,
+        startBlock: getIndexerStartBlock(networkChainId),
+      })
+      const toRecord = (kind, address) => event => ({
+        id: event.id,
+        kind,
+        proposalId: event.args.proposalId,
+        address: event.args[address],
+        amount: event.args.amount,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      })
+      return [
+        ...index.getEvents('FundsReleased').map(toRecord('release', 'investigator')),
+        ...index.getEvents('DonationRefunded').map(toRecord('refund', 'donor')),
+      ].sort((a, b) => a.blockNumber - b.blockNumber)
+    } catch (error) {
+      console.error('Error getting escrow events:', error)
+      return []
+    }
+  }, [contracts.donation, provider, networkChainId])
+
+  // Read DonationContract escrows for many proposals in one multicall
+  // Returns proposal id -> escrow, or null for proposals nobody has donated to
+  const getEscrows = useCallback(async (proposalIds) => {
+    const escrows = new Map()
+    if (!contracts.donation || proposalIds.length === 0) return escrows
+    const results = await multicall(
+      contracts.multicall || null,
+      proposalIds.map(proposalId => ({ contract: contracts.donation, method: 'getEscrow', args: [proposalId] }))
+    )
+    proposalIds.forEach((proposalId, i) => {
+      const { success, result } = results[i]
+      if (!success || result.investigator === ethers.ZeroAddress) {
+        escrows.set(proposalId.toString(), null)
+        return
+      }
+      escrows.set(proposalId.toString(), {
+        totalAmount: ethers.formatEther(result.totalAmount),
+        totalAmountWei: result.totalAmount.toString(),
+        investigator: result.investigator,
+        released: result.released,
+        refunded: result.refunded,
+        donationCount: Number(result.donationCount),
+      })
+    })
+    return escrows
+  }, [contracts.donation, contracts.multicall])
+
+  // Open a proposal's escrow for the investigator it pays (only the proposer can)
+  const openEscrow = useCallback(async (proposalId, investigator) => {
+    if (!contracts.donation || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    const tx = await contracts.donation.openEscrow(proposalId, investigator)
+    await tx.wait()
+    invalidateEventIndex(contracts.donation.target)
+    return tx.hash
+  }, [contracts.donation, signer])
+
+  // Donate ETH to a proposal; it is held in escrow until the DAO releases or refunds it
+  const donate = useCallback(async (proposalId, amount, earlyAccessPromised) => {
+    if (!contracts.donation || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    try {
+      const tx = await contracts.donation.donate(proposalId, earlyAccessPromised, {
+        value: ethers.parseEther(amount),
+      })
+      await tx.wait()
+      invalidateEventIndex(contracts.donation.target)
+      return tx.hash
+    } catch (error) {
+      console.error('Error donating:', error)
+      throw error
+    }
+  }, [contracts.donation, signer])
+
+  // Propose releasing (after execution) or refunding (after defeat) a proposal's escrow
+  const proposeEscrowSettlement = useCallback(async (kind, proposalId, title) => {
+    if (!contracts.donation || !signer) {
+      throw new Error('Wallet not connected')
+    }
+    const escrows = await getEscrows([proposalId])
+    const escrow = escrows.get(proposalId.toString())
+    if (!escrow || escrow.released || escrow.refunded) {
+      throw new Error('This proposal has no donations held in escrow')
+    }
+    const { targets, values, calldatas, description } = buildEscrowProposal(kind, {
+      proposalId: proposalId.toString(),
+      title,
+      escrow,
+      donationAddress: contracts.donation.target,
+      author: await signer.getAddress(),
+    })
+    return createProposal(targets, values, calldatas, description)
+  }, [contracts.donation, signer, getEscrows, createProposal])
+
+  // Published encryption keys keyed by lowercase address; every record's signature is checked here
+  const getKeyDirectory = useCallback(async () => {
+    try {
+      return buildKeyDirectory(await earlyAccessStore.getKeys())
+    } catch (error) {
+      console.error('Error loading encryption keys:', error)
+      return {}
+    }
+  }, [])
+
+  // List the wallets entitled to a proposal's early-access articles
+  // Returns { holders, readers, unregistered }: readers are holders with a published encryption key
+  const getEarlyAccessReaders = useCallback(async (proposal) => {
+    let granted = []
+    if (contracts.donation) {
+      try {
+        const index = await syncContractEvents(contracts.donation, {
+          provider,
+          chainId: networkChainId,
+          startBlock: getIndexerStartBlock(networkChainId),
+        })
+        granted = index
+          .getEvents('EarlyAccessGranted', e => e.args.proposalId === proposal.id.toString())
+          .map(e => e.args.donor)
+      } catch (error) {
+        console.error('Error getting early access grants:', error)
+      }
+    }
+    let votes = []
+    if (contracts.governor) {
+      try {
+        const index = await getGovernorIndex()
+        votes = index
+          .getEvents('VoteCast', e => e.args.proposalId === proposal.id.toString())
+          .map(e => ({ voter: e.args.voter, support: e.args.support }))
+      } catch (error) {
+        console.error('Error getting votes:', error)
+      }
+    }
+    const holders = getEarlyAccessHolders({ proposal, donations: await getDonationEvents(), granted, votes })
+    const directory = await getKeyDirectory()
+    const readers = holders.map(address => directory[address.toLowerCase()]).filter(Boolean)
+    const registered = new Set(readers.map(reader => reader.address))
+    return { holders, readers, unregistered: holders.filter(address => !registered.has(address)) }
+  }, [contracts.donation, contracts.governor, provider, networkChainId, getGovernorIndex, getDonationEvents, getKeyDirectory])
+
+  // Published encryption key of a reader, or null; the signature is checked here
+  const getEncryptionKey = useCallback(async (address) => {
+    if (!address) return null
+    return (await getKeyDirectory())[address.toLowerCase()] || null
+  }, [getKeyDirectory])
+
+  // Publish the connected wallet's encryption key so authors can share early-access articles with it
+  const registerEncryptionKey = useCallback(async () => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    const record = await signReaderKey(signer)
+    await earlyAccessStore.saveKey(record)
+    return record
+  }, [signer])
+
+  // Encrypt early-access text for every eligible reader with a published key, and for the author
+  // Returns { envelope, unregistered } - unregistered holders can be added later with shareEarlyAccessKeys
+  const encryptEarlyAccessContent = useCallback(async (proposal, plaintext) => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    const author = await getEncryptionKey(await signer.getAddress()) || await registerEncryptionKey()
+    const { readers, unregistered } = await getEarlyAccessReaders(proposal)
+    const recipients = readers.some(reader => reader.address === author.address) ? readers : [...readers, author]
+    return { envelope: encryptArticle(plaintext, recipients), unregistered }
+  }, [signer, getEarlyAccessReaders, getEncryptionKey, registerEncryptionKey])
+
+  // Wrap the content keys of encrypted articles for eligible readers who do not have one yet
+  // Returns { envelopes, added } with envelopes in the order given
+  const shareEarlyAccessKeys = useCallback(async (proposal, envelopes) => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    const { readers } = await getEarlyAccessReaders(proposal)
+    const updated = []
+    let added = 0
+    for (const envelope of envelopes) {
+      const missing = readers.filter(reader => !envelope.keys[reader.address])
+      if (missing.length === 0) {
+        updated.push(envelope)
+        continue
+      }
+      const result = addArticleReaders(envelope, await unwrapContentKey(envelope, signer), missing)
+      updated.push(result.envelope)
+      added += result.added
+    }
+    return { envelopes: updated, added }
+  }, [signer, getEarlyAccessReaders])
+
+  // Decrypt an early-access article with the key shared with the connected wallet
+  const decryptEarlyAccessContent = useCallback(async (envelope) => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    return decryptArticle(envelope, await unwrapContentKey(envelope, signer))
+  }, [signer])
+
+  // Encrypted article and early-access news updates of a proposal; only records signed by its proposer count
+  // Returns { article, updates } - updates are { slot, title, encrypted, earlyAccessOnly, timestamp, proposer }
+  const getEarlyAccessEnvelopes = useCallback(async (proposal) => {
+    try {
+      const directory = buildEnvelopeDirectory(await earlyAccessStore.getEnvelopes(proposal.id), proposal.proposer)
+      const updates = Object.values(directory)
+        .filter(record => record.slot !== 'article')
+        .map(record => ({
+          slot: record.slot,
+          title: record.title,
+          encrypted: record.envelope,
+          earlyAccessOnly: true,
+          timestamp: Number(record.slot.slice('update-'.length)),
+          proposer: record.author,
+        }))
+      return { article: directory.article?.envelope || null, updates }
+    } catch (error) {
+      console.error('Error loading early-access articles:', error)
+      return { article: null, updates: [] }
+    }
+  }, [])
+
+  // Sign and publish an encrypted article ('article') or early-access news update ('update-<created at>')
+  const publishEarlyAccessEnvelope = useCallback(async (proposal, slot, envelope, title = '') => {
+    if (!signer) {
+      throw new Error('Wallet not connected')
+    }
+    if ((await signer.getAddress()).toLowerCase() !== proposal.proposer?.toLowerCase()) {
+      throw new Error('Only the proposer can publish early-access articles')
+    }
+    const record = await signEnvelopeRecord(signer, { proposalId: proposal.id, slot, title, envelope })
+    await earlyAccessStore.saveEnvelope(record)
+    return record
+  }, [signer])
+
   // Get user activity (proposals created, votes cast)
   const getUserActivity = useCallback(async () => {
     if (!contracts.governor || !account || !provider) return { proposalsCreated: 0, votesCast: 0 }
     try {
-      // Query all ProposalCreated events and filter by proposer
-      const proposalsFilter = contracts.governor.filters.ProposalCreated()
-      const allProposalsEvents = await contracts.governor.queryFilter(proposalsFilter)
-      // Filter by proposer address (proposer is the first indexed parameter)
-      const proposalsEvents = allProposalsEvents.filter(event => 
-        event.args && event.args.proposer && 
-        event.args.proposer.toLowerCase() === account.toLowerCase()
-      )
-
-      // Query VoteCast events by voter (voter is indexed)
-      const votesFilter = contracts.governor.filters.VoteCast(account)
-      const votesEvents = await contracts.governor.queryFilter(votesFilter)
+      const index = await getGovernorIndex()
+      const user = account.toLowerCase()
+      const proposalsEvents = index.getEvents('ProposalCreated', e => e.args.proposer.toLowerCase() === user)
+      const votesEvents = index.getEvents('VoteCast', e => e.args.voter.toLowerCase() === user)
 
       return {
         proposalsCreated: proposalsEvents.length,
@@ -769,7 +1709,23 @@ export function useContracts() {
       console.error('Error getting user activity:', error)
       return { proposalsCreated: 0, votesCast: 0 }
     }
-  }, [contracts.governor, account, provider])
+  }, [contracts.governor, account, provider, getGovernorIndex])
+
+  // Get indexed VoteCast events for a voter, optionally for a single proposal
+  const getUserVotes = useCallback(async (address, proposalId = null) => {
+    if (!contracts.governor || !provider || !address) return []
+    try {
+      const index = await getGovernorIndex()
+      const voter = address.toLowerCase()
+      return index.getEvents('VoteCast', e =>
+        e.args.voter.toLowerCase() === voter &&
+        (proposalId === null || e.args.proposalId === proposalId.toString())
+      )
+    } catch (error) {
+      console.error('Error getting user votes:', error)
+      return []
+    }
+  }, [contracts.governor, provider, getGovernorIndex])
 
   // Verify journalist
   const verifyJournalist = useCallback(async () => {
@@ -823,24 +1779,76 @@ export function useContracts() {
     signer,
     contracts,
     isLoading,
+    isReadOnly: !signer,
+    eventVersion,
+    onContractEvent,
     getTokenBalance,
     requestFaucet,
     getVotingPower,
     getVotingPowerAtBlock,
     delegate,
+    signDelegation,
+    requestFaucetWithDelegation,
+    getCurrentDelegate,
+    resolveDelegatee,
+    getDelegates,
+    getDelegateStatements,
+    publishDelegateStatement,
+    statementsShared: statementStore.shared,
     createProposal,
     vote,
+    signVote,
+    relayVote,
+    getRelayerStatus,
+    getDiscussion,
+    postComment,
+    editComment,
+    deleteComment,
     getProposalState,
+    queueProposal,
+    executeProposal,
+    getProposalEta,
+    cancelProposal,
+    isGuardian,
+    vetoProposal,
     getProposalVotes,
     getProposalVotesFromEvents,
+    getVoteRationales,
     verifyJournalist,
     isJournalistVerified,
     getVerificationTimestamp,
     getProposalThreshold,
+    getGovernanceSettings,
     getAllProposals,
     getProposalDetails,
     getTreasuryBalances,
+    getTokenInfo,
+    getTreasuryTokenBalance,
+    getPublishedArticle,
+    getPublishedArticles,
+    getArticleBundle,
+    getArticleUrl,
+    uploadArticle,
+    publishArticle,
+    ipfsConfigured: !!IPFS_API_URL,
+    getDonationEvents,
+    getEscrows,
+    getEscrowEvents,
+    getEarlyAccessGrants,
+    openEscrow,
+    donate,
+    proposeEscrowSettlement,
+    getEarlyAccessReaders,
+    getEncryptionKey,
+    registerEncryptionKey,
+    encryptEarlyAccessContent,
+    shareEarlyAccessKeys,
+    decryptEarlyAccessContent,
+    getEarlyAccessEnvelopes,
+    publishEarlyAccessEnvelope,
+    earlyAccessShared: earlyAccessStore.shared,
     getUserActivity,
+    getUserVotes,
   }
 }
 
@@ -0,0 +1,513 @@
+import nacl from 'tweetnacl'
+import { ethers } from 'ethers'
+
+/**
+ * Encrypted early-access articles
+ * Early-access text is encrypted with a random content key (XSalsa20-Poly1305)
+ * and only the ciphertext is stored. The content key is wrapped separately for
+ * every reader entitled to early access:
+ *
+ * - 'wallet' readers shared their eth_getEncryptionPublicKey key; their copy is
+ *   in MetaMask's x25519-xsalsa20-poly1305 format and opened with eth_decrypt.
+ * - 'signature' readers use a wallet without that RPC; their x25519 key pair is
+ *   derived from a signature over a fixed message, so signing it again on any
+ *   device recovers the same key.
+ *
+ * Readers publish their public key once, signed by their wallet, so an author
+ * never wraps a key for a substituted public key. The author always wraps a copy
+ * for themselves, which lets them re-wrap the content key when new donors or
+ * voters become eligible.
+ *
+ * Key records and envelopes go to a shared store (scripts/relayer.js) so readers
+ * on any device find them. Envelopes are signed by the proposal's proposer, and
+ * every record is verified again when it is read - the store is not trusted.
+ */
+
+export const ENVELOPE_VERSION = 1
+
+const KEY_DIRECTORY_KEY = 'veritasEncryptionKeys'
+const ENVELOPES_KEY = 'veritasEarlyAccessEnvelopes'
+const KEY_REGISTRATION_PREFIX = 'VeritasDAO Early Access Key'
+const ENVELOPE_MESSAGE_PREFIX = 'VeritasDAO Early Access Article'
+
+export const MAX_TITLE_LENGTH = 200
+
+// Signed to derive a reader key pair when the wallet cannot share an encryption key
+const DERIVATION_MESSAGE = 'VeritasDAO Early Access\n\n' +
+  'Sign to unlock encrypted early-access articles. This signature is your decryption key: only sign it on VeritasDAO.'
+
+export const KEY_METHODS = ['wallet', 'signature']
+
+// Derived key pairs for this session, so re-wrapping several articles asks for one signature
+const derivedKeyPairs = new Map()
+
+const toBase64 = (bytes) => ethers.encodeBase64(bytes)
+const fromBase64 = (value) => ethers.getBytes(ethers.decodeBase64(value))
+
+const isRejection = (error) =>
+  error?.code === 'ACTION_REJECTED' || error?.code === 4001 || error?.error?.code === 4001
+
+const rejected = () => new Error('User rejected the signature request')
+
+// Encrypt a string to an x25519 public key in MetaMask's eth_decrypt format
+const boxFor = (publicKey, message) => {
+  const ephemeral = nacl.box.keyPair()
+  const nonce = nacl.randomBytes(nacl.box.nonceLength)
+  const ciphertext = nacl.box(ethers.toUtf8Bytes(message), nonce, fromBase64(publicKey), ephemeral.secretKey)
+  return {
+    version: 'x25519-xsalsa20-poly1305',
+    nonce: toBase64(nonce),
+    ephemPublicKey: toBase64(ephemeral.publicKey),
+    ciphertext: toBase64(ciphertext),
+  }
+}
+
+const openBox = (box, secretKey) => {
+  const opened = nacl.box.open(fromBase64(box.ciphertext), fromBase64(box.nonce), fromBase64(box.ephemPublicKey), secretKey)
+  if (!opened) {
+    throw new Error('The key shared with this wallet could not be opened')
+  }
+  return ethers.toUtf8String(opened)
+}
+
+const deriveKeyPair = async (signer) => {
+  const address = (await signer.getAddress()).toLowerCase()
+  if (derivedKeyPairs.has(address)) return derivedKeyPairs.get(address)
+
+  let signature
+  try {
+    signature = await signer.signMessage(DERIVATION_MESSAGE)
+  } catch (error) {
+    if (isRejection(error)) throw rejected()
+    throw error
+  }
+  const keyPair = nacl.box.keyPair.fromSecretKey(ethers.getBytes(ethers.keccak256(signature)))
+  derivedKeyPairs.set(address, keyPair)
+  return keyPair
+}
+
+/**
+ * Get the message a reader signs to publish their encryption key
+ * @param {string} address - Reader address
+ * @param {string} publicKey - Base64 x25519 public key
+ * @param {string} method - 'wallet' or 'signature'
+ * @param {number} registeredAt - Publication time in milliseconds
+ * @returns {string} Message to sign
+ */
+export function getKeyRegistrationMessage(address, publicKey, method, registeredAt) {
+  return `${KEY_REGISTRATION_PREFIX}\n\nAddress: ${address.toLowerCase()}\nMethod: ${method}\nPublic key: ${publicKey}\nRegistered: ${registeredAt}`
+}
+
+const isPublicKey = (value) => {
+  try {
+    return typeof value === 'string' && fromBase64(value).length === nacl.box.publicKeyLength
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check the shape of a reader key record
+ * @param {Object} record - Record to check
+ * @returns {Object} Normalized record
+ * @throws {Error} If a field is missing or malformed
+ */
+export function validateReaderKey(record) {
+  const { address, publicKey, method, signature, registeredAt } = record || {}
+  if (typeof address !== 'string' || !ethers.isAddress(address)) {
+    throw new Error('address must be an address')
+  }
+  if (!isPublicKey(publicKey)) {
+    throw new Error('publicKey must be a base64 x25519 public key')
+  }
+  if (!KEY_METHODS.includes(method)) {
+    throw new Error(`method must be one of ${KEY_METHODS.join(', ')}`)
+  }
+  if (!Number.isSafeInteger(registeredAt) || registeredAt <= 0) {
+    throw new Error('registeredAt must be a positive integer')
+  }
+  if (!ethers.isHexString(signature, 65)) {
+    throw new Error('signature must be a 65-byte hex string')
+  }
+  return { address: address.toLowerCase(), publicKey, method, signature, registeredAt }
+}
+
+/**
+ * Check that a key record was signed by its reader
+ * @param {Object} record - Record from validateReaderKey
+ * @returns {boolean} True if the signature matches the address
+ */
+export function verifyReaderKey(record) {
+  try {
+    const message = getKeyRegistrationMessage(record.address, record.publicKey, record.method, record.registeredAt)
+    return ethers.verifyMessage(message, record.signature).toLowerCase() === record.address.toLowerCase()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Pick the current key of every reader from a list of records
+ * Malformed records and records with a bad signature are dropped.
+ * @param {Array<Object>} records - Records from an early-access store
+ * @returns {Object} Key records ({ address, publicKey, method, signature, registeredAt }) keyed by lowercase address
+ */
+export function buildKeyDirectory(records) {
+  const latest = {}
+  records.forEach(raw => {
+    let record
+    try {
+      record = validateReaderKey(raw)
+    } catch {
+      return
+    }
+    if (!verifyReaderKey(record)) return
+    if (!latest[record.address] || latest[record.address].registeredAt < record.registeredAt) {
+      latest[record.address] = record
+    }
+  })
+  return latest
+}
+
+/**
+ * Sign the connected wallet's encryption key for publication
+ * Asks the wallet for its eth_getEncryptionPublicKey key and falls back to a
+ * signature-derived key pair when the wallet does not support it.
+ * @param {ethers.Signer} signer - Reader's signer
+ * @param {number} registeredAt - Publication time in milliseconds (defaults to now)
+ * @returns {Promise<Object>} Signed key record
+ */
+export async function signReaderKey(signer, registeredAt = Date.now()) {
+  const address = (await signer.getAddress()).toLowerCase()
+
+  let publicKey
+  let method = 'wallet'
+  try {
+    publicKey = await signer.provider.send('eth_getEncryptionPublicKey', [address])
+  } catch (error) {
+    if (isRejection(error)) throw rejected()
+    method = 'signature'
+    publicKey = toBase64((await deriveKeyPair(signer)).publicKey)
+  }
+
+  let signature
+  try {
+    signature = await signer.signMessage(getKeyRegistrationMessage(address, publicKey, method, registeredAt))
+  } catch (error) {
+    if (isRejection(error)) throw rejected()
+    throw error
+  }
+  return { address, publicKey, method, signature, registeredAt }
+}
+
+/**
+ * Check whether a stored value is an encrypted article
+ * @param {*} value - Stored article or update field
+ * @returns {boolean} True for envelopes from encryptArticle
+ */
+export function isEncryptedArticle(value) {
+  return !!value && value.version === ENVELOPE_VERSION && typeof value.ciphertext === 'string' && !!value.keys
+}
+
+const wrapKeys = (contentKey, readers) => Object.fromEntries(readers.map(reader => [
+  reader.address.toLowerCase(),
+  { method: reader.method, box: boxFor(reader.publicKey, toBase64(contentKey)) },
+]))
+
+/**
+ * Encrypt article text for a set of readers
+ * @param {string} plaintext - Article text
+ * @param {Array<Object>} readers - Key records from buildKeyDirectory (include the author's)
+ * @returns {Object} Envelope: { version, nonce, ciphertext, keys: { address: { method, box } } }
+ */
+export function encryptArticle(plaintext, readers) {
+  const contentKey = nacl.randomBytes(nacl.secretbox.keyLength)
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength)
+  return {
+    version: ENVELOPE_VERSION,
+    nonce: toBase64(nonce),
+    ciphertext: toBase64(nacl.secretbox(ethers.toUtf8Bytes(plaintext), nonce, contentKey)),
+    keys: wrapKeys(contentKey, readers),
+  }
+}
+
+/**
+ * Wrap an envelope's content key for more readers
+ * Readers who already hold a key keep it.
+ * @param {Object} envelope - Envelope from encryptArticle
+ * @param {Uint8Array} contentKey - Key from unwrapContentKey
+ * @param {Array<Object>} readers - Key records from buildKeyDirectory
+ * @returns {{envelope: Object, added: number}} Updated envelope and how many readers were added
+ */
+export function addArticleReaders(envelope, contentKey, readers) {
+  const missing = readers.filter(reader => !envelope.keys[reader.address.toLowerCase()])
+  return {
+    envelope: { ...envelope, keys: { ...envelope.keys, ...wrapKeys(contentKey, missing) } },
+    added: missing.length,
+  }
+}
+
+/**
+ * Recover an envelope's content key with the connected wallet
+ * @param {Object} envelope - Envelope from encryptArticle
+ * @param {ethers.Signer} signer - Reader's signer
+ * @returns {Promise<Uint8Array>} Content key
+ */
+export async function unwrapContentKey(envelope, signer) {
+  const address = (await signer.getAddress()).toLowerCase()
+  const wrapped = envelope.keys[address]
+  if (!wrapped) {
+    throw new Error('No key has been shared with this wallet yet')
+  }
+
+  let encoded
+  if (wrapped.method === 'wallet') {
+    const payload = ethers.hexlify(ethers.toUtf8Bytes(JSON.stringify(wrapped.box)))
+    try {
+      encoded = await signer.provider.send('eth_decrypt', [payload, address])
+    } catch (error) {
+      if (isRejection(error)) throw new Error('User rejected the decryption request')
+      throw error
+    }
+  } else {
+    encoded = openBox(wrapped.box, (await deriveKeyPair(signer)).secretKey)
+  }
+  return fromBase64(encoded)
+}
+
+/**
+ * Decrypt an envelope with its content key
+ * @param {Object} envelope - Envelope from encryptArticle
+ * @param {Uint8Array} contentKey - Key from unwrapContentKey
+ * @returns {string} Article text
+ */
+export function decryptArticle(envelope, contentKey) {
+  const opened = nacl.secretbox.open(fromBase64(envelope.ciphertext), fromBase64(envelope.nonce), contentKey)
+  if (!opened) {
+    throw new Error('The article could not be decrypted - it may have been altered')
+  }
+  return ethers.toUtf8String(opened)
+}
+
+/**
+ * Get the length of an encrypted article's text without decrypting it
+ * @param {Object} envelope - Envelope from encryptArticle
+ * @returns {number} Plaintext length in bytes
+ */
+export function getEncryptedLength(envelope) {
+  return Math.max(0, fromBase64(envelope.ciphertext).length - nacl.secretbox.overheadLength)
+}
+
+/**
+ * Hash an envelope's ciphertext and every wrapped key, for signing
+ * @param {Object} envelope - Envelope from encryptArticle
+ * @returns {string} keccak256 digest
+ */
+export function getEnvelopeDigest(envelope) {
+  const keys = Object.keys(envelope.keys).sort().map(address => {
+    const { method, box } = envelope.keys[address]
+    return [address, method, box.version, box.nonce, box.ephemPublicKey, box.ciphertext]
+  })
+  return ethers.id(JSON.stringify([envelope.version, envelope.nonce, envelope.ciphertext, keys]))
+}
+
+/**
+ * Get the message a proposer signs to publish an encrypted article
+ * @param {Object} record - Envelope record
+ * @returns {string} Message to sign
+ */
+export function getEnvelopeMessage({ proposalId, slot, title, envelope, timestamp }) {
+  return `${ENVELOPE_MESSAGE_PREFIX}\n\nProposal: ${proposalId}\nSlot: ${slot}\nTitle: ${title}\n` +
+    `Timestamp: ${timestamp}\nEnvelope: ${getEnvelopeDigest(envelope)}`
+}
+
+const isWrappedKey = ([address, wrapped]) =>
+  ethers.isAddress(address) && address === address.toLowerCase() &&
+  KEY_METHODS.includes(wrapped?.method) &&
+  ['version', 'nonce', 'ephemPublicKey', 'ciphertext'].every(field => typeof wrapped.box?.[field] === 'string')
+
+/**
+ * Check the shape of an envelope record
+ * The slot is 'article' for the proposal's article, or 'update-<created at>' for
+ * an early-access news update.
+ * @param {Object} record - Record to check
+ * @returns {Object} Normalized record
+ * @throws {Error} If a field is missing or malformed
+ */
+export function validateEnvelopeRecord(record) {
+  const { proposalId, slot, title = '', envelope, author, timestamp, signature } = record || {}
+  if (typeof proposalId !== 'string' || !/^\d+$/.test(proposalId)) {
+    throw new Error('proposalId must be a decimal string')
+  }
+  if (typeof slot !== 'string' || !/^(article|update-\d{1,15})$/.test(slot)) {
+    throw new Error('slot must be "article" or "update-<timestamp>"')
+  }
+  if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+    throw new Error(`title must be a string of at most ${MAX_TITLE_LENGTH} characters`)
+  }
+  if (!isEncryptedArticle(envelope) || typeof envelope.nonce !== 'string' || typeof envelope.keys !== 'object' ||
+    !Object.entries(envelope.keys).every(isWrappedKey)) {
+    throw new Error('envelope must be an encrypted article')
+  }
+  if (typeof author !== 'string' || !ethers.isAddress(author)) {
+    throw new Error('author must be an address')
+  }
+  if (!Number.isSafeInteger(timestamp) || timestamp <= 0) {
+    throw new Error('timestamp must be a positive integer')
+  }
+  if (!ethers.isHexString(signature, 65)) {
+    throw new Error('signature must be a 65-byte hex string')
+  }
+  const { version, nonce, ciphertext, keys } = envelope
+  return { proposalId, slot, title, envelope: { version, nonce, ciphertext, keys }, author: author.toLowerCase(), timestamp, signature }
+}
+
+/**
+ * Check that an envelope record was signed by its author
+ * @param {Object} record - Record from validateEnvelopeRecord
+ * @returns {boolean} True if the signature matches the author
+ */
+export function verifyEnvelopeRecord(record) {
+  try {
+    return ethers.verifyMessage(getEnvelopeMessage(record), record.signature).toLowerCase() === record.author.toLowerCase()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Sign an encrypted article for publication
+ * @param {ethers.Signer} signer - Proposer's signer
+ * @param {Object} params
+ * @param {string} params.proposalId - Proposal id
+ * @param {string} params.slot - 'article' or 'update-<created at>'
+ * @param {string} params.title - Title shown to readers (empty for the article)
+ * @param {Object} params.envelope - Envelope from encryptArticle
+ * @param {number} timestamp - Publication time in milliseconds (defaults to now)
+ * @returns {Promise<Object>} Signed envelope record
+ */
+export async function signEnvelopeRecord(signer, { proposalId, slot, title = '', envelope }, timestamp = Date.now()) {
+  const author = (await signer.getAddress()).toLowerCase()
+  const record = { proposalId: proposalId.toString(), slot, title, envelope, author, timestamp }
+
+  let signature
+  try {
+    signature = await signer.signMessage(getEnvelopeMessage(record))
+  } catch (error) {
+    if (isRejection(error)) throw rejected()
+    throw error
+  }
+  return { ...record, signature }
+}
+
+/**
+ * Pick the current envelope of every slot of a proposal
+ * Only records signed by the proposer count; the newest one of each slot wins.
+ * @param {Array<Object>} records - Records from an early-access store
+ * @param {string} proposer - Proposer address
+ * @returns {Object} Envelope records keyed by slot
+ */
+export function buildEnvelopeDirectory(records, proposer) {
+  const latest = {}
+  if (!proposer) return latest
+  records.forEach(raw => {
+    let record
+    try {
+      record = validateEnvelopeRecord(raw)
+    } catch {
+      return
+    }
+    if (record.author !== proposer.toLowerCase() || !verifyEnvelopeRecord(record)) return
+    if (!latest[record.slot] || latest[record.slot].timestamp < record.timestamp) {
+      latest[record.slot] = record
+    }
+  })
+  return latest
+}
+
+const readStored = (key) => {
+  try {
+    const stored = localStorage.getItem(key)
+    return stored ? JSON.parse(stored) : {}
+  } catch (error) {
+    console.error('Error reading early-access records:', error)
+    return {}
+  }
+}
+
+/**
+ * Early-access store kept in this browser's localStorage
+ * @returns {Object} Store with getKeys(), saveKey(record), getEnvelopes(proposalId) and saveEnvelope(record)
+ */
+export function createLocalEarlyAccessStore() {
+  return {
+    name: 'This browser',
+    shared: false,
+    async getKeys() {
+      return Object.values(readStored(KEY_DIRECTORY_KEY))
+    },
+    async saveKey(record) {
+      const keys = readStored(KEY_DIRECTORY_KEY)
+      keys[record.address] = record
+      localStorage.setItem(KEY_DIRECTORY_KEY, JSON.stringify(keys))
+      return record
+    },
+    async getEnvelopes(proposalId) {
+      return Object.values(readStored(ENVELOPES_KEY)).filter(record => record.proposalId === proposalId.toString())
+    },
+    async saveEnvelope(record) {
+      const envelopes = readStored(ENVELOPES_KEY)
+      envelopes[`${record.proposalId}:${record.slot}`] = record
+      localStorage.setItem(ENVELOPES_KEY, JSON.stringify(envelopes))
+      return record
+    },
+  }
+}
+
+/**
+ * Early-access store served by scripts/relayer.js, shared by every member
+ * @param {string} baseUrl - Server URL
+ * @returns {Object} Store with getKeys(), saveKey(record), getEnvelopes(proposalId) and saveEnvelope(record)
+ */
+export function createHttpEarlyAccessStore(baseUrl) {
+  const request = async (path, options) => {
+    let response
+    try {
+      response = await fetch(`${baseUrl}${path}`, options)
+    } catch {
+      throw new Error(`Early-access server is not reachable at ${baseUrl}`)
+    }
+    const payload = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(payload.message || 'Early-access server rejected the request')
+    }
+    return payload
+  }
+
+  const post = (path, record) => request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(record),
+  })
+
+  return {
+    name: 'Early-access server',
+    shared: true,
+    async getKeys() {
+      const { keys } = await request('/api/early-access/keys')
+      return keys
+    },
+    async saveKey(record) {
+      const { key } = await post('/api/early-access/keys', record)
+      return key
+    },
+    async getEnvelopes(proposalId) {
+      const { envelopes } = await request(`/api/early-access/envelopes?proposalId=${encodeURIComponent(proposalId.toString())}`)
+      return envelopes
+    },
+    async saveEnvelope(record) {
+      const { envelope } = await post('/api/early-access/envelopes', record)
+      return envelope
+    },
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * EIP-712 ballots for gasless voting
+ * Shared by the frontend (signing) and scripts/relayer.js (verification) so both
+ * always agree on the typed data the Governor's castVote*BySig functions expect.
+ */
+
+// OpenZeppelin Governor BALLOT_TYPEHASH
+export const BALLOT_TYPES = {
+  Ballot: [
+    { name: 'proposalId', type: 'uint256' },
+    { name: 'support', type: 'uint8' },
+    { name: 'voter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+}
+
+// OpenZeppelin Governor EXTENDED_BALLOT_TYPEHASH - used when the vote carries a reason
+export const EXTENDED_BALLOT_TYPES = {
+  ExtendedBallot: [
+    { name: 'proposalId', type: 'uint256' },
+    { name: 'support', type: 'uint8' },
+    { name: 'voter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'reason', type: 'string' },
+    { name: 'params', type: 'bytes' },
+  ],
+}
+
+/**
+ * Read the Governor's EIP-712 domain from the contract (EIP-5267)
+ * @param {ethers.Contract} governor - Governor contract
+ * @returns {Promise<Object>} Typed data domain
+ */
+export async function getBallotDomain(governor) {
+  const domain = await governor.eip712Domain()
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract,
+  }
+}
+
+/**
+ * Build the typed data for a ballot
+ * @param {Object} ballot - Ballot fields
+ * @param {string|bigint} ballot.proposalId - Proposal ID
+ * @param {number} ballot.support - 0 = Against, 1 = For, 2 = Abstain
+ * @param {string} ballot.voter - Voter address
+ * @param {bigint} ballot.nonce - Voter's current Governor nonce
+ * @param {string} ballot.reason - Optional reason; switches to an ExtendedBallot
+ * @returns {{types: Object, value: Object}} Types and value to sign or verify
+ */
+export function buildBallot({ proposalId, support, voter, nonce, reason = '' }) {
+  const value = { proposalId: BigInt(proposalId), support, voter, nonce: BigInt(nonce) }
+  if (!reason) {
+    return { types: BALLOT_TYPES, value }
+  }
+  return { types: EXTENDED_BALLOT_TYPES, value: { ...value, reason, params: '0x' } }
+}
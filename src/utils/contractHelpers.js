@@ -68,6 +68,44 @@ export async function blockNumberToTimestamp(provider, blockNumber) {
   }
 }
 
+// Mined block timestamps never change, so cache them per provider
+const blockTimestampCache = new WeakMap()
+
+/**
+ * Convert many block numbers to timestamps with as few round-trips as possible
+ * Lookups are issued concurrently so a JsonRpcProvider sends them as one JSON-RPC batch.
+ * Blocks that are not mined yet are estimated from the latest block.
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Array<string|number|bigint>} blockNumbers - Block numbers
+ * @param {number} avgBlockTime - Average block time in seconds for estimates
+ * @returns {Promise<Map<number, number>>} Block number -> timestamp in milliseconds
+ */
+export async function getBlockTimestamps(provider, blockNumbers, avgBlockTime = 12) {
+  if (!blockTimestampCache.has(provider)) {
+    blockTimestampCache.set(provider, new Map())
+  }
+  const cache = blockTimestampCache.get(provider)
+  const unique = [...new Set(blockNumbers.map(Number))]
+  const timestamps = new Map()
+
+  const latest = await provider.getBlock('latest')
+  const missing = unique.filter(n => n <= latest.number && !cache.has(n))
+  const blocks = await Promise.all(missing.map(n => provider.getBlock(n).catch(() => null)))
+  blocks.forEach((block, i) => {
+    if (block) cache.set(missing[i], block.timestamp * 1000)
+  })
+
+  unique.forEach(n => {
+    if (cache.has(n)) {
+      timestamps.set(n, cache.get(n))
+    } else {
+      // Future (or unavailable) block: estimate from the latest block
+      timestamps.set(n, (latest.timestamp + (n - latest.number) * avgBlockTime) * 1000)
+    }
+  })
+  return timestamps
+}
+
 /**
  * Format time remaining from deadline timestamp
  * @param {number} deadlineTimestamp - Deadline timestamp in milliseconds
@@ -96,6 +134,28 @@ export function formatTimeRemaining(deadlineTimestamp) {
   }
 }
 
+/**
+ * Format a countdown to a timestamp, down to the second
+ * @param {number} targetTimestamp - Target timestamp in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} Countdown such as "1d 02h 05m 09s", or "0s" once reached
+ */
+export function formatCountdown(targetTimestamp, now = Date.now()) {
+  const remaining = Math.max(0, Math.floor((targetTimestamp - now) / 1000))
+  if (remaining === 0) return '0s'
+
+  const days = Math.floor(remaining / 86400)
+  const hours = Math.floor((remaining % 86400) / 3600)
+  const minutes = Math.floor((remaining % 3600) / 60)
+  const seconds = remaining % 60
+  const pad = (value) => String(value).padStart(2, '0')
+
+  if (days > 0) return `${days}d ${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`
+  if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`
+  return `${seconds}s`
+}
+
 /**
  * Check if network is supported
  * @param {number} chainId - Chain ID
@@ -0,0 +1,180 @@
+import { ethers } from 'ethers'
+
+/**
+ * Delegate statements
+ * Members publish a short statement explaining how they will vote. Statements are
+ * signed with the member's wallet so the directory only shows text the delegate
+ * actually wrote. Removing a statement publishes a signed empty one, so every
+ * record in a shared store can be checked by whoever reads it, and the newest
+ * signed record of each delegate wins.
+ */
+
+const STATEMENT_MESSAGE_PREFIX = 'VeritasDAO Delegate Statement'
+const STORAGE_KEY = 'veritasDelegateStatements'
+
+export const MAX_STATEMENT_LENGTH = 1000
+
+/**
+ * Get the message a delegate signs to publish a statement
+ * @param {string} address - Delegate address
+ * @param {string} statement - Statement text
+ * @param {number} timestamp - Publication time in milliseconds
+ * @returns {string} Message to sign
+ */
+export function getStatementMessage(address, statement, timestamp) {
+  return `${STATEMENT_MESSAGE_PREFIX}\n\nAddress: ${address.toLowerCase()}\nTimestamp: ${timestamp}\n\n${statement}`
+}
+
+/**
+ * Check the shape of a statement record
+ * @param {Object} record - Record to check
+ * @returns {Object} Normalized record
+ * @throws {Error} If a field is missing or malformed
+ */
+export function validateDelegateStatement(record) {
+  const { address, statement, timestamp, signature } = record || {}
+  if (typeof address !== 'string' || !ethers.isAddress(address)) {
+    throw new Error('address must be an address')
+  }
+  if (typeof statement !== 'string' || statement.length > MAX_STATEMENT_LENGTH) {
+    throw new Error(`statement must be a string of at most ${MAX_STATEMENT_LENGTH} characters`)
+  }
+  if (!Number.isSafeInteger(timestamp) || timestamp <= 0) {
+    throw new Error('timestamp must be a positive integer')
+  }
+  if (!ethers.isHexString(signature, 65)) {
+    throw new Error('signature must be a 65-byte hex string')
+  }
+  return { address: address.toLowerCase(), statement, timestamp, signature }
+}
+
+/**
+ * Check that a statement record was signed by its delegate
+ * @param {Object} record - Record from validateDelegateStatement
+ * @returns {boolean} True if the signature matches the address
+ */
+export function verifyDelegateStatement(record) {
+  try {
+    const message = getStatementMessage(record.address, record.statement, record.timestamp)
+    return ethers.verifyMessage(message, record.signature).toLowerCase() === record.address.toLowerCase()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Sign a delegate statement
+ * @param {ethers.Signer} signer - Delegate's signer
+ * @param {string} statement - Statement text (empty to remove the statement)
+ * @param {number} timestamp - Publication time in milliseconds (defaults to now)
+ * @returns {Promise<Object>} Signed statement record
+ */
+export async function signDelegateStatement(signer, statement, timestamp = Date.now()) {
+  const address = (await signer.getAddress()).toLowerCase()
+  const text = statement.trim()
+  if (text.length > MAX_STATEMENT_LENGTH) {
+    throw new Error(`Statement must be at most ${MAX_STATEMENT_LENGTH} characters`)
+  }
+
+  let signature
+  try {
+    signature = await signer.signMessage(getStatementMessage(address, text, timestamp))
+  } catch (error) {
+    if (error.code === 'ACTION_REJECTED') {
+      throw new Error('User rejected the signature request')
+    }
+    throw error
+  }
+  return { address, statement: text, timestamp, signature }
+}
+
+/**
+ * Pick the current statement of every delegate from a list of records
+ * Records with a bad signature are dropped; removed statements are left out.
+ * @param {Array<Object>} records - Records from a statement store
+ * @returns {Object} Statement records keyed by lowercase address
+ */
+export function buildStatementDirectory(records) {
+  const latest = {}
+  records.forEach(raw => {
+    let record
+    try {
+      record = validateDelegateStatement(raw)
+    } catch {
+      return
+    }
+    if (!verifyDelegateStatement(record)) return
+    if (!latest[record.address] || latest[record.address].timestamp < record.timestamp) {
+      latest[record.address] = record
+    }
+  })
+  return Object.fromEntries(Object.entries(latest).filter(([, record]) => record.statement))
+}
+
+/**
+ * Statement store kept in this browser's localStorage
+ * @returns {Object} Store with getStatements() and saveStatement(record)
+ */
+export function createLocalStatementStore() {
+  const read = () => {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY)
+      return stored ? JSON.parse(stored) : {}
+    } catch (error) {
+      console.error('Error reading delegate statements:', error)
+      return {}
+    }
+  }
+
+  return {
+    name: 'This browser',
+    shared: false,
+    async getStatements() {
+      return Object.values(read())
+    },
+    async saveStatement(record) {
+      const statements = read()
+      statements[record.address] = record
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(statements))
+      return record
+    },
+  }
+}
+
+/**
+ * Statement store served by scripts/relayer.js, shared by every member
+ * @param {string} baseUrl - Server URL
+ * @returns {Object} Store with getStatements() and saveStatement(record)
+ */
+export function createHttpStatementStore(baseUrl) {
+  const request = async (path, options) => {
+    let response
+    try {
+      response = await fetch(`${baseUrl}${path}`, options)
+    } catch {
+      throw new Error(`Statement server is not reachable at ${baseUrl}`)
+    }
+    const payload = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(payload.message || 'Statement server rejected the request')
+    }
+    return payload
+  }
+
+  return {
+    name: 'Statement server',
+    shared: true,
+    async getStatements() {
+      const { statements } = await request('/api/statements')
+      return statements
+    },
+    async saveStatement(record) {
+      const { statement } = await request('/api/statements', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(record),
+      })
+      return statement
+    },
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * EIP-712 delegations for VeritasToken.delegateBySig
+ * Shared by the frontend (signing) and scripts/relayer.js (verification), like
+ * the ballots in ballot.js.
+ */
+
+// OpenZeppelin Votes DELEGATION_TYPEHASH
+export const DELEGATION_TYPES = {
+  Delegation: [
+    { name: 'delegatee', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+}
+
+// How long a signed delegation stays valid
+export const DELEGATION_TTL_SECONDS = 60 * 60
+
+/**
+ * Read the token's EIP-712 domain from the contract (EIP-5267)
+ * @param {ethers.Contract} token - VeritasToken contract
+ * @returns {Promise<Object>} Typed data domain
+ */
+export async function getDelegationDomain(token) {
+  const domain = await token.eip712Domain()
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract,
+  }
+}
+
+/**
+ * Build the typed data value for a delegation
+ * @param {Object} delegation - Delegation fields
+ * @param {string} delegation.delegatee - Address receiving the voting power
+ * @param {string|bigint} delegation.nonce - Delegator's current token nonce
+ * @param {string|number|bigint} delegation.expiry - Unix timestamp the signature expires at
+ * @returns {Object} Value to sign or verify against DELEGATION_TYPES
+ */
+export function buildDelegation({ delegatee, nonce, expiry }) {
+  return { delegatee, nonce: BigInt(nonce), expiry: BigInt(expiry) }
+}
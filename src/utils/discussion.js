@@ -0,0 +1,268 @@
+import { ethers } from 'ethers'
+import { openDatabase, runTransaction, requestToPromise } from './indexedDb.js'
+
+/**
+ * Proposal discussion threads
+ * Every post, edit and deletion is an EIP-712 message signed by the commenter's
+ * wallet. Stores only keep the signed actions; the thread is rebuilt from them
+ * and any action whose signature does not match its author is ignored, so a
+ * store (local or remote) cannot put words in anyone's mouth.
+ *
+ * Shared by the frontend and scripts/relayer.js, which can serve a thread to
+ * every member instead of keeping it in this browser.
+ */
+
+export const MAX_COMMENT_LENGTH = 2000
+
+// Actions signed more than this far in the future are rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+export const DISCUSSION_ACTIONS = ['post', 'edit', 'delete']
+
+export const DISCUSSION_TYPES = {
+  DiscussionAction: [
+    { name: 'proposalId', type: 'uint256' },
+    { name: 'commentId', type: 'bytes32' },
+    { name: 'parentId', type: 'bytes32' },
+    { name: 'action', type: 'string' },
+    { name: 'body', type: 'string' },
+    { name: 'author', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+  ],
+}
+
+/**
+ * EIP-712 domain for discussion messages
+ * @param {number|bigint} chainId - Chain the proposals live on
+ * @returns {Object} Typed data domain
+ */
+export function getDiscussionDomain(chainId) {
+  return { name: 'VeritasDAO Discussion', version: '1', chainId: Number(chainId) }
+}
+
+const toTypedValue = (action) => ({
+  proposalId: BigInt(action.proposalId),
+  commentId: action.commentId,
+  parentId: action.parentId,
+  action: action.action,
+  body: action.body,
+  author: action.author,
+  timestamp: BigInt(action.timestamp),
+})
+
+/**
+ * Check the shape of a signed action
+ * @param {Object} action - Signed action as stored
+ * @returns {Object} Normalized action (throws if malformed)
+ */
+export function validateDiscussionAction(action) {
+  const { proposalId, commentId, parentId = ethers.ZeroHash, action: kind, body = '', author, timestamp, signature } = action || {}
+  if (typeof proposalId !== 'string' || !/^\d+$/.test(proposalId)) {
+    throw new Error('proposalId must be a decimal string')
+  }
+  if (!ethers.isHexString(commentId, 32) || !ethers.isHexString(parentId, 32)) {
+    throw new Error('commentId and parentId must be 32-byte hex strings')
+  }
+  if (!DISCUSSION_ACTIONS.includes(kind)) {
+    throw new Error(`action must be one of: ${DISCUSSION_ACTIONS.join(', ')}`)
+  }
+  if (typeof body !== 'string' || body.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Comments must be at most ${MAX_COMMENT_LENGTH} characters`)
+  }
+  if (kind !== 'delete' && !body.trim()) {
+    throw new Error('Comment cannot be empty')
+  }
+  if (typeof author !== 'string' || !ethers.isAddress(author)) {
+    throw new Error('author must be an address')
+  }
+  if (!Number.isSafeInteger(timestamp) || timestamp <= 0 || timestamp > Date.now() + MAX_CLOCK_SKEW_MS) {
+    throw new Error('timestamp must be a time in milliseconds, not in the future')
+  }
+  if (!ethers.isHexString(signature, 65)) {
+    throw new Error('signature must be a 65-byte hex string')
+  }
+  return {
+    proposalId,
+    commentId: commentId.toLowerCase(),
+    parentId: parentId.toLowerCase(),
+    action: kind,
+    body: kind === 'delete' ? '' : body,
+    author: ethers.getAddress(author),
+    timestamp,
+    signature,
+  }
+}
+
+/**
+ * Check that an action was signed by its author
+ * @param {Object} action - Normalized action
+ * @param {number|bigint} chainId - Chain the proposals live on
+ * @returns {boolean} True if the signature matches
+ */
+export function verifyDiscussionAction(action, chainId) {
+  try {
+    const signer = ethers.verifyTypedData(getDiscussionDomain(chainId), DISCUSSION_TYPES, toTypedValue(action), action.signature)
+    return signer === ethers.getAddress(action.author)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Sign a post, edit or deletion with the commenter's wallet
+ * @param {ethers.Signer} signer - Commenter's signer
+ * @param {number|bigint} chainId - Chain the proposals live on
+ * @param {Object} fields - proposalId, action, body, and commentId/parentId where relevant
+ * @returns {Promise<Object>} Signed action ready for a store
+ */
+export async function signDiscussionAction(signer, chainId, { proposalId, action, body = '', commentId = null, parentId = ethers.ZeroHash }) {
+  const unsigned = {
+    proposalId: proposalId.toString(),
+    // New comments get a random id; edits and deletions name the comment they change
+    commentId: commentId || ethers.hexlify(ethers.randomBytes(32)),
+    parentId,
+    action,
+    body: action === 'delete' ? '' : body.trim(),
+    author: await signer.getAddress(),
+    timestamp: Date.now(),
+  }
+
+  let signature
+  try {
+    signature = await signer.signTypedData(getDiscussionDomain(chainId), DISCUSSION_TYPES, toTypedValue(unsigned))
+  } catch (error) {
+    if (error.code === 'ACTION_REJECTED') {
+      throw new Error('User rejected the signature request')
+    }
+    throw error
+  }
+  return validateDiscussionAction({ ...unsigned, signature })
+}
+
+/**
+ * Rebuild a thread from signed actions
+ * Only the original author can edit or delete a comment; every accepted edit is
+ * kept in the comment's signed history.
+ * @param {Array<Object>} actions - Actions for one proposal, in any order
+ * @param {number|bigint} chainId - Chain the proposals live on
+ * @returns {{comments: Array<Object>, count: number}} Top-level comments (oldest first) with nested replies
+ */
+export function buildDiscussionThread(actions, chainId) {
+  const verified = actions
+    .map(action => {
+      try {
+        return validateDiscussionAction(action)
+      } catch {
+        return null
+      }
+    })
+    .filter(action => action && verifyDiscussionAction(action, chainId))
+    .sort((a, b) => a.timestamp - b.timestamp)
+
+  const comments = new Map()
+  verified.forEach(action => {
+    const existing = comments.get(action.commentId)
+    if (action.action === 'post') {
+      if (existing) return
+      comments.set(action.commentId, {
+        id: action.commentId,
+        proposalId: action.proposalId,
+        parentId: action.parentId === ethers.ZeroHash ? null : action.parentId,
+        author: action.author,
+        body: action.body,
+        createdAt: action.timestamp,
+        editedAt: null,
+        deleted: false,
+        history: [{ body: action.body, timestamp: action.timestamp, signature: action.signature }],
+        replies: [],
+      })
+      return
+    }
+    if (!existing || existing.deleted || existing.author !== action.author) return
+    if (action.action === 'edit') {
+      existing.body = action.body
+      existing.editedAt = action.timestamp
+      existing.history.push({ body: action.body, timestamp: action.timestamp, signature: action.signature })
+    } else {
+      // Deleted text is dropped from the thread; the signed deletion stays in the store
+      existing.deleted = true
+      existing.body = ''
+      existing.history = []
+      existing.editedAt = action.timestamp
+    }
+  })
+
+  const topLevel = []
+  comments.forEach(comment => {
+    const parent = comment.parentId && comments.get(comment.parentId)
+    if (parent) parent.replies.push(comment)
+    else topLevel.push(comment)
+  })
+
+  return { comments: topLevel, count: [...comments.values()].filter(c => !c.deleted).length }
+}
+
+/**
+ * Discussion store kept in this browser's IndexedDB
+ * @returns {Object} Store with getActions(proposalId) and saveAction(action)
+ */
+export function createIndexedDbDiscussionStore() {
+  const open = () => openDatabase('veritas-discussion', 1, (db) => {
+    const store = db.createObjectStore('actions', { keyPath: 'signature' })
+    store.createIndex('proposalId', 'proposalId')
+  })
+
+  return {
+    name: 'This browser',
+    shared: false,
+    async getActions(proposalId) {
+      const db = await open()
+      return runTransaction(db, 'actions', 'readonly', store =>
+        requestToPromise(store.index('proposalId').getAll(proposalId.toString()))
+      )
+    },
+    async saveAction(action) {
+      const db = await open()
+      await runTransaction(db, 'actions', 'readwrite', store => requestToPromise(store.put(action)))
+      return action
+    },
+  }
+}
+
+/**
+ * Discussion store served by scripts/relayer.js, shared by every member
+ * @param {string} baseUrl - Server URL
+ * @returns {Object} Store with getActions(proposalId) and saveAction(action)
+ */
+export function createHttpDiscussionStore(baseUrl) {
+  const request = async (path, options) => {
+    let response
+    try {
+      response = await fetch(`${baseUrl}${path}`, options)
+    } catch {
+      throw new Error(`Discussion server is not reachable at ${baseUrl}`)
+    }
+    const payload = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(payload.message || 'Discussion server rejected the request')
+    }
+    return payload
+  }
+
+  return {
+    name: 'Discussion server',
+    shared: true,
+    async getActions(proposalId) {
+      const { actions } = await request(`/api/discussion?proposalId=${proposalId}`)
+      return actions
+    },
+    async saveAction(action) {
+      const { action: saved } = await request('/api/discussion', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(action),
+      })
+      return saved
+    },
+  }
+}
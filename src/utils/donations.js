@@ -0,0 +1,254 @@
+import { ethers } from 'ethers'
+import { serializeProposalDescription } from './proposalMetadata.js'
+
+/**
+ * Donation escrow helpers
+ * Donations are held by DonationContract per proposal until the DAO releases
+ * them to the investigator or refunds every donor. Totals and history come from
+ * DonationMade events (see getDonationEvents in useContracts), so they are the
+ * same on every device.
+ *
+ * Releasing and refunding are DonationContract.releaseFunds/refundDonations
+ * calls executed by a proposal through the timelock. A proposal cannot release
+ * its own escrow - its id is a hash of its actions - so the release is proposed
+ * once the funding proposal has executed, or bundled into the investigator's
+ * next funding proposal.
+ */
+
+const donationInterface = new ethers.Interface([
+  'function releaseFunds(uint256 proposalId)',
+  'function refundDonations(uint256 proposalId)',
+])
+
+// Escrow decision -> DonationContract function
+const ESCROW_FUNCTIONS = {
+  release: 'releaseFunds',
+  refund: 'refundDonations',
+}
+
+// Proposal states after which donations should go back to donors; a withdrawn or vetoed proposal never executes
+const REFUND_STATES = ['Defeated', 'Expired', 'Canceled']
+
+// Proposal states that can still lead to execution
+const OPEN_STATES = ['Pending', 'Active', 'Succeeded', 'Queued']
+
+/**
+ * Escrow status for display
+ * @param {Object|null} escrow - Escrow from getEscrows (null when nothing was donated)
+ * @returns {'none'|'escrowed'|'released'|'refunded'} Status
+ */
+export function getEscrowStatus(escrow) {
+  if (!escrow) return 'none'
+  if (escrow.released) return 'released'
+  if (escrow.refunded) return 'refunded'
+  return 'escrowed'
+}
+
+export const ESCROW_STATUS_LABELS = {
+  none: 'Not opened by the proposer yet',
+  escrowed: 'Held in escrow',
+  released: 'Released to investigator',
+  refunded: 'Refunded to donors',
+}
+
+/**
+ * Sum DonationMade events per proposal
+ * @param {Array<Object>} donations - Records from getDonationEvents
+ * @returns {Object<string, {totalWei: bigint, total: string, count: number, donors: Array<string>}>} Summary by proposal id
+ */
+export function summarizeDonations(donations) {
+  const summary = {}
+  donations.forEach(donation => {
+    const id = donation.proposalId.toString()
+    const entry = summary[id] || (summary[id] = { totalWei: 0n, total: '0', count: 0, donors: [] })
+    entry.totalWei += BigInt(donation.amount)
+    entry.count += 1
+    const donor = donation.donor.toLowerCase()
+    if (!entry.donors.includes(donor)) entry.donors.push(donor)
+  })
+  Object.values(summary).forEach(entry => {
+    entry.total = ethers.formatEther(entry.totalWei)
+  })
+  return summary
+}
+
+/**
+ * Check whether an address donated to a proposal
+ * @param {Array<Object>} donations - Records from getDonationEvents
+ * @param {string} proposalId - Proposal id
+ * @param {string} account - Address to check
+ * @returns {boolean} True if a DonationMade event exists for the pair
+ */
+export function hasDonated(donations, proposalId, account) {
+  if (!account) return false
+  const id = proposalId.toString()
+  const address = account.toLowerCase()
+  return donations.some(donation => donation.proposalId.toString() === id && donation.donor.toLowerCase() === address)
+}
+
+/**
+ * Encode the DonationContract call releasing or refunding an escrow
+ * @param {'release'|'refund'} kind - Decision
+ * @param {string|bigint} proposalId - Proposal whose escrow is settled
+ * @returns {string} Calldata for the DonationContract
+ */
+export function encodeEscrowAction(kind, proposalId) {
+  const method = ESCROW_FUNCTIONS[kind]
+  if (!method) {
+    throw new Error(`Unknown escrow action: ${kind}`)
+  }
+  return donationInterface.encodeFunctionData(method, [BigInt(proposalId)])
+}
+
+/**
+ * Decode the escrow releases and refunds in a proposal's actions
+ * @param {Object} actions - Proposal actions
+ * @param {string[]} actions.targets - Call targets
+ * @param {string[]} actions.calldatas - Call data, in target order
+ * @param {string} donationAddress - DonationContract address
+ * @returns {Array<{kind: 'release'|'refund', proposalId: string}>} Escrow decisions
+ */
+export function decodeEscrowActions({ targets = [], calldatas = [] }, donationAddress) {
+  if (!donationAddress) return []
+  const donation = donationAddress.toLowerCase()
+
+  return targets.flatMap((target, i) => {
+    if (target.toLowerCase() !== donation) return []
+    let parsed
+    try {
+      parsed = donationInterface.parseTransaction({ data: calldatas[i] })
+    } catch {
+      return []
+    }
+    if (!parsed) return []
+    return [{
+      kind: parsed.name === 'releaseFunds' ? 'release' : 'refund',
+      proposalId: parsed.args.proposalId.toString(),
+    }]
+  })
+}
+
+/**
+ * The escrow decision a proposal's outcome calls for, if it is still open
+ * @param {Object} proposal - Proposal from getAllProposals
+ * @param {Object|null} escrow - Escrow from getEscrows
+ * @returns {'release'|'refund'|null} Decision to propose
+ */
+export function getDueEscrowAction(proposal, escrow) {
+  if (getEscrowStatus(escrow) !== 'escrowed' || BigInt(escrow.totalAmountWei) === 0n) return null
+  if (proposal.state === 'Executed') return 'release'
+  if (REFUND_STATES.includes(proposal.state)) return 'refund'
+  return null
+}
+
+/**
+ * Find proposals that settle a proposal's escrow
+ * @param {Array<Object>} proposals - Proposals from getAllProposals
+ * @param {string} proposalId - Proposal whose escrow is settled
+ * @returns {Array<{proposal: Object, kind: 'release'|'refund'}>} Settling proposals, newest first
+ */
+export function findEscrowProposals(proposals, proposalId) {
+  const id = proposalId.toString()
+  return proposals.flatMap(proposal =>
+    (proposal.escrowActions || [])
+      .filter(action => action.proposalId === id)
+      .map(action => ({ proposal, kind: action.kind }))
+  )
+}
+
+/**
+ * Check whether a release or refund of an escrow is already being voted on or awaiting execution
+ * @param {Array<Object>} proposals - Proposals from getAllProposals
+ * @param {string} proposalId - Proposal whose escrow is settled
+ * @returns {boolean} True if a settling proposal is still open
+ */
+export function hasOpenEscrowProposal(proposals, proposalId) {
+  return findEscrowProposals(proposals, proposalId).some(({ proposal }) =>
+    OPEN_STATES.includes(proposal.state)
+  )
+}
+
+/**
+ * Build a proposal releasing or refunding one escrow
+ * @param {'release'|'refund'} kind - Decision
+ * @param {Object} params
+ * @param {string} params.proposalId - Proposal whose escrow is settled
+ * @param {string} params.title - That proposal's title
+ * @param {Object} params.escrow - Escrow from getEscrows
+ * @param {string} params.donationAddress - DonationContract address
+ * @param {string} params.author - Proposer, recorded as the author
+ * @returns {{targets: string[], values: number[], calldatas: string[], description: string}} Proposal parameters
+ */
+export function buildEscrowProposal(kind, { proposalId, title, escrow, donationAddress, author }) {
+  const amount = `${escrow.totalAmount} ETH`
+  const body = kind === 'release'
+    ? `Proposal #${proposalId} was executed. Release the ${amount} donors placed in escrow for it to the investigator, ${escrow.investigator}.`
+    : `Proposal #${proposalId} did not pass. Refund the ${amount} held in escrow for it to its ${escrow.donationCount} donation${escrow.donationCount === 1 ? '' : 's'}.`
+  return {
+    targets: [donationAddress],
+    values: [0],
+    calldatas: [encodeEscrowAction(kind, proposalId)],
+    description: serializeProposalDescription({
+      type: 'action',
+      title: `${kind === 'release' ? 'Release' : 'Refund'} escrow for "${title}"`,
+      author,
+    }, body),
+  }
+}
+
+/**
+ * Steps from donation to settlement for one proposal's escrow
+ * @param {Object} params
+ * @param {Object|undefined} params.proposal - Proposal the donations went to
+ * @param {Object|null} params.escrow - Its escrow from getEscrows
+ * @param {Array<Object>} params.donations - The donor's DonationMade records for it
+ * @param {Array<Object>} params.escrowEvents - Records from getEscrowEvents
+ * @param {Array<Object>} params.proposals - Proposals from getAllProposals
+ * @returns {Array<{key: string, label: string, detail: string, status: 'done'|'current'|'upcoming'}>} Timeline steps
+ */
+export function getEscrowTimeline({ proposal, escrow, donations, escrowEvents, proposals }) {
+  const proposalId = donations[0].proposalId.toString()
+  const status = getEscrowStatus(escrow)
+  const settled = status === 'released' || status === 'refunded'
+  const donatedWei = donations.reduce((sum, donation) => sum + BigInt(donation.amount), 0n)
+
+  const steps = [{
+    key: 'escrowed',
+    label: 'Escrowed',
+    detail: `${ethers.formatEther(donatedWei)} ETH on ${new Date(donations[0].timestamp).toLocaleDateString()}`,
+    status: 'done',
+  }]
+
+  const state = proposal?.state || 'Unknown'
+  const decided = ['Executed', ...REFUND_STATES].includes(state)
+  steps.push({
+    key: 'outcome',
+    label: 'Proposal outcome',
+    detail: decided ? state : `${state} - waiting for the vote and execution`,
+    status: decided ? 'done' : 'current',
+  })
+
+  // Open or past proposals settling this escrow, newest first
+  const [latest] = findEscrowProposals(proposals, proposalId)
+  steps.push({
+    key: 'decision',
+    label: 'Settlement proposed',
+    detail: latest
+      ? `${latest.kind === 'release' ? 'Release' : 'Refund'} in Proposal #${latest.proposal.id} (${latest.proposal.state})`
+      : settled ? 'Settled by the DAO' : 'No release or refund proposed yet',
+    status: latest || settled ? 'done' : decided ? 'current' : 'upcoming',
+  })
+
+  const settlement = escrowEvents.find(event => event.proposalId.toString() === proposalId)
+  const settledLabel = status === 'refunded' ? 'Refunded' : 'Released'
+  steps.push({
+    key: 'settled',
+    label: settled ? settledLabel : 'Released or refunded',
+    detail: settled
+      ? `${ESCROW_STATUS_LABELS[status]}${settlement ? ` (tx ${settlement.transactionHash.slice(0, 10)}...)` : ''}`
+      : 'Funds stay in escrow until a proposal settles them',
+    status: settled ? 'done' : 'upcoming',
+  })
+
+  return steps
+}
@@ -0,0 +1,110 @@
+import { ethers } from 'ethers'
+import { isOwnProposal, parseProposalMetadata } from './proposalMetadata.js'
+
+/**
+ * Early-access policy
+ * Early-access articles unlock for the investigation's own proposer or
+ * recipient, for donors whose donation carries early access (promised when they
+ * donated, or granted later through DonationContract.grantEarlyAccess), and for
+ * members who voted For the proposal.
+ *
+ * Every input comes from the chain - DonationMade events, hasEarlyAccess and the
+ * Governor's hasVoted with the indexed VoteCast support - so access follows the
+ * wallet to any browser and cannot be granted by editing localStorage.
+ */
+
+const SUPPORT_LABELS = ['Against', 'For', 'Abstain']
+
+const formatEth = (wei) =>
+  `${parseFloat(ethers.formatEther(wei)).toLocaleString(undefined, { maximumFractionDigits: 4 })} ETH`
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric'
+})
+
+// "0.05 ETH on Mar 3, 2026", or a total with the first date for several donations
+const describeDonations = (donations) => {
+  const total = donations.reduce((sum, donation) => sum + BigInt(donation.amount), 0n)
+  const first = formatDate(donations[0].timestamp)
+  return donations.length === 1
+    ? `${formatEth(total)} on ${first}`
+    : `${formatEth(total)} in ${donations.length} donations since ${first}`
+}
+
+/**
+ * Decide whether an account can read a proposal's early-access articles
+ * @param {Object} params
+ * @param {Object} params.proposal - Proposal from getAllProposals (hasVoted and myVote are read on-chain)
+ * @param {string|null} params.account - Connected address
+ * @param {Array<Object>} params.donations - Records from getDonationEvents (any donor, any proposal)
+ * @param {boolean} params.granted - DonationContract.hasEarlyAccess for the proposal and account
+ * @returns {{hasAccess: boolean, reason: 'author'|'granted'|'donated'|'voted'|null, message: string, isDonator: boolean, votedFor: boolean}} Decision and the reason shown to the reader
+ */
+export function getEarlyAccess({ proposal, account, donations = [], granted = false }) {
+  if (!account) {
+    return { hasAccess: false, reason: null, message: 'Connect your wallet to check your early access', isDonator: false, votedFor: false }
+  }
+
+  const id = proposal.id.toString()
+  const address = account.toLowerCase()
+  const own = donations.filter(donation =>
+    donation.proposalId.toString() === id && donation.donor.toLowerCase() === address
+  )
+  const withAccess = own.filter(donation => donation.earlyAccessPromised)
+  const support = proposal.hasVoted && proposal.myVote ? proposal.myVote.support : null
+  const votedFor = support === 1
+  const decision = (hasAccess, reason, message) => ({ hasAccess, reason, message, isDonator: own.length > 0, votedFor })
+
+  if (isOwnProposal(proposal, account)) {
+    return decision(true, 'author', proposal.proposer?.toLowerCase() === address
+      ? 'You proposed this investigation'
+      : 'This investigation is funded to your wallet')
+  }
+  if (granted) {
+    return decision(true, 'granted', own.length > 0
+      ? `Early access granted by the investigator - you donated ${describeDonations(own)}`
+      : 'Early access granted by the investigator')
+  }
+  if (withAccess.length > 0) {
+    return decision(true, 'donated', `You donated ${describeDonations(withAccess)} with early access`)
+  }
+  if (votedFor) {
+    return decision(true, 'voted', 'You voted For this proposal')
+  }
+
+  if (own.length > 0) {
+    return decision(false, null, `You donated ${describeDonations(own)} without early access. Donate with early access or vote For to unlock.`)
+  }
+  if (proposal.hasVoted) {
+    return decision(false, null, support === null
+      ? 'Your vote is still being indexed - early access unlocks if you voted For'
+      : `You voted ${SUPPORT_LABELS[support]}. Early access is for members who voted For and donors who opted in.`)
+  }
+  return decision(false, null, 'Early access is for members who voted For and donors who opted in')
+}
+
+/**
+ * List every address entitled to a proposal's early-access articles
+ * The same policy as getEarlyAccess, applied to all wallets at once so an author
+ * can wrap article keys for each of them.
+ * @param {Object} params
+ * @param {Object} params.proposal - Proposal from getAllProposals
+ * @param {Array<Object>} params.donations - Records from getDonationEvents
+ * @param {Array<string>} params.granted - Donors granted early access through DonationContract.grantEarlyAccess
+ * @param {Array<Object>} params.votes - VoteCast records ({ voter, support }) for the proposal
+ * @returns {Array<string>} Lowercase addresses
+ */
+export function getEarlyAccessHolders({ proposal, donations = [], granted = [], votes = [] }) {
+  const id = proposal.id.toString()
+  const { recipient } = parseProposalMetadata(proposal.description || '')
+  const holders = [
+    proposal.proposer,
+    recipient,
+    ...granted,
+    ...donations
+      .filter(donation => donation.proposalId.toString() === id && donation.earlyAccessPromised)
+      .map(donation => donation.donor),
+    ...votes.filter(vote => Number(vote.support) === 1).map(vote => vote.voter),
+  ]
+  return [...new Set(holders.filter(Boolean).map(address => address.toLowerCase()))]
+}
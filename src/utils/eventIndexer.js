@@ -0,0 +1,303 @@
+import { openDatabase, runTransaction, requestToPromise } from './indexedDb'
+
+/**
+ * Incremental, persistent contract event indexer
+ *
+ * Logs are fetched per contract address in chunked block ranges and stored in
+ * IndexedDB together with the last indexed block, so a page load only asks the
+ * RPC for blocks it has not seen yet. The most recent REORG_DEPTH blocks are
+ * re-fetched on every sync, and the block just below that window is checked
+ * against its stored hash; if it changed the contract is re-indexed from scratch.
+ * When IndexedDB is unavailable the index lives in memory for the session.
+ */
+
+const DB_NAME = 'veritas-event-index'
+const DB_VERSION = 1
+const EVENTS_STORE = 'events'
+const CURSORS_STORE = 'cursors'
+
+// Block range per eth_getLogs request - halved automatically when the RPC refuses it
+const DEFAULT_CHUNK_SIZE = Number(import.meta.env.VITE_INDEXER_CHUNK_SIZE || 2000)
+const MIN_CHUNK_SIZE = 16
+
+// Recent blocks re-checked on every sync to drop logs from reorged blocks
+export const REORG_DEPTH = 12
+
+// Syncs requested closer together than this reuse the previous result
+const MIN_SYNC_INTERVAL_MS = 4000
+
+// scope -> { events, cursor, lastSyncedAt }
+const scopes = new Map()
+// scope -> pending sync promise (shared between hook instances)
+const pendingSyncs = new Map()
+
+const getScope = (chainId, address) => `${chainId}:${address.toLowerCase()}`
+
+const openIndexDb = () => openDatabase(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+    const events = db.createObjectStore(EVENTS_STORE, { keyPath: 'id' })
+    events.createIndex('scope', 'scope')
+    events.createIndex('scopeBlock', ['scope', 'blockNumber'])
+  }
+  if (!db.objectStoreNames.contains(CURSORS_STORE)) {
+    db.createObjectStore(CURSORS_STORE, { keyPath: 'scope' })
+  }
+})
+
+// Get the database, or null to keep the index in memory only
+const getDb = async () => {
+  try {
+    return await openIndexDb()
+  } catch {
+    return null
+  }
+}
+
+// Convert ethers values (bigint, Result) to structured-clone friendly values
+const serializeValue = (value) => {
+  if (typeof value === 'bigint') return value.toString()
+  if (Array.isArray(value)) return Array.from(value, serializeValue)
+  return value
+}
+
+const compareEvents = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex)
+
+// Delete every record matched by an index range
+const deleteByIndexRange = (index, range) => new Promise((resolve, reject) => {
+  const request = index.openCursor(range)
+  request.onsuccess = () => {
+    const cursor = request.result
+    if (cursor) {
+      cursor.delete()
+      cursor.continue()
+    } else {
+      resolve()
+    }
+  }
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Turn a raw log into a stored event record
+ * @param {ethers.Interface} iface - Contract interface
+ * @param {ethers.Log} log - Raw log from getLogs
+ * @param {string} scope - Index scope (chainId:address)
+ * @returns {Object|null} Event record, or null for logs the ABI doesn't know
+ */
+const toEventRecord = (iface, log, scope) => {
+  let parsed
+  try {
+    parsed = iface.parseLog({ topics: log.topics, data: log.data })
+  } catch {
+    return null
+  }
+  if (!parsed) return null
+
+  const args = {}
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || i] = serializeValue(parsed.args[i])
+  })
+
+  return {
+    id: `${scope}:${log.transactionHash}:${log.index}`,
+    scope,
+    event: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    args,
+  }
+}
+
+// Load a scope's events and cursor from IndexedDB into memory (once)
+const loadScope = async (scope) => {
+  if (scopes.has(scope)) return scopes.get(scope)
+
+  const state = { events: [], cursor: null, lastSyncedAt: 0 }
+  const db = await getDb()
+  if (db) {
+    try {
+      await runTransaction(db, [EVENTS_STORE, CURSORS_STORE], 'readonly', async (events, cursors) => {
+        const [records, cursor] = await Promise.all([
+          requestToPromise(events.index('scope').getAll(scope)),
+          requestToPromise(cursors.get(scope)),
+        ])
+        state.events = records.sort(compareEvents)
+        state.cursor = cursor || null
+      })
+    } catch (error) {
+      console.error('Error loading event index:', error)
+    }
+  }
+
+  // Another caller may have loaded the scope while we were reading
+  if (!scopes.has(scope)) scopes.set(scope, state)
+  return scopes.get(scope)
+}
+
+// Drop events at or above fromBlock (all events when fromBlock is null) and save the cursor
+const truncateScope = async (scope, state, fromBlock, cursor) => {
+  state.events = fromBlock === null ? [] : state.events.filter(e => e.blockNumber < fromBlock)
+  state.cursor = cursor
+
+  const db = await getDb()
+  if (!db) return
+  await runTransaction(db, [EVENTS_STORE, CURSORS_STORE], 'readwrite', async (events, cursors) => {
+    const range = fromBlock === null
+      ? IDBKeyRange.bound([scope, -Infinity], [scope, Infinity])
+      : IDBKeyRange.bound([scope, fromBlock], [scope, Infinity])
+    await deleteByIndexRange(events.index('scopeBlock'), range)
+    cursors.put(cursor)
+  })
+}
+
+// Append a chunk of events and advance the cursor atomically
+const appendToScope = async (state, records, cursor) => {
+  state.events = state.events.concat(records)
+  state.cursor = cursor
+
+  const db = await getDb()
+  if (!db) return
+  await runTransaction(db, [EVENTS_STORE, CURSORS_STORE], 'readwrite', (events, cursors) => {
+    records.forEach(record => events.put(record))
+    cursors.put(cursor)
+  })
+}
+
+/**
+ * Fetch logs for an address in chunks, shrinking the range when the RPC rejects it
+ * @param {ethers.Provider} provider - Provider to query
+ * @param {string} address - Contract address
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {Function} onChunk - Called with (logs, chunkEndBlock) after each range
+ */
+const fetchLogsChunked = async (provider, address, fromBlock, toBlock, onChunk) => {
+  let chunkSize = DEFAULT_CHUNK_SIZE
+  let start = fromBlock
+
+  while (start <= toBlock) {
+    const end = Math.min(start + chunkSize - 1, toBlock)
+    let logs
+    try {
+      logs = await provider.getLogs({ address, fromBlock: start, toBlock: end })
+    } catch (error) {
+      if (chunkSize <= MIN_CHUNK_SIZE) throw error
+      chunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(chunkSize / 2))
+      continue
+    }
+    await onChunk(logs, end)
+    start = end + 1
+  }
+}
+
+const runSync = async (contract, provider, scope, startBlock) => {
+  const address = await contract.getAddress()
+  const state = await loadScope(scope)
+  const latestBlock = await provider.getBlockNumber()
+
+  let cursor = state.cursor
+  let needsReset = !cursor || cursor.startBlock !== startBlock || cursor.lastBlock > latestBlock
+
+  // Block below the re-check window must be unchanged, otherwise the reorg went deeper
+  // (or a local node was restarted) and the whole index is stale
+  if (!needsReset && cursor.anchorBlock >= 0 && cursor.anchorHash) {
+    const anchor = await provider.getBlock(cursor.anchorBlock)
+    needsReset = !anchor || anchor.hash !== cursor.anchorHash
+  }
+
+  if (needsReset) {
+    cursor = { scope, startBlock, lastBlock: startBlock - 1, anchorBlock: -1, anchorHash: null }
+    await truncateScope(scope, state, null, cursor)
+  }
+
+  const fromBlock = Math.max(
+    startBlock,
+    cursor.anchorBlock >= 0 ? cursor.anchorBlock + 1 : cursor.lastBlock + 1 - REORG_DEPTH
+  )
+
+  if (fromBlock <= latestBlock) {
+    // Re-fetch the recent window from scratch so logs from orphaned blocks disappear
+    cursor = { ...cursor, lastBlock: fromBlock - 1 }
+    await truncateScope(scope, state, fromBlock, cursor)
+
+    await fetchLogsChunked(provider, address, fromBlock, latestBlock, async (logs, chunkEnd) => {
+      const records = logs
+        .map(log => toEventRecord(contract.interface, log, scope))
+        .filter(Boolean)
+        .sort(compareEvents)
+      cursor = { ...cursor, lastBlock: chunkEnd }
+      await appendToScope(state, records, cursor)
+    })
+
+    const anchorBlock = Math.max(startBlock - 1, latestBlock - REORG_DEPTH)
+    if (anchorBlock >= 0) {
+      const anchor = await provider.getBlock(anchorBlock)
+      cursor = { ...cursor, anchorBlock, anchorHash: anchor ? anchor.hash : null }
+      await appendToScope(state, [], cursor)
+    }
+  }
+
+  state.lastSyncedAt = Date.now()
+  return state
+}
+
+/**
+ * Create a read-only view over a scope's indexed events
+ * @param {Object} state - Scope state
+ * @returns {Object} View with latestBlock and getEvents(eventName, predicate)
+ */
+const createIndexView = (state) => ({
+  latestBlock: state.cursor ? state.cursor.lastBlock : null,
+  getEvents: (eventName, predicate = null) => state.events.filter(e =>
+    (!eventName || e.event === eventName) && (!predicate || predicate(e))
+  ),
+})
+
+/**
+ * Bring a contract's event index up to date and return a view over it
+ * Concurrent callers for the same contract share one sync.
+ * @param {ethers.Contract} contract - Contract whose events are indexed
+ * @param {Object} options - Sync options
+ * @param {ethers.Provider} options.provider - Provider to read logs from (defaults to the contract runner)
+ * @param {number} options.chainId - Chain ID (detected from the provider if omitted)
+ * @param {number} options.startBlock - First block to index
+ * @param {boolean} options.force - Sync even if the last sync was moments ago
+ * @returns {Promise<Object>} Index view: { latestBlock, getEvents(eventName, predicate) }
+ */
+export async function syncContractEvents(contract, { provider = null, chainId = null, startBlock = 0, force = false } = {}) {
+  const readProvider = provider || contract.runner?.provider || contract.runner
+  if (!readProvider) {
+    throw new Error('No provider available for event indexing')
+  }
+
+  const resolvedChainId = chainId || Number((await readProvider.getNetwork()).chainId)
+  const scope = getScope(resolvedChainId, await contract.getAddress())
+  const state = await loadScope(scope)
+
+  if (!force && Date.now() - state.lastSyncedAt < MIN_SYNC_INTERVAL_MS) {
+    return createIndexView(state)
+  }
+
+  if (!pendingSyncs.has(scope)) {
+    const sync = runSync(contract, readProvider, scope, startBlock)
+      .finally(() => pendingSyncs.delete(scope))
+    pendingSyncs.set(scope, sync)
+  }
+
+  return createIndexView(await pendingSyncs.get(scope))
+}
+
+/**
+ * Mark indexes as stale so the next sync hits the RPC even if one just ran
+ * Call after sending a transaction whose events should show up immediately.
+ * @param {string} address - Contract address (all contracts if omitted)
+ */
+export function invalidateEventIndex(address = null) {
+  scopes.forEach((state, scope) => {
+    if (!address || scope.endsWith(`:${address.toLowerCase()}`)) {
+      state.lastSyncedAt = 0
+    }
+  })
+}
@@ -0,0 +1,76 @@
+import { ethers } from 'ethers'
+
+/**
+ * Treasury funding requests
+ * A funding proposal is a Treasury.withdrawEth or Treasury.withdrawToken call. The
+ * currency and amount are read back from the proposal calldata rather than the
+ * description text, so what the UI shows is exactly what executes.
+ */
+
+// Minimal ERC-20 surface needed to label and size token amounts
+export const ERC20_METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]
+
+// The treasury's native currency, represented with a null token address
+export const NATIVE_TOKEN = { address: null, symbol: 'ETH', decimals: 18 }
+
+const treasuryInterface = new ethers.Interface([
+  'function withdrawEth(address payable to, uint256 amount)',
+  'function withdrawToken(address token, address to, uint256 amount)',
+])
+
+/**
+ * Encode the Treasury call paying out a funding request
+ * @param {Object} request - Funding request
+ * @param {string|null} request.token - ERC-20 address, or null for ETH
+ * @param {string} request.recipient - Address receiving the funds
+ * @param {bigint} request.amount - Amount in the token's smallest unit
+ * @returns {string} Calldata for the Treasury
+ */
+export function encodeFundingRequest({ token, recipient, amount }) {
+  return token
+    ? treasuryInterface.encodeFunctionData('withdrawToken', [token, recipient, amount])
+    : treasuryInterface.encodeFunctionData('withdrawEth', [recipient, amount])
+}
+
+/**
+ * Decode the treasury payouts in a proposal's actions
+ * Actions targeting other contracts, or other Treasury functions, are skipped.
+ * @param {Object} actions - Proposal actions
+ * @param {string[]} actions.targets - Call targets
+ * @param {string[]} actions.calldatas - Call data, in target order
+ * @param {string} treasuryAddress - Treasury contract address
+ * @returns {Array<{token: string|null, recipient: string, amount: bigint}>} Payouts
+ */
+export function decodeFundingRequests({ targets = [], calldatas = [] }, treasuryAddress) {
+  if (!treasuryAddress) return []
+  const treasury = treasuryAddress.toLowerCase()
+
+  return targets.flatMap((target, i) => {
+    if (target.toLowerCase() !== treasury) return []
+    let parsed
+    try {
+      parsed = treasuryInterface.parseTransaction({ data: calldatas[i] })
+    } catch {
+      return []
+    }
+    if (!parsed) return []
+    if (parsed.name === 'withdrawEth') {
+      return [{ token: null, recipient: parsed.args.to, amount: parsed.args.amount }]
+    }
+    return [{ token: ethers.getAddress(parsed.args.token), recipient: parsed.args.to, amount: parsed.args.amount }]
+  })
+}
+
+/**
+ * Format a token amount for display, e.g. "1,250.5 VERITAS"
+ * @param {bigint|string} amount - Amount in the token's smallest unit
+ * @param {{symbol: string, decimals: number}} token - Token metadata
+ * @returns {string} Human-readable amount with symbol
+ */
+export function formatTokenAmount(amount, { symbol, decimals }) {
+  const value = parseFloat(ethers.formatUnits(BigInt(amount), decimals))
+  return `${value.toLocaleString(undefined, { maximumFractionDigits: 4 })} ${symbol}`
+}
@@ -0,0 +1,160 @@
+import { ethers } from 'ethers'
+import { parseProposalMetadata } from './proposalMetadata.js'
+
+/**
+ * Governance parameter change proposals
+ * The Governor can only reconfigure itself through a proposal, so each changed
+ * setting becomes one self-call (setVotingDelay, setVotingPeriod,
+ * setProposalThreshold, updateQuorumNumerator). The values at proposal time are
+ * recorded in the proposal metadata (settingChanges) so the card can keep
+ * showing before/after once the change has executed.
+ */
+
+// The Governor clock is block numbers; used to express block counts as time
+export const SECONDS_PER_BLOCK = 12
+
+export const GOVERNANCE_SETTINGS = [
+  { key: 'votingDelay', label: 'Voting Delay', setter: 'setVotingDelay', getter: 'votingDelay' },
+  { key: 'votingPeriod', label: 'Voting Period', setter: 'setVotingPeriod', getter: 'votingPeriod' },
+  { key: 'proposalThreshold', label: 'Proposal Threshold', setter: 'setProposalThreshold', getter: 'proposalThreshold' },
+  { key: 'quorumNumerator', label: 'Quorum', setter: 'updateQuorumNumerator', getter: 'quorumNumerator()' },
+]
+
+const settingsInterface = new ethers.Interface([
+  'function setVotingDelay(uint48 newVotingDelay)',
+  'function setVotingPeriod(uint32 newVotingPeriod)',
+  'function setProposalThreshold(uint256 newProposalThreshold)',
+  'function updateQuorumNumerator(uint256 newQuorumNumerator)',
+])
+
+// Largest values the setters accept (uint48 delay, uint32 period, quorum out of 100)
+const MAX_VALUES = {
+  votingDelay: 2n ** 48n - 1n,
+  votingPeriod: 2n ** 32n - 1n,
+  quorumNumerator: 100n,
+}
+
+/**
+ * Express a block count as approximate wall-clock time
+ * @param {bigint|string|number} blocks - Number of blocks
+ * @returns {string} e.g. "~3 days"
+ */
+export function formatBlocksAsTime(blocks) {
+  const seconds = Number(blocks) * SECONDS_PER_BLOCK
+  if (seconds < 60) return `~${seconds} sec`
+  if (seconds < 3600) return `~${Math.round(seconds / 60)} min`
+  if (seconds < 86400) return `~${Math.round(seconds / 360) / 10} hours`
+  return `~${Math.round(seconds / 8640) / 10} days`
+}
+
+/**
+ * Format a raw setting value for display
+ * @param {string} key - Setting key from GOVERNANCE_SETTINGS
+ * @param {bigint|string} value - Raw on-chain value (blocks, wei or percent)
+ * @returns {string} e.g. "50,400 blocks (~7 days)", "100 VERITAS", "4%"
+ */
+export function formatSettingValue(key, value) {
+  const raw = BigInt(value)
+  if (key === 'proposalThreshold') {
+    return `${parseFloat(ethers.formatEther(raw)).toLocaleString()} VERITAS`
+  }
+  if (key === 'quorumNumerator') {
+    return `${raw}%`
+  }
+  return `${Number(raw).toLocaleString()} blocks (${formatBlocksAsTime(raw)})`
+}
+
+/**
+ * Parse a form input into the raw on-chain value for a setting
+ * @param {string} key - Setting key from GOVERNANCE_SETTINGS
+ * @param {string} input - Blocks, VERITAS amount or quorum percent as typed
+ * @returns {bigint} Raw value (throws if invalid)
+ */
+export function parseSettingInput(key, input) {
+  const setting = GOVERNANCE_SETTINGS.find(s => s.key === key)
+  const text = input.trim()
+  let value
+  if (key === 'proposalThreshold') {
+    try {
+      value = ethers.parseEther(text)
+    } catch {
+      throw new Error(`${setting.label} must be a VERITAS amount`)
+    }
+  } else {
+    if (!/^\d+$/.test(text)) {
+      throw new Error(`${setting.label} must be a whole number`)
+    }
+    value = BigInt(text)
+  }
+  if (key === 'votingPeriod' && value === 0n) {
+    throw new Error('Voting Period must be at least 1 block')
+  }
+  if (MAX_VALUES[key] !== undefined && value > MAX_VALUES[key]) {
+    throw new Error(`${setting.label} cannot exceed ${MAX_VALUES[key]}`)
+  }
+  return value
+}
+
+/**
+ * Encode the Governor self-calls for the settings that change
+ * @param {string} governorAddress - VeritasGovernor address
+ * @param {Object<string, bigint>} current - Current raw values by key
+ * @param {Object<string, bigint>} next - Proposed raw values by key (missing = unchanged)
+ * @returns {{targets: string[], values: bigint[], calldatas: string[], changes: Array}} propose() inputs
+ */
+export function encodeSettingChanges(governorAddress, current, next) {
+  const changes = GOVERNANCE_SETTINGS
+    .filter(setting => next[setting.key] !== undefined && next[setting.key] !== BigInt(current[setting.key]))
+    .map(setting => ({ key: setting.key, from: BigInt(current[setting.key]), to: next[setting.key] }))
+
+  if (changes.length === 0) {
+    throw new Error('Change at least one setting')
+  }
+
+  return {
+    targets: changes.map(() => governorAddress),
+    values: changes.map(() => 0n),
+    calldatas: changes.map(change => {
+      const setting = GOVERNANCE_SETTINGS.find(s => s.key === change.key)
+      return settingsInterface.encodeFunctionData(setting.setter, [change.to])
+    }),
+    changes,
+  }
+}
+
+// Description lines are written with the rest of the proposal metadata
+export { formatSettingChangeLines } from './proposalMetadata.js'
+
+/**
+ * Read the setting changes a proposal makes
+ * New values come from the calldata; previous values from the proposal metadata.
+ * @param {Object} actions - Proposal actions (targets, calldatas) and description
+ * @param {string} governorAddress - VeritasGovernor address
+ * @returns {Array<{key: string, label: string, from: string|null, to: string}>} Changes
+ */
+export function decodeSettingChanges({ targets = [], calldatas = [], description = '' }, governorAddress) {
+  if (!governorAddress) return []
+  const governor = governorAddress.toLowerCase()
+
+  const previous = Object.fromEntries(
+    parseProposalMetadata(description).settingChanges.map(change => [change.key, change.from])
+  )
+
+  return targets.flatMap((target, i) => {
+    if (target.toLowerCase() !== governor) return []
+    let parsed
+    try {
+      parsed = settingsInterface.parseTransaction({ data: calldatas[i] })
+    } catch {
+      return []
+    }
+    if (!parsed) return []
+    const setting = GOVERNANCE_SETTINGS.find(s => s.setter === parsed.name)
+    return [{
+      key: setting.key,
+      label: setting.label,
+      from: previous[setting.key] ?? null,
+      to: parsed.args[0].toString(),
+    }]
+  })
+}
@@ -0,0 +1,101 @@
+/**
+ * Minimal promise wrappers around IndexedDB
+ * Used by the event indexer and other local stores
+ */
+
+const openDatabases = new Map()
+
+/**
+ * Check if IndexedDB is available in this environment
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export function isIndexedDbAvailable() {
+  try {
+    return typeof window !== 'undefined' && !!window.indexedDB
+  } catch {
+    // Some browsers throw when storage is disabled
+    return false
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open (and upgrade if needed) a database. Connections are cached per name.
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion, transaction) on upgrade
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase(name, version, upgrade) {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'))
+  }
+
+  if (!openDatabases.has(name)) {
+    const promise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(name, version)
+      request.onupgradeneeded = (event) => {
+        upgrade(request.result, event.oldVersion, request.transaction)
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        // Let other tabs upgrade the schema
+        db.onversionchange = () => {
+          db.close()
+          openDatabases.delete(name)
+        }
+        resolve(db)
+      }
+      request.onerror = () => {
+        openDatabases.delete(name)
+        reject(request.error)
+      }
+    })
+    openDatabases.set(name, promise)
+  }
+
+  return openDatabases.get(name)
+}
+
+/**
+ * Run work inside a transaction and resolve when it commits
+ * @param {IDBDatabase} db - Open database
+ * @param {string|string[]} storeNames - Stores used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the transaction's object stores
+ * @returns {Promise<any>} Value returned by work
+ */
+export function runTransaction(db, storeNames, mode, work) {
+  return new Promise((resolve, reject) => {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames]
+    const transaction = db.transaction(names, mode)
+    const stores = names.map(storeName => transaction.objectStore(storeName))
+    let result
+
+    transaction.oncomplete = () => resolve(result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+
+    Promise.resolve(work(...stores))
+      .then(value => { result = value })
+      .catch(error => {
+        try {
+          transaction.abort()
+        } catch {
+          // Transaction already finished
+        }
+        reject(error)
+      })
+  })
+}
@@ -0,0 +1,153 @@
+/**
+ * IPFS article bundles
+ * A published article is uploaded as a directory of two files:
+ *
+ * - article.md   - the article as Markdown, readable from any gateway
+ * - article.json - the same text with the metadata the archive needs
+ *                  (proposal, title, author, category, excerpt, investigator)
+ *
+ * The directory's CID is what ArticleRegistry.publishArticle records, so the
+ * on-chain entry pins down both files. Uploads go to a Kubo-compatible HTTP API
+ * (`/api/v0/add`) - a local kubo node in development.
+ */
+
+export const BUNDLE_VERSION = 1
+export const ARTICLE_JSON = 'article.json'
+export const ARTICLE_MARKDOWN = 'article.md'
+
+export const DEFAULT_GATEWAY_URL = 'https://ipfs.io/ipfs/'
+
+// Excerpts are stored on-chain, so they are kept short
+export const MAX_EXCERPT_LENGTH = 280
+
+/**
+ * Build a plain-text excerpt from article text, cut at a word boundary
+ * @param {string} text - Article text (Markdown is stripped of formatting marks)
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Excerpt
+ */
+export function getArticleExcerpt(text, maxLength = MAX_EXCERPT_LENGTH) {
+  const plain = text.replace(/[#>*_`]/g, '').replace(/\s+/g, ' ').trim()
+  if (plain.length <= maxLength) return plain
+  const cut = plain.slice(0, maxLength - 3)
+  const lastSpace = cut.lastIndexOf(' ')
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}...`
+}
+
+/**
+ * Build the files of an article bundle
+ * @param {Object} article
+ * @param {string} article.proposalId - Proposal the article reports on
+ * @param {string} article.title - Article title
+ * @param {string} article.author - Author name from the proposal
+ * @param {string} article.category - Proposal category
+ * @param {string} article.excerpt - Excerpt stored in ArticleRegistry
+ * @param {string} article.content - Article text (Markdown)
+ * @param {string} article.investigator - Publishing address
+ * @param {number} article.chainId - Chain the proposal lives on
+ * @returns {Array<{path: string, content: string}>} Files to upload
+ */
+export function buildArticleBundle({ proposalId, title, author, category, excerpt, content, investigator, chainId }) {
+  if (!title?.trim()) {
+    throw new Error('Article title is required')
+  }
+  if (!content?.trim()) {
+    throw new Error('Article content is required')
+  }
+
+  const article = {
+    version: BUNDLE_VERSION,
+    proposalId: proposalId.toString(),
+    title: title.trim(),
+    author: author || 'Unknown',
+    category: category || 'Other',
+    excerpt: excerpt ?? getArticleExcerpt(content),
+    content: content.trim(),
+    investigator,
+    chainId,
+  }
+  const markdown = `# ${article.title}\n\n` +
+    `*By ${article.author} · ${article.category} · VeritasDAO proposal #${article.proposalId}*\n\n` +
+    `${article.content}\n`
+
+  return [
+    { path: ARTICLE_MARKDOWN, content: markdown },
+    { path: ARTICLE_JSON, content: `${JSON.stringify(article, null, 2)}\n` },
+  ]
+}
+
+/**
+ * Read the directory CID from a Kubo `/api/v0/add` response
+ * Kubo answers with one JSON object per line; the wrapping directory has an empty name.
+ * @param {string} body - Response body
+ * @returns {string} CID of the bundle directory
+ */
+export function parseAddResponse(body) {
+  const entries = body
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+  const directory = entries.find(entry => entry.Name === '')
+  if (!directory?.Hash) {
+    throw new Error('The IPFS API did not return a directory CID')
+  }
+  return directory.Hash
+}
+
+/**
+ * Upload an article bundle and pin it
+ * @param {string} apiUrl - Base URL of a Kubo-compatible API (e.g. http://127.0.0.1:5001)
+ * @param {Array<{path: string, content: string}>} files - Files from buildArticleBundle
+ * @returns {Promise<string>} CID of the bundle directory
+ */
+export async function uploadArticleBundle(apiUrl, files) {
+  const form = new FormData()
+  files.forEach(file => {
+    const type = file.path.endsWith('.json') ? 'application/json' : 'text/markdown'
+    form.append('file', new Blob([file.content], { type }), file.path)
+  })
+
+  const url = `${apiUrl.replace(/\/+$/, '')}/api/v0/add?wrap-with-directory=true&cid-version=1&pin=true`
+  let response
+  try {
+    response = await fetch(url, { method: 'POST', body: form })
+  } catch (error) {
+    throw new Error(`Could not reach the IPFS API at ${apiUrl} - is the node running and allowing this origin?`)
+  }
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '')
+    throw new Error(`IPFS upload failed (${response.status})${detail ? `: ${detail.slice(0, 200)}` : ''}`)
+  }
+  return parseAddResponse(await response.text())
+}
+
+/**
+ * Get a gateway URL for a bundle or one of its files
+ * @param {string} gatewayUrl - Gateway base ending in /ipfs/
+ * @param {string} cid - Bundle CID
+ * @param {string} path - File inside the bundle (optional)
+ * @returns {string} URL
+ */
+export function getGatewayUrl(gatewayUrl, cid, path = '') {
+  const base = gatewayUrl.endsWith('/') ? gatewayUrl : `${gatewayUrl}/`
+  return `${base}${cid}${path ? `/${path}` : ''}`
+}
+
+/**
+ * Fetch the article.json of a published bundle
+ * @param {string} gatewayUrl - Gateway base ending in /ipfs/
+ * @param {string} cid - Bundle CID from ArticleRegistry
+ * @returns {Promise<Object>} Article from buildArticleBundle
+ */
+export async function fetchArticleBundle(gatewayUrl, cid) {
+  const response = await fetch(getGatewayUrl(gatewayUrl, cid, ARTICLE_JSON))
+  if (!response.ok) {
+    throw new Error(`IPFS gateway returned ${response.status} for ${cid}`)
+  }
+  const article = await response.json()
+  if (article.version !== BUNDLE_VERSION || typeof article.content !== 'string') {
+    throw new Error(`${cid} is not a VeritasDAO article bundle`)
+  }
+  return article
+}
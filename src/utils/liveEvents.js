@@ -0,0 +1,165 @@
+import { ethers } from 'ethers'
+import { syncContractEvents } from './eventIndexer'
+
+/**
+ * Live contract event subscriptions
+ *
+ * One watcher per chain and contract set is shared by every hook instance. When a
+ * new block arrives the Governor and token indexes are synced and any records not
+ * seen before are handed to the subscribers. Providers that can push (WebSocket)
+ * trigger syncs from contract event subscriptions; everything else polls the block
+ * number.
+ */
+
+export const GOVERNOR_EVENTS = [
+  'ProposalCreated',
+  'VoteCast',
+  'ProposalQueued',
+  'ProposalExecuted',
+  'ProposalCanceled',
+]
+
+export const TOKEN_EVENTS = ['DelegateChanged', 'DelegateVotesChanged']
+
+// How often to check for a new block when the provider can't push events
+const POLL_INTERVAL_MS = Number(import.meta.env.VITE_EVENT_POLL_INTERVAL || 5000)
+
+// key -> watcher
+const watchers = new Map()
+
+const canPush = (provider) => provider instanceof ethers.WebSocketProvider
+
+/**
+ * Sync one contract's index and collect records the watcher hasn't emitted yet
+ * @param {Object} watcher - Watcher state
+ * @param {ethers.Contract} contract - Indexed contract
+ * @param {string} source - 'governor' or 'token'
+ * @param {Array<string>} eventNames - Events to report
+ * @returns {Promise<Array<Object>>} New event records tagged with their source
+ */
+const collectNewEvents = async (watcher, contract, source, eventNames) => {
+  const index = await syncContractEvents(contract, {
+    provider: watcher.provider,
+    chainId: watcher.chainId,
+    startBlock: watcher.startBlock,
+    force: true,
+  })
+
+  const fresh = index
+    .getEvents(null, e => eventNames.includes(e.event) && !watcher.seen.has(e.id))
+    .map(e => ({ ...e, source }))
+  fresh.forEach(e => watcher.seen.add(e.id))
+  return fresh
+}
+
+const syncWatcher = async (watcher) => {
+  const results = await Promise.all([
+    watcher.governor ? collectNewEvents(watcher, watcher.governor, 'governor', GOVERNOR_EVENTS) : [],
+    watcher.token ? collectNewEvents(watcher, watcher.token, 'token', TOKEN_EVENTS) : [],
+  ])
+  const events = results.flat()
+
+  // The first sync only records what is already indexed
+  if (!watcher.primed) {
+    watcher.primed = true
+    return
+  }
+  if (events.length > 0) {
+    watcher.listeners.forEach(listener => listener(events))
+  }
+}
+
+// Run a sync unless one is already in flight; a trigger during a sync queues one more
+const requestSync = (watcher) => {
+  if (watcher.syncing) {
+    watcher.syncQueued = true
+    return
+  }
+  watcher.syncing = true
+  syncWatcher(watcher)
+    .catch(error => console.error('Error syncing live events:', error))
+    .finally(() => {
+      watcher.syncing = false
+      if (watcher.syncQueued && watcher.listeners.size > 0) {
+        watcher.syncQueued = false
+        requestSync(watcher)
+      }
+    })
+}
+
+const pollBlock = async (watcher) => {
+  // Background tabs don't need live data; the next visible poll catches up
+  if (typeof document !== 'undefined' && document.hidden) return
+  try {
+    const blockNumber = await watcher.provider.getBlockNumber()
+    if (blockNumber !== watcher.lastBlock) {
+      watcher.lastBlock = blockNumber
+      requestSync(watcher)
+    }
+  } catch (error) {
+    console.error('Error polling block number:', error)
+  }
+}
+
+const startWatcher = (watcher) => {
+  requestSync(watcher)
+
+  if (canPush(watcher.provider)) {
+    const trigger = () => requestSync(watcher)
+    const subscriptions = []
+    GOVERNOR_EVENTS.forEach(name => watcher.governor && subscriptions.push([watcher.governor, name]))
+    TOKEN_EVENTS.forEach(name => watcher.token && subscriptions.push([watcher.token, name]))
+    subscriptions.forEach(([contract, name]) => contract.on(name, trigger))
+    watcher.stop = () => subscriptions.forEach(([contract, name]) => contract.off(name, trigger))
+    return
+  }
+
+  const interval = setInterval(() => pollBlock(watcher), POLL_INTERVAL_MS)
+  watcher.stop = () => clearInterval(interval)
+}
+
+/**
+ * Subscribe to live Governor and token events
+ * @param {Object} options - Watcher options
+ * @param {ethers.Provider} options.provider - Provider to watch
+ * @param {number} options.chainId - Chain ID
+ * @param {ethers.Contract} options.governor - Governor contract
+ * @param {ethers.Contract|null} options.token - Token contract (optional)
+ * @param {number} options.startBlock - First block to index
+ * @param {Function} listener - Called with an array of new event records
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToContractEvents({ provider, chainId, governor, token = null, startBlock = 0 }, listener) {
+  const key = [chainId, governor.target, token?.target || ''].join(':').toLowerCase()
+
+  // Every hook instance builds its own provider; any of them can serve the shared watcher
+  let watcher = watchers.get(key)
+  if (!watcher) {
+    watcher = {
+      provider,
+      chainId,
+      governor,
+      token,
+      startBlock,
+      listeners: new Set(),
+      seen: new Set(),
+      primed: false,
+      lastBlock: null,
+      syncing: false,
+      syncQueued: false,
+      stop: () => {},
+    }
+    watchers.set(key, watcher)
+    startWatcher(watcher)
+  }
+
+  watcher.listeners.add(listener)
+
+  return () => {
+    watcher.listeners.delete(listener)
+    if (watcher.listeners.size === 0 && watchers.get(key) === watcher) {
+      watcher.stop()
+      watchers.delete(key)
+    }
+  }
+}
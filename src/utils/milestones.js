@@ -0,0 +1,115 @@
+import { ethers } from 'ethers'
+import { formatTokenAmount } from './fundingRequests.js'
+import { parseProposalMetadata } from './proposalMetadata.js'
+
+/**
+ * Milestone-based funding
+ * A milestone plan splits a funding request into tranches. The parent proposal
+ * pays the first tranche; each later tranche is a follow-up proposal that names
+ * its parent and the evidence that the previous milestone was delivered.
+ * The plan and links are proposal metadata (see proposalMetadata.js), so they
+ * live on-chain in the description:
+ *
+ *   milestones: [{label: 'Approval', percent: 30}, ...]          (parent)
+ *   parentProposal, tranche {number, count, label}, evidence      (follow-up)
+ */
+
+export const DEFAULT_MILESTONES = [
+  { label: 'Approval', percent: 30 },
+  { label: 'Draft', percent: 40 },
+  { label: 'Publication', percent: 30 },
+]
+
+// Proposal states after which a tranche request can be submitted again
+const RETRYABLE_STATES = ['Canceled', 'Defeated', 'Expired']
+
+/**
+ * Check a milestone plan before it is proposed
+ * @param {Array<{label: string, percent: number|string}>} milestones - Plan
+ * @returns {Array<{label: string, percent: number}>} Normalized plan (throws if invalid)
+ */
+export function validateMilestones(milestones) {
+  if (milestones.length < 2) {
+    throw new Error('A milestone plan needs at least two tranches')
+  }
+  const normalized = milestones.map((milestone, i) => {
+    const label = milestone.label.trim()
+    const percent = Number(milestone.percent)
+    if (!label || label.includes('|')) {
+      throw new Error(`Milestone ${i + 1} needs a name (without "|")`)
+    }
+    if (!Number.isInteger(percent) || percent <= 0) {
+      throw new Error(`Milestone ${i + 1} must be a whole percentage above 0`)
+    }
+    return { label, percent }
+  })
+  const total = normalized.reduce((sum, milestone) => sum + milestone.percent, 0)
+  if (total !== 100) {
+    throw new Error(`Milestone percentages must add up to 100 (currently ${total})`)
+  }
+  return normalized
+}
+
+/**
+ * Split a total into tranche amounts; the last tranche takes the rounding remainder
+ * @param {bigint} total - Total in the token's smallest unit
+ * @param {Array<{percent: number}>} milestones - Plan
+ * @returns {bigint[]} Amount per tranche
+ */
+export function getTrancheAmounts(total, milestones) {
+  const amounts = milestones.map(milestone => (total * BigInt(milestone.percent)) / 100n)
+  const allocated = amounts.slice(0, -1).reduce((sum, amount) => sum + amount, 0n)
+  amounts[amounts.length - 1] = total - allocated
+  return amounts
+}
+
+/**
+ * Track each tranche of a milestone proposal through its follow-up proposals
+ * @param {Object} parent - Parent proposal from getAllProposals
+ * @param {Array<Object>} proposals - All proposals from getAllProposals
+ * @returns {Array<Object>|null} Tranches in order, or null if the proposal has no plan
+ */
+export function getTrancheProgress(parent, proposals) {
+  const { milestones: plan, amount } = parseProposalMetadata(parent.description)
+  const payout = parent.funding?.[0]
+  if (!plan || !amount || !payout) return null
+
+  // The metadata records the total in whole units of the payout token
+  let amounts
+  try {
+    const total = ethers.parseUnits(amount.value, payout.decimals)
+    amounts = getTrancheAmounts(total, plan)
+  } catch {
+    return null
+  }
+
+  const parentId = parent.id.toString()
+  const followUps = proposals.filter(proposal => {
+    if (proposal.proposer?.toLowerCase() !== parent.proposer?.toLowerCase()) return false
+    return parseProposalMetadata(proposal.description).parentProposal === parentId
+  })
+
+  return plan.map((milestone, i) => {
+    let proposal = null
+    if (i === 0) {
+      proposal = parent
+    } else {
+      // Prefer the attempt that can still pay out over earlier failed ones
+      const attempts = followUps
+        .filter(p => parseProposalMetadata(p.description).tranche?.number === i + 1)
+        .sort((a, b) => b.createdAt - a.createdAt)
+      proposal = attempts.find(p => !RETRYABLE_STATES.includes(p.state)) || attempts[0] || null
+    }
+    return {
+      number: i + 1,
+      label: milestone.label,
+      percent: milestone.percent,
+      amount: amounts[i],
+      formatted: formatTokenAmount(amounts[i], payout),
+      proposal,
+      state: proposal ? proposal.state : 'Not requested',
+      released: proposal?.state === 'Executed',
+      canRequest: !proposal || RETRYABLE_STATES.includes(proposal.state),
+    }
+  })
+}
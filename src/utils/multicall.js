@@ -0,0 +1,67 @@
+/**
+ * Multicall3 read batching
+ * Aggregates many contract reads into a single eth_call through aggregate3.
+ */
+
+// Calls per aggregate3 request - keeps eth_call payloads under common RPC limits
+const MAX_CALLS_PER_BATCH = 300
+
+// Decode a successful return value, unwrapping single-output functions
+const decodeResult = (contract, method, returnData) => {
+  const decoded = contract.interface.decodeFunctionResult(method, returnData)
+  return decoded.length === 1 ? decoded[0] : decoded
+}
+
+// Run calls one by one (used when Multicall3 is unavailable)
+const callIndividually = (calls) => Promise.all(
+  calls.map(async ({ contract, method, args = [] }) => {
+    try {
+      return { success: true, result: await contract[method](...args) }
+    } catch {
+      return { success: false, result: null }
+    }
+  })
+)
+
+/**
+ * Execute read calls through Multicall3, falling back to individual calls
+ * @param {ethers.Contract|null} multicallContract - Multicall3 contract instance
+ * @param {Array<{contract: ethers.Contract, method: string, args: Array}>} calls - Reads to batch
+ * @returns {Promise<Array<{success: boolean, result: any}>>} Results in call order; failed calls have result null
+ */
+export async function multicall(multicallContract, calls) {
+  if (calls.length === 0) return []
+  if (!multicallContract) return callIndividually(calls)
+
+  const results = []
+  try {
+    for (let i = 0; i < calls.length; i += MAX_CALLS_PER_BATCH) {
+      const batch = calls.slice(i, i + MAX_CALLS_PER_BATCH)
+      const encoded = batch.map(({ contract, method, args = [] }) => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args),
+      }))
+
+      const responses = await multicallContract.aggregate3.staticCall(encoded)
+      responses.forEach(({ success, returnData }, j) => {
+        const { contract, method } = batch[j]
+        if (!success) {
+          results.push({ success: false, result: null })
+          return
+        }
+        try {
+          results.push({ success: true, result: decodeResult(contract, method, returnData) })
+        } catch {
+          // Empty return data means the target has no code at this address
+          results.push({ success: false, result: null })
+        }
+      })
+    }
+    return results
+  } catch (error) {
+    // Multicall3 missing on this chain (e.g. fresh local node) - fall back to plain calls
+    console.error('Multicall3 batch failed, falling back to individual calls:', error.message)
+    return callIndividually(calls)
+  }
+}
@@ -0,0 +1,236 @@
+import { ethers } from 'ethers'
+import { getProposalTitle, isOwnProposal } from './proposalMetadata.js'
+
+/**
+ * Proposal notifications
+ * Members are alerted about proposals they follow and proposals they created or
+ * receive funding from: when voting opens, when a vote they have not cast is
+ * about to close, when the outcome is known, when it is queued and executed, and
+ * when a donation arrives for their proposal.
+ *
+ * Alerts are worked out by comparing each proposal's state with the state seen
+ * on the previous check, which is kept per account in localStorage. The first
+ * check only records what is already there, so opening the app does not replay
+ * old transitions.
+ *
+ * Donation alerts come from DonationContract's DonationMade events; ETH sent
+ * straight to a recipient raises none.
+ */
+
+const PREFERENCES_KEY = 'veritasNotificationPreferences'
+const FOLLOWED_KEY = 'veritasFollowedProposals'
+const MEMORY_KEY = 'veritasNotificationMemory'
+
+// Alert when less than this is left to vote
+export const DEADLINE_WARNING_MS = 24 * 60 * 60 * 1000
+
+// Donation ids remembered per account (oldest are forgotten first)
+const MAX_REMEMBERED_DONATIONS = 500
+
+export const NOTIFICATION_TYPES = [
+  { key: 'votingOpened', label: 'Voting opened' },
+  { key: 'deadlineSoon', label: '24 hours left and you have not voted' },
+  { key: 'outcome', label: 'Proposal succeeded or was defeated' },
+  { key: 'queued', label: 'Proposal queued in the timelock' },
+  { key: 'executed', label: 'Proposal executed' },
+  { key: 'donationReceived', label: 'Donation received on my proposal' },
+]
+
+const DEFAULT_PREFERENCES = {
+  // Browser notifications also need the user's permission
+  browser: false,
+  types: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type.key, true])),
+}
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key)
+    return stored ? JSON.parse(stored) : fallback
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error)
+    return fallback
+  }
+}
+
+/**
+ * Get notification preferences
+ * @returns {{browser: boolean, types: Object<string, boolean>}} Preferences
+ */
+export function getNotificationPreferences() {
+  const stored = readJson(PREFERENCES_KEY, {})
+  return {
+    browser: stored.browser ?? DEFAULT_PREFERENCES.browser,
+    types: { ...DEFAULT_PREFERENCES.types, ...stored.types },
+  }
+}
+
+/**
+ * Save notification preferences
+ * @param {Object} preferences - Preferences from getNotificationPreferences
+ */
+export function saveNotificationPreferences(preferences) {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences))
+}
+
+/**
+ * Get the proposals this browser follows
+ * @returns {Array<string>} Proposal ids
+ */
+export function getFollowedProposals() {
+  return readJson(FOLLOWED_KEY, [])
+}
+
+/**
+ * Follow or unfollow a proposal
+ * @param {string} proposalId - Proposal id
+ * @param {boolean} followed - New state
+ * @returns {Array<string>} Followed proposal ids
+ */
+export function setProposalFollowed(proposalId, followed) {
+  const id = proposalId.toString()
+  const ids = getFollowedProposals().filter(existing => existing !== id)
+  if (followed) ids.push(id)
+  localStorage.setItem(FOLLOWED_KEY, JSON.stringify(ids))
+  return ids
+}
+
+const readMemory = (account) => readJson(MEMORY_KEY, {})[account.toLowerCase()] || null
+
+const writeMemory = (account, memory) => {
+  const all = readJson(MEMORY_KEY, {})
+  all[account.toLowerCase()] = memory
+  localStorage.setItem(MEMORY_KEY, JSON.stringify(all))
+}
+
+// Alert for a proposal that moved into `state`, if that state has one
+const transitionAlert = (state, title) => {
+  switch (state) {
+    case 'Active':
+      return { type: 'votingOpened', message: `Voting opened on "${title}"` }
+    case 'Succeeded':
+      return { type: 'outcome', message: `"${title}" succeeded and can be queued` }
+    case 'Defeated':
+      return { type: 'outcome', message: `"${title}" was defeated` }
+    case 'Queued':
+      return { type: 'queued', message: `"${title}" was queued in the timelock` }
+    case 'Executed':
+      return { type: 'executed', message: `"${title}" was executed` }
+    default:
+      return null
+  }
+}
+
+/**
+ * Work out which alerts are due
+ * @param {Object} params
+ * @param {Array<Object>} params.proposals - Proposals from getAllProposals
+ * @param {Array<Object>} params.donations - DonationMade records ({ id, proposalId, donor, amount })
+ * @param {Object|null} params.memory - Memory from the previous check (null on the first)
+ * @param {string} params.account - Connected address
+ * @param {Array<string>} params.followed - Followed proposal ids
+ * @param {number} params.now - Current time in milliseconds
+ * @returns {{alerts: Array<Object>, memory: Object}} Alerts ({ key, type, proposalId, message }) and the memory to keep
+ */
+export function getDueAlerts({ proposals, donations = [], memory, account, followed, now }) {
+  const followedIds = new Set(followed.map(String))
+  const watched = proposals.filter(proposal =>
+    followedIds.has(proposal.id.toString()) || isOwnProposal(proposal, account)
+  )
+  const ownIds = new Set(proposals.filter(proposal => isOwnProposal(proposal, account)).map(proposal => proposal.id.toString()))
+
+  const previous = memory || { states: {}, warned: [], donations: [] }
+  const next = { states: { ...previous.states }, warned: [...previous.warned], donations: [...previous.donations] }
+  const alerts = []
+
+  watched.forEach(proposal => {
+    const id = proposal.id.toString()
+    const title = getProposalTitle(proposal)
+    const before = previous.states[id]
+    next.states[id] = proposal.state
+
+    // Proposals seen for the first time only record their state
+    if (memory && before && before !== proposal.state) {
+      const alert = transitionAlert(proposal.state, title)
+      if (alert) alerts.push({ ...alert, key: `${alert.type}:${id}:${proposal.state}`, proposalId: id })
+    }
+
+    const closesIn = proposal.deadlineTimestamp ? proposal.deadlineTimestamp - now : null
+    if (
+      proposal.state === 'Active' &&
+      !proposal.hasVoted &&
+      closesIn !== null && closesIn > 0 && closesIn <= DEADLINE_WARNING_MS &&
+      !next.warned.includes(id)
+    ) {
+      next.warned.push(id)
+      const hours = Math.max(1, Math.round(closesIn / (60 * 60 * 1000)))
+      alerts.push({
+        type: 'deadlineSoon',
+        key: `deadlineSoon:${id}`,
+        proposalId: id,
+        message: `Voting on "${title}" closes in about ${hours} hour${hours === 1 ? '' : 's'} and you have not voted`,
+      })
+    }
+  })
+
+  donations
+    .filter(donation => ownIds.has(donation.proposalId.toString()) && !next.donations.includes(donation.id))
+    .forEach(donation => {
+      next.donations.push(donation.id)
+      if (!memory) return
+      const proposal = proposals.find(p => p.id.toString() === donation.proposalId.toString())
+      alerts.push({
+        type: 'donationReceived',
+        key: `donationReceived:${donation.id}`,
+        proposalId: donation.proposalId.toString(),
+        message: `${ethers.formatEther(donation.amount)} ETH donated to "${getProposalTitle(proposal)}" by ${donation.donor.slice(0, 6)}...${donation.donor.slice(-4)}`,
+      })
+    })
+  next.donations = next.donations.slice(-MAX_REMEMBERED_DONATIONS)
+
+  return { alerts, memory: next }
+}
+
+/**
+ * Run a notification check for an account and persist what was seen
+ * @param {Object} params - proposals, donations, account and now (see getDueAlerts)
+ * @returns {Array<Object>} Alerts enabled in the preferences
+ */
+export function checkNotifications({ proposals, donations, account, now = Date.now() }) {
+  const { alerts, memory } = getDueAlerts({
+    proposals,
+    donations,
+    memory: readMemory(account),
+    account,
+    followed: getFollowedProposals(),
+    now,
+  })
+  writeMemory(account, memory)
+  const { types } = getNotificationPreferences()
+  return alerts.filter(alert => types[alert.type])
+}
+
+/**
+ * Whether this browser can show system notifications
+ * @returns {boolean} True if the Notification API exists
+ */
+export function browserNotificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+/**
+ * Show an alert as a browser notification, if enabled and permitted
+ * @param {Object} alert - Alert from checkNotifications
+ * @returns {boolean} True if a notification was shown
+ */
+export function showBrowserNotification(alert) {
+  if (!browserNotificationsSupported() || Notification.permission !== 'granted') return false
+  if (!getNotificationPreferences().browser) return false
+  try {
+    // The tag stops the same alert from stacking if several tabs are open
+    new Notification('VeritasDAO', { body: alert.message, tag: alert.key })
+    return true
+  } catch (error) {
+    console.error('Error showing notification:', error)
+    return false
+  }
+}
@@ -0,0 +1,228 @@
+import { ethers } from 'ethers'
+
+/**
+ * Proposal action helpers for the advanced proposal builder
+ * An action is one Governor call: a target, ETH value and calldata encoded from a
+ * function in the target's ABI. Arguments are typed in as text and parsed against
+ * the ABI parameter types here, so bad input fails before anything is signed.
+ */
+
+/**
+ * Build an ethers Interface from a pasted ABI
+ * Accepts a JSON ABI (array, or an artifact with an `abi` field) or human-readable
+ * signatures, one per line.
+ * @param {string} text - Pasted ABI
+ * @returns {ethers.Interface} Interface
+ */
+export function parseAbiText(text) {
+  const trimmed = text.trim()
+  if (!trimmed) {
+    throw new Error('ABI is empty')
+  }
+
+  let abi
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed)
+      abi = Array.isArray(parsed) ? parsed : parsed.abi
+    } catch (error) {
+      throw new Error(`ABI is not valid JSON: ${error.message}`)
+    }
+  } else {
+    abi = trimmed.split('\n').map(line => line.trim().replace(/[,;]$/, '')).filter(Boolean)
+  }
+
+  if (!Array.isArray(abi)) {
+    throw new Error('ABI must be an array')
+  }
+  try {
+    return new ethers.Interface(abi)
+  } catch (error) {
+    throw new Error(`Invalid ABI: ${error.shortMessage || error.message}`)
+  }
+}
+
+/**
+ * State-changing functions of an interface (the only ones worth proposing)
+ * @param {ethers.Interface} iface - Contract interface
+ * @returns {Array<ethers.FunctionFragment>} Functions sorted by name
+ */
+export function getWritableFunctions(iface) {
+  const functions = []
+  iface.forEachFunction(fragment => {
+    if (fragment.stateMutability !== 'view' && fragment.stateMutability !== 'pure') {
+      functions.push(fragment)
+    }
+  })
+  return functions.sort((a, b) => a.format().localeCompare(b.format()))
+}
+
+// Split "a, b, c" lists used for array arguments
+const splitList = (raw) => raw.split(',').map(item => item.trim()).filter(item => item !== '')
+
+/**
+ * Parse a text argument into the value ethers expects for an ABI parameter
+ * Arrays accept JSON (`["0x..", "0x.."]`) or comma-separated values; tuples accept
+ * JSON arrays or objects keyed by component name.
+ * @param {ethers.ParamType} param - ABI parameter
+ * @param {*} raw - User input (string, or nested JSON values)
+ * @returns {*} Parsed value
+ */
+export function parseArgument(param, raw) {
+  const label = param.name || param.type
+
+  if (param.isArray()) {
+    let items = raw
+    if (typeof raw === 'string') {
+      const trimmed = raw.trim()
+      if (trimmed.startsWith('[')) {
+        try {
+          items = JSON.parse(trimmed)
+        } catch {
+          throw new Error(`${label}: invalid JSON array`)
+        }
+      } else {
+        items = splitList(trimmed)
+      }
+    }
+    if (!Array.isArray(items)) {
+      throw new Error(`${label}: expected a list`)
+    }
+    if (param.arrayLength >= 0 && items.length !== param.arrayLength) {
+      throw new Error(`${label}: expected exactly ${param.arrayLength} items`)
+    }
+    return items.map(item => parseArgument(param.arrayChildren, item))
+  }
+
+  if (param.isTuple()) {
+    let value = raw
+    if (typeof raw === 'string') {
+      try {
+        value = JSON.parse(raw)
+      } catch {
+        throw new Error(`${label}: tuples must be JSON`)
+      }
+    }
+    const items = Array.isArray(value)
+      ? value
+      : param.components.map(component => value?.[component.name])
+    if (items.length !== param.components.length) {
+      throw new Error(`${label}: expected ${param.components.length} fields`)
+    }
+    return param.components.map((component, i) => parseArgument(component, items[i]))
+  }
+
+  const text = typeof raw === 'string' ? raw.trim() : String(raw ?? '').trim()
+  const type = param.baseType
+
+  if (type === 'address') {
+    if (!ethers.isAddress(text)) {
+      throw new Error(`${label}: invalid address`)
+    }
+    return ethers.getAddress(text)
+  }
+
+  if (type === 'bool') {
+    if (text !== 'true' && text !== 'false') {
+      throw new Error(`${label}: must be true or false`)
+    }
+    return text === 'true'
+  }
+
+  if (type.startsWith('uint') || type.startsWith('int')) {
+    if (!/^-?\d+$/.test(text)) {
+      throw new Error(`${label}: must be a whole number (amounts are in wei)`)
+    }
+    const value = BigInt(text)
+    const bits = BigInt(type.replace(/^u?int/, '') || 256)
+    const min = type.startsWith('uint') ? 0n : -(2n ** (bits - 1n))
+    const max = type.startsWith('uint') ? 2n ** bits - 1n : 2n ** (bits - 1n) - 1n
+    if (value < min || value > max) {
+      throw new Error(`${label}: out of range for ${type}`)
+    }
+    return value
+  }
+
+  if (type === 'bytes' || /^bytes\d+$/.test(type)) {
+    if (!ethers.isHexString(text)) {
+      throw new Error(`${label}: must be 0x-prefixed hex`)
+    }
+    const size = type === 'bytes' ? null : Number(type.slice(5))
+    if (size !== null && ethers.dataLength(text) !== size) {
+      throw new Error(`${label}: must be exactly ${size} bytes`)
+    }
+    return text
+  }
+
+  // string
+  return typeof raw === 'string' ? raw : text
+}
+
+/**
+ * Encode a builder action into Governor propose() inputs
+ * @param {Object} action - Builder action
+ * @param {string} action.target - Target contract address
+ * @param {ethers.Interface} action.iface - Target interface
+ * @param {string} action.signature - Function signature, e.g. "withdrawEth(address,uint256)"
+ * @param {Array<string>} action.args - Raw argument inputs, in ABI order
+ * @param {string} action.value - ETH to send with the call (in ETH, empty for none)
+ * @returns {{target: string, value: bigint, calldata: string}} Encoded action
+ */
+export function encodeAction({ target, iface, signature, args, value }) {
+  if (!ethers.isAddress(target)) {
+    throw new Error('Target must be a contract address')
+  }
+  const fragment = iface.getFunction(signature)
+  if (!fragment) {
+    throw new Error('Choose a function')
+  }
+
+  const parsedArgs = fragment.inputs.map((param, i) => parseArgument(param, args[i] ?? ''))
+
+  let wei = 0n
+  if (value && value.trim()) {
+    try {
+      wei = ethers.parseEther(value.trim())
+    } catch {
+      throw new Error('ETH value must be a number')
+    }
+    if (wei < 0n) {
+      throw new Error('ETH value cannot be negative')
+    }
+    if (wei > 0n && !fragment.payable) {
+      throw new Error(`${fragment.name} is not payable - set the ETH value to 0`)
+    }
+  }
+
+  return {
+    target: ethers.getAddress(target),
+    value: wei,
+    calldata: iface.encodeFunctionData(fragment, parsedArgs),
+  }
+}
+
+/**
+ * Decode calldata back into a readable call, for previews
+ * @param {ethers.Interface} iface - Target interface
+ * @param {string} calldata - Encoded calldata
+ * @returns {{signature: string, args: Array<{name: string, type: string, value: string}>}|null}
+ */
+export function decodeCalldata(iface, calldata) {
+  const parsed = iface.parseTransaction({ data: calldata })
+  if (!parsed) return null
+
+  const format = (value) => {
+    if (typeof value === 'bigint') return value.toString()
+    if (Array.isArray(value)) return `[${Array.from(value, format).join(', ')}]`
+    return String(value)
+  }
+
+  return {
+    signature: parsed.signature,
+    args: parsed.fragment.inputs.map((param, i) => ({
+      name: param.name || `arg${i}`,
+      type: param.type,
+      value: format(parsed.args[i]),
+    })),
+  }
+}
@@ -0,0 +1,193 @@
+import { ethers } from 'ethers'
+
+/**
+ * Proposal drafts
+ * SubmitProposal autosaves the form to this browser so a rejected wallet popup
+ * or a reload does not lose a pitch. A draft can also be shared as a link whose
+ * contents are signed by the author, so co-authors reviewing it know who wrote
+ * it and that it was not altered on the way.
+ */
+
+const STORAGE_KEY = 'veritasProposalDrafts'
+const SHARE_MESSAGE_PREFIX = 'VeritasDAO Proposal Draft'
+const SHARE_HASH_PREFIX = '#draft='
+
+// Oldest drafts are dropped beyond this
+const MAX_DRAFTS = 20
+
+/**
+ * Starting points for common pitches
+ * `description` pre-fills the Project Description with the sections reviewers
+ * look for; `category` and `estimatedDuration` are only suggestions.
+ */
+export const DRAFT_TEMPLATES = [
+  {
+    id: 'investigation',
+    label: 'Investigation',
+    summary: 'Original reporting on wrongdoing, with sources and a publication plan',
+    estimatedDuration: '3 months',
+    description: [
+      '## What we will investigate',
+      '',
+      '## Why it matters',
+      '',
+      '## Sources and access',
+      '(Documents, people and records you can reach. Do not name confidential sources.)',
+      '',
+      '## Risks and safety',
+      '(Legal review, source protection, threats to the team.)',
+      '',
+      '## Deliverables',
+      '',
+      '## Budget breakdown',
+      '',
+    ].join('\n'),
+  },
+  {
+    id: 'data-journalism',
+    label: 'Data Journalism',
+    summary: 'A story built on datasets, with the method and data published alongside',
+    category: 'technology',
+    estimatedDuration: '2 months',
+    description: [
+      '## Question',
+      '',
+      '## Datasets',
+      '(Where the data comes from, licence, and how it will be obtained: FOI, scraping, leaks.)',
+      '',
+      '## Method',
+      '(Cleaning, analysis and how results will be checked.)',
+      '',
+      '## Publication',
+      '(Story format, charts, and whether the data and code will be released.)',
+      '',
+      '## Budget breakdown',
+      '',
+    ].join('\n'),
+  },
+  {
+    id: 'follow-up',
+    label: 'Follow-up',
+    summary: 'Continue a published investigation: new leads, impact and what changed',
+    estimatedDuration: '6 weeks',
+    description: [
+      '## Original story',
+      '(Link or Proposal # of the published investigation.)',
+      '',
+      '## What has happened since',
+      '',
+      '## New leads',
+      '',
+      '## Deliverables',
+      '',
+      '## Budget breakdown',
+      '',
+    ].join('\n'),
+  },
+]
+
+const readDrafts = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return stored ? JSON.parse(stored) : []
+  } catch (error) {
+    console.error('Error reading proposal drafts:', error)
+    return []
+  }
+}
+
+/**
+ * Get saved drafts, most recently edited first
+ * @returns {Array<Object>} Drafts: { id, updatedAt, content }
+ */
+export function listDrafts() {
+  return readDrafts().sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+/**
+ * Create or update a draft
+ * @param {string|null} id - Draft to update, or null for a new one
+ * @param {Object} content - Form state (proposalType, formData, ...)
+ * @returns {Object} Saved draft
+ */
+export function saveDraft(id, content) {
+  const draft = {
+    id: id || `draft-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    updatedAt: Date.now(),
+    content,
+  }
+  const drafts = [draft, ...readDrafts().filter(existing => existing.id !== draft.id)]
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_DRAFTS)
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts))
+  return draft
+}
+
+/**
+ * Delete a draft
+ * @param {string} id - Draft id
+ */
+export function deleteDraft(id) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(readDrafts().filter(draft => draft.id !== id)))
+}
+
+/**
+ * Get the message an author signs to share a draft
+ * @param {string} address - Author address
+ * @param {string} contentJson - Draft content as JSON
+ * @param {number} timestamp - Share time in milliseconds
+ * @returns {string} Message to sign
+ */
+export function getDraftShareMessage(address, contentJson, timestamp) {
+  return `${SHARE_MESSAGE_PREFIX}\n\nAddress: ${address.toLowerCase()}\nTimestamp: ${timestamp}\n\n${contentJson}`
+}
+
+/**
+ * Sign a draft and build a link co-authors can open
+ * @param {ethers.Signer} signer - Author's signer
+ * @param {Object} content - Draft content
+ * @param {string} baseUrl - App URL without a hash
+ * @returns {Promise<string>} Shareable URL
+ */
+export async function createDraftShareLink(signer, content, baseUrl) {
+  const address = (await signer.getAddress()).toLowerCase()
+  const contentJson = JSON.stringify(content)
+  const timestamp = Date.now()
+
+  let signature
+  try {
+    signature = await signer.signMessage(getDraftShareMessage(address, contentJson, timestamp))
+  } catch (error) {
+    if (error.code === 'ACTION_REJECTED') {
+      throw new Error('User rejected the signature request')
+    }
+    throw error
+  }
+
+  const payload = ethers.encodeBase64(ethers.toUtf8Bytes(JSON.stringify({ address, timestamp, content: contentJson, signature })))
+  return `${baseUrl}${SHARE_HASH_PREFIX}${encodeURIComponent(payload)}`
+}
+
+/**
+ * Read a shared draft from a URL hash
+ * @param {string} hash - window.location.hash
+ * @returns {Object|null} { author, timestamp, content, verified }, or null if the hash holds no draft
+ */
+export function readSharedDraft(hash) {
+  if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return null
+  try {
+    const payload = ethers.toUtf8String(ethers.decodeBase64(decodeURIComponent(hash.slice(SHARE_HASH_PREFIX.length))))
+    const { address, timestamp, content, signature } = JSON.parse(payload)
+    let verified = false
+    try {
+      const message = getDraftShareMessage(address, content, timestamp)
+      verified = ethers.verifyMessage(message, signature).toLowerCase() === address.toLowerCase()
+    } catch {
+      verified = false
+    }
+    return { author: address, timestamp, content: JSON.parse(content), verified }
+  } catch (error) {
+    console.error('Error reading shared draft:', error)
+    return null
+  }
+}
@@ -0,0 +1,330 @@
+import { ethers } from 'ethers'
+
+/**
+ * Proposal metadata schema
+ * A proposal description keeps the human-readable lines that block explorers
+ * and other Governor UIs show, followed by a versioned JSON block that the app
+ * reads instead of scraping the text:
+ *
+ *   Funding Request: Harbour contracts
+ *
+ *   Author: Jane Doe
+ *   Category: corruption
+ *   ...
+ *
+ *   Description:
+ *   <free text>
+ *
+ *   <!-- veritas:metadata
+ *   {"version":1,"type":"funding","title":"Harbour contracts",...}
+ *   -->
+ *
+ * Proposals created before the block existed are parsed from their labelled
+ * lines. Fields are never guessed: an address counts as the recipient only when
+ * it is recorded as one.
+ */
+
+export const METADATA_VERSION = 1
+
+// Proposal type -> title line prefix
+export const PROPOSAL_TYPES = {
+  funding: 'Funding Request',
+  action: 'Governance Action',
+  settings: 'Governance Settings',
+}
+
+export const CATEGORIES = ['environment', 'health', 'technology', 'social-justice', 'corruption', 'other']
+
+export const READ_VISIBILITIES = ['public', 'early-access', 'none']
+
+const METADATA_PATTERN = /<!--\s*veritas:metadata\s*([\s\S]*?)-->/
+
+const EMPTY_METADATA = {
+  version: 0,
+  type: null,
+  title: '',
+  author: '',
+  category: '',
+  recipient: null,
+  amount: null,
+  requestedAmount: '',
+  estimatedDuration: '',
+  readVisibility: null,
+  milestones: null,
+  parentProposal: null,
+  tranche: null,
+  evidence: null,
+  settingChanges: [],
+  body: '',
+}
+
+const singleLine = (value) => String(value ?? '').replace(/\s+/g, ' ').trim()
+
+/**
+ * Format a milestone plan for the "Milestone Plan:" line
+ * @param {Array<{label: string, percent: number}>} milestones - Plan
+ * @returns {string} e.g. "30% Approval | 40% Draft | 30% Publication"
+ */
+export function formatMilestonePlan(milestones) {
+  return milestones.map(milestone => `${milestone.percent}% ${milestone.label}`).join(' | ')
+}
+
+/**
+ * Format the "Setting Change:" lines recording each governance setting change
+ * @param {Array<{key: string, from: bigint|string, to: bigint|string}>} changes - Changes
+ * @returns {string} One line per change
+ */
+export function formatSettingChangeLines(changes) {
+  return changes.map(change => `Setting Change: ${change.key} ${change.from} -> ${change.to}\n`).join('')
+}
+
+/**
+ * Check proposal metadata before it is written on-chain
+ * @param {Object} metadata - Fields for the proposal type (see parseProposalMetadata)
+ * @returns {Object} Normalized metadata (throws if invalid)
+ */
+export function validateProposalMetadata(metadata) {
+  const { type } = metadata
+  if (!PROPOSAL_TYPES[type]) {
+    throw new Error(`Unknown proposal type: ${type}`)
+  }
+
+  const title = singleLine(metadata.title)
+  if (!title) throw new Error('Title is required')
+  if (title.length > 200) throw new Error('Title must be at most 200 characters')
+
+  const author = singleLine(metadata.author)
+  if (!author) throw new Error('Author is required')
+
+  const normalized = { version: METADATA_VERSION, type, title, author }
+
+  if (type === 'funding') {
+    if (!CATEGORIES.includes(metadata.category)) {
+      throw new Error('Choose a valid category')
+    }
+    if (!metadata.recipient || !ethers.isAddress(metadata.recipient)) {
+      throw new Error('Invalid recipient address')
+    }
+    const { value, symbol, token = null } = metadata.amount || {}
+    if (!/^\d+(\.\d+)?$/.test(String(value ?? '').trim())) {
+      throw new Error('Requested amount must be a number')
+    }
+    if (!singleLine(symbol)) {
+      throw new Error('Requested amount needs a currency')
+    }
+    if (token !== null && !ethers.isAddress(token)) {
+      throw new Error('Invalid token address')
+    }
+    const readVisibility = metadata.readVisibility || 'none'
+    if (!READ_VISIBILITIES.includes(readVisibility)) {
+      throw new Error(`Read visibility must be one of: ${READ_VISIBILITIES.join(', ')}`)
+    }
+
+    Object.assign(normalized, {
+      category: metadata.category,
+      recipient: ethers.getAddress(metadata.recipient),
+      amount: { value: String(value).trim(), symbol: singleLine(symbol), token: token && ethers.getAddress(token) },
+      estimatedDuration: singleLine(metadata.estimatedDuration),
+      readVisibility,
+    })
+
+    if (metadata.milestones) {
+      normalized.milestones = metadata.milestones.map((milestone, i) => {
+        const label = singleLine(milestone.label)
+        if (!label || label.includes('|') || !Number.isInteger(milestone.percent) || milestone.percent <= 0) {
+          throw new Error(`Milestone ${i + 1} is invalid`)
+        }
+        return { label, percent: milestone.percent }
+      })
+    }
+
+    if (metadata.tranche) {
+      const { number, count, label } = metadata.tranche
+      if (!/^\d+$/.test(String(metadata.parentProposal ?? ''))) {
+        throw new Error('A tranche request needs its parent proposal id')
+      }
+      if (!Number.isInteger(number) || !Number.isInteger(count) || number < 2 || number > count) {
+        throw new Error('Invalid tranche number')
+      }
+      if (!singleLine(metadata.evidence)) {
+        throw new Error('A tranche request needs evidence for the previous milestone')
+      }
+      Object.assign(normalized, {
+        parentProposal: String(metadata.parentProposal),
+        tranche: { number, count, label: singleLine(label) },
+        evidence: singleLine(metadata.evidence),
+      })
+    }
+  }
+
+  if (type === 'settings') {
+    const changes = metadata.settingChanges || []
+    if (changes.length === 0) throw new Error('Change at least one setting')
+    normalized.settingChanges = changes.map(change => ({
+      key: change.key,
+      from: change.from.toString(),
+      to: change.to.toString(),
+    }))
+  }
+
+  return normalized
+}
+
+/**
+ * Build a proposal description from metadata and free-text body
+ * @param {Object} metadata - Proposal metadata (validated here)
+ * @param {string} body - Description text written by the proposer
+ * @returns {string} Description to pass to Governor.propose
+ */
+export function serializeProposalDescription(metadata, body = '') {
+  const meta = validateProposalMetadata(metadata)
+
+  let lines = `${PROPOSAL_TYPES[meta.type]}: ${meta.title}\n\n` +
+    `Author: ${meta.author}\n`
+
+  if (meta.type === 'funding') {
+    lines += `Category: ${meta.category}\n` +
+      `Recipient Wallet Address: ${meta.recipient}\n` +
+      `Requested Amount: ${meta.amount.value} ${meta.amount.symbol}\n`
+    if (meta.milestones) {
+      lines += `Milestone Plan: ${formatMilestonePlan(meta.milestones)}\n`
+    }
+    if (meta.tranche) {
+      lines += `Parent Proposal: ${meta.parentProposal}\n` +
+        `Tranche: ${meta.tranche.number}/${meta.tranche.count} (${meta.tranche.label})\n` +
+        `Evidence: ${meta.evidence}\n`
+    }
+    lines += `Estimated Duration: ${meta.estimatedDuration}\n` +
+      `Read Visibility: ${meta.readVisibility}\n`
+  } else if (meta.type === 'settings') {
+    lines += formatSettingChangeLines(meta.settingChanges)
+  }
+
+  // Escape ">" so a value can never close the HTML comment early
+  const json = JSON.stringify(meta).replace(/>/g, '\\u003e')
+
+  return `${lines}\nDescription:\n${body}\n\n<!-- veritas:metadata\n${json}\n-->`
+}
+
+// Proposals created before the metadata block: read the labelled lines
+function parseLegacyLines(description) {
+  const parsed = { ...EMPTY_METADATA, settingChanges: [] }
+  const bodyLines = []
+  let inBody = false
+
+  description.split('\n').forEach(line => {
+    if (inBody) {
+      bodyLines.push(line)
+      return
+    }
+    const prefix = Object.entries(PROPOSAL_TYPES).find(([, label]) => line.startsWith(`${label}:`))
+    if (prefix && !parsed.type) {
+      parsed.type = prefix[0]
+      parsed.title = line.slice(prefix[1].length + 1).trim()
+    } else if (line.startsWith('Author:')) {
+      parsed.author = line.replace('Author:', '').trim()
+    } else if (line.startsWith('Category:')) {
+      parsed.category = line.replace('Category:', '').trim()
+    } else if (line.startsWith('Recipient Wallet Address:')) {
+      const address = line.replace('Recipient Wallet Address:', '').trim()
+      parsed.recipient = ethers.isAddress(address) ? ethers.getAddress(address) : null
+    } else if (line.startsWith('Requested Amount:')) {
+      const match = line.replace('Requested Amount:', '').trim().match(/^(\d+(?:\.\d+)?)\s*(\S*)/)
+      if (match) parsed.amount = { value: match[1], symbol: match[2] || 'ETH', token: null }
+    } else if (line.startsWith('Estimated Duration:')) {
+      parsed.estimatedDuration = line.replace('Estimated Duration:', '').trim()
+    } else if (line.startsWith('Read Visibility:')) {
+      const visibility = line.replace('Read Visibility:', '').trim()
+      parsed.readVisibility = READ_VISIBILITIES.includes(visibility) ? visibility : null
+    } else if (line.startsWith('Milestone Plan:')) {
+      const plan = line.replace('Milestone Plan:', '').split('|').map(part => {
+        const match = part.trim().match(/^(\d+)%\s+(.+)$/)
+        return match ? { percent: Number(match[1]), label: match[2].trim() } : null
+      })
+      parsed.milestones = plan.every(Boolean) ? plan : null
+    } else if (line.startsWith('Parent Proposal:')) {
+      parsed.parentProposal = line.replace('Parent Proposal:', '').trim()
+    } else if (line.startsWith('Tranche:')) {
+      const match = line.match(/^Tranche:\s*(\d+)\/(\d+)(?:\s*\((.*)\))?/)
+      if (match) parsed.tranche = { number: Number(match[1]), count: Number(match[2]), label: match[3] || '' }
+    } else if (line.startsWith('Evidence:')) {
+      parsed.evidence = line.replace('Evidence:', '').trim()
+    } else if (line.startsWith('Setting Change:')) {
+      const match = line.match(/^Setting Change:\s*(\w+)\s+(\d+)\s*->\s*(\d+)/)
+      if (match) parsed.settingChanges.push({ key: match[1], from: match[2], to: match[3] })
+    } else if (line.startsWith('Description:')) {
+      inBody = true
+      const text = line.replace('Description:', '').trim()
+      if (text) bodyLines.push(text)
+    }
+  })
+
+  // Free-form descriptions (no recognised lines): first line is the title
+  if (!parsed.type && !inBody) {
+    const [first = '', ...rest] = description.trim().split('\n')
+    parsed.title = first.replace(/^#+\s*/, '').trim()
+    bodyLines.push(...rest)
+  }
+
+  parsed.body = bodyLines.join('\n').trim()
+  return parsed
+}
+
+/**
+ * Read a proposal's metadata from its description
+ * Uses the JSON block when present and readable, otherwise the legacy lines.
+ * @param {string} description - Proposal description from ProposalCreated
+ * @returns {Object} Metadata: version (0 = legacy), type, title, author, category,
+ *   recipient, amount {value, symbol, token}, requestedAmount ("1.5 ETH"),
+ *   estimatedDuration, readVisibility, milestones, parentProposal, tranche,
+ *   evidence, settingChanges and body (the free-text description)
+ */
+export function parseProposalMetadata(description = '') {
+  const match = description.match(METADATA_PATTERN)
+  const text = match ? description.slice(0, match.index) : description
+  const legacy = parseLegacyLines(text)
+
+  let parsed = legacy
+  if (match) {
+    try {
+      const block = JSON.parse(match[1])
+      if (block.version === METADATA_VERSION && PROPOSAL_TYPES[block.type]) {
+        parsed = {
+          ...EMPTY_METADATA,
+          ...block,
+          recipient: block.recipient && ethers.isAddress(block.recipient) ? ethers.getAddress(block.recipient) : null,
+          settingChanges: block.settingChanges || [],
+          body: legacy.body,
+        }
+      }
+    } catch {
+      // Unreadable block: fall back to the lines
+    }
+  }
+
+  parsed.requestedAmount = parsed.amount ? `${parsed.amount.value} ${parsed.amount.symbol}` : ''
+  return parsed
+}
+
+/**
+ * Display title for a proposal
+ * @param {Object} proposal - Proposal with id and description
+ * @returns {string} Metadata title, or "Proposal #id"
+ */
+export function getProposalTitle(proposal) {
+  return parseProposalMetadata(proposal.description || '').title || `Proposal #${proposal.id}`
+}
+
+/**
+ * Check whether a proposal is the account's own: created by it or paying it
+ * @param {Object} proposal - Proposal from getAllProposals
+ * @param {string} account - Connected address
+ * @returns {boolean} True for own proposals
+ */
+export function isOwnProposal(proposal, account) {
+  if (!account) return false
+  const address = account.toLowerCase()
+  if (proposal.proposer?.toLowerCase() === address) return true
+  const { recipient } = parseProposalMetadata(proposal.description || '')
+  return !!recipient && recipient.toLowerCase() === address
+}
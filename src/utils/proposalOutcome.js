@@ -0,0 +1,60 @@
+import { ethers } from 'ethers'
+
+/**
+ * Quorum and vote differential projections
+ * Mirrors GovernorCountingSimple: quorum is reached when For + Abstain votes
+ * meet quorum(snapshot), and the vote succeeds when For is strictly greater
+ * than Against. Both must hold for a proposal to succeed.
+ */
+
+// Voting states in which the tally is final
+const CLOSED_STATES = ['Canceled', 'Defeated', 'Succeeded', 'Queued', 'Expired', 'Executed']
+
+/**
+ * Work out where a proposal stands against quorum and majority
+ * @param {Object} proposal - Proposal from getAllProposals (needs tally, quorum, snapshot, deadline, currentBlock)
+ * @returns {Object|null} Quorum status, or null before the snapshot (quorum not fixed yet)
+ */
+export function getQuorumStatus(proposal) {
+  if (!proposal.quorum || !proposal.tally) return null
+
+  const quorum = BigInt(proposal.quorum)
+  const forVotes = BigInt(proposal.tally.forVotes)
+  const againstVotes = BigInt(proposal.tally.againstVotes)
+  const abstainVotes = BigInt(proposal.tally.abstainVotes)
+
+  const counted = forVotes + abstainVotes
+  const quorumReached = counted >= quorum
+  const majority = forVotes > againstVotes
+  const progress = quorum === 0n ? 100 : Math.min(100, Number((counted * 10000n) / quorum) / 100)
+
+  // Extrapolate turnout so far to the deadline to flag proposals heading for no quorum
+  let quorumAtRisk = false
+  if (proposal.state === 'Active' && !quorumReached) {
+    const start = BigInt(proposal.snapshot)
+    const elapsed = BigInt(proposal.currentBlock) - start
+    const length = BigInt(proposal.deadline) - start
+    quorumAtRisk = elapsed > 0n && length > 0n && (counted * length) / elapsed < quorum
+  }
+
+  let projectedOutcome
+  if (!quorumReached) {
+    projectedOutcome = 'Defeated (quorum not reached)'
+  } else {
+    // A tie is defeated too: For has to be strictly greater than Against
+    projectedOutcome = majority ? 'Succeeded' : 'Defeated (For does not exceed Against)'
+  }
+
+  return {
+    quorum: ethers.formatEther(quorum),
+    counted: ethers.formatEther(counted),
+    remaining: quorumReached ? '0' : ethers.formatEther(quorum - counted),
+    differential: ethers.formatEther(forVotes - againstVotes),
+    progress,
+    quorumReached,
+    majority,
+    quorumAtRisk,
+    projectedOutcome,
+    final: CLOSED_STATES.includes(proposal.state),
+  }
+}
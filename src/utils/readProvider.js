@@ -0,0 +1,43 @@
+import { ethers } from 'ethers'
+import { getReadRpcUrls } from '../config/wagmi'
+
+// One read provider per chain, shared by every hook instance
+const readProviders = new Map()
+
+// Wait this long for an endpoint before also asking the next one
+const STALL_TIMEOUT_MS = 2000
+
+/**
+ * Get a signerless provider backed by the chain's public RPC fallback list
+ * Used for read-only access when no wallet is connected.
+ * @param {number} chainId - Chain ID
+ * @returns {ethers.AbstractProvider|null} Provider, or null if no RPC is configured
+ */
+export function getReadProvider(chainId) {
+  if (readProviders.has(chainId)) {
+    return readProviders.get(chainId)
+  }
+
+  const urls = getReadRpcUrls(chainId)
+  if (urls.length === 0) return null
+
+  // Static network skips the eth_chainId probe every endpoint would otherwise make
+  const network = ethers.Network.from(chainId)
+  const providers = urls.map(url => new ethers.JsonRpcProvider(url, network, { staticNetwork: network }))
+
+  const provider = providers.length === 1
+    ? providers[0]
+    : new ethers.FallbackProvider(
+      providers.map((rpcProvider, index) => ({
+        provider: rpcProvider,
+        priority: index + 1,
+        stallTimeout: STALL_TIMEOUT_MS,
+        weight: 1,
+      })),
+      network,
+      { quorum: 1 }
+    )
+
+  readProviders.set(chainId, provider)
+  return provider
+}
@@ -0,0 +1,133 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import {
+  buildArticleBundle,
+  parseAddResponse,
+  getArticleExcerpt,
+  ARTICLE_JSON,
+  ARTICLE_MARKDOWN,
+  MAX_EXCERPT_LENGTH,
+} from "../src/utils/ipfs.js";
+
+describe("ArticleRegistry", function () {
+  let token;
+  let governor;
+  let timelock;
+  let registry;
+  let owner;
+  let investigator;
+
+  const VOTING_DELAY = 1n;
+  const VOTING_PERIOD = 20160n;
+  const PROPOSAL_THRESHOLD = ethers.parseEther("10000");
+  const QUORUM_FRACTION = 4n;
+  const TIMELOCK_DELAY = 3600n;
+
+  const CONTENT = "The harbour authority awarded every dredging contract since 2019 to one supplier. ".repeat(6);
+
+  // What a kubo node answers to /api/v0/add?wrap-with-directory=true for a bundle
+  const kuboResponse = (cid) => [
+    { Name: ARTICLE_JSON, Hash: "bafkreiarticlejson", Size: "812" },
+    { Name: ARTICLE_MARKDOWN, Hash: "bafkreiarticlemarkdown", Size: "640" },
+    { Name: "", Hash: cid, Size: "1562" },
+  ].map(entry => JSON.stringify(entry)).join("\n") + "\n";
+
+  beforeEach(async function () {
+    [owner, investigator] = await ethers.getSigners();
+
+    const VeritasToken = await ethers.getContractFactory("VeritasToken");
+    token = await VeritasToken.deploy(ethers.parseEther("1000000"), owner.address);
+    await token.waitForDeployment();
+
+    const TimelockController = await ethers.getContractFactory("TimelockController");
+    timelock = await TimelockController.deploy(TIMELOCK_DELAY, [], [], owner.address);
+    await timelock.waitForDeployment();
+
+    const VeritasGovernor = await ethers.getContractFactory("VeritasGovernor");
+    governor = await VeritasGovernor.deploy(
+      await token.getAddress(),
+      await timelock.getAddress(),
+      VOTING_DELAY,
+      VOTING_PERIOD,
+      PROPOSAL_THRESHOLD,
+      QUORUM_FRACTION
+    );
+    await governor.waitForDeployment();
+
+    // Deployed the way scripts/deploy.js does: proposal states are read from the Governor
+    const ArticleRegistry = await ethers.getContractFactory("ArticleRegistry");
+    registry = await ArticleRegistry.deploy(await governor.getAddress());
+    await registry.waitForDeployment();
+
+    await token.transfer(investigator.address, PROPOSAL_THRESHOLD + ethers.parseEther("100000"));
+    await token.connect(investigator).delegate(investigator.address);
+  });
+
+  async function createProposal() {
+    const targets = [await token.getAddress()];
+    const values = [0];
+    const calldatas = [token.interface.encodeFunctionData("transfer", [investigator.address, 0])];
+    const description = "Harbour contracts investigation";
+    await governor.connect(investigator).propose(targets, values, calldatas, description);
+    return governor.hashProposal(targets, values, calldatas, ethers.id(description));
+  }
+
+  async function uploadedArticle(proposalId) {
+    const excerpt = getArticleExcerpt(CONTENT);
+    const files = buildArticleBundle({
+      proposalId: proposalId.toString(),
+      title: "Harbour contracts",
+      author: "Jane Reporter",
+      category: "Technology",
+      excerpt,
+      content: CONTENT,
+      investigator: investigator.address,
+      chainId: 31337,
+    });
+    return { files, excerpt, cid: parseAddResponse(kuboResponse("bafybeiharbourcontracts")) };
+  }
+
+  it("Should register an uploaded article once its proposal succeeded", async function () {
+    const proposalId = await createProposal();
+    const { excerpt, cid } = await uploadedArticle(proposalId);
+
+    await expect(
+      registry.connect(investigator).publishArticle(proposalId, cid, "Harbour contracts", "Technology", excerpt)
+    ).to.be.revertedWith("ArticleRegistry: proposal must be executed or succeeded");
+
+    await time.advanceBlock();
+    await governor.connect(investigator).castVote(proposalId, 1);
+    await time.advanceBlockTo((await governor.proposalDeadline(proposalId)) + 1n);
+
+    await expect(registry.connect(investigator).publishArticle(proposalId, cid, "Harbour contracts", "Technology", excerpt))
+      .to.emit(registry, "ArticlePublished");
+
+    expect(await registry.getAllPublishedProposals()).to.deep.equal([proposalId]);
+    const article = await registry.getArticle(proposalId);
+    expect(article.ipfsHash).to.equal("bafybeiharbourcontracts");
+    expect(article.investigator).to.equal(investigator.address);
+    expect(article.excerpt).to.equal(excerpt);
+
+    await expect(
+      registry.connect(investigator).publishArticle(proposalId, "bafybeiotherbundle", "Harbour contracts", "Technology", excerpt)
+    ).to.be.revertedWith("ArticleRegistry: article already published for this proposal");
+  });
+
+  it("Should build bundles with a short on-chain excerpt and read the directory CID", async function () {
+    const { files, excerpt, cid } = await uploadedArticle(42n);
+
+    expect(files.map(file => file.path)).to.deep.equal([ARTICLE_MARKDOWN, ARTICLE_JSON]);
+    const article = JSON.parse(files[1].content);
+    expect(article).to.include({ version: 1, proposalId: "42", title: "Harbour contracts", category: "Technology" });
+    expect(article.content).to.equal(CONTENT.trim());
+    expect(files[0].content.startsWith("# Harbour contracts\n")).to.equal(true);
+
+    expect(excerpt.length).to.be.at.most(MAX_EXCERPT_LENGTH);
+    expect(excerpt.endsWith("...")).to.equal(true);
+    expect(cid).to.equal("bafybeiharbourcontracts");
+    expect(() => parseAddResponse(JSON.stringify({ Name: ARTICLE_JSON, Hash: "bafkrei" }))).to.throw("did not return a directory CID");
+    expect(() => buildArticleBundle({ proposalId: "1", title: "", content: CONTENT })).to.throw("Article title is required");
+  });
+});
@@ -0,0 +1,351 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { encodeEscrowAction, decodeEscrowActions, buildEscrowProposal, getDueEscrowAction } from "../src/utils/donations.js";
+import { getDueAlerts } from "../src/utils/notifications.js";
+import { getEarlyAccess, getEarlyAccessHolders } from "../src/utils/earlyAccess.js";
+import { serializeProposalDescription } from "../src/utils/proposalMetadata.js";
+
+describe("DonationContract", function () {
+  let token;
+  let governor;
+  let timelock;
+  let donation;
+  let owner;
+  let proposer;
+  let investigator;
+  let donor1;
+  let donor2;
+  let squatter;
+
+  const VOTING_DELAY = 1n;
+  const VOTING_PERIOD = 20160n;
+  const PROPOSAL_THRESHOLD = ethers.parseEther("10000");
+  const QUORUM_FRACTION = 4n;
+  const TIMELOCK_DELAY = 3600n;
+
+  // Id of the funding proposal the donations are for
+  let fundedProposalId;
+
+  beforeEach(async function () {
+    [owner, proposer, investigator, donor1, donor2, squatter] = await ethers.getSigners();
+
+    const VeritasToken = await ethers.getContractFactory("VeritasToken");
+    token = await VeritasToken.deploy(ethers.parseEther("1000000"), owner.address);
+    await token.waitForDeployment();
+
+    const TimelockController = await ethers.getContractFactory("TimelockController");
+    timelock = await TimelockController.deploy(TIMELOCK_DELAY, [], [], owner.address);
+    await timelock.waitForDeployment();
+
+    const VeritasGovernor = await ethers.getContractFactory("VeritasGovernor");
+    governor = await VeritasGovernor.deploy(
+      await token.getAddress(),
+      await timelock.getAddress(),
+      VOTING_DELAY,
+      VOTING_PERIOD,
+      PROPOSAL_THRESHOLD,
+      QUORUM_FRACTION
+    );
+    await governor.waitForDeployment();
+
+    await timelock.grantRole(await timelock.PROPOSER_ROLE(), await governor.getAddress());
+    await timelock.grantRole(await timelock.EXECUTOR_ROLE(), await governor.getAddress());
+
+    // Deployed the way scripts/deploy.js does: DAO decisions execute from the timelock
+    const DonationContract = await ethers.getContractFactory("DonationContract");
+    donation = await DonationContract.deploy(await timelock.getAddress(), await governor.getAddress());
+    await donation.waitForDeployment();
+
+    await token.transfer(proposer.address, PROPOSAL_THRESHOLD + ethers.parseEther("100000"));
+    await token.connect(proposer).delegate(proposer.address);
+
+    const targets = [await token.getAddress()];
+    const calldatas = [token.interface.encodeFunctionData("transfer", [investigator.address, 0])];
+    await governor.connect(proposer).propose(targets, [0], calldatas, "Harbour contracts investigation");
+    fundedProposalId = await governor.hashProposal(targets, [0], calldatas, ethers.id("Harbour contracts investigation"));
+
+    // The proposer names the investigator the escrow pays
+    await donation.connect(proposer).openEscrow(fundedProposalId, investigator.address);
+    await donation.connect(donor1).donate(fundedProposalId, true, { value: ethers.parseEther("1") });
+    await donation.connect(donor2).donate(fundedProposalId, false, { value: ethers.parseEther("0.5") });
+  });
+
+  // Propose, pass, queue and execute an escrow decision built like the frontend builds it
+  async function executeEscrowProposal(kind) {
+    const escrow = await donation.getEscrow(fundedProposalId);
+    const { targets, values, calldatas, description } = buildEscrowProposal(kind, {
+      proposalId: fundedProposalId.toString(),
+      title: "Harbour contracts",
+      escrow: {
+        totalAmount: ethers.formatEther(escrow.totalAmount),
+        investigator: escrow.investigator,
+        donationCount: Number(escrow.donationCount),
+      },
+      donationAddress: await donation.getAddress(),
+      author: proposer.address,
+    });
+    const descriptionHash = ethers.id(description);
+
+    await governor.connect(proposer).propose(targets, values, calldatas, description);
+    const proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+    await time.advanceBlock();
+    await governor.connect(proposer).castVote(proposalId, 1);
+    await time.advanceBlockTo((await governor.proposalDeadline(proposalId)) + 1n);
+    await governor.queue(targets, values, calldatas, descriptionHash);
+    await time.increaseTo(await governor.proposalEta(proposalId));
+    return governor.execute(targets, values, calldatas, descriptionHash);
+  }
+
+  it("Should release the escrow to the investigator when a proposal executes", async function () {
+    const before = await ethers.provider.getBalance(investigator.address);
+
+    await expect(executeEscrowProposal("release"))
+      .to.emit(donation, "FundsReleased")
+      .withArgs(fundedProposalId, investigator.address, ethers.parseEther("1.5"));
+
+    expect(await ethers.provider.getBalance(investigator.address)).to.equal(before + ethers.parseEther("1.5"));
+    expect((await donation.getEscrow(fundedProposalId)).released).to.equal(true);
+  });
+
+  it("Should refund every donor when a refund proposal executes", async function () {
+    const before1 = await ethers.provider.getBalance(donor1.address);
+    const before2 = await ethers.provider.getBalance(donor2.address);
+
+    await expect(executeEscrowProposal("refund"))
+      .to.emit(donation, "DonationRefunded")
+      .withArgs(fundedProposalId, donor1.address, ethers.parseEther("1"));
+
+    expect(await ethers.provider.getBalance(donor1.address)).to.equal(before1 + ethers.parseEther("1"));
+    expect(await ethers.provider.getBalance(donor2.address)).to.equal(before2 + ethers.parseEther("0.5"));
+    expect((await donation.getEscrow(fundedProposalId)).refunded).to.equal(true);
+
+    // A settled escrow takes no more donations
+    await expect(
+      donation.connect(donor1).donate(fundedProposalId, false, { value: ethers.parseEther("1") })
+    ).to.be.revertedWith("DonationContract: escrow already processed");
+  });
+
+  it("Should call for a refund once the funded proposal is canceled", async function () {
+    // A guardian vetoes the funded proposal after it was queued
+    const targets = [await token.getAddress()];
+    const calldatas = [token.interface.encodeFunctionData("transfer", [investigator.address, 0])];
+    const descriptionHash = ethers.id("Harbour contracts investigation");
+    await timelock.grantRole(await timelock.CANCELLER_ROLE(), owner.address);
+    await time.advanceBlock();
+    await governor.connect(proposer).castVote(fundedProposalId, 1);
+    await time.advanceBlockTo((await governor.proposalDeadline(fundedProposalId)) + 1n);
+    await governor.queue(targets, [0], calldatas, descriptionHash);
+    const salt = ethers.toBeHex((BigInt(await governor.getAddress()) << 96n) ^ BigInt(descriptionHash), 32);
+    await timelock.cancel(await timelock.hashOperationBatch(targets, [0], calldatas, ethers.ZeroHash, salt));
+    expect(await governor.state(fundedProposalId)).to.equal(2n); // Canceled
+
+    const escrow = await donation.getEscrow(fundedProposalId);
+    expect(getDueEscrowAction(
+      { id: fundedProposalId.toString(), state: "Canceled" },
+      { totalAmountWei: escrow.totalAmount.toString(), released: escrow.released, refunded: escrow.refunded }
+    )).to.equal("refund");
+
+    await expect(executeEscrowProposal("refund"))
+      .to.emit(donation, "DonationRefunded")
+      .withArgs(fundedProposalId, donor2.address, ethers.parseEther("0.5"));
+    expect((await donation.getEscrow(fundedProposalId)).refunded).to.equal(true);
+  });
+
+  it("Should alert the proposer about new DonationMade events", async function () {
+    // Same records getDonationEvents builds from the indexed events
+    const getDonations = async () => (await donation.queryFilter(donation.filters.DonationMade())).map(event => ({
+      id: `${event.transactionHash}:${event.index}`,
+      proposalId: event.args.proposalId,
+      donor: event.args.donor,
+      amount: event.args.amount,
+    }));
+    const proposals = [{
+      id: fundedProposalId,
+      proposer: proposer.address,
+      description: "Harbour contracts investigation",
+      state: "Pending",
+    }];
+    const check = async (memory) => getDueAlerts({
+      proposals,
+      donations: await getDonations(),
+      memory,
+      account: proposer.address,
+      followed: [],
+      now: Date.now(),
+    });
+
+    // The first check only records the donations already made
+    const first = await check(null);
+    expect(first.alerts).to.deep.equal([]);
+
+    await donation.connect(donor2).donate(fundedProposalId, false, { value: ethers.parseEther("0.25") });
+    const { alerts } = await check(first.memory);
+    expect(alerts).to.have.length(1);
+    expect(alerts[0].type).to.equal("donationReceived");
+    expect(alerts[0].proposalId).to.equal(fundedProposalId.toString());
+    expect(alerts[0].message).to.contain("0.25 ETH donated");
+
+    // Only the proposer and recipient of the proposal are alerted
+    const donorCheck = getDueAlerts({ proposals, donations: await getDonations(), memory: first.memory, account: donor2.address, followed: [], now: Date.now() });
+    expect(donorCheck.alerts).to.deep.equal([]);
+  });
+
+  it("Should only let the proposer or the DAO open an escrow", async function () {
+    const targets = [await token.getAddress()];
+    const calldatas = [token.interface.encodeFunctionData("transfer", [investigator.address, 1])];
+    await governor.connect(proposer).propose(targets, [0], calldatas, "Port authority follow-up");
+    const proposalId = await governor.hashProposal(targets, [0], calldatas, ethers.id("Port authority follow-up"));
+
+    // Nobody can claim a proposal's escrow by donating first
+    await expect(donation.connect(squatter).donate(proposalId, false, { value: ethers.parseEther("1") }))
+      .to.be.revertedWith("DonationContract: escrow not opened");
+    await expect(donation.connect(squatter).openEscrow(proposalId, squatter.address))
+      .to.be.revertedWith("DonationContract: only the proposer or governor can open the escrow");
+    await expect(donation.connect(squatter).openEscrow(4242n, squatter.address))
+      .to.be.revertedWith("DonationContract: only the proposer or governor can open the escrow");
+
+    await expect(donation.connect(proposer).openEscrow(proposalId, investigator.address))
+      .to.emit(donation, "EscrowOpened")
+      .withArgs(proposalId, investigator.address, proposer.address);
+    await expect(donation.connect(proposer).openEscrow(proposalId, squatter.address))
+      .to.be.revertedWith("DonationContract: escrow already opened");
+    await expect(donation.connect(investigator).donate(proposalId, false, { value: ethers.parseEther("1") }))
+      .to.be.revertedWith("DonationContract: cannot donate to yourself");
+  });
+
+  it("Should only accept releases and refunds from the timelock", async function () {
+    await expect(donation.connect(owner).releaseFunds(fundedProposalId))
+      .to.be.revertedWith("DonationContract: only governor can call this");
+    await expect(donation.connect(investigator).refundDonations(fundedProposalId))
+      .to.be.revertedWith("DonationContract: only governor can call this");
+  });
+
+  it("Should let the owner point an older deployment at the timelock", async function () {
+    const DonationContract = await ethers.getContractFactory("DonationContract");
+    const legacy = await DonationContract.deploy(await governor.getAddress(), await governor.getAddress());
+    await legacy.waitForDeployment();
+
+    await expect(legacy.connect(proposer).setGovernor(await timelock.getAddress()))
+      .to.be.revertedWithCustomError(legacy, "OwnableUnauthorizedAccount");
+    await expect(legacy.setGovernor(await timelock.getAddress()))
+      .to.emit(legacy, "GovernorUpdated")
+      .withArgs(await governor.getAddress(), await timelock.getAddress());
+  });
+
+  it("Should decode escrow decisions from proposal actions", async function () {
+    const donationAddress = await donation.getAddress();
+    const actions = {
+      targets: [donationAddress, donationAddress, owner.address],
+      calldatas: [
+        encodeEscrowAction("release", 7n),
+        encodeEscrowAction("refund", fundedProposalId),
+        encodeEscrowAction("release", 9n),
+      ],
+    };
+
+    expect(decodeEscrowActions(actions, donationAddress)).to.deep.equal([
+      { kind: "release", proposalId: "7" },
+      { kind: "refund", proposalId: fundedProposalId.toString() },
+    ]);
+    expect(() => encodeEscrowAction("withdraw", 1n)).to.throw("Unknown escrow action");
+  });
+
+  describe("Early access policy", function () {
+    let donations;
+    let proposal;
+
+    beforeEach(async function () {
+      // Records shaped like getDonationEvents: donor1 opted into early access, donor2 did not
+      donations = (await donation.queryFilter(donation.filters.DonationMade())).map(event => ({
+        id: `${event.transactionHash}:${event.index}`,
+        proposalId: event.args.proposalId,
+        donor: event.args.donor,
+        amount: event.args.amount,
+        earlyAccessPromised: event.args.earlyAccessPromised,
+        timestamp: Number(event.args.timestamp) * 1000,
+      }));
+      proposal = {
+        id: fundedProposalId,
+        proposer: proposer.address,
+        description: serializeProposalDescription({
+          type: "funding",
+          title: "Harbour contracts",
+          author: "Jane Doe",
+          category: "corruption",
+          recipient: investigator.address,
+          amount: { value: "1.5", symbol: "ETH", token: null },
+          readVisibility: "early-access",
+        }),
+        hasVoted: false,
+        myVote: null,
+      };
+    });
+
+    const accessFor = (signer, overrides = {}, granted = false) =>
+      getEarlyAccess({ proposal: { ...proposal, ...overrides }, account: signer.address, donations, granted });
+
+    it("Should let the proposer and the metadata recipient read without voting", async function () {
+      expect(accessFor(proposer)).to.include({ hasAccess: true, reason: "author", message: "You proposed this investigation" });
+      expect(accessFor(investigator)).to.include({ hasAccess: true, reason: "author", message: "This investigation is funded to your wallet" });
+      expect(getEarlyAccess({ proposal, account: null, donations })).to.include({ hasAccess: false, reason: null });
+    });
+
+    it("Should only unlock donations made with early access", async function () {
+      const withAccess = accessFor(donor1);
+      expect(withAccess).to.include({ hasAccess: true, reason: "donated", isDonator: true });
+      expect(withAccess.message).to.match(/^You donated 1 ETH on .+ with early access$/);
+
+      const without = accessFor(donor2);
+      expect(without).to.include({ hasAccess: false, reason: null, isDonator: true });
+      expect(without.message).to.contain("0.5 ETH on");
+      expect(without.message).to.contain("without early access");
+    });
+
+    it("Should honour an early-access grant without a donation", async function () {
+      expect(accessFor(squatter, {}, true)).to.include({
+        hasAccess: true,
+        reason: "granted",
+        isDonator: false,
+        message: "Early access granted by the investigator",
+      });
+      expect(accessFor(squatter)).to.include({ hasAccess: false, reason: null, isDonator: false });
+    });
+
+    it("Should unlock For votes only, once the vote is indexed", async function () {
+      expect(accessFor(squatter, { hasVoted: true, myVote: { support: 1 } })).to.include({ hasAccess: true, reason: "voted", votedFor: true });
+
+      const against = accessFor(squatter, { hasVoted: true, myVote: { support: 0 } });
+      expect(against).to.include({ hasAccess: false, votedFor: false });
+      expect(against.message).to.match(/^You voted Against\./);
+
+      // hasVoted is read on-chain before the VoteCast event is indexed
+      const pending = accessFor(squatter, { hasVoted: true, myVote: null });
+      expect(pending).to.include({ hasAccess: false, votedFor: false });
+      expect(pending.message).to.contain("still being indexed");
+    });
+
+    it("Should list every holder once", async function () {
+      const holders = getEarlyAccessHolders({
+        proposal,
+        donations,
+        granted: [donor1.address, squatter.address],
+        votes: [
+          { voter: donor1.address, support: 1n },
+          { voter: proposer.address, support: 1n },
+          { voter: donor2.address, support: 0n },
+          { voter: owner.address, support: 2n },
+        ],
+      });
+
+      expect(holders).to.have.members([
+        proposer.address.toLowerCase(),
+        investigator.address.toLowerCase(),
+        donor1.address.toLowerCase(),
+        squatter.address.toLowerCase(),
+      ]);
+      expect(holders).to.have.length(4);
+    });
+  });
+});
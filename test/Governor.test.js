@@ -2,6 +2,12 @@ import { expect } from "chai";
 import hre from "hardhat";
 const { ethers } = hre;
 import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { encodeSettingChanges, formatSettingChangeLines, decodeSettingChanges } from "../src/utils/governanceSettings.js";
+import { encodeFundingRequest } from "../src/utils/fundingRequests.js";
+import { serializeProposalDescription, parseProposalMetadata } from "../src/utils/proposalMetadata.js";
+import { getTrancheAmounts, getTrancheProgress } from "../src/utils/milestones.js";
+import { getQuorumStatus } from "../src/utils/proposalOutcome.js";
+import { parseAbiText, parseArgument, encodeAction, decodeCalldata } from "../src/utils/proposalActions.js";
 
 describe("VeritasGovernor", function () {
   let token;
@@ -132,5 +138,477 @@ describe("VeritasGovernor", function () {
       ).to.be.revertedWithCustomError(governor, "GovernorInsufficientProposerVotes");
     });
   });
-});
 
+  describe("Lifecycle", function () {
+    const description = "Fund investigation: harbour contracts";
+    let targets;
+    let values;
+    let calldatas;
+    let descriptionHash;
+    let proposalId;
+
+    beforeEach(async function () {
+      const proposalAmount = PROPOSAL_THRESHOLD + ethers.parseEther("100000");
+      await token.transfer(addr1.address, proposalAmount);
+      await token.connect(addr1).delegate(addr1.address);
+
+      await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("2") });
+
+      // Same shape the frontend rebuilds from the ProposalCreated event
+      targets = [await treasury.getAddress()];
+      values = [0];
+      calldatas = [treasury.interface.encodeFunctionData("withdrawEth", [addr2.address, ethers.parseEther("1")])];
+      descriptionHash = ethers.id(description);
+
+      const tx = await governor.connect(addr1).propose(targets, values, calldatas, description);
+      const receipt = await tx.wait();
+      const created = receipt.logs
+        .map((log) => { try { return governor.interface.parseLog(log); } catch { return null; } })
+        .find((parsed) => parsed && parsed.name === "ProposalCreated");
+      proposalId = created.args.proposalId;
+
+      await time.advanceBlock();
+      await governor.connect(addr1).castVote(proposalId, 1);
+      await time.advanceBlockTo((await governor.proposalDeadline(proposalId)) + 1n);
+    });
+
+    it("Should derive the proposal id from the event parameters", async function () {
+      expect(await governor.hashProposal(targets, values, calldatas, descriptionHash)).to.equal(proposalId);
+    });
+
+    it("Should queue a succeeded proposal with an ETA", async function () {
+      expect(await governor.state(proposalId)).to.equal(4n); // Succeeded
+      expect(await governor.proposalNeedsQueuing(proposalId)).to.equal(true);
+
+      await expect(governor.queue(targets, values, calldatas, descriptionHash))
+        .to.emit(governor, "ProposalQueued");
+
+      const latest = await time.latest();
+      expect(await governor.state(proposalId)).to.equal(5n); // Queued
+      expect(await governor.proposalEta(proposalId)).to.equal(BigInt(latest) + TIMELOCK_DELAY);
+    });
+
+    it("Should not execute before the ETA", async function () {
+      await governor.queue(targets, values, calldatas, descriptionHash);
+      await expect(governor.execute(targets, values, calldatas, descriptionHash)).to.be.reverted;
+    });
+
+    it("Should execute after the ETA and release Treasury ETH", async function () {
+      await governor.queue(targets, values, calldatas, descriptionHash);
+      await time.increaseTo(await governor.proposalEta(proposalId));
+
+      const before = await ethers.provider.getBalance(addr2.address);
+      await expect(governor.execute(targets, values, calldatas, descriptionHash))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId);
+
+      expect(await governor.state(proposalId)).to.equal(7n); // Executed
+      expect(await ethers.provider.getBalance(addr2.address)).to.equal(before + ethers.parseEther("1"));
+    });
+  });
+
+  describe("Advanced proposal builder", function () {
+    const iface = parseAbiText(`
+      function configure(uint8 level, int8 offset, bytes4 selector, address[2] pair, tuple(address to, uint256 amount) grant)
+      function deposit() payable
+    `);
+    const [level, offset, selector, pair, grant] = iface.getFunction("configure").inputs;
+
+    it("Should enforce integer ranges", function () {
+      expect(parseArgument(level, "255")).to.equal(255n);
+      expect(() => parseArgument(level, "256")).to.throw("level: out of range for uint8");
+      expect(() => parseArgument(level, "-1")).to.throw("out of range");
+      expect(parseArgument(offset, "-128")).to.equal(-128n);
+      expect(() => parseArgument(offset, "128")).to.throw("offset: out of range for int8");
+      expect(() => parseArgument(level, "1.5")).to.throw("must be a whole number");
+    });
+
+    it("Should check fixed bytes lengths and fixed array sizes", function () {
+      expect(parseArgument(selector, "0x12345678")).to.equal("0x12345678");
+      expect(() => parseArgument(selector, "0x1234")).to.throw("selector: must be exactly 4 bytes");
+      expect(() => parseArgument(selector, "12345678")).to.throw("must be 0x-prefixed hex");
+
+      expect(parseArgument(pair, `${owner.address}, ${addr1.address}`)).to.deep.equal([owner.address, addr1.address]);
+      expect(parseArgument(pair, JSON.stringify([owner.address, addr1.address]))).to.deep.equal([owner.address, addr1.address]);
+      expect(() => parseArgument(pair, `${owner.address}, ${addr1.address}, ${addr2.address}`))
+        .to.throw("pair: expected exactly 2 items");
+    });
+
+    it("Should accept tuples as arrays or as objects", function () {
+      const expected = [addr2.address, 5n];
+      expect(parseArgument(grant, JSON.stringify([addr2.address, "5"]))).to.deep.equal(expected);
+      expect(parseArgument(grant, JSON.stringify({ to: addr2.address, amount: "5" }))).to.deep.equal(expected);
+      expect(() => parseArgument(grant, JSON.stringify([addr2.address]))).to.throw("grant: expected 2 fields");
+      expect(() => parseArgument(grant, "not json")).to.throw("grant: tuples must be JSON");
+    });
+
+    it("Should only send ETH to payable functions and decode what it encoded", function () {
+      const target = addr1.address;
+      const args = ["7", "-3", "0xa9059cbb", `${owner.address}, ${addr1.address}`, JSON.stringify({ to: addr2.address, amount: "5" })];
+      expect(() => encodeAction({ target, iface, signature: "configure(uint8,int8,bytes4,address[2],(address,uint256))", args, value: "1" }))
+        .to.throw("configure is not payable");
+      expect(encodeAction({ target, iface, signature: "deposit()", args: [], value: "0.5" }).value).to.equal(ethers.parseEther("0.5"));
+
+      const { calldata, value } = encodeAction({ target, iface, signature: "configure(uint8,int8,bytes4,address[2],(address,uint256))", args, value: "" });
+      expect(value).to.equal(0n);
+      expect(decodeCalldata(iface, calldata)).to.deep.equal({
+        signature: "configure(uint8,int8,bytes4,address[2],(address,uint256))",
+        args: [
+          { name: "level", type: "uint8", value: "7" },
+          { name: "offset", type: "int8", value: "-3" },
+          { name: "selector", type: "bytes4", value: "0xa9059cbb" },
+          { name: "pair", type: "address[2]", value: `[${owner.address}, ${addr1.address}]` },
+          { name: "grant", type: "tuple(address,uint256)", value: `[${addr2.address}, 5]` },
+        ],
+      });
+    });
+
+    it("Should execute a proposal encoded by the builder", async function () {
+      await token.transfer(addr1.address, PROPOSAL_THRESHOLD + ethers.parseEther("100000"));
+      await token.connect(addr1).delegate(addr1.address);
+      await token.transfer(await treasury.getAddress(), ethers.parseEther("250"));
+
+      const action = encodeAction({
+        target: await treasury.getAddress(),
+        iface: parseAbiText("function withdrawToken(address token, address to, uint256 amount)"),
+        signature: "withdrawToken(address,address,uint256)",
+        args: [await token.getAddress(), addr2.address, ethers.parseEther("250").toString()],
+        value: "0",
+      });
+      const description = "Pay the translation costs";
+      const descriptionHash = ethers.id(description);
+      await governor.connect(addr1).propose([action.target], [action.value], [action.calldata], description);
+      const proposalId = await governor.hashProposal([action.target], [action.value], [action.calldata], descriptionHash);
+
+      await time.advanceBlock();
+      await governor.connect(addr1).castVote(proposalId, 1);
+      await time.advanceBlockTo((await governor.proposalDeadline(proposalId)) + 1n);
+      await governor.queue([action.target], [action.value], [action.calldata], descriptionHash);
+      await time.increaseTo(await governor.proposalEta(proposalId));
+      await governor.execute([action.target], [action.value], [action.calldata], descriptionHash);
+
+      expect(await token.balanceOf(addr2.address)).to.equal(ethers.parseEther("250"));
+    });
+  });
+
+  describe("Cancellation", function () {
+    const description = "Fund investigation: wrong recipient";
+    let targets;
+    let values;
+    let calldatas;
+    let descriptionHash;
+    let proposalId;
+
+    beforeEach(async function () {
+      const proposalAmount = PROPOSAL_THRESHOLD + ethers.parseEther("100000");
+      await token.transfer(addr1.address, proposalAmount);
+      await token.connect(addr1).delegate(addr1.address);
+
+      targets = [await treasury.getAddress()];
+      values = [0];
+      calldatas = [treasury.interface.encodeFunctionData("withdrawEth", [addr2.address, ethers.parseEther("1")])];
+      descriptionHash = ethers.id(description);
+
+      await governor.connect(addr1).propose(targets, values, calldatas, description);
+      proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+    });
+
+    it("Should let the proposer cancel while Pending", async function () {
+      await expect(governor.connect(addr1).cancel(targets, values, calldatas, descriptionHash))
+        .to.emit(governor, "ProposalCanceled")
+        .withArgs(proposalId);
+      expect(await governor.state(proposalId)).to.equal(2n); // Canceled
+    });
+
+    it("Should not let anyone else cancel", async function () {
+      await expect(
+        governor.connect(addr2).cancel(targets, values, calldatas, descriptionHash)
+      ).to.be.revertedWithCustomError(governor, "GovernorOnlyProposer");
+    });
+
+    it("Should not let the proposer cancel once voting started", async function () {
+      await time.advanceBlockTo((await governor.proposalSnapshot(proposalId)) + 1n);
+      await expect(
+        governor.connect(addr1).cancel(targets, values, calldatas, descriptionHash)
+      ).to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+    });
+
+    it("Should let a guardian with CANCELLER_ROLE veto a queued proposal", async function () {
+      await timelock.grantRole(await timelock.CANCELLER_ROLE(), addr2.address);
+
+      await time.advanceBlock();
+      await governor.connect(addr1).castVote(proposalId, 1);
+      await time.advanceBlockTo((await governor.proposalDeadline(proposalId)) + 1n);
+      await governor.queue(targets, values, calldatas, descriptionHash);
+
+      // Same derivation the frontend uses: salt = bytes20(governor) ^ descriptionHash
+      const salt = ethers.toBeHex((BigInt(await governor.getAddress()) << 96n) ^ BigInt(descriptionHash), 32);
+      const operationId = await timelock.hashOperationBatch(targets, values, calldatas, ethers.ZeroHash, salt);
+      expect(await timelock.isOperationPending(operationId)).to.equal(true);
+
+      await expect(timelock.connect(addr2).cancel(operationId))
+        .to.emit(timelock, "Cancelled")
+        .withArgs(operationId);
+      expect(await governor.state(proposalId)).to.equal(2n); // Canceled
+    });
+
+    it("Should not let accounts without CANCELLER_ROLE veto", async function () {
+      await expect(timelock.connect(addr1).cancel(ethers.ZeroHash)).to.be.reverted;
+    });
+  });
+
+  describe("Voting with reason", function () {
+    it("Should record the reason in the VoteCast event", async function () {
+      const proposalAmount = PROPOSAL_THRESHOLD + ethers.parseEther("1000");
+      await token.transfer(addr1.address, proposalAmount);
+      await token.connect(addr1).delegate(addr1.address);
+
+      const targets = [await treasury.getAddress()];
+      const values = [0];
+      const calldatas = ["0x"];
+      const description = "Story pitch";
+      await governor.connect(addr1).propose(targets, values, calldatas, description);
+      const proposalId = await governor.hashProposal(targets, values, calldatas, ethers.id(description));
+
+      await time.advanceBlock();
+      const reason = "Sources are not independent";
+      await expect(governor.connect(addr1).castVoteWithReason(proposalId, 0, reason))
+        .to.emit(governor, "VoteCast")
+        .withArgs(addr1.address, proposalId, 0, proposalAmount, reason);
+    });
+  });
+
+  describe("Governance settings", function () {
+    it("Should only let governance change settings", async function () {
+      await expect(governor.setVotingPeriod(100n)).to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+      await expect(governor.updateQuorumNumerator(10n)).to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+    });
+
+    it("Should apply settings changes proposed from the UI", async function () {
+      const proposalAmount = PROPOSAL_THRESHOLD + ethers.parseEther("100000");
+      await token.transfer(addr1.address, proposalAmount);
+      await token.connect(addr1).delegate(addr1.address);
+
+      const governorAddress = await governor.getAddress();
+      const current = {
+        votingDelay: await governor.votingDelay(),
+        votingPeriod: await governor.votingPeriod(),
+        proposalThreshold: await governor.proposalThreshold(),
+        quorumNumerator: await governor["quorumNumerator()"](),
+      };
+      // Unchanged values are left out of the proposal
+      const { targets, values, calldatas, changes } = encodeSettingChanges(governorAddress, current, {
+        votingDelay: VOTING_DELAY,
+        votingPeriod: 100n,
+        quorumNumerator: 10n,
+      });
+      expect(targets).to.have.length(2);
+
+      const description = `Governance Settings: Faster votes\n\n${formatSettingChangeLines(changes)}`;
+      await governor.connect(addr1).propose(targets, values, calldatas, description);
+      const proposalId = await governor.hashProposal(targets, values, calldatas, ethers.id(description));
+
+      await time.advanceBlock();
+      await governor.connect(addr1).castVote(proposalId, 1);
+      await time.advanceBlockTo((await governor.proposalDeadline(proposalId)) + 1n);
+      await governor.queue(targets, values, calldatas, ethers.id(description));
+      await time.increaseTo(await governor.proposalEta(proposalId));
+      await governor.execute(targets, values, calldatas, ethers.id(description));
+
+      expect(await governor.votingPeriod()).to.equal(100n);
+      expect(await governor["quorumNumerator()"]()).to.equal(10n);
+      expect(decodeSettingChanges({ targets, calldatas, description }, governorAddress)).to.deep.equal([
+        { key: "votingPeriod", label: "Voting Period", from: VOTING_PERIOD.toString(), to: "100" },
+        { key: "quorumNumerator", label: "Quorum", from: QUORUM_FRACTION.toString(), to: "10" },
+      ]);
+    });
+  });
+
+  describe("Proposal metadata", function () {
+    it("Should read funding metadata back from the on-chain description", async function () {
+      const proposalAmount = PROPOSAL_THRESHOLD + ethers.parseEther("100000");
+      await token.transfer(addr1.address, proposalAmount);
+      await token.connect(addr1).delegate(addr1.address);
+
+      // The body mentions another address; only the recorded recipient counts
+      const description = serializeProposalDescription({
+        type: "funding",
+        title: "Harbour contracts",
+        author: "Jane Doe",
+        category: "corruption",
+        recipient: addr2.address,
+        amount: { value: "1.5", symbol: "ETH", token: null },
+        readVisibility: "early-access",
+      }, `Follow the payments to ${owner.address}.`);
+      const targets = [await treasury.getAddress()];
+      const calldatas = [encodeFundingRequest({ token: null, recipient: addr2.address, amount: ethers.parseEther("1.5") })];
+      await governor.connect(addr1).propose(targets, [0], calldatas, description);
+
+      const [event] = await governor.queryFilter(governor.filters.ProposalCreated());
+      const metadata = parseProposalMetadata(event.args.description);
+      expect(metadata.version).to.equal(1);
+      expect(metadata.title).to.equal("Harbour contracts");
+      expect(metadata.recipient).to.equal(addr2.address);
+      expect(metadata.amount).to.deep.equal({ value: "1.5", symbol: "ETH", token: null });
+      expect(metadata.readVisibility).to.equal("early-access");
+      expect(metadata.body).to.equal(`Follow the payments to ${owner.address}.`);
+    });
+
+    it("Should parse legacy descriptions without guessing a recipient", function () {
+      const legacy = parseProposalMetadata(
+        `Funding Request: Old story\n\nAuthor: Jane Doe\nCategory: health\n` +
+        `Requested Amount: 2 ETH\nRead Visibility: public\n\nDescription:\nPay ${addr2.address}`
+      );
+      expect(legacy.version).to.equal(0);
+      expect(legacy.type).to.equal("funding");
+      expect(legacy.requestedAmount).to.equal("2 ETH");
+      expect(legacy.readVisibility).to.equal("public");
+      expect(legacy.recipient).to.equal(null);
+
+      expect(() => serializeProposalDescription({ type: "funding", title: "x", author: "y", category: "health", recipient: "0x1234" }))
+        .to.throw("Invalid recipient address");
+    });
+  });
+
+  describe("Milestone funding", function () {
+    const ETH = { token: null, symbol: "ETH", decimals: 18 };
+    const PLAN = [
+      { label: "Approval", percent: 33 },
+      { label: "Draft", percent: 33 },
+      { label: "Publication", percent: 34 },
+    ];
+
+    // Proposals shaped like getAllProposals returns them
+    const proposal = (id, state, createdAt, metadata, proposer) => ({
+      id: BigInt(id),
+      state,
+      createdAt,
+      proposer: proposer || addr1.address,
+      funding: [{ ...ETH, recipient: addr2.address }],
+      description: serializeProposalDescription({
+        type: "funding",
+        title: "Harbour contracts",
+        author: "Jane Doe",
+        category: "corruption",
+        recipient: addr2.address,
+        amount: { value: "1", symbol: "ETH", token: null },
+        ...metadata,
+      }),
+    });
+    const followUp = (id, state, createdAt, number, proposer) => proposal(id, state, createdAt, {
+      parentProposal: "1",
+      tranche: { number, count: PLAN.length, label: PLAN[number - 1].label },
+      evidence: "Draft shared with the editors",
+    }, proposer);
+
+    it("Should leave the rounding remainder on the last tranche", function () {
+      expect(getTrancheAmounts(100n, PLAN)).to.deep.equal([33n, 33n, 34n]);
+      expect(getTrancheAmounts(10n, PLAN)).to.deep.equal([3n, 3n, 4n]);
+
+      const amounts = getTrancheAmounts(ethers.parseEther("1") + 1n, PLAN);
+      expect(amounts.reduce((sum, amount) => sum + amount, 0n)).to.equal(ethers.parseEther("1") + 1n);
+      expect(amounts[2]).to.equal(ethers.parseEther("0.34") + 1n);
+    });
+
+    it("Should track each tranche through its latest live attempt", function () {
+      const parent = proposal(1, "Executed", 100, { milestones: PLAN });
+      const proposals = [
+        parent,
+        followUp(2, "Defeated", 200, 2),
+        followUp(3, "Active", 300, 2),
+        followUp(4, "Expired", 400, 2),
+        // Only the parent's proposer can request its tranches
+        followUp(5, "Active", 500, 3, owner.address),
+      ];
+
+      const [approval, draft, publication] = getTrancheProgress(parent, proposals);
+      expect(approval).to.include({ number: 1, state: "Executed", released: true, canRequest: false });
+      expect(approval.amount).to.equal(ethers.parseEther("0.33"));
+
+      // The newest failed attempt does not hide the retry that is still running
+      expect(draft.proposal.id).to.equal(3n);
+      expect(draft).to.include({ state: "Active", released: false, canRequest: false });
+
+      expect(publication).to.include({ state: "Not requested", canRequest: true });
+      expect(publication.proposal).to.equal(null);
+      expect(publication.amount).to.equal(ethers.parseEther("0.34"));
+
+      expect(getTrancheProgress(proposal(6, "Active", 600, {}), proposals)).to.equal(null);
+    });
+
+    it("Should allow a new request once every attempt failed", function () {
+      const parent = proposal(1, "Executed", 100, { milestones: PLAN });
+      const [, draft] = getTrancheProgress(parent, [parent, followUp(2, "Defeated", 200, 2), followUp(3, "Canceled", 300, 2)]);
+      expect(draft.proposal.id).to.equal(3n);
+      expect(draft).to.include({ state: "Canceled", canRequest: true });
+    });
+  });
+
+  describe("Quorum projection", function () {
+    const STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+    let addr3;
+    let proposalCount = 0;
+
+    beforeEach(async function () {
+      addr3 = (await ethers.getSigners())[3];
+      // Quorum is 4% of 1M = 40,000 votes
+      for (const [signer, amount] of [[addr1, "50000"], [addr2, "50000"], [addr3, "1000"]]) {
+        await token.transfer(signer.address, ethers.parseEther(amount));
+        await token.connect(signer).delegate(signer.address);
+      }
+    });
+
+    // Vote on a fresh proposal, close it and read it back like getAllProposals does
+    const closeWithVotes = async (votes) => {
+      const description = `Quorum projection ${++proposalCount}`;
+      const targets = [await treasury.getAddress()];
+      await governor.connect(addr1).propose(targets, [0], ["0x"], description);
+      const proposalId = await governor.hashProposal(targets, [0], ["0x"], ethers.id(description));
+      await time.advanceBlock();
+      for (const [signer, support] of votes) {
+        await governor.connect(signer).castVote(proposalId, support);
+      }
+      const deadline = await governor.proposalDeadline(proposalId);
+      await time.advanceBlockTo(deadline + 1n);
+
+      const snapshot = await governor.proposalSnapshot(proposalId);
+      const state = STATES[Number(await governor.state(proposalId))];
+      return {
+        state,
+        status: getQuorumStatus({
+          state,
+          quorum: await governor.quorum(snapshot),
+          tally: await governor.proposalVotes(proposalId),
+          snapshot,
+          deadline,
+          currentBlock: BigInt(await ethers.provider.getBlockNumber()),
+        }),
+      };
+    };
+
+    it("Should project a For/Against tie as defeated", async function () {
+      const { state, status } = await closeWithVotes([[addr1, 1], [addr2, 0]]);
+      expect(state).to.equal("Defeated");
+      expect(status).to.include({ quorumReached: true, majority: false, differential: "0.0", final: true });
+      expect(status.projectedOutcome).to.equal("Defeated (For does not exceed Against)");
+    });
+
+    it("Should count Abstain towards quorum but not towards the majority", async function () {
+      const abstainOnly = await closeWithVotes([[addr1, 2]]);
+      expect(abstainOnly.state).to.equal("Defeated");
+      expect(abstainOnly.status).to.include({ quorumReached: true, majority: false, remaining: "0" });
+      expect(abstainOnly.status.projectedOutcome).to.equal("Defeated (For does not exceed Against)");
+
+      // 1,000 For only reaches quorum with the Abstain votes
+      const withAbstain = await closeWithVotes([[addr1, 2], [addr3, 1]]);
+      expect(withAbstain.state).to.equal("Succeeded");
+      expect(withAbstain.status).to.include({ quorumReached: true, majority: true, counted: "51000.0" });
+      expect(withAbstain.status.projectedOutcome).to.equal("Succeeded");
+
+      const forOnly = await closeWithVotes([[addr3, 1]]);
+      expect(forOnly.state).to.equal("Defeated");
+      expect(forOnly.status).to.include({ quorumReached: false, remaining: "39000.0" });
+      expect(forOnly.status.projectedOutcome).to.equal("Defeated (quorum not reached)");
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+describe("Multicall3", function () {
+  let multicall;
+  let veritasToken;
+  let owner;
+  let addr1;
+  const initialSupply = ethers.parseEther("1000000");
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const VeritasToken = await ethers.getContractFactory("VeritasToken");
+    veritasToken = await VeritasToken.deploy(initialSupply, owner.address);
+    await veritasToken.waitForDeployment();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+  });
+
+  describe("aggregate3", function () {
+    it("Should return results for every call in order", async function () {
+      const tokenAddress = await veritasToken.getAddress();
+      const calls = [
+        { target: tokenAddress, allowFailure: false, callData: veritasToken.interface.encodeFunctionData("totalSupply") },
+        { target: tokenAddress, allowFailure: false, callData: veritasToken.interface.encodeFunctionData("balanceOf", [owner.address]) },
+        { target: tokenAddress, allowFailure: false, callData: veritasToken.interface.encodeFunctionData("balanceOf", [addr1.address]) },
+      ];
+
+      const results = await multicall.aggregate3.staticCall(calls);
+      expect(results.length).to.equal(3);
+      expect(results.every(r => r.success)).to.equal(true);
+
+      const [totalSupply] = veritasToken.interface.decodeFunctionResult("totalSupply", results[0].returnData);
+      const [ownerBalance] = veritasToken.interface.decodeFunctionResult("balanceOf", results[1].returnData);
+      const [addr1Balance] = veritasToken.interface.decodeFunctionResult("balanceOf", results[2].returnData);
+      expect(totalSupply).to.equal(initialSupply);
+      expect(ownerBalance).to.equal(initialSupply);
+      expect(addr1Balance).to.equal(0n);
+    });
+
+    it("Should report failed calls when failure is allowed", async function () {
+      const tokenAddress = await veritasToken.getAddress();
+      const calls = [
+        // faucetMint reverts when not called by the faucet
+        { target: tokenAddress, allowFailure: true, callData: veritasToken.interface.encodeFunctionData("faucetMint", [addr1.address, 1n]) },
+        { target: tokenAddress, allowFailure: true, callData: veritasToken.interface.encodeFunctionData("totalSupply") },
+      ];
+
+      const results = await multicall.aggregate3.staticCall(calls);
+      expect(results[0].success).to.equal(false);
+      expect(results[1].success).to.equal(true);
+    });
+
+    it("Should revert when a required call fails", async function () {
+      const tokenAddress = await veritasToken.getAddress();
+      const calls = [
+        { target: tokenAddress, allowFailure: false, callData: veritasToken.interface.encodeFunctionData("faucetMint", [addr1.address, 1n]) },
+      ];
+
+      await expect(multicall.aggregate3.staticCall(calls)).to.be.revertedWith("Multicall3: call failed");
+    });
+  });
+
+  describe("Block helpers", function () {
+    it("Should return the current block number and timestamp", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      expect(await multicall.getBlockNumber()).to.equal(BigInt(block.number));
+      expect(await multicall.getCurrentBlockTimestamp()).to.equal(BigInt(block.timestamp));
+    });
+  });
+});
@@ -0,0 +1,385 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import {
+  createRelayer,
+  createRateLimiter,
+  createDiscussionBoard,
+  createStatementBoard,
+  createEarlyAccessBoard,
+  RelayerError,
+} from "../scripts/relayer.js";
+import { getBallotDomain, buildBallot } from "../src/utils/ballot.js";
+import { DELEGATION_TYPES, getDelegationDomain, buildDelegation } from "../src/utils/delegation.js";
+import { signDiscussionAction, buildDiscussionThread } from "../src/utils/discussion.js";
+import { signDelegateStatement, buildStatementDirectory } from "../src/utils/delegateStatements.js";
+import {
+  signReaderKey,
+  buildKeyDirectory,
+  encryptArticle,
+  signEnvelopeRecord,
+  buildEnvelopeDirectory,
+  unwrapContentKey,
+  decryptArticle,
+} from "../src/utils/articleEncryption.js";
+
+describe("Gasless voting relayer", function () {
+  let token;
+  let governor;
+  let relayer;
+  let owner;
+  let voter;
+  let other;
+  let proposalId;
+
+  const PROPOSAL_THRESHOLD = ethers.parseEther("100");
+
+  // Sign a ballot the same way the frontend does
+  const signBallot = async (signer, support, reason = "") => {
+    const domain = await getBallotDomain(governor);
+    const nonce = await governor.nonces(signer.address);
+    const { types, value } = buildBallot({ proposalId, support, voter: signer.address, nonce, reason });
+    return signer.signTypedData(domain, types, value);
+  };
+
+  beforeEach(async function () {
+    [owner, voter, other] = await ethers.getSigners();
+
+    const VeritasToken = await ethers.getContractFactory("VeritasToken");
+    token = await VeritasToken.deploy(ethers.parseEther("1000000"), owner.address);
+
+    const TimelockController = await ethers.getContractFactory("TimelockController");
+    const timelock = await TimelockController.deploy(3600n, [], [], owner.address);
+
+    const VeritasGovernor = await ethers.getContractFactory("VeritasGovernor");
+    governor = await VeritasGovernor.deploy(
+      await token.getAddress(),
+      await timelock.getAddress(),
+      1n,
+      100n,
+      PROPOSAL_THRESHOLD,
+      4n
+    );
+
+    await token.transfer(voter.address, ethers.parseEther("50000"));
+    await token.connect(voter).delegate(voter.address);
+    await token.delegate(owner.address);
+
+    const targets = [await token.getAddress()];
+    const description = "Relayer test proposal";
+    await governor.propose(targets, [0], ["0x"], description);
+    proposalId = await governor.hashProposal(targets, [0], ["0x"], ethers.id(description));
+    await time.advanceBlockTo((await governor.proposalSnapshot(proposalId)) + 1n);
+
+    // The owner pays gas for relayed votes
+    relayer = createRelayer({
+      governor: governor.connect(owner),
+      wallet: owner,
+      rateLimiter: createRateLimiter(2, 60 * 60 * 1000),
+    });
+  });
+
+  it("Should relay a signed vote and count it for the voter", async function () {
+    const signature = await signBallot(voter, 1);
+    const result = await relayer.relayVote({
+      proposalId: proposalId.toString(),
+      support: 1,
+      voter: voter.address,
+      signature,
+    });
+
+    expect(result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await governor.hasVoted(proposalId, voter.address)).to.equal(true);
+    const votes = await governor.proposalVotes(proposalId);
+    expect(votes.forVotes).to.equal(ethers.parseEther("50000"));
+  });
+
+  it("Should relay a vote with a reason as an extended ballot", async function () {
+    const reason = "Solid sourcing";
+    const signature = await signBallot(voter, 0, reason);
+    const { txHash } = await relayer.relayVote({
+      proposalId: proposalId.toString(),
+      support: 0,
+      voter: voter.address,
+      signature,
+      reason,
+    });
+
+    const receipt = await ethers.provider.getTransactionReceipt(txHash);
+    const voteCast = receipt.logs
+      .map((log) => { try { return governor.interface.parseLog(log); } catch { return null; } })
+      .find((parsed) => parsed && parsed.name === "VoteCast");
+    expect(voteCast.args.reason).to.equal(reason);
+  });
+
+  it("Should reject a signature made by someone else", async function () {
+    const signature = await signBallot(other, 1);
+    await expect(relayer.relayVote({
+      proposalId: proposalId.toString(),
+      support: 1,
+      voter: voter.address,
+      signature,
+    })).to.be.rejectedWith(RelayerError, "Signature was not made by the voter");
+  });
+
+  it("Should reject voters without voting power", async function () {
+    const signature = await signBallot(other, 1);
+    await expect(relayer.relayVote({
+      proposalId: proposalId.toString(),
+      support: 1,
+      voter: other.address,
+      signature,
+    })).to.be.rejectedWith(RelayerError, "no voting power");
+  });
+
+  it("Should reject a second vote from the same voter", async function () {
+    const signature = await signBallot(voter, 1);
+    const body = { proposalId: proposalId.toString(), support: 1, voter: voter.address, signature };
+    await relayer.relayVote(body);
+    await expect(relayer.relayVote(body)).to.be.rejectedWith(RelayerError, "already voted");
+  });
+
+  it("Should rate limit by voter", async function () {
+    const limiter = createRateLimiter(1, 1000);
+    limiter.record(voter.address, 0);
+    expect(() => limiter.check(voter.address, 500)).to.throw(RelayerError, "Rate limit");
+    expect(() => limiter.check(voter.address, 1500)).to.not.throw();
+    expect(() => limiter.check(other.address, 500)).to.not.throw();
+  });
+
+  describe("Faucet", function () {
+    let faucet;
+
+    beforeEach(async function () {
+      const VeritasFaucet = await ethers.getContractFactory("VeritasFaucet");
+      faucet = await VeritasFaucet.deploy(await token.getAddress(), ethers.parseEther("1000"), 86400n, owner.address);
+      await token.setFaucetAddress(await faucet.getAddress());
+      await faucet.setRelayer(owner.address, true);
+
+      relayer = createRelayer({
+        governor: governor.connect(owner),
+        wallet: owner,
+        rateLimiter: createRateLimiter(2, 60 * 60 * 1000),
+        token,
+        faucet: faucet.connect(owner),
+      });
+    });
+
+    const signDelegation = async (signer) => {
+      const domain = await getDelegationDomain(token);
+      const nonce = await token.nonces(signer.address);
+      const expiry = BigInt(await time.latest()) + 3600n;
+      const signature = await signer.signTypedData(
+        domain,
+        DELEGATION_TYPES,
+        buildDelegation({ delegatee: signer.address, nonce, expiry })
+      );
+      return { delegatee: signer.address, nonce: nonce.toString(), expiry: expiry.toString(), signature };
+    };
+
+    it("Should drip tokens and activate voting power for a new user", async function () {
+      const delegation = await signDelegation(other);
+      const result = await relayer.relayFaucet({ address: other.address, delegation });
+
+      expect(result.delegated).to.equal(true);
+      expect(await token.getVotes(other.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should reject a delegation signed by another account", async function () {
+      const delegation = await signDelegation(voter);
+      await expect(relayer.relayFaucet({ address: other.address, delegation }))
+        .to.be.rejectedWith(RelayerError, "not signed by the requesting address");
+    });
+
+    it("Should require a delegation signed by the requesting address", async function () {
+      await expect(relayer.relayFaucet({ address: other.address }))
+        .to.be.rejectedWith(RelayerError, "delegation signed by the requesting address is required");
+    });
+
+    it("Should respect the faucet cooldown", async function () {
+      await relayer.relayFaucet({ address: other.address, delegation: await signDelegation(other) });
+      await expect(relayer.relayFaucet({ address: other.address, delegation: await signDelegation(other) }))
+        .to.be.rejectedWith(RelayerError, "cooldown");
+    });
+
+    it("Should rate limit drips by IP", async function () {
+      const limited = createRelayer({
+        governor: governor.connect(owner),
+        wallet: owner,
+        rateLimiter: createRateLimiter(2, 60 * 60 * 1000),
+        token,
+        faucet: faucet.connect(owner),
+        faucetRateLimiter: createRateLimiter(1, 60 * 60 * 1000),
+      });
+      await limited.relayFaucet({ address: other.address, delegation: await signDelegation(other) }, "203.0.113.7");
+      await expect(limited.relayFaucet({ address: voter.address, delegation: await signDelegation(voter) }, "203.0.113.7"))
+        .to.be.rejectedWith(RelayerError, "Rate limit");
+    });
+  });
+
+  describe("Discussion", function () {
+    const CHAIN_ID = 1337;
+    let board;
+
+    beforeEach(async function () {
+      board = createDiscussionBoard({
+        governor,
+        chainId: CHAIN_ID,
+        rateLimiter: createRateLimiter(10, 60 * 60 * 1000),
+      });
+      await token.transfer(other.address, ethers.parseEther("10"));
+      await token.connect(other).delegate(other.address);
+      // Voting power is read one block back
+      await time.advanceBlock();
+    });
+
+    it("Should accept signed comments, replies and edits by the author", async function () {
+      const post = await signDiscussionAction(voter, CHAIN_ID, { proposalId, action: "post", body: "Who audits the spending?" });
+      await board.submitAction(post);
+      const reply = await signDiscussionAction(other, CHAIN_ID, { proposalId, action: "post", body: "The milestone plan does.", parentId: post.commentId });
+      await board.submitAction(reply);
+      const edit = await signDiscussionAction(voter, CHAIN_ID, { proposalId, action: "edit", body: "Who audits the grant spending?", commentId: post.commentId });
+      await board.submitAction(edit);
+
+      const { actions } = await board.getActions(new URLSearchParams({ proposalId: proposalId.toString() }));
+      const thread = buildDiscussionThread(actions, CHAIN_ID);
+
+      expect(thread.count).to.equal(2);
+      expect(thread.comments[0].body).to.equal("Who audits the grant spending?");
+      expect(thread.comments[0].history.map(version => version.body))
+        .to.deep.equal(["Who audits the spending?", "Who audits the grant spending?"]);
+      expect(thread.comments[0].replies[0].author).to.equal(other.address);
+    });
+
+    it("Should reject edits not signed by the comment author", async function () {
+      const post = await signDiscussionAction(voter, CHAIN_ID, { proposalId, action: "post", body: "Original comment" });
+      await board.submitAction(post);
+
+      const edit = await signDiscussionAction(other, CHAIN_ID, { proposalId, action: "edit", body: "Rewritten", commentId: post.commentId });
+      await expect(board.submitAction(edit)).to.be.rejectedWith(RelayerError, "Only the author");
+
+      const forged = { ...post, body: "Rewritten", signature: edit.signature };
+      await expect(board.submitAction(forged)).to.be.rejectedWith(RelayerError, "not made by the author");
+    });
+
+    it("Should reject comments on unknown proposals", async function () {
+      const post = await signDiscussionAction(voter, CHAIN_ID, { proposalId: 123n, action: "post", body: "Hello" });
+      await expect(board.submitAction(post)).to.be.rejectedWith(RelayerError, "Unknown proposal");
+    });
+
+    it("Should reject authors without voting power", async function () {
+      const outsider = ethers.Wallet.createRandom();
+      const post = await signDiscussionAction(outsider, CHAIN_ID, { proposalId, action: "post", body: "Free keypair spam" });
+      await expect(board.submitAction(post)).to.be.rejectedWith(RelayerError, "voting power");
+    });
+
+    it("Should limit actions per IP and per proposal", async function () {
+      const limited = createDiscussionBoard({
+        governor,
+        chainId: CHAIN_ID,
+        rateLimiter: createRateLimiter(10, 60 * 60 * 1000),
+        ipRateLimiter: createRateLimiter(1, 60 * 60 * 1000),
+        maxActionsPerProposal: 2,
+      });
+      const first = await signDiscussionAction(voter, CHAIN_ID, { proposalId, action: "post", body: "First" });
+      await limited.submitAction(first, "203.0.113.7");
+      const second = await signDiscussionAction(other, CHAIN_ID, { proposalId, action: "post", body: "Second" });
+      await expect(limited.submitAction(second, "203.0.113.7")).to.be.rejectedWith(RelayerError, "Rate limit");
+      await limited.submitAction(second, "198.51.100.4");
+
+      const third = await signDiscussionAction(voter, CHAIN_ID, { proposalId, action: "post", body: "Third" });
+      await expect(limited.submitAction(third, "192.0.2.1")).to.be.rejectedWith(RelayerError, "size limit");
+    });
+  });
+
+  describe("Delegate statements", function () {
+    let board;
+
+    beforeEach(async function () {
+      board = createStatementBoard({
+        governor,
+        rateLimiter: createRateLimiter(10, 60 * 60 * 1000),
+      });
+    });
+
+    it("Should share the newest signed statement of each delegate", async function () {
+      const first = await signDelegateStatement(voter, "I fund work with named sources.", 1000);
+      await board.submitStatement(first);
+      const second = await signDelegateStatement(voter, "I fund work with named, verifiable sources.", 2000);
+      await board.submitStatement(second);
+
+      await expect(board.submitStatement(first)).to.be.rejectedWith(RelayerError, "newer statement");
+
+      const { statements } = await board.getStatements();
+      const directory = buildStatementDirectory([...statements, first]);
+      expect(directory[voter.address.toLowerCase()].statement).to.equal("I fund work with named, verifiable sources.");
+
+      const removal = await signDelegateStatement(voter, "", 3000);
+      await board.submitStatement(removal);
+      expect(buildStatementDirectory((await board.getStatements()).statements)).to.deep.equal({});
+    });
+
+    it("Should reject forged statements and members without voting power", async function () {
+      const record = await signDelegateStatement(voter, "Original statement");
+      await expect(board.submitStatement({ ...record, statement: "Forged statement" }))
+        .to.be.rejectedWith(RelayerError, "not made by the delegate");
+
+      const outsider = await signDelegateStatement(other, "Vote for me");
+      await expect(board.submitStatement(outsider)).to.be.rejectedWith(RelayerError, "voting power");
+    });
+  });
+
+  describe("Early access", function () {
+    let board;
+
+    beforeEach(async function () {
+      board = createEarlyAccessBoard({
+        governor,
+        rateLimiter: createRateLimiter(10, 60 * 60 * 1000),
+      });
+    });
+
+    it("Should share reader keys and the proposer's encrypted articles across devices", async function () {
+      // other has no voting power - donors can publish a key without holding VERITAS
+      const readerKey = await signReaderKey(other, 1000);
+      await board.submitKey(readerKey, "127.0.0.1");
+      const keys = buildKeyDirectory((await board.getKeys()).keys);
+      expect(keys[other.address.toLowerCase()].publicKey).to.equal(readerKey.publicKey);
+
+      const envelope = encryptArticle("Early findings from the harbour contracts files.", [keys[other.address.toLowerCase()]]);
+      const record = await signEnvelopeRecord(owner, { proposalId: proposalId.toString(), slot: "article", envelope }, 1000);
+      await board.submitEnvelope(record, "127.0.0.1");
+
+      const { envelopes } = await board.getEnvelopes(new URLSearchParams({ proposalId: proposalId.toString() }));
+      const shared = buildEnvelopeDirectory(envelopes, owner.address).article.envelope;
+      expect(decryptArticle(shared, await unwrapContentKey(shared, other)))
+        .to.equal("Early findings from the harbour contracts files.");
+
+      // Readers only trust articles signed by the proposal's proposer
+      expect(buildEnvelopeDirectory(envelopes, voter.address)).to.deep.equal({});
+      expect((await board.submitEnvelope(record)).envelope.signature).to.equal(record.signature);
+      const older = await signEnvelopeRecord(owner, { proposalId: proposalId.toString(), slot: "article", envelope }, 500);
+      await expect(board.submitEnvelope(older)).to.be.rejectedWith(RelayerError, "newer version");
+    });
+
+    it("Should reject forged keys and articles not signed by the proposer", async function () {
+      const readerKey = await signReaderKey(other, 1000);
+      const voterKey = await signReaderKey(voter, 1000);
+      await expect(board.submitKey({ ...readerKey, publicKey: voterKey.publicKey }))
+        .to.be.rejectedWith(RelayerError, "not made by the reader");
+
+      const envelope = encryptArticle("Leaked draft", [readerKey]);
+      const forged = await signEnvelopeRecord(voter, { proposalId: proposalId.toString(), slot: "article", envelope });
+      await expect(board.submitEnvelope(forged)).to.be.rejectedWith(RelayerError, "Only the proposer");
+
+      const record = await signEnvelopeRecord(owner, { proposalId: proposalId.toString(), slot: "update-1000", title: "Update", envelope });
+      const widened = encryptArticle("Leaked draft", [readerKey, voterKey]);
+      await expect(board.submitEnvelope({ ...record, envelope: { ...envelope, keys: widened.keys } }))
+        .to.be.rejectedWith(RelayerError, "not made by the author");
+
+      const unknown = await signEnvelopeRecord(owner, { proposalId: "42", slot: "article", envelope });
+      await expect(board.submitEnvelope(unknown)).to.be.rejectedWith(RelayerError, "Unknown proposal");
+    });
+  });
+});
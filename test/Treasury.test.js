@@ -1,6 +1,7 @@
 import { expect } from "chai";
 import hre from "hardhat";
 const { ethers } = hre;
+import { encodeFundingRequest, decodeFundingRequests } from "../src/utils/fundingRequests.js";
 
 describe("Treasury", function () {
   let treasury;
@@ -114,6 +115,21 @@ describe("Treasury", function () {
         treasury.connect(addr1).withdrawToken(await mockToken.getAddress(), addr2.address, withdrawAmount)
       ).to.be.revertedWithCustomError(treasury, "OwnableUnauthorizedAccount");
     });
+
+    it("Should pay out funding requests encoded by the frontend", async function () {
+      const treasuryAddress = await treasury.getAddress();
+      const token = await mockToken.getAddress();
+      const amount = ethers.parseEther("250");
+      const calldata = encodeFundingRequest({ token, recipient: addr2.address, amount });
+
+      // Proposal displays read the payout back from the calldata
+      expect(decodeFundingRequests({ targets: [treasuryAddress], calldatas: [calldata] }, treasuryAddress)).to.deep.equal([
+        { token, recipient: addr2.address, amount },
+      ]);
+
+      await owner.sendTransaction({ to: treasuryAddress, data: calldata });
+      expect(await mockToken.balanceOf(addr2.address)).to.equal(amount);
+    });
   });
 });
 
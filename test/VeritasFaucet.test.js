@@ -0,0 +1,96 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { DELEGATION_TYPES, getDelegationDomain, buildDelegation } from "../src/utils/delegation.js";
+
+describe("VeritasFaucet", function () {
+  let token;
+  let faucet;
+  let owner;
+  let relayer;
+  let user;
+  let other;
+
+  const FAUCET_AMOUNT = ethers.parseEther("1000");
+  const COOLDOWN_PERIOD = 86400n;
+
+  // Sign a delegateBySig payload the same way the frontend does
+  const signDelegation = async (signer, delegatee) => {
+    const domain = await getDelegationDomain(token);
+    const nonce = await token.nonces(signer.address);
+    const expiry = BigInt(await time.latest()) + 3600n;
+    const signature = await signer.signTypedData(domain, DELEGATION_TYPES, buildDelegation({ delegatee, nonce, expiry }));
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { nonce, expiry, v, r, s };
+  };
+
+  beforeEach(async function () {
+    [owner, relayer, user, other] = await ethers.getSigners();
+
+    const VeritasToken = await ethers.getContractFactory("VeritasToken");
+    token = await VeritasToken.deploy(ethers.parseEther("1000000"), owner.address);
+
+    const VeritasFaucet = await ethers.getContractFactory("VeritasFaucet");
+    faucet = await VeritasFaucet.deploy(await token.getAddress(), FAUCET_AMOUNT, COOLDOWN_PERIOD, owner.address);
+    await token.setFaucetAddress(await faucet.getAddress());
+    await faucet.setRelayer(relayer.address, true);
+  });
+
+  it("Should let users request tokens once per cooldown", async function () {
+    await faucet.connect(user).requestTokens();
+    expect(await token.balanceOf(user.address)).to.equal(FAUCET_AMOUNT);
+    await expect(faucet.connect(user).requestTokens()).to.be.revertedWith(
+      "VeritasFaucet: cooldown period not elapsed"
+    );
+  });
+
+  it("Should only let relayers request tokens for someone else", async function () {
+    await expect(faucet.connect(other).requestTokensFor(user.address)).to.be.revertedWith(
+      "VeritasFaucet: caller is not a relayer"
+    );
+
+    await faucet.connect(relayer).requestTokensFor(user.address);
+    expect(await token.balanceOf(user.address)).to.equal(FAUCET_AMOUNT);
+    // The cooldown belongs to the recipient
+    await expect(faucet.connect(user).requestTokens()).to.be.revertedWith(
+      "VeritasFaucet: cooldown period not elapsed"
+    );
+  });
+
+  it("Should drip and activate voting power in one relayed transaction", async function () {
+    const { nonce, expiry, v, r, s } = await signDelegation(user, user.address);
+    await faucet.connect(relayer).requestTokensWithDelegation(user.address, user.address, nonce, expiry, v, r, s);
+
+    expect(await token.delegates(user.address)).to.equal(user.address);
+    expect(await token.getVotes(user.address)).to.equal(FAUCET_AMOUNT);
+  });
+
+  it("Should reject a delegation signed by someone other than the recipient", async function () {
+    const { nonce, expiry, v, r, s } = await signDelegation(other, user.address);
+    await expect(
+      faucet.connect(relayer).requestTokensWithDelegation(user.address, user.address, nonce, expiry, v, r, s)
+    ).to.be.revertedWith("VeritasFaucet: delegation not signed by recipient");
+  });
+
+  it("Should reject someone else's delegation when the recipient already delegated", async function () {
+    await token.connect(user).delegate(user.address);
+
+    const { nonce, expiry, v, r, s } = await signDelegation(other, user.address);
+    await expect(
+      faucet.connect(relayer).requestTokensWithDelegation(user.address, user.address, nonce, expiry, v, r, s)
+    ).to.be.revertedWith("VeritasFaucet: delegation not signed by recipient");
+  });
+
+  it("Should let the owner revoke relayers", async function () {
+    await expect(faucet.connect(other).setRelayer(other.address, true)).to.be.revertedWithCustomError(
+      faucet,
+      "OwnableUnauthorizedAccount"
+    );
+
+    await faucet.setRelayer(relayer.address, false);
+    await expect(faucet.connect(relayer).requestTokensFor(user.address)).to.be.revertedWith(
+      "VeritasFaucet: caller is not a relayer"
+    );
+  });
+});